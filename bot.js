@@ -21,6 +21,17 @@ const config = require('./config');
 const { logger } = require('./src/utils/helpers');
 const db = require('./src/utils/db');
 const cache = require('./src/utils/cache');
+const pixWebhook = require('./src/payment/webhook');
+const paymentProviders = require('./src/payment/providers');
+const scheduler = require('./src/core/Scheduler');
+const paymentExpiration = require('./src/payment/expiration');
+const cartService = require('./src/services/CartService');
+const cartReminder = require('./src/marketing/cartReminder');
+const notificationService = require('./src/services/NotificationService');
+const userService = require('./src/services/UserService');
+const reportService = require('./src/services/ReportService');
+const categoryService = require('./src/services/CategoryService');
+const lztService = require('./src/product/lzt');
 
 // Importação do sistema de painéis e eventos
 const panelSystem = require('./src/core/PanelSystem');
@@ -70,10 +81,24 @@ async function main() {
     await db.initDatabase(false, true);
     logger.info('Banco de dados inicializado com sucesso');
 
+    // Carregar categorias de produtos (cria as padrão na primeira execução)
+    const categories = await categoryService.load();
+    logger.info(`${categories.length} categorias de produtos carregadas`);
+
+    // Validar o provedor de pagamento antes de aceitar pedidos (PIX_PROVIDER inválido impede a inicialização)
+    logger.info(`Provedor de pagamento: ${paymentProviders.resolveProviderName()}`);
+
     // Inicializar sistema de cache
     logger.info('Inicializando sistema de cache...');
     await cache.initCache();
     logger.info('Sistema de cache inicializado');
+    cartService.init();
+
+    // Iniciar receptor de webhooks do provedor PIX
+    if (config.payment.webhook.enabled) {
+      logger.info('Iniciando webhook de confirmação PIX...');
+      await pixWebhook.start();
+    }
 
     // Registrar painéis no sistema central
     logger.info('Registrando painéis interativos...');
@@ -96,6 +121,9 @@ async function main() {
     await client.login(token);
     logger.info(`Bot conectado com sucesso como ${client.user.tag}`);
 
+    // Cliente usado nas entregas e avisos enviados por DM
+    notificationService.setClient(client);
+
     // Configurar presença
     client.user.setPresence({
       activities: [{
@@ -117,6 +145,24 @@ async function main() {
       }, config.database.backupInterval);
     }
 
+    // Registrar jobs periódicos
+    scheduler.registerJob(
+      paymentExpiration.JOB_NAME,
+      config.payment.expirationSweepInterval,
+      paymentExpiration.sweepExpiredPayments,
+      { runOnStart: true }
+    );
+    scheduler.registerJob('cart-cleanup', config.cart.cleanupInterval, () => cartService.cleanupExpiredCarts());
+    scheduler.registerJob('cart-reminder', config.cart.reminder.checkInterval, cartReminder.sendAbandonedCartReminders);
+    scheduler.registerJob('suspension-lift', config.moderation.suspensionCheckInterval, () => userService.liftExpiredSuspensions(), { runOnStart: true });
+    scheduler.registerJob('admin-reports', config.reports.checkInterval, (jobClient) => reportService.sendScheduledDigests(jobClient), { runOnStart: true });
+
+    if (config.lzt.enabled) {
+      scheduler.registerJob('lzt-sync', config.lzt.syncInterval, () => lztService.syncProducts({ trigger: 'scheduled' }), { runOnStart: true });
+    }
+
+    scheduler.start(client);
+
     // Exportar client para uso em outros módulos
     module.exports.client = client;
 
@@ -261,6 +307,12 @@ process.on('SIGINT', async () => {
       logger.info('Cliente Discord desconectado com sucesso');
     }
 
+    // Interromper jobs agendados
+    scheduler.stop();
+
+    // Encerrar webhook PIX
+    await pixWebhook.stop();
+
     // Fechar conexão com banco de dados
     logger.info('Fechando conexão com banco de dados...');
     await db.disconnect();
@@ -75,7 +75,32 @@ module.exports = {
     apiSecret: process.env.LZT_API_SECRET,
     baseUrl: process.env.LZT_API_URL || 'https://api.lzt.market/v1',
     syncInterval: 900000, // 15 minutos
-    enabled: process.env.LZT_ENABLED === 'true'
+    enabled: process.env.LZT_ENABLED === 'true',
+    client: {
+      timeout: 30000, // 30 segundos
+      maxRetries: 3,
+      retryBaseDelay: 1000, // Backoff exponencial: 1s, 2s, 4s (+ jitter)
+      maxRetryDelay: 30000, // Limite de espera, inclusive para Retry-After
+      circuitBreaker: {
+        failureThreshold: 5, // Requisições seguidas com falha para abrir o circuito
+        resetTimeout: 60000 // Tempo com o circuito aberto antes de uma requisição de teste
+      }
+    },
+    mockPort: parseInt(process.env.LZT_MOCK_PORT || '3099'), // Servidor simulado (node src/product/lzt/mockServer.js)
+    sync: {
+      pageSize: 100,
+      maxPages: 50, // Limite de segurança por execução
+      delistMissing: true // Marcar como indisponíveis os produtos que saíram do feed
+    },
+    // Preço de venda = custo no LZT + percentual + taxa fixa (opcionalmente arredondado para X,90)
+    pricing: {
+      default: { markupPercent: 30, fixedFee: 0, roundTo90: true },
+      byType: {
+        valorant: { markupPercent: 35, fixedFee: 2, roundTo90: true },
+        steam: { markupPercent: 25, fixedFee: 1, roundTo90: true },
+        lol: { markupPercent: 30, fixedFee: 2, roundTo90: true }
+      }
+    }
   },
 
   // Configurações de pagamento
@@ -83,17 +108,41 @@ module.exports = {
     pix: {
       keyType: process.env.PIX_KEY_TYPE || 'random',
       keyValue: process.env.PIX_KEY,
-      provider: process.env.PIX_PROVIDER || '99pay',
+      provider: process.env.PIX_PROVIDER || 'static', // static (chave PIX estática) ou mock (testes)
       manualApproval: process.env.MANUAL_APPROVAL !== 'false',
       beneficiaryName: process.env.PIX_BENEFICIARY_NAME || 'Mercadão das Contas',
-      city: process.env.PIX_CITY || 'São Paulo'
+      city: process.env.PIX_CITY || 'São Paulo',
+      qrCode: {
+        width: parseInt(process.env.PIX_QR_WIDTH || '300'),
+        margin: parseInt(process.env.PIX_QR_MARGIN || '1'),
+        errorCorrectionLevel: process.env.PIX_QR_ERROR_CORRECTION || 'M' // L, M, Q ou H
+      }
+    },
+    webhook: {
+      enabled: process.env.PIX_WEBHOOK_ENABLED === 'true',
+      port: parseInt(process.env.PIX_WEBHOOK_PORT || '3000'),
+      path: process.env.PIX_WEBHOOK_PATH || '/webhooks/pix',
+      secret: process.env.PIX_WEBHOOK_SECRET,
+      toleranceSeconds: 300, // Janela aceita para o timestamp da assinatura
+      maxBodySize: 1048576 // 1MB
     },
     expiration: parseInt(process.env.PAYMENT_EXPIRATION || '1800'),
+    expirationSweepInterval: 60000, // Verificação de pagamentos vencidos a cada 1 minuto
     minimumAmount: parseFloat(process.env.MINIMUM_AMOUNT || '5.00'),
+    dualApproval: {
+      threshold: parseFloat(process.env.DUAL_APPROVAL_THRESHOLD || '300.00'), // Valores a partir deste exigem duas aprovações
+      requiredApprovals: 2
+    },
     notificationEmail: process.env.NOTIFICATION_EMAIL,
     notificationDiscord: process.env.NOTIFICATION_DISCORD_WEBHOOK
   },
 
+  // Cofre de credenciais dos produtos
+  vault: {
+    // Chave AES-256 com 32 bytes, em hex (64 caracteres) ou base64
+    encryptionKey: process.env.VAULT_ENCRYPTION_KEY
+  },
+
   // Configurações do sistema de auditoria
   audit: {
     enabled: true,
@@ -103,7 +152,8 @@ module.exports = {
       error: 63072000,     // 2 anos
       warning: 31536000,   // 1 ano
       info: 15768000       // 6 meses
-    }
+    },
+    exportMaxRows: 5000 // Registros por exportação JSONL no painel de auditoria
   },
 
   // Configurações do sistema de marketing
@@ -115,6 +165,7 @@ module.exports = {
     },
     loyaltyPoints: {
       conversionRate: 0.01,
+      pointsPerReal: 1, // Pontos ganhos por real gasto em compras aprovadas
       expirationDays: 90,
       bonusForRegistration: 100
     }
@@ -124,7 +175,12 @@ module.exports = {
   cart: {
     timeoutMinutes: 30,
     maxItems: 10,
-    cleanupInterval: 3600000 // 1 hora
+    cleanupInterval: 3600000, // 1 hora
+    reminder: {
+      enabled: process.env.CART_REMINDER_ENABLED !== 'false',
+      afterMinutes: parseInt(process.env.CART_REMINDER_AFTER_MINUTES || '15'), // Deve ser menor que timeoutMinutes
+      checkInterval: 300000 // 5 minutos
+    }
   },
 
   // Configurações do assistente virtual
@@ -161,6 +217,47 @@ module.exports = {
     suspiciousIpCountries: process.env.SUSPICIOUS_COUNTRIES ? process.env.SUSPICIOUS_COUNTRIES.split(',') : []
   },
 
+  // Capacidades do painel administrativo por cargo (nome ou ID) e por usuário
+  // Cargos em discord.adminRoles, usuários em discord.adminUsers e User.isAdmin têm todas; '*' também concede todas
+  permissions: {
+    roles: {
+      Suporte: ['panel.access', 'payments.approve']
+    },
+    users: {}
+  },
+
+  // Configurações de moderação de usuários
+  moderation: {
+    suspensionCheckInterval: 60000, // Verificação de suspensões vencidas a cada 1 minuto
+    blockStatusCacheTTL: 60, // Situação de bloqueio em cache por 60 segundos
+    appealCooldown: 86400 // Um recurso de bloqueio a cada 24 horas
+  },
+
+  // Relatórios automáticos no canal de administração
+  reports: {
+    enabled: process.env.REPORTS_ENABLED !== 'false',
+    checkInterval: 300000, // Verificação de relatórios devidos a cada 5 minutos
+    daily: {
+      enabled: true,
+      hour: parseInt(process.env.REPORT_DAILY_HOUR || '9') // Hora local do envio
+    },
+    weekly: {
+      enabled: true,
+      weekday: parseInt(process.env.REPORT_WEEKLY_WEEKDAY || '1'), // 0 = domingo, 1 = segunda...
+      hour: parseInt(process.env.REPORT_WEEKLY_HOUR || '9')
+    },
+    // Seções do resumo: sales, revenue, backlog, expired, newUsers, fraud, tickets, lztSync
+    sections: ['sales', 'revenue', 'backlog', 'expired', 'newUsers', 'fraud', 'tickets', 'lztSync'],
+    attachCsv: true
+  },
+
+  // Exportação e importação do catálogo (/catalogo)
+  catalog: {
+    importMaxBytes: 1024 * 1024, // Tamanho máximo do arquivo importado (1 MB)
+    importMaxRows: 500,
+    importConfirmTTL: 900000 // Prévia da importação expira em 15 minutos
+  },
+
   // Configurações do sistema de notificações
   notifications: {
     enabled: true,
@@ -2,7 +2,7 @@
  * Script para registro automático de comandos Discord
  * Usado tanto para atualização manual como na inicialização do bot
  */
-const { REST, Routes } = require('discord.js');
+const { REST, Routes, ApplicationCommandOptionType } = require('discord.js');
 const { logger } = require('./src/utils/helpers');
 const config = require('./config');
 
@@ -27,6 +27,69 @@ const commands = [
   {
     name: 'ajuda',
     description: 'Exibe informações de ajuda sobre o sistema'
+  },
+  {
+    name: 'catalogo',
+    description: 'Exporta ou importa o catálogo de produtos (apenas administradores)',
+    options: [
+      {
+        name: 'exportar',
+        description: 'Exporta o catálogo em CSV ou JSON',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          {
+            name: 'formato',
+            description: 'Formato do arquivo',
+            type: ApplicationCommandOptionType.String,
+            choices: [
+              { name: 'CSV', value: 'csv' },
+              { name: 'JSON', value: 'json' }
+            ]
+          },
+          {
+            name: 'tipo',
+            description: 'Slug da categoria (ex: valorant)',
+            type: ApplicationCommandOptionType.String
+          },
+          {
+            name: 'situacao',
+            description: 'Situação dos produtos',
+            type: ApplicationCommandOptionType.String,
+            choices: [
+              { name: 'Todos', value: 'todos' },
+              { name: 'Disponíveis', value: 'disponivel' },
+              { name: 'Vendidos', value: 'vendido' },
+              { name: 'Em quarentena', value: 'quarentena' }
+            ]
+          },
+          {
+            name: 'preco_min',
+            description: 'Preço mínimo (R$)',
+            type: ApplicationCommandOptionType.Number,
+            min_value: 0
+          },
+          {
+            name: 'preco_max',
+            description: 'Preço máximo (R$)',
+            type: ApplicationCommandOptionType.Number,
+            min_value: 0
+          }
+        ]
+      },
+      {
+        name: 'importar',
+        description: 'Importa produtos de um arquivo CSV ou JSON (com prévia antes de aplicar)',
+        type: ApplicationCommandOptionType.Subcommand,
+        options: [
+          {
+            name: 'arquivo',
+            description: 'Arquivo .csv ou .json no formato da exportação',
+            type: ApplicationCommandOptionType.Attachment,
+            required: true
+          }
+        ]
+      }
+    ]
   }
 ];
 
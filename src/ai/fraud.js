@@ -3,7 +3,7 @@
  */
 
 const { logger } = require('../utils/helpers');
-const userService = require('../user/profile');
+const userService = require('../services/UserService');
 const cache = require('../utils/cache');
 
 /**
@@ -397,11 +397,7 @@ class FraudDetectionSystem {
    */
   async _addToBlacklist(userId, fraudType, evidence) {
     try {
-      await userService.updateUserStatus(userId, 'BLACKLISTED', {
-        reason: fraudType,
-        evidence,
-        timestamp: new Date()
-      });
+      await userService.blockUser(userId, `Fraude: ${fraudType}`, 'SYSTEM', { evidence });
 
       logger.info(`Usuário ${userId} adicionado à lista negra. Motivo: ${fraudType}`);
     } catch (error) {
@@ -108,6 +108,42 @@ function calculateRetentionDate(severity) {
   return new Date(now.getTime() + (retentionSeconds * 1000));
 }
 
+/**
+ * Monta a cláusula where dos filtros de busca
+ * @private
+ */
+function buildSearchWhere(filters) {
+  const whereClause = {};
+
+  // Aplicar filtros (a ação aceita * como curinga, ex: PAYMENT_*)
+  if (filters.action) {
+    whereClause.action = filters.action.includes('*')
+      ? { [Op.like]: filters.action.replace(/\*/g, '%') }
+      : filters.action;
+  }
+  if (filters.category) whereClause.category = filters.category;
+  if (filters.severity) whereClause.severity = filters.severity;
+  if (filters.status) whereClause.status = filters.status;
+  if (filters.userId) whereClause.userId = filters.userId;
+  if (filters.targetId) whereClause.targetId = filters.targetId;
+
+  // Filtros para IDs de referência (consulta aninhada no JSON de detalhes)
+  if (filters.productId || filters.paymentId) {
+    whereClause.details = {};
+    if (filters.productId) whereClause.details.productId = filters.productId;
+    if (filters.paymentId) whereClause.details.paymentId = filters.paymentId;
+  }
+
+  // Filtros de data
+  if (filters.startDate || filters.endDate) {
+    whereClause.timestamp = {};
+    if (filters.startDate) whereClause.timestamp[Op.gte] = new Date(filters.startDate);
+    if (filters.endDate) whereClause.timestamp[Op.lte] = new Date(filters.endDate);
+  }
+
+  return whereClause;
+}
+
 /**
  * Busca logs com filtros avançados e paginação
  * @param {Object} filters - Filtros
@@ -116,37 +152,7 @@ function calculateRetentionDate(severity) {
  */
 async function searchLogs(filters = {}, options = {}) {
   try {
-    const whereClause = {};
-
-    // Aplicar filtros
-    if (filters.action) whereClause.action = filters.action;
-    if (filters.category) whereClause.category = filters.category;
-    if (filters.severity) whereClause.severity = filters.severity;
-    if (filters.status) whereClause.status = filters.status;
-    if (filters.userId) whereClause.userId = filters.userId;
-    if (filters.targetId) whereClause.targetId = filters.targetId;
-
-    // Filtros para IDs de referência
-    if (filters.productId) {
-      whereClause.details = sequelize.where(
-        sequelize.fn('JSON_EXTRACT', sequelize.col('details'), '$.productId'),
-        filters.productId
-      );
-    }
-
-    if (filters.paymentId) {
-      whereClause.details = sequelize.where(
-        sequelize.fn('JSON_EXTRACT', sequelize.col('details'), '$.paymentId'),
-        filters.paymentId
-      );
-    }
-
-    // Filtros de data
-    if (filters.startDate || filters.endDate) {
-      whereClause.timestamp = {};
-      if (filters.startDate) whereClause.timestamp[Op.gte] = new Date(filters.startDate);
-      if (filters.endDate) whereClause.timestamp[Op.lte] = new Date(filters.endDate);
-    }
+    const whereClause = buildSearchWhere(filters);
 
     // Paginação
     const limit = options.limit || 100;
@@ -179,6 +185,34 @@ async function searchLogs(filters = {}, options = {}) {
   }
 }
 
+/**
+ * Exporta os logs filtrados em JSON Lines (um registro por linha, mais recentes primeiro)
+ * @param {Object} filters - Filtros (os mesmos de searchLogs)
+ * @param {number} maxRows - Limite de registros exportados
+ * @returns {Promise<Object>} - { buffer, count, total, truncated }
+ */
+async function exportLogs(filters = {}, maxRows = config.audit.exportMaxRows) {
+  const whereClause = buildSearchWhere(filters);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.findAll({
+      where: whereClause,
+      order: [['timestamp', 'DESC']],
+      limit: maxRows
+    }),
+    AuditLog.count({ where: whereClause })
+  ]);
+
+  const lines = logs.map(entry => JSON.stringify(entry.toJSON()));
+
+  return {
+    buffer: Buffer.from(lines.length > 0 ? `${lines.join('\n')}\n` : '', 'utf8'),
+    count: logs.length,
+    total,
+    truncated: total > logs.length
+  };
+}
+
 /**
  * Estatísticas de logs de auditoria
  * @param {Object} filters - Filtros para estatísticas
@@ -316,6 +350,7 @@ async function cleanupOldLogs() {
 module.exports = {
   log,
   searchLogs,
+  exportLogs,
   getAuditStats,
   cleanupOldLogs,
   logger // Exportando winston logger
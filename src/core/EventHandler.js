@@ -7,6 +7,7 @@ const { Events } = require('discord.js');
 const { logger } = require('../utils/helpers');
 const panelSystem = require('./PanelSystem');
 const userService = require('../services/UserService');
+const permissionService = require('../services/PermissionService');
 const config = require('../../config');
 
 // Importar sistema de registro de comandos
@@ -164,20 +165,25 @@ class EventHandler {
   async handleSlashCommand(interaction) {
     const commandName = interaction.commandName;
 
-    // Mapear comandos principais para painéis
+    // Usuários bloqueados não executam comandos
+    if (await panelSystem.enforceBlock(interaction)) return;
+
+    // Mapear comandos principais para painéis (capability = capacidade exigida)
     const panelCommands = {
       'menu': { panelId: 'main', options: {} },
       'loja': { panelId: 'store', options: {} },
-      'admin': { panelId: 'admin', options: {} },
+      'admin': { panelId: 'admin', options: {}, capability: 'panel.access' },
+      'catalogo': { panelId: 'admin', options: { action: 'catalog' }, capability: 'products.edit' },
       'perfil': { panelId: 'profile', options: {} },
       'ajuda': { panelId: 'help', options: {} }
     };
 
     if (panelCommands[commandName]) {
       // Verificar permissões para comandos de admin
-      if (commandName === 'admin' && !interaction.memberPermissions?.has('Administrator')) {
+      const { capability } = panelCommands[commandName];
+      if (capability && !(await permissionService.authorize(interaction, capability))) {
         return await interaction.reply({
-          content: 'Você não tem permissão para acessar este painel.',
+          content: 'Você não tem permissão para usar este comando.',
           ephemeral: true
         });
       }
@@ -299,13 +305,15 @@ class EventHandler {
       const command = message.client.commands?.get(commandName);
 
       if (command) {
+        if (await panelSystem.enforceBlock(message)) return;
+
         try {
           await command.execute(message, args);
         } catch (error) {
           logger.error(`Erro ao executar comando ${commandName}:`, error);
           await message.reply('Ocorreu um erro ao executar este comando.');
         }
-      } else if (message.channel.type === 'DM') {
+      } else if (message.channel.isDMBased()) {
         // Em DM, mostrar menu principal
         const mainPanel = panelSystem.panels.get('main');
 
@@ -315,8 +323,8 @@ class EventHandler {
           await message.reply('Use o comando /menu para acessar as opções principais.');
         }
       }
-    } else if (message.channel.type === 'DM') {
-      // Mensagem normal em DM
+    } else if (message.channel.isDMBased()) {
+      // Mensagem normal em DM (respostas aos lembretes de carrinho chegam aqui)
       const mainPanel = panelSystem.panels.get('main');
 
       if (mainPanel && mainPanel.handleDM) {
@@ -3,8 +3,15 @@
  * Centraliza a criação, gerenciamento e interação com painéis visuais
  */
 
-const { EmbedBuilder, ActionRowBuilder } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { logger } = require('../utils/helpers');
+const userService = require('../services/UserService');
+const auditLogger = require('../audit/logger');
+const config = require('../../config');
+
+// Interações do recurso de bloqueio (tratadas pelo SupportPanel), liberadas para usuários bloqueados
+const APPEAL_BUTTON_ID = 'support_appeal';
+const APPEAL_MODAL_ID = 'support_appeal_modal';
 
 class PanelSystem {
   constructor() {
@@ -71,6 +78,11 @@ class PanelSystem {
       return false;
     }
 
+    // Usuários bloqueados não chegam aos painéis
+    if (await this.enforceBlock(interaction)) {
+      return true;
+    }
+
     const customId = interaction.customId;
 
     // Verificar prefixos para interações dinâmicas
@@ -100,6 +112,90 @@ class PanelSystem {
     return false; // Interação não manipulada
   }
 
+  /**
+   * Barra usuários bloqueados antes de qualquer painel ou comando, com aviso e opção de recurso
+   * @param {Interaction|Message} source - Interação ou mensagem de comando recebida
+   * @returns {Promise<boolean>} - true se o usuário está bloqueado e a ação foi barrada
+   */
+  async enforceBlock(source) {
+    const user = source.user || source.author;
+    const customId = source.customId || null;
+
+    if (customId === APPEAL_BUTTON_ID || customId === APPEAL_MODAL_ID) {
+      return false;
+    }
+
+    const status = await userService.getBlockStatus(user.id);
+    if (!status.blocked) {
+      return false;
+    }
+
+    await auditLogger.log({
+      action: 'BLOCKED_USER_ATTEMPT',
+      category: 'SECURITY',
+      severity: 'WARNING',
+      status: 'BLOCKED',
+      user: { id: user.id, username: user.tag },
+      details: {
+        customId,
+        commandName: source.commandName || null,
+        reason: status.reason,
+        until: status.until
+      }
+    });
+
+    logger.warn(`Usuário bloqueado ${user.id} tentou usar ${customId || source.commandName || 'um comando'}`);
+
+    const embed = new EmbedBuilder()
+      .setTitle('⛔ Acesso bloqueado')
+      .setColor(config.discord.embedColors.error)
+      .setDescription(status.until
+        ? `Sua conta está suspensa até <t:${Math.floor(new Date(status.until).getTime() / 1000)}:f>.`
+        : 'Sua conta está bloqueada.')
+      .addFields({ name: 'Motivo', value: status.reason || 'Não informado' })
+      .setFooter({ text: 'Se acredita que foi um engano, envie um recurso para a equipe.' });
+
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(APPEAL_BUTTON_ID)
+          .setLabel('Contestar bloqueio')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('📨')
+      );
+
+    try {
+      if (source.author && !source.channel?.isDMBased()) {
+        // Comandos de texto: a resposta no canal é pública, então o motivo e o recurso vão por DM
+        await this._notifyBlockedByDM(source, user, { embeds: [embed], components: [row] });
+      } else if (!source.replied && !source.deferred) {
+        await source.reply({ embeds: [embed], components: [row], ephemeral: true });
+      }
+    } catch (error) {
+      logger.error(`Erro ao avisar usuário bloqueado ${user.id}:`, error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Envia o aviso de bloqueio por DM e responde no canal sem expor o motivo
+   * @private
+   */
+  async _notifyBlockedByDM(message, user, payload) {
+    let sent = true;
+    try {
+      await user.send(payload);
+    } catch (error) {
+      sent = false;
+      logger.warn(`Não foi possível enviar DM de bloqueio para ${user.id}: ${error.message}`);
+    }
+
+    await message.reply(sent
+      ? '⛔ Você não pode usar comandos no momento. Enviamos os detalhes por mensagem direta.'
+      : '⛔ Você não pode usar comandos no momento. Ative as mensagens diretas do servidor para ver os detalhes.');
+  }
+
   /**
    * Renderiza um painel em um canal
    * @param {string} panelId - ID do painel a ser renderizado
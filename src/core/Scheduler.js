@@ -0,0 +1,155 @@
+/**
+ * Agendador de tarefas periódicas
+ * Centraliza os jobs em segundo plano do bot (expiração, sincronizações, relatórios)
+ */
+
+const { logger } = require('../utils/helpers');
+
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.client = null;
+    this.started = false;
+  }
+
+  /**
+   * Registra um job periódico
+   * @param {string} name - Nome único do job
+   * @param {number} interval - Intervalo entre execuções em milissegundos
+   * @param {Function} handler - Função executada a cada ciclo (recebe o cliente Discord)
+   * @param {Object} options - Opções adicionais
+   * @param {boolean} options.runOnStart - Executar imediatamente ao iniciar
+   * @returns {Scheduler} - Instância para encadeamento
+   */
+  registerJob(name, interval, handler, options = {}) {
+    if (this.jobs.has(name)) {
+      logger.warn(`Job ${name} já registrado, substituindo`);
+      this.unregisterJob(name);
+    }
+
+    const job = {
+      name,
+      interval,
+      handler,
+      runOnStart: !!options.runOnStart,
+      timer: null,
+      running: false,
+      lastRun: null,
+      lastError: null
+    };
+
+    this.jobs.set(name, job);
+
+    // Jobs registrados depois do start começam imediatamente
+    if (this.started) {
+      this._schedule(job);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove um job registrado
+   * @param {string} name - Nome do job
+   */
+  unregisterJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) return;
+
+    if (job.timer) clearInterval(job.timer);
+    this.jobs.delete(name);
+  }
+
+  /**
+   * Inicia todos os jobs registrados
+   * @param {Client} client - Cliente Discord repassado aos jobs
+   */
+  start(client) {
+    this.client = client;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      this._schedule(job);
+    }
+
+    logger.info(`Agendador iniciado com ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Interrompe todos os jobs
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    }
+
+    this.started = false;
+  }
+
+  /**
+   * Executa um job imediatamente
+   * @param {string} name - Nome do job
+   * @returns {Promise<*>} - Retorno do job ou null se já estiver em execução
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job ${name} não encontrado`);
+    }
+
+    // Evitar execuções sobrepostas do mesmo job
+    if (job.running) {
+      logger.debug(`Job ${name} ainda em execução, ciclo ignorado`);
+      return null;
+    }
+
+    job.running = true;
+    try {
+      const result = await job.handler(this.client);
+      job.lastRun = new Date();
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`Erro ao executar job ${name}:`, error);
+      return null;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Lista o estado dos jobs
+   * @returns {Array<Object>} - Estado de cada job
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      interval: job.interval,
+      running: job.running,
+      lastRun: job.lastRun,
+      lastError: job.lastError
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _schedule(job) {
+    if (job.timer) clearInterval(job.timer);
+
+    job.timer = setInterval(() => this.runJob(job.name), job.interval);
+
+    // Não impedir o encerramento do processo
+    if (job.timer.unref) job.timer.unref();
+
+    if (job.runOnStart) {
+      this.runJob(job.name);
+    }
+  }
+}
+
+module.exports = new Scheduler();
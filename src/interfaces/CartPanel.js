@@ -14,6 +14,8 @@ const {
   const config = require('../../config');
   const userService = require('../services/UserService');
   const productService = require('../services/ProductService');
+  const orderService = require('../services/OrderService');
+  const cartService = require('../services/CartService');
 
   class CartPanel {
     constructor() {
@@ -25,10 +27,6 @@ const {
         remove: 'cart_remove_',
         continue: 'cart_continue'
       };
-
-      // Armazenamento em memória dos carrinhos (temporário)
-      // Em produção, deve ser movido para uma solução persistente
-      this.carts = new Map();
     }
 
     /**
@@ -45,7 +43,7 @@ const {
         }
 
         // Obter itens do carrinho
-        const cart = this.getCart(userId);
+        const cart = await this.getCart(userId);
 
         // Registrar visualização do carrinho
         await userService.recordActivity(userId, 'CART_VIEW', {
@@ -66,7 +64,7 @@ const {
           // Calcular total
           const total = cart.items.reduce((sum, item) => sum + item.price, 0);
 
-          embed.setDescription(`Você tem ${cart.items.length} item(s) no carrinho.`);
+          embed.setDescription(`Você tem ${cart.items.length} item(s) no carrinho.\nO carrinho expira após ${config.cart.timeoutMinutes} minutos sem alterações.`);
 
           // Adicionar itens
           cart.items.forEach((item, index) => {
@@ -219,7 +217,7 @@ const {
         await interaction.deferUpdate();
 
         // Limpar carrinho do usuário
-        this.clearCart(interaction.user.id);
+        await this.clearCart(interaction.user.id);
 
         // Registrar atividade
         await userService.recordActivity(interaction.user.id, 'CART_CLEARED', {
@@ -239,11 +237,12 @@ const {
         await interaction.deferUpdate();
 
         const index = parseInt(interaction.values[0]);
-        const cart = this.getCart(interaction.user.id);
+        const cart = await this.getCart(interaction.user.id);
 
         if (index >= 0 && index < cart.items.length) {
           const removedItem = cart.items[index];
           cart.items.splice(index, 1);
+          await cartService.saveCart(cart);
 
           // Registrar atividade
           await userService.recordActivity(interaction.user.id, 'CART_REMOVE_ITEM', {
@@ -265,7 +264,7 @@ const {
       if (customId === this.buttons.checkout) {
         await interaction.deferUpdate();
 
-        const cart = this.getCart(interaction.user.id);
+        const cart = await this.getCart(interaction.user.id);
 
         if (cart.items.length === 0) {
           // Carrinho vazio, mostrar mensagem
@@ -277,12 +276,48 @@ const {
           return;
         }
 
+        // Criar um pedido com todos os itens e uma única cobrança PIX
+        const result = await orderService.createOrder({
+          userId: interaction.user.id,
+          userName: interaction.user.tag,
+          productIds: cart.items.map(item => item.id)
+        });
+
+        if (!result.success) {
+          // Remover do carrinho os itens que já foram vendidos
+          if (result.unavailable?.length > 0) {
+            cart.items = cart.items.filter(item => !result.unavailable.includes(item.id));
+            await cartService.saveCart(cart);
+          }
+
+          await interaction.followUp({
+            content: `❌ ${result.message}. Revise seu carrinho e tente novamente.`,
+            ephemeral: true
+          });
+
+          return await this.render(interaction.channel, {
+            userId: interaction.user.id,
+            username: interaction.user.tag,
+            message: interaction.message
+          }, panelSystem);
+        }
+
+        // Registrar atividade e esvaziar o carrinho
+        await userService.recordActivity(interaction.user.id, 'CART_CHECKOUT', {
+          orderId: result.order.id,
+          paymentId: result.payment.id,
+          itemCount: cart.items.length,
+          total: result.order.total
+        });
+
+        await this.clearCart(interaction.user.id);
+
         // Redirecionar para painel de pagamento
         return await panelSystem.renderPanel('payment', interaction.channel, {
           userId: interaction.user.id,
           username: interaction.user.tag,
           message: interaction.message,
-          cart: cart
+          paymentId: result.payment.id
         });
       }
     }
@@ -314,8 +349,16 @@ const {
           };
         }
 
+        if (productService.isReserved(product)) {
+          return {
+            success: false,
+            message: 'Produto reservado por outro comprador',
+            itemCount: 0
+          };
+        }
+
         // Obter carrinho do usuário
-        const cart = this.getCart(userId);
+        const cart = await this.getCart(userId);
 
         // Verificar limite de itens
         const maxItems = config.cart?.maxItems || 10;
@@ -345,8 +388,8 @@ const {
           type: product.tipo
         });
 
-        // Atualizar timestamp
-        cart.updatedAt = new Date();
+        // Persistir carrinho (renova o prazo de expiração)
+        await cartService.saveCart(cart);
 
         // Registrar atividade
         await userService.recordActivity(userId, 'CART_ADD_ITEM', {
@@ -373,34 +416,18 @@ const {
     /**
      * Obtém o carrinho de um usuário
      * @param {string} userId - ID do usuário
-     * @returns {Object} - Carrinho do usuário
+     * @returns {Promise<Object>} - Carrinho do usuário
      */
-    getCart(userId) {
-      // Verificar se o usuário já tem um carrinho
-      if (!this.carts.has(userId)) {
-        // Criar novo carrinho
-        this.carts.set(userId, {
-          userId,
-          items: [],
-          createdAt: new Date(),
-          updatedAt: new Date()
-        });
-      }
-
-      return this.carts.get(userId);
+    async getCart(userId) {
+      return await cartService.getCart(userId);
     }
 
     /**
      * Limpa o carrinho de um usuário
      * @param {string} userId - ID do usuário
      */
-    clearCart(userId) {
-      this.carts.set(userId, {
-        userId,
-        items: [],
-        createdAt: new Date(),
-        updatedAt: new Date()
-      });
+    async clearCart(userId) {
+      await cartService.clearCart(userId);
     }
 
     /**
@@ -7,13 +7,15 @@ const {
     EmbedBuilder,
     ActionRowBuilder,
     ButtonBuilder,
-    ButtonStyle
+    ButtonStyle,
+    AttachmentBuilder
   } = require('discord.js');
   const { logger } = require('../utils/helpers');
   const config = require('../../config');
   const userService = require('../services/UserService');
   const paymentService = require('../services/PaymentService');
   const productService = require('../services/ProductService');
+  const orderService = require('../services/OrderService');
 
   class PaymentPanel {
     constructor() {
@@ -36,7 +38,6 @@ const {
       try {
         const userId = options.userId;
         const paymentId = options.paymentId;
-        const cart = options.cart;
 
         // Verificar opções necessárias
         if (!userId) {
@@ -47,18 +48,14 @@ const {
         let payment;
         if (paymentId) {
           // Buscar pagamento existente
-          // Implementação completa dependeria de um método como getPaymentById
-          payment = { id: paymentId };
+          payment = await paymentService.getPaymentById(paymentId);
+
+          if (!payment) {
+            throw new Error(`Pagamento ${paymentId} não encontrado`);
+          }
         } else if (options.productId) {
           // Compra direta de um produto
           payment = await this.createDirectPayment(userId, options.username, options.productId);
-        } else if (cart && cart.items.length > 0) {
-          // Checkout do carrinho (implementação básica)
-          payment = {
-            id: 'cart-payment',
-            items: cart.items,
-            total: cart.items.reduce((sum, item) => sum + item.price, 0)
-          };
         } else {
           throw new Error('Dados insuficientes para pagamento');
         }
@@ -69,6 +66,17 @@ const {
           timestamp: new Date()
         });
 
+        // Pedidos com vários itens listam cada produto
+        let productText = payment.productName || 'Múltiplos produtos';
+        if (payment.orderId) {
+          const order = await orderService.getOrderById(payment.orderId);
+          if (order) {
+            productText = order.items
+              .map(item => `• ${item.productName} - R$ ${item.price.toFixed(2)}`)
+              .join('\n');
+          }
+        }
+
         // Criar embed do pagamento
         const embed = new EmbedBuilder()
           .setTitle('💰 Pagamento')
@@ -76,12 +84,12 @@ const {
           .setDescription('Para concluir sua compra, siga as instruções abaixo:')
           .addFields(
             {
-              name: '📦 Produto',
-              value: payment.productName || 'Múltiplos produtos'
+              name: payment.orderId ? '📦 Produtos' : '📦 Produto',
+              value: productText.substring(0, 1024)
             },
             {
               name: '💲 Valor',
-              value: `R$ ${payment.amount?.toFixed(2) || payment.total?.toFixed(2) || '0,00'}`
+              value: `R$ ${payment.amount?.toFixed(2) || '0,00'}`
             },
             {
               name: '🔍 Status',
@@ -89,13 +97,16 @@ const {
             },
             {
               name: '⏳ Tempo Limite',
-              value: 'O pagamento deve ser realizado em até 30 minutos.'
+              value: payment.expiresAt
+                ? `O pagamento expira <t:${Math.floor(new Date(payment.expiresAt).getTime() / 1000)}:R>.`
+                : `O pagamento deve ser realizado em até ${Math.round(config.payment.expiration / 60)} minutos.`
             }
           )
           .setFooter({ text: 'Mercadão das Contas - Sistema de Pagamento' })
           .setTimestamp();
 
-        // Se tiver código PIX, adicionar
+        // Se tiver código PIX, adicionar o "Copia e Cola" e o QR Code renderizado localmente
+        const files = [];
         if (payment.pixCode) {
           embed.addFields(
             {
@@ -103,23 +114,25 @@ const {
               value: '```' + payment.pixCode + '```'
             }
           );
-        }
 
-        // Se tiver QR Code, adicionar
-        if (payment.qrCodeUrl) {
-          embed.setImage(payment.qrCodeUrl);
+          const qrCode = await paymentService.generateQRCode(payment.pixCode);
+
+          if (qrCode) {
+            files.push(new AttachmentBuilder(qrCode, { name: 'pix-qrcode.png' }));
+            embed.setImage('attachment://pix-qrcode.png');
+          }
         }
 
         // Botões interativos
         const row = new ActionRowBuilder()
           .addComponents(
             new ButtonBuilder()
-              .setCustomId(this.buttons.check)
+              .setCustomId(`${this.buttons.check}_${payment.id}`)
               .setLabel('Verifiquei o Pagamento')
               .setStyle(ButtonStyle.Success)
               .setEmoji('✅'),
             new ButtonBuilder()
-              .setCustomId(this.buttons.cancel)
+              .setCustomId(`${this.buttons.cancel}_${payment.id}`)
               .setLabel('Cancelar')
               .setStyle(ButtonStyle.Danger)
               .setEmoji('❌'),
@@ -129,18 +142,29 @@ const {
               .setStyle(ButtonStyle.Secondary)
           );
 
-        // Enviar ou editar mensagem
+        // Enviar ou editar mensagem (substituindo anexos anteriores)
+        let panelMessage;
         if (options.message) {
-          return await options.message.edit({
+          panelMessage = await options.message.edit({
             embeds: [embed],
-            components: [row]
+            components: [row],
+            files,
+            attachments: []
           });
         } else {
-          return await channel.send({
+          panelMessage = await channel.send({
             embeds: [embed],
-            components: [row]
+            components: [row],
+            files
           });
         }
+
+        // Guardar a mensagem para que o job de expiração possa atualizá-la
+        if (payment.status === 'PENDING' || payment.status === 'PROCESSING') {
+          await paymentService.attachPanelMessage(payment.id, panelMessage);
+        }
+
+        return panelMessage;
       } catch (error) {
         logger.error('Erro ao renderizar painel de pagamento:', error);
 
@@ -181,6 +205,49 @@ const {
       }
     }
 
+    /**
+     * Atualiza a mensagem do painel de um pagamento expirado
+     * @param {Message} message - Mensagem do painel
+     * @param {Object} payment - Pagamento expirado
+     */
+    async renderExpired(message, payment) {
+      const embed = new EmbedBuilder()
+        .setTitle('⌛ Pagamento Expirado')
+        .setColor(config.discord.embedColors.error)
+        .setDescription('O prazo para pagamento terminou e o código PIX não é mais válido.\n\n**Não realize o pagamento deste código.** Se quiser continuar, inicie uma nova compra.')
+        .addFields(
+          {
+            name: '📦 Produto',
+            value: payment.productName || 'Múltiplos produtos'
+          },
+          {
+            name: '💲 Valor',
+            value: `R$ ${Number(payment.amount || 0).toFixed(2)}`
+          },
+          {
+            name: '⏳ Expirou em',
+            value: `<t:${Math.floor(new Date(payment.expiresAt).getTime() / 1000)}:f>`
+          }
+        )
+        .setFooter({ text: 'Mercadão das Contas - Sistema de Pagamento' })
+        .setTimestamp();
+
+      const row = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(this.buttons.back)
+            .setLabel('Voltar')
+            .setStyle(ButtonStyle.Secondary)
+        );
+
+      return await message.edit({
+        embeds: [embed],
+        components: [row],
+        files: [],
+        attachments: []
+      });
+    }
+
     /**
      * Manipula interações com o painel
      * @param {Interaction} interaction - Interação do Discord
@@ -195,7 +262,7 @@ const {
 
         // Verificar se veio do carrinho
         const cartPanel = panelSystem.panels.get('cart');
-        const hasItems = cartPanel && cartPanel.getCart(interaction.user.id).items.length > 0;
+        const hasItems = cartPanel && (await cartPanel.getCart(interaction.user.id)).items.length > 0;
 
         if (hasItems) {
           return await panelSystem.renderPanel('cart', interaction.channel, {
@@ -213,7 +280,7 @@ const {
       }
 
       // Verificação de pagamento
-      if (customId === this.buttons.check) {
+      if (customId.startsWith(this.buttons.check)) {
         await interaction.deferReply({ ephemeral: true });
 
         // Esta é uma implementação básica, em produção deve verificar status real
@@ -229,14 +296,17 @@ const {
         return;
       }
 
-      // Cancelar pagamento
-      if (customId === this.buttons.cancel) {
+      // Cancelar pagamento (libera a reserva dos produtos)
+      if (customId.startsWith(this.buttons.cancel)) {
         await interaction.deferUpdate();
 
-        // Registrar cancelamento
-        await userService.recordActivity(interaction.user.id, 'PAYMENT_CANCELLED', {
-          timestamp: new Date()
-        });
+        const paymentId = customId.substring(this.buttons.cancel.length + 1);
+        if (paymentId) {
+          const result = await paymentService.cancelPayment(paymentId, interaction.user.id);
+          if (!result.success) {
+            logger.warn(`Cancelamento do pagamento ${paymentId} não realizado: ${result.message}`);
+          }
+        }
 
         // Voltar para o menu principal
         return await panelSystem.renderPanel('main', interaction.channel, {
@@ -267,25 +337,18 @@ const {
           throw new Error('Produto não está disponível');
         }
 
-        // Criar pagamento
-        const paymentData = {
+        if (productService.isReserved(product)) {
+          throw new Error('Produto reservado por outro comprador');
+        }
+
+        // Criar pagamento PIX
+        const payment = await paymentService.createPayment({
           userId,
           userName: username,
           productId: product.id,
           productName: product.nome,
           amount: product.preco
-        };
-
-        // Esta é uma implementação simulada, em produção usaria paymentService.createPayment
-        const payment = {
-          id: 'direct-payment-' + Date.now(),
-          ...paymentData,
-          status: 'PENDING',
-          createdAt: new Date(),
-          // Códigos simulados
-          pixCode: 'SIMULACAO-PIX-CODIGO-00000000001',
-          qrCodeUrl: 'https://i.imgur.com/placeholder-qr.png'
-        };
+        });
 
         return payment;
       } catch (error) {
@@ -306,7 +369,7 @@ const {
         const user = await userService.getUserProfile(userId);
         const username = user?.username || userId;
 
-        // Criar pagamento simulado
+        // Criar pagamento
         const payment = await this.createDirectPayment(userId, username, productId);
 
         return {
@@ -21,6 +21,7 @@ const {
         points: 'profile_points',
         purchases: 'profile_purchases',
         refresh: 'profile_refresh',
+        cartReminders: 'profile_cart_reminders',
       };
     }
 
@@ -82,6 +83,9 @@ const {
           .setFooter({ text: 'Mercadão das Contas - Seu perfil' })
           .setTimestamp();
 
+        // Lembretes de carrinho abandonado são opt-in
+        const remindersEnabled = !!userProfile?.preferences?.cartReminders;
+
         // Botões interativos
         const row = new ActionRowBuilder()
           .addComponents(
@@ -95,6 +99,11 @@ const {
               .setLabel('Pontos de Fidelidade')
               .setStyle(ButtonStyle.Success)
               .setEmoji('🎁'),
+            new ButtonBuilder()
+              .setCustomId(this.buttons.cartReminders)
+              .setLabel(remindersEnabled ? 'Lembretes: Ativados' : 'Lembretes: Desativados')
+              .setStyle(remindersEnabled ? ButtonStyle.Success : ButtonStyle.Secondary)
+              .setEmoji(remindersEnabled ? '🔔' : '🔕'),
             new ButtonBuilder()
               .setCustomId(this.buttons.refresh)
               .setLabel('Atualizar')
@@ -186,6 +195,21 @@ const {
         }, panelSystem);
       }
 
+      // Ativar/desativar lembretes de carrinho abandonado
+      if (customId === this.buttons.cartReminders) {
+        await interaction.deferUpdate();
+
+        const profile = await userService.getUserProfile(interaction.user.id);
+        const enabled = !profile?.preferences?.cartReminders;
+        await userService.updatePreferences(interaction.user.id, { cartReminders: enabled });
+
+        return await this.render(interaction.channel, {
+          userId: interaction.user.id,
+          username: interaction.user.tag,
+          message: interaction.message
+        }, panelSystem);
+      }
+
       // Ver compras (funcionalidade básica)
       if (customId === this.buttons.purchases) {
         await interaction.deferReply({ ephemeral: true });
@@ -14,6 +14,8 @@ const {
   } = require('discord.js');
   const { logger } = require('../utils/helpers');
   const config = require('../../config');
+  const cache = require('../utils/cache');
+  const auditLogger = require('../audit/logger');
   const userService = require('../services/UserService');
 
   class SupportPanel {
@@ -23,7 +25,9 @@ const {
         back: 'support_back',
         create: 'support_create_ticket',
         faq: 'support_faq',
-        contact: 'support_contact'
+        contact: 'support_contact',
+        appeal: 'support_appeal',
+        appealModal: 'support_appeal_modal'
       };
     }
 
@@ -250,6 +254,89 @@ const {
         return await interaction.showModal(modal);
       }
 
+      // Recurso contra bloqueio (único botão liberado para usuários bloqueados)
+      if (customId === this.buttons.appeal) {
+        const modal = new ModalBuilder()
+          .setCustomId(this.buttons.appealModal)
+          .setTitle('Contestar Bloqueio');
+
+        const appealInput = new TextInputBuilder()
+          .setCustomId('appeal_message')
+          .setLabel('Por que o bloqueio deve ser revisto?')
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder('Explique o que aconteceu e inclua qualquer informação que ajude na análise...')
+          .setRequired(true)
+          .setMaxLength(1000);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(appealInput));
+
+        return await interaction.showModal(modal);
+      }
+
+      // Processar envio do recurso
+      if (interaction.isModalSubmit() && customId === this.buttons.appealModal) {
+        await interaction.deferReply({ ephemeral: true });
+
+        // Um recurso por período para evitar spam no canal da equipe
+        const cooldownKey = `appeal:${interaction.user.id}`;
+        if (await cache.get(cooldownKey)) {
+          await interaction.editReply({
+            content: '⏳ Você já enviou um recurso recentemente. Aguarde a análise da equipe.'
+          });
+          return;
+        }
+
+        const message = interaction.fields.getTextInputValue('appeal_message');
+        const status = await userService.getBlockStatus(interaction.user.id);
+
+        await userService.recordActivity(interaction.user.id, 'TICKET_CREATED', {
+          type: 'BLOCK_APPEAL',
+          subject: 'Recurso de bloqueio',
+          timestamp: new Date()
+        });
+
+        await auditLogger.log({
+          action: 'BLOCK_APPEAL_CREATED',
+          category: 'SUPPORT',
+          severity: 'INFO',
+          status: 'SUCCESS',
+          user: { id: interaction.user.id, username: interaction.user.tag },
+          details: { message, blockReason: status.reason, blockedUntil: status.until }
+        });
+
+        await cache.set(cooldownKey, true, config.moderation.appealCooldown);
+
+        // Avisar a equipe no canal de administração
+        const adminChannel = interaction.guild?.channels.cache.find(
+          channel => channel.name === config.discord.channels.admin
+        );
+
+        if (adminChannel) {
+          const appealEmbed = new EmbedBuilder()
+            .setTitle('📨 Recurso de bloqueio')
+            .setColor(config.discord.embedColors.warning)
+            .addFields(
+              { name: 'Usuário', value: `<@${interaction.user.id}> (${interaction.user.id})` },
+              { name: 'Motivo do bloqueio', value: status.reason || 'Não informado' },
+              { name: 'Mensagem', value: message }
+            )
+            .setTimestamp();
+
+          try {
+            await adminChannel.send({ embeds: [appealEmbed] });
+          } catch (error) {
+            logger.error(`Erro ao enviar recurso de ${interaction.user.id} para a equipe:`, error);
+          }
+        }
+
+        await interaction.editReply({
+          content: '✅ **Recurso Enviado!**\n\n' +
+                  'Nossa equipe vai analisar seu bloqueio e entrará em contato em breve.'
+        });
+
+        return;
+      }
+
       // Processar envio do modal de ticket
       if (interaction.isModalSubmit() && interaction.customId === 'support_ticket_modal') {
         await interaction.deferReply({ ephemeral: true });
@@ -11,14 +11,75 @@ const {
   StringSelectMenuBuilder,
   ModalBuilder,
   TextInputBuilder,
-  TextInputStyle
+  TextInputStyle,
+  AttachmentBuilder
 } = require('discord.js');
+const { Op } = require('sequelize');
 const { logger } = require('../utils/helpers');
 const config = require('../../config');
 const productService = require('../services/ProductService');
 const paymentService = require('../services/PaymentService');
 const userService = require('../services/UserService');
-const { formatDate, formatCurrency } = require('../utils/helpers');
+const orderService = require('../services/OrderService');
+const vaultService = require('../services/VaultService');
+const permissionService = require('../services/PermissionService');
+const analyticsService = require('../services/AnalyticsService');
+const catalogService = require('../services/CatalogService');
+const categoryService = require('../services/CategoryService');
+const auditLogger = require('../audit/logger');
+const fraudDetection = require('../ai/fraud');
+const loyalty = require('../marketing/loyalty');
+const { formatDate, formatCurrency, formatDuration, parseDuration } = require('../utils/helpers');
+const { Product, AuditLog } = require('../models');
+
+// Pagamentos por página na triagem
+const TRIAGE_PAGE_SIZE = 10;
+
+// Tempo sem interação após o qual o estado de uma mensagem do painel é descartado
+const PANEL_STATE_TTL = 6 * 60 * 60 * 1000; // 6 horas
+
+// Indicador do nível de risco do antifraude
+const RISK_BADGES = {
+  low: '🟢',
+  medium: '🟡',
+  high: '🔴'
+};
+
+// Filtros da triagem (valor no formato campo:parâmetro)
+const TRIAGE_FILTER_OPTIONS = [
+  { label: 'Idade: qualquer', value: 'age:all' },
+  { label: 'Idade: mais de 15 minutos', value: 'age:15' },
+  { label: 'Idade: mais de 1 hora', value: 'age:60' },
+  { label: 'Idade: mais de 24 horas', value: 'age:1440' },
+  { label: 'Valor: qualquer', value: 'amount:all' },
+  { label: 'Valor: até R$ 50', value: 'amount:0-50' },
+  { label: 'Valor: R$ 50 a R$ 200', value: 'amount:50-200' },
+  { label: 'Valor: acima de R$ 200', value: 'amount:200-' },
+  { label: 'Risco: qualquer', value: 'risk:all' },
+  { label: 'Risco: baixo', value: 'risk:low', emoji: RISK_BADGES.low },
+  { label: 'Risco: médio', value: 'risk:medium', emoji: RISK_BADGES.medium },
+  { label: 'Risco: alto', value: 'risk:high', emoji: RISK_BADGES.high },
+  { label: 'Limpar todos os filtros', value: 'clear', emoji: '🧹' }
+];
+
+// Registros por página no navegador de auditoria
+const AUDIT_PAGE_SIZE = 10;
+
+// Indicador da severidade dos registros de auditoria
+const AUDIT_SEVERITY_ICONS = {
+  INFO: 'ℹ️',
+  WARNING: '⚠️',
+  ERROR: '❌',
+  CRITICAL: '🚨'
+};
+
+// Indicador de cada ação na prévia da importação do catálogo
+const IMPORT_ACTION_ICONS = {
+  create: '➕',
+  update: '✏️',
+  skip: '⏭️',
+  error: '❌'
+};
 
 class AdminPanel {
   constructor() {
@@ -36,9 +97,108 @@ class AdminPanel {
       addProduct: 'admin_add_product',
       editProduct: 'admin_edit_product_',
       removeProduct: 'admin_remove_product_',
+      productCredentials: 'admin_product_credentials_',
+      credentialsModal: 'admin_credentials_modal_',
+      refund: 'admin_refund_',
+      refundModal: 'admin_refund_modal_',
+      releaseQuarantine: 'admin_release_quarantine_',
+      productModal: 'admin_product_modal_',
+      productDetails: 'admin_product_details_',
+      detailsModal: 'admin_details_modal_',
+      confirmRemove: 'admin_confirm_remove_',
+      cancelRemove: 'admin_cancel_remove_',
       blockUser: 'admin_block_user_',
-      unblockUser: 'admin_unblock_user_'
+      unblockUser: 'admin_unblock_user_',
+      blockModal: 'admin_block_modal_',
+      unblockModal: 'admin_unblock_modal_',
+      searchUser: 'admin_search_user',
+      searchModal: 'admin_search_modal',
+      selectUser: 'admin_select_user',
+      blockManagement: 'admin_block_management',
+      triageSelect: 'admin_triage_select',
+      triageFilter: 'admin_triage_filter',
+      triageApprove: 'admin_triage_approve',
+      triageReject: 'admin_triage_reject',
+      triageRejectModal: 'admin_triage_reject_modal',
+      triageUser: 'admin_triage_user',
+      triageUserModal: 'admin_triage_user_modal',
+      triagePrev: 'admin_triage_prev',
+      triageNext: 'admin_triage_next',
+      statsRange: 'admin_stats_range',
+      statsGranularity: 'admin_stats_granularity',
+      catalogConfirm: 'admin_catalog_confirm_',
+      catalogCancel: 'admin_catalog_cancel_',
+      audit: 'admin_audit',
+      auditSelect: 'admin_audit_select',
+      auditSeverity: 'admin_audit_severity',
+      auditCategory: 'admin_audit_category',
+      auditFilter: 'admin_audit_filter',
+      auditFilterModal: 'admin_audit_filter_modal',
+      auditClear: 'admin_audit_clear',
+      auditExport: 'admin_audit_export',
+      auditPrev: 'admin_audit_prev',
+      auditNext: 'admin_audit_next',
+      auditList: 'admin_audit_list',
+      auditActor: 'admin_audit_actor_',
+      auditTarget: 'admin_audit_target_',
+      categories: 'admin_categories',
+      categorySelect: 'admin_category_select',
+      categoryNew: 'admin_category_new',
+      categoryModal: 'admin_category_modal_'
     };
+
+    // Filtros, página e seleção da triagem por mensagem do painel
+    this.triageState = new Map();
+
+    // Período e agrupamento das estatísticas por mensagem do painel
+    this.statsState = new Map();
+
+    // Filtros e página do navegador de auditoria por mensagem do painel
+    this.auditState = new Map();
+
+    // Prévias de importação do catálogo aguardando confirmação, por ID da interação do comando
+    this.catalogImports = new Map();
+
+    // Capacidade exigida por prefixo de interação (as demais exigem panel.access)
+    this.capabilities = [
+      [this.buttons.approve, 'payments.approve'],
+      [this.buttons.reject, 'payments.approve'],
+      [this.buttons.triageApprove, 'payments.approve'],
+      [this.buttons.triageReject, 'payments.approve'],
+      ['reject_payment_modal_', 'payments.approve'],
+      [this.buttons.refund, 'payments.refund'],
+      [this.buttons.sync, 'products.edit'],
+      [this.buttons.addProduct, 'products.edit'],
+      [this.buttons.editProduct, 'products.edit'],
+      [this.buttons.removeProduct, 'products.edit'],
+      [this.buttons.confirmRemove, 'products.edit'],
+      [this.buttons.productModal, 'products.edit'],
+      [this.buttons.productDetails, 'products.edit'],
+      [this.buttons.detailsModal, 'products.edit'],
+      [this.buttons.productCredentials, 'products.edit'],
+      [this.buttons.credentialsModal, 'products.edit'],
+      [this.buttons.releaseQuarantine, 'products.edit'],
+      [this.buttons.catalogConfirm, 'products.edit'],
+      [this.buttons.catalogCancel, 'products.edit'],
+      [this.buttons.categorySelect, 'products.edit'],
+      [this.buttons.categoryNew, 'products.edit'],
+      [this.buttons.categoryModal, 'products.edit'],
+      [this.buttons.audit, 'audit.read'],
+      [this.buttons.blockUser, 'users.block'],
+      [this.buttons.unblockUser, 'users.block'],
+      [this.buttons.blockModal, 'users.block'],
+      [this.buttons.unblockModal, 'users.block']
+    ];
+  }
+
+  /**
+   * Capacidade necessária para uma interação do painel
+   * @param {string} customId - ID da interação
+   * @returns {string} - Capacidade exigida
+   */
+  getRequiredCapability(customId) {
+    const match = this.capabilities.find(([prefix]) => customId.startsWith(prefix));
+    return match ? match[1] : 'panel.access';
   }
 
   /**
@@ -49,8 +209,8 @@ class AdminPanel {
    */
   async render(channel, options = {}, panelSystem) {
     try {
-      // Verificar permissões se houver membro
-      if (options.member && !options.member.permissions.has('Administrator')) {
+      // Verificar permissões quando o painel é aberto por um usuário
+      if (options.userId && !(await permissionService.can(options.userId, options.member, 'panel.access'))) {
         const errorEmbed = new EmbedBuilder()
           .setTitle('❌ Acesso Negado')
           .setColor(config.discord.embedColors.error)
@@ -124,6 +284,12 @@ class AdminPanel {
             .setStyle(ButtonStyle.Success)
             .setEmoji('🔄'),
 
+          new ButtonBuilder()
+            .setCustomId(this.buttons.audit)
+            .setLabel('Auditoria')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('🛡️'),
+
           new ButtonBuilder()
             .setCustomId(this.buttons.refresh)
             .setLabel('Atualizar')
@@ -168,112 +334,150 @@ class AdminPanel {
   }
 
   /**
-   * Renderiza painel de gerenciamento de pagamentos
+   * Renderiza a triagem de pagamentos: fila paginada com filtros, risco e ações em lote
    * @param {TextChannel} channel - Canal onde o painel será enviado
    * @param {Object} options - Opções adicionais
+   * @param {number} options.page - Página da fila
+   * @param {Object} options.filters - Filtros da triagem (ver PaymentService.getTriageQueue)
    */
   async renderPaymentsPanel(channel, options = {}) {
     try {
-      // Buscar pagamentos pendentes
-      const pendingPayments = await paymentService.getPendingApprovals();
+      // Filtros e página continuam valendo entre as atualizações da mesma mensagem
+      const previous = options.message ? this.triageState.get(options.message.id) : null;
+      const filters = options.filters || previous?.filters || {};
+      const queue = await paymentService.getTriageQueue(filters);
+
+      const totalPages = Math.max(Math.ceil(queue.length / TRIAGE_PAGE_SIZE), 1);
+      const page = Math.min(Math.max(options.page || previous?.page || 1, 1), totalPages);
+      const displayedPayments = queue.slice((page - 1) * TRIAGE_PAGE_SIZE, page * TRIAGE_PAGE_SIZE);
 
       // Criar embed
       const embed = new EmbedBuilder()
-        .setTitle('💰 Gerenciamento de Pagamentos')
+        .setTitle('💰 Triagem de Pagamentos')
         .setColor(config.discord.embedColors.primary)
-        .setDescription(`${pendingPayments.length} pagamentos aguardando aprovação.`)
+        .setDescription(`${queue.length} pagamento(s) aguardando aprovação${this._describeTriageFilters(filters)}.`)
+        .setFooter({ text: `Página ${page}/${totalPages} • Mais antigos primeiro` })
         .setTimestamp();
 
-      if (pendingPayments.length === 0) {
+      if (queue.length === 0) {
         embed.addFields({
           name: 'Nenhum pagamento pendente',
-          value: 'Não há pagamentos aguardando aprovação no momento.'
+          value: Object.keys(filters).length > 0
+            ? 'Nenhum pagamento corresponde aos filtros atuais.'
+            : 'Não há pagamentos aguardando aprovação no momento.'
         });
-
-        const row = new ActionRowBuilder()
-          .addComponents(
-            new ButtonBuilder()
-              .setCustomId(this.buttons.back)
-              .setLabel('Voltar')
-              .setStyle(ButtonStyle.Secondary)
-          );
-
-        if (options.message) {
-          return await options.message.edit({
-            embeds: [embed],
-            components: [row]
-          });
-        } else {
-          return await channel.send({
-            embeds: [embed],
-            components: [row]
-          });
-        }
       }
 
-      // Adicionar informações dos pagamentos (primeiros 5)
-      const displayedPayments = pendingPayments.slice(0, 5);
-
       displayedPayments.forEach((payment, index) => {
         const timeUntilExpire = new Date(payment.expiresAt) - new Date();
-        const expiresText = timeUntilExpire > 0
-          ? `Expira em ${Math.ceil(timeUntilExpire / 60000)}min`
-          : 'EXPIRADO';
+        const expiresText = payment.status === 'PROCESSING'
+          ? 'Confirmado, aguardando análise'
+          : timeUntilExpire > 0 ? `Expira em ${Math.ceil(timeUntilExpire / 60000)}min` : 'EXPIRADO';
 
         embed.addFields({
-          name: `#${index + 1} - ${payment.productName}`,
-          value: `👤 **Usuário**: ${payment.userName}\n💲 **Valor**: R$ ${payment.amount.toFixed(2)}\n⏰ **Status**: ${expiresText}\n🆔 **ID**: ${payment.id.toString().substring(0, 8)}`
+          name: `${RISK_BADGES[payment.risk] || '⚪'} #${(page - 1) * TRIAGE_PAGE_SIZE + index + 1} - ${payment.productName}`.substring(0, 256),
+          value: `👤 ${payment.userName} • 💲 ${formatCurrency(payment.amount)} • 🕒 <t:${Math.floor(new Date(payment.createdAt).getTime() / 1000)}:R>\n⏰ ${expiresText} • 🆔 ${payment.id.toString().substring(0, 8)}${payment.riskReasons.length > 0 ? `\n⚠️ ${payment.riskReasons.join(', ')}` : ''}`.substring(0, 1024)
         });
       });
 
-      // Se houver mais pagamentos do que os mostrados
-      if (pendingPayments.length > 5) {
-        embed.addFields({
-          name: 'Mais pagamentos',
-          value: `+ ${pendingPayments.length - 5} pagamentos não mostrados`
+      const components = [];
+
+      if (displayedPayments.length > 0) {
+        // Abrir um pagamento
+        const selectMenu = new StringSelectMenuBuilder()
+          .setCustomId('admin_select_payment')
+          .setPlaceholder('Abrir detalhes de um pagamento');
+
+        // Selecionar vários para aprovar ou rejeitar em lote
+        const triageMenu = new StringSelectMenuBuilder()
+          .setCustomId(this.buttons.triageSelect)
+          .setPlaceholder('Selecionar pagamentos para ação em lote')
+          .setMinValues(0)
+          .setMaxValues(displayedPayments.length);
+
+        displayedPayments.forEach(payment => {
+          const option = {
+            label: `${payment.productName.substring(0, 60)}`,
+            description: `${formatCurrency(payment.amount)} - ${payment.userName}`.substring(0, 100),
+            value: payment.id.toString(),
+            emoji: RISK_BADGES[payment.risk] || '⚪'
+          };
+
+          selectMenu.addOptions(option);
+          triageMenu.addOptions({ ...option, default: (previous?.selected || []).includes(option.value) });
         });
+
+        components.push(new ActionRowBuilder().addComponents(selectMenu));
+        components.push(new ActionRowBuilder().addComponents(triageMenu));
       }
 
-      // Menu de seleção para pagamentos
-      const selectMenu = new StringSelectMenuBuilder()
-        .setCustomId('admin_select_payment')
-        .setPlaceholder('Selecione um pagamento para gerenciar');
+      // Filtros por idade, valor e risco
+      const filterMenu = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.triageFilter)
+        .setPlaceholder('Filtrar por idade, valor ou risco')
+        .addOptions(TRIAGE_FILTER_OPTIONS);
 
-      displayedPayments.forEach((payment, index) => {
-        selectMenu.addOptions({
-          label: `${index + 1}. ${payment.productName.substring(0, 25)}`,
-          description: `R$ ${payment.amount.toFixed(2)} - ${payment.userName}`,
-          value: payment.id.toString()
-        });
-      });
+      components.push(new ActionRowBuilder().addComponents(filterMenu));
 
-      const row1 = new ActionRowBuilder().addComponents(selectMenu);
+      const selectedCount = (previous?.selected || []).filter(id => displayedPayments.some(payment => payment.id === id)).length;
 
-      // Botões de ação
-      const row2 = new ActionRowBuilder()
+      components.push(new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
-            .setCustomId(this.buttons.refresh)
+            .setCustomId(this.buttons.triageApprove)
+            .setLabel(`Aprovar selecionados (${selectedCount})`)
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('✅')
+            .setDisabled(selectedCount === 0),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.triageReject)
+            .setLabel(`Rejeitar selecionados (${selectedCount})`)
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('❌')
+            .setDisabled(selectedCount === 0),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.triageUser)
+            .setLabel(filters.user ? `Usuário: ${filters.user}`.substring(0, 80) : 'Filtrar usuário')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('👤')
+        ));
+
+      components.push(new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(this.buttons.triagePrev)
+            .setLabel('◀️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page <= 1),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.triageNext)
+            .setLabel('▶️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page >= totalPages),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.payments)
             .setLabel('Atualizar')
             .setStyle(ButtonStyle.Secondary),
           new ButtonBuilder()
             .setCustomId(this.buttons.back)
             .setLabel('Voltar')
             .setStyle(ButtonStyle.Primary)
-        );
+        ));
 
       // Enviar ou editar mensagem
-      if (options.message) {
-        return await options.message.edit({
-          embeds: [embed],
-          components: [row1, row2]
-        });
-      } else {
-        return await channel.send({
-          embeds: [embed],
-          components: [row1, row2]
+      const message = options.message
+        ? await options.message.edit({ embeds: [embed], components })
+        : await channel.send({ embeds: [embed], components });
+
+      if (message?.id) {
+        this._setPanelState(this.triageState, message.id, {
+          filters,
+          page,
+          selected: (previous?.selected || []).filter(id => queue.some(payment => payment.id === id))
         });
       }
+
+      return message;
     } catch (error) {
       logger.error('Erro ao renderizar painel de pagamentos:', error);
 
@@ -314,6 +518,104 @@ class AdminPanel {
     }
   }
 
+  /**
+   * Texto dos filtros ativos da triagem
+   * @param {Object} filters - Filtros da triagem
+   * @returns {string}
+   * @private
+   */
+  _describeTriageFilters(filters) {
+    const parts = [];
+
+    if (filters.olderThan) {
+      parts.push(TRIAGE_FILTER_OPTIONS.find(option => option.value === `age:${filters.olderThan}`)?.label);
+    }
+    if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+      parts.push(TRIAGE_FILTER_OPTIONS.find(option => option.value === `amount:${filters.minAmount}-${filters.maxAmount ?? ''}`)?.label);
+    }
+    if (filters.risk) {
+      parts.push(TRIAGE_FILTER_OPTIONS.find(option => option.value === `risk:${filters.risk}`)?.label);
+    }
+    if (filters.user) {
+      parts.push(`Usuário: ${filters.user}`);
+    }
+
+    const active = parts.filter(Boolean);
+    return active.length > 0 ? `\n🔎 ${active.join(' • ')}` : '';
+  }
+
+  /**
+   * Aplica uma opção do menu de filtros da triagem
+   * @param {Object} filters - Filtros atuais
+   * @param {string} value - Valor da opção (campo:parâmetro)
+   * @returns {Object} - Novos filtros
+   * @private
+   */
+  _applyTriageFilter(filters, value) {
+    if (value === 'clear') return {};
+
+    const [field, param] = value.split(':');
+    const next = { ...filters };
+
+    if (field === 'age') {
+      delete next.olderThan;
+      if (param !== 'all') next.olderThan = parseInt(param);
+    } else if (field === 'amount') {
+      delete next.minAmount;
+      delete next.maxAmount;
+      if (param !== 'all') {
+        const [min, max] = param.split('-');
+        next.minAmount = parseFloat(min);
+        if (max) next.maxAmount = parseFloat(max);
+      }
+    } else if (field === 'risk') {
+      delete next.risk;
+      if (param !== 'all') next.risk = param;
+    }
+
+    return next;
+  }
+
+  /**
+   * Guarda o estado de uma mensagem do painel e descarta o das mensagens inativas
+   * @param {Map} states - Mapa de estado por ID de mensagem
+   * @param {string} messageId - ID da mensagem do painel
+   * @param {Object} state - Estado a guardar
+   * @private
+   */
+  _setPanelState(states, messageId, state) {
+    const now = Date.now();
+    for (const [id, entry] of states) {
+      if (entry.expiresAt < now) states.delete(id);
+    }
+
+    states.set(messageId, { ...state, expiresAt: now + PANEL_STATE_TTL });
+  }
+
+  /**
+   * Resume o resultado de uma ação em lote, item por item
+   * @param {Array} results - Resultados de PaymentService.bulkReview
+   * @param {string} action - APPROVE ou REJECT
+   * @returns {string}
+   * @private
+   */
+  _formatBulkResults(results, action) {
+    const succeeded = results.filter(result => result.success).length;
+    const lines = results.map(result => {
+      const label = `\`#${result.paymentId.substring(0, 8)}\` ${result.productName || ''}`.trim();
+
+      if (result.success) {
+        if (action === 'REJECT') return `✅ ${label} - rejeitado`;
+        return result.delivered ? `✅ ${label} - aprovado e entregue` : `✅ ${label} - aprovado (DM não enviada, entregar manualmente)`;
+      }
+      if (result.pendingApproval) return `⏳ ${label} - ${result.message}`;
+      return `❌ ${label} - ${result.message}`;
+    });
+
+    const header = `**${action === 'APPROVE' ? 'Aprovação' : 'Rejeição'} em lote: ${succeeded}/${results.length} concluído(s)**\n`;
+    return `${header}${lines.join('\n')}`.substring(0, 2000);
+  }
+
   /**
    * Renderiza detalhes de um pagamento específico
    * @param {TextChannel} channel - Canal onde a mensagem será enviada
@@ -377,6 +679,8 @@ class AdminPanel {
         statusText = '✅ APROVADO';
       } else if (payment.status === 'REJECTED') {
         statusText = '❌ REJEITADO';
+      } else if (payment.status === 'REFUNDED') {
+        statusText = payment.metadata?.refund?.type === 'CHARGEBACK' ? '↩️ CHARGEBACK' : '💸 REEMBOLSADO';
       } else if (payment.status === 'EXPIRED' || expires < now) {
         statusText = '⏱️ EXPIRADO';
       } else {
@@ -422,7 +726,11 @@ class AdminPanel {
         embed.addFields(
           {
             name: '✅ Aprovado por',
-            value: payment.approvedBy || 'Sistema'
+            value: payment.approvals?.length > 0
+              ? payment.approvals.map(approval => `<@${approval.adminId}>`).join(', ')
+              : payment.approvedBy && payment.approvedBy !== paymentService.SYSTEM_ACTOR
+                ? payment.approvedBy
+                : 'Sistema (confirmação automática)'
           },
           {
             name: '🕒 Aprovado em',
@@ -444,6 +752,90 @@ class AdminPanel {
             value: payment.rejectionReason || 'Não especificado'
           }
         );
+      } else if (payment.status === 'REFUNDED') {
+        const refund = payment.metadata?.refund || {};
+        embed.addFields(
+          {
+            name: '💸 Reembolsado por',
+            value: payment.refundedBy || 'Não informado'
+          },
+          {
+            name: '🕒 Reembolsado em',
+            value: formatDate(payment.refundedAt)
+          },
+          {
+            name: '📝 Motivo',
+            value: payment.refundReason || 'Não especificado'
+          },
+          {
+            name: '📦 Produto(s)',
+            value: refund.restock ? 'Devolvido(s) à venda' : 'Em quarentena'
+          }
+        );
+      }
+
+      // Aprovação dupla: motivo e quem já aprovou
+      const dualApproval = paymentService.getDualApprovalStatus(payment);
+      if (dualApproval.required && (payment.status === 'PENDING' || payment.status === 'PROCESSING')) {
+        const approvers = (payment.approvals || [])
+          .map(approval => `✅ <@${approval.adminId}> <t:${Math.floor(new Date(approval.approvedAt).getTime() / 1000)}:R>`)
+          .join('\n');
+
+        embed.addFields({
+          name: `👥 Aprovação dupla (${dualApproval.approvers.length}/${dualApproval.requiredApprovals})`,
+          value: `**Motivo**: ${dualApproval.reasons.join(', ')}\n${approvers || 'Nenhuma aprovação ainda'}`
+        });
+      }
+
+      // Resultado da análise antifraude na criação do pagamento
+      if (payment.metadata?.fraudCheck && !payment.metadata.fraudCheck.approved) {
+        embed.addFields({
+          name: '🚨 Antifraude',
+          value: `Pontuação ${payment.metadata.fraudCheck.score}: ${(payment.metadata.fraudCheck.reasons || []).join(', ') || 'sem detalhes'}`.substring(0, 1024)
+        });
+      }
+
+      // Itens do pedido (entregues ou rejeitados em bloco)
+      if (payment.orderId) {
+        const order = await orderService.getOrderById(payment.orderId);
+        if (order) {
+          embed.addFields({
+            name: `🧾 Pedido #${order.id.substring(0, 8)} (${order.items.length} itens)`,
+            value: order.items
+              .map(item => `• ${item.productName} - ${formatCurrency(item.price)}`)
+              .join('\n')
+              .substring(0, 1024)
+          });
+        }
+      }
+
+      // Confirmação de recebimento enviada pelo PSP
+      if (payment.metadata?.pspConfirmation) {
+        const confirmation = payment.metadata.pspConfirmation;
+        embed.addFields({
+          name: '🏦 Confirmado pelo PSP',
+          value: `${formatCurrency(Number(confirmation.amount) || 0)} em ${formatDate(confirmation.paidAt)}\n**E2E**: ${confirmation.endToEndId || 'N/A'}`
+        });
+      }
+
+      // Compra na origem que falhou na aprovação (nova aprovação tenta comprar de novo)
+      if (payment.metadata?.lztPurchaseFailure && payment.status === 'PROCESSING') {
+        const failure = payment.metadata.lztPurchaseFailure;
+        embed.addFields({
+          name: '⚠️ Falha na compra no LZT Market',
+          value: `**Produto**: ${failure.productName}\n**Erro**: ${failure.reason}\n**Tentativas**: ${failure.attempts} (última em ${formatDate(failure.failedAt)})`.substring(0, 1024)
+        });
+      }
+
+      // Conferir o BR Code emitido para o pagamento
+      if (payment.pixCode) {
+        const pixCheck = paymentService.inspectPixCode(payment);
+        embed.addFields({
+          name: '🔎 Código PIX',
+          value: pixCheck.valid
+            ? `✅ Válido\n**txid**: ${pixCheck.data.txid}\n**Chave**: ${pixCheck.data.key}\n**Valor**: ${formatCurrency(pixCheck.data.amount || 0)}`
+            : `⚠️ Inconsistente: ${pixCheck.errors.join(', ')}`
+        });
       }
 
       // Preparar botões de acordo com o status
@@ -468,6 +860,30 @@ class AdminPanel {
         components.push(actionRow);
       }
 
+      if (payment.status === 'COMPLETED') {
+        // Botões de reembolso e chargeback
+        const refundRow = new ActionRowBuilder()
+          .addComponents(
+            new ButtonBuilder()
+              .setCustomId(`${this.buttons.refund}restock_${payment.id}`)
+              .setLabel('Reembolsar e Revender')
+              .setStyle(ButtonStyle.Secondary)
+              .setEmoji('💸'),
+            new ButtonBuilder()
+              .setCustomId(`${this.buttons.refund}quarantine_${payment.id}`)
+              .setLabel('Reembolsar e Quarentena')
+              .setStyle(ButtonStyle.Secondary)
+              .setEmoji('🚧'),
+            new ButtonBuilder()
+              .setCustomId(`${this.buttons.refund}chargeback_${payment.id}`)
+              .setLabel('Registrar Chargeback')
+              .setStyle(ButtonStyle.Danger)
+              .setEmoji('↩️')
+          );
+
+        components.push(refundRow);
+      }
+
       // Botão de voltar (sempre presente)
       const navigationRow = new ActionRowBuilder()
         .addComponents(
@@ -544,13 +960,15 @@ class AdminPanel {
     try {
       // Buscar produtos
       const availableProducts = await productService.getAvailableProducts(10);
+      const quarantinedProducts = await productService.getQuarantinedProducts(5);
+      const lastSync = await require('../product/lzt').getLastSyncReport();
       const totalProducts = availableProducts.length;
 
       // Criar embed
       const embed = new EmbedBuilder()
         .setTitle('📦 Gerenciamento de Produtos')
         .setColor(config.discord.embedColors.primary)
-        .setDescription(`${totalProducts} produtos disponíveis no sistema.`)
+        .setDescription(`${totalProducts} produtos disponíveis no sistema.${quarantinedProducts.length > 0 ? `\n🚧 ${quarantinedProducts.length} produto(s) em quarentena aguardando análise.` : ''}${lastSync ? `\n🔄 ${this._describeSyncReport(lastSync)}` : ''}`)
         .setTimestamp();
 
       // Adicionar produtos recentes
@@ -573,7 +991,12 @@ class AdminPanel {
             .setCustomId(this.buttons.sync)
             .setLabel('Sincronizar com API')
             .setStyle(ButtonStyle.Primary)
-            .setEmoji('🔄')
+            .setEmoji('🔄'),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.categories)
+            .setLabel('Categorias')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('🗂️')
         );
 
       // Menu de seleção para produtos
@@ -589,6 +1012,14 @@ class AdminPanel {
         });
       });
 
+      quarantinedProducts.forEach((product) => {
+        selectMenu.addOptions({
+          label: `🚧 ${product.nome}`.substring(0, 25),
+          description: `Quarentena - R$ ${product.preco.toFixed(2)}`,
+          value: product.id.toString()
+        });
+      });
+
       const row2 = new ActionRowBuilder().addComponents(selectMenu);
 
       // Botão de voltar
@@ -657,109 +1088,540 @@ class AdminPanel {
   }
 
   /**
-   * Renderiza painel de gerenciamento de usuários
-   * @param {TextChannel} channel - Canal onde o painel será enviado
+   * Renderiza as categorias de produtos com seus campos de detalhes
+   * @param {TextChannel} channel - Canal onde a mensagem será enviada
    * @param {Object} options - Opções adicionais
    */
-  async renderUsersPanel(channel, options = {}) {
+  async renderCategoriesPanel(channel, options = {}) {
+    const categories = categoryService.list({ includeInactive: true });
+
+    const embed = new EmbedBuilder()
+      .setTitle('🗂️ Categorias de Produtos')
+      .setColor(config.discord.embedColors.primary)
+      .setDescription('Cada categoria define os campos de detalhes do produto, os filtros da loja e as colunas do catálogo.\nCampos marcados como filtro aparecem na loja com as opções cadastradas.')
+      .setFooter({ text: `${categories.length} categoria(s)` })
+      .setTimestamp();
+
+    categories.slice(0, 25).forEach(category => {
+      const campos = (category.campos || [])
+        .map(field => `${field.label} (${categoryService.FIELD_TYPES[field.type] || field.type}${field.filtro ? ', filtro' : ''})`);
+
+      embed.addFields({
+        name: `${category.emoji ? `${category.emoji} ` : ''}${category.nome} \`${category.slug}\`${category.ativa ? '' : ' • inativa'}`,
+        value: (campos.length > 0 ? campos.join('\n') : 'Nenhum campo de detalhes').substring(0, 1024)
+      });
+    });
+
+    const components = [];
+
+    if (categories.length > 0) {
+      const select = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.categorySelect)
+        .setPlaceholder('Selecione uma categoria para editar')
+        .addOptions(categories.slice(0, 25).map(category => ({
+          label: category.nome.substring(0, 100),
+          description: `${category.slug}${category.ativa ? '' : ' (inativa)'}`,
+          value: category.slug
+        })));
+
+      components.push(new ActionRowBuilder().addComponents(select));
+    }
+
+    components.push(new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(this.buttons.categoryNew)
+          .setLabel('Nova Categoria')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('➕'),
+        new ButtonBuilder()
+          .setCustomId(this.buttons.products)
+          .setLabel('Voltar para Produtos')
+          .setStyle(ButtonStyle.Primary)
+      ));
+
+    if (options.message) {
+      return await options.message.edit({ embeds: [embed], components });
+    } else {
+      return await channel.send({ embeds: [embed], components });
+    }
+  }
+
+  /**
+   * Resumo de uma linha do relatório de sincronização do LZT
+   * @private
+   */
+  _describeSyncReport(report) {
+    const when = `<t:${Math.floor(new Date(report.finishedAt).getTime() / 1000)}:R>`;
+
+    if (!report.success) {
+      return `Última sincronização LZT ${when} falhou: ${report.message}`;
+    }
+
+    return `Última sincronização LZT ${when}: +${report.added} novos, ${report.updated} atualizados, ${report.delisted} retirados, ${report.errors} erros`;
+  }
+
+  /**
+   * Renderiza os detalhes de um produto para gerenciamento
+   * @param {TextChannel} channel - Canal onde a mensagem será enviada
+   * @param {string} productId - ID do produto
+   * @param {Object} options - Opções adicionais
+   */
+  async renderProductDetails(channel, productId, options = {}) {
     try {
-      // Obter informações de usuários (implementação básica)
-      const users = await this._getRecentUsers();
+      const product = await productService.getProductById(productId);
+
+      if (!product) {
+        return await this.renderProductsPanel(channel, options);
+      }
+
+      // Situação das credenciais (nunca exibidas no painel)
+      const secretInfo = await vaultService.getSecretInfo(product.id);
+      const credentialsText = secretInfo.exists
+        ? `🔐 Cadastradas em ${formatDate(secretInfo.updatedAt)}${secretInfo.updatedBy ? ` por <@${secretInfo.updatedBy}>` : ''}`
+        : '⚠️ Não cadastradas - a venda não pode ser aprovada';
 
-      // Criar embed
       const embed = new EmbedBuilder()
-        .setTitle('👥 Gerenciamento de Usuários')
-        .setColor(config.discord.embedColors.primary)
-        .setDescription('Gerenciamento de usuários e permissões.')
+        .setTitle(`📦 ${product.nome}`)
+        .setColor(secretInfo.exists ? config.discord.embedColors.primary : config.discord.embedColors.warning)
+        .setDescription(product.descricao || 'Sem descrição')
+        .addFields(
+          { name: '💰 Preço', value: formatCurrency(product.preco), inline: true },
+          { name: '📊 Tipo', value: this._categoryLabel(product.tipo), inline: true },
+          { name: '🏷️ Origem', value: product.origem || 'MANUAL', inline: true },
+          { name: '🔑 Credenciais', value: credentialsText }
+        )
+        .setFooter({ text: `ID: ${product.id}` })
         .setTimestamp();
 
-      // Adicionar usuários recentes
-      if (users.length > 0) {
-        users.forEach((user, index) => {
-          embed.addFields({
-            name: `#${index + 1} - ${user.username}`,
-            value: `🆔 **ID**: ${user.userId}\n📅 **Desde**: ${formatDate(user.createdAt)}\n⚠️ **Bloqueado**: ${user.isBlocked ? 'Sim' : 'Não'}`
-          });
+      // Detalhes estruturados da conta (rótulos da categoria)
+      const detalhes = Object.entries(product.detalhes || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => {
+          const field = categoryService.getField(product.tipo, key);
+          return `**${field?.label || key}**: ${categoryService.formatDetailValue(field, value)}`;
         });
-      } else {
+      embed.addFields({
+        name: '🎯 Detalhes',
+        value: detalhes.length > 0 ? detalhes.join('\n').substring(0, 1024) : 'Nenhum detalhe informado'
+      });
+
+      const imagens = product.imagens || [];
+      if (imagens.length > 0) {
+        embed.setThumbnail(imagens[0]);
+        embed.addFields({ name: '🖼️ Imagens', value: `${imagens.length} imagem(ns)`, inline: true });
+      }
+
+      if (product.quarentena) {
         embed.addFields({
-          name: 'Nenhum usuário encontrado',
-          value: 'Não há usuários registrados no sistema.'
+          name: '🚧 Em quarentena',
+          value: `${product.quarentenaMotivo || 'Reembolsado'}\nAtualize as credenciais antes de devolver o produto à venda.`
         });
       }
 
-      // Botão de busca
-      const row1 = new ActionRowBuilder()
+      const editRow = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
-            .setCustomId('admin_search_user')
-            .setLabel('Buscar Usuário')
+            .setCustomId(`${this.buttons.editProduct}${product.id}`)
+            .setLabel('Editar')
             .setStyle(ButtonStyle.Primary)
-            .setEmoji('🔍'),
+            .setEmoji('✏️'),
           new ButtonBuilder()
-            .setCustomId('admin_block_management')
-            .setLabel('Gerenciar Bloqueios')
+            .setCustomId(`${this.buttons.productDetails}${product.id}`)
+            .setLabel('Detalhes')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🎯'),
+          new ButtonBuilder()
+            .setCustomId(`${this.buttons.productCredentials}${product.id}`)
+            .setLabel(secretInfo.exists ? 'Substituir Credenciais' : 'Cadastrar Credenciais')
+            .setStyle(secretInfo.exists ? ButtonStyle.Secondary : ButtonStyle.Success)
+            .setEmoji('🔐'),
+          new ButtonBuilder()
+            .setCustomId(`${this.buttons.removeProduct}${product.id}`)
+            .setLabel('Remover')
             .setStyle(ButtonStyle.Danger)
-            .setEmoji('⚠️')
+            .setEmoji('🗑️')
+            .setDisabled(!!product.vendido)
         );
 
-      // Menu de seleção para usuários
-      const selectMenu = new StringSelectMenuBuilder()
-        .setCustomId('admin_select_user')
-        .setPlaceholder('Selecione um usuário para gerenciar');
-
-      users.forEach((user) => {
-        selectMenu.addOptions({
-          label: user.username.substring(0, 25),
-          description: `${user.userId} - ${user.isBlocked ? 'Bloqueado' : 'Ativo'}`,
-          value: user.userId
-        });
-      });
-
-      const row2 = new ActionRowBuilder().addComponents(selectMenu);
-
-      // Botão de voltar
-      const row3 = new ActionRowBuilder()
+      const row = new ActionRowBuilder()
         .addComponents(
+          ...(product.quarentena ? [
+            new ButtonBuilder()
+              .setCustomId(`${this.buttons.releaseQuarantine}${product.id}`)
+              .setLabel('Liberar para Venda')
+              .setStyle(ButtonStyle.Success)
+              .setEmoji('✅')
+          ] : []),
           new ButtonBuilder()
-            .setCustomId(this.buttons.refresh)
-            .setLabel('Atualizar')
-            .setStyle(ButtonStyle.Secondary),
-          new ButtonBuilder()
-            .setCustomId(this.buttons.back)
-            .setLabel('Voltar')
-            .setStyle(ButtonStyle.Secondary)
+            .setCustomId(this.buttons.products)
+            .setLabel('Voltar para Produtos')
+            .setStyle(ButtonStyle.Primary)
         );
 
-      // Enviar ou editar mensagem
       if (options.message) {
         return await options.message.edit({
           embeds: [embed],
-          components: [row1, row2, row3]
+          components: [editRow, row]
         });
       } else {
         return await channel.send({
           embeds: [embed],
-          components: [row1, row2, row3]
+          components: [editRow, row]
         });
       }
     } catch (error) {
-      logger.error('Erro ao renderizar painel de usuários:', error);
+      logger.error(`Erro ao renderizar detalhes do produto ${productId}:`, error);
+      return await this.renderProductsPanel(channel, options);
+    }
+  }
 
-      // Mensagem de erro
-      const errorEmbed = new EmbedBuilder()
-        .setTitle('❌ Erro')
-        .setColor(config.discord.embedColors.error)
-        .setDescription('Ocorreu um erro ao carregar os usuários. Por favor, tente novamente.')
-        .setTimestamp();
+  /**
+   * Pede confirmação antes de remover um produto
+   * @param {Message} message - Mensagem do painel
+   * @param {Object} product - Produto a remover
+   */
+  async renderRemoveConfirmation(message, product) {
+    const embed = new EmbedBuilder()
+      .setTitle('🗑️ Remover Produto')
+      .setColor(config.discord.embedColors.warning)
+      .setDescription(`Tem certeza que deseja remover **${product.nome}** (${formatCurrency(product.preco)}) do catálogo?\n\nO produto deixa de aparecer na loja, mas o histórico de vendas é mantido.`)
+      .setTimestamp();
+
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${this.buttons.confirmRemove}${product.id}`)
+          .setLabel('Sim, remover')
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId(`${this.buttons.cancelRemove}${product.id}`)
+          .setLabel('Cancelar')
+          .setStyle(ButtonStyle.Secondary)
+      );
 
-      if (options.message) {
-        return await options.message.edit({
-          embeds: [errorEmbed],
-          components: [
-            new ActionRowBuilder()
-              .addComponents(
-                new ButtonBuilder()
+    return await message.edit({
+      embeds: [embed],
+      components: [row]
+    });
+  }
+
+  /**
+   * Cria o modal de cadastro/edição de produto (pré-preenchido na edição)
+   * @param {Object} product - Produto a editar (null para criar)
+   * @returns {ModalBuilder} - Modal com os dados básicos do produto
+   */
+  buildProductModal(product = null) {
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.buttons.productModal}${product ? product.id : 'new'}`)
+      .setTitle(product ? 'Editar Produto' : 'Novo Produto');
+
+    const fields = [
+      { id: 'nome', label: 'Nome', style: TextInputStyle.Short, required: true, maxLength: 100, value: product?.nome },
+      { id: 'tipo', label: 'Tipo', style: TextInputStyle.Short, required: true, maxLength: 20, placeholder: categoryService.list().map(category => category.slug).join(', ').substring(0, 100), value: product?.tipo },
+      { id: 'preco', label: 'Preço (R$)', style: TextInputStyle.Short, required: true, maxLength: 12, placeholder: '49,90', value: product ? product.preco.toFixed(2).replace('.', ',') : null },
+      { id: 'descricao', label: 'Descrição', style: TextInputStyle.Paragraph, required: false, maxLength: 1000, value: product?.descricao },
+      { id: 'imagens', label: 'URLs das imagens (uma por linha)', style: TextInputStyle.Paragraph, required: false, maxLength: 1000, placeholder: 'https://...', value: (product?.imagens || []).join('\n') }
+    ];
+
+    modal.addComponents(...fields.map(field => this._buildModalInput(field)));
+    return modal;
+  }
+
+  /**
+   * Cria o modal dos detalhes estruturados da conta com os campos da categoria do produto
+   * @param {Object} product - Produto
+   * @returns {ModalBuilder|null} - Modal pré-preenchido com os detalhes atuais (null se a categoria não tem campos)
+   */
+  buildDetailsModal(product) {
+    const detalhes = product.detalhes || {};
+    const campos = categoryService.getFields(product.tipo).slice(0, categoryService.MAX_FIELDS);
+    if (campos.length === 0) return null;
+
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.buttons.detailsModal}${product.id}`)
+      .setTitle(`Detalhes - ${categoryService.get(product.tipo)?.nome || product.tipo}`.substring(0, 45));
+
+    const fields = campos.map(field => ({
+      id: field.key,
+      label: field.label.substring(0, 45),
+      style: TextInputStyle.Short,
+      required: false,
+      maxLength: field.type === 'texto' ? 50 : 6,
+      placeholder: field.placeholder || (field.type === 'booleano' ? 'sim ou não' : (field.opcoes || []).join(', ').substring(0, 100)),
+      value: detalhes[field.key] !== undefined && detalhes[field.key] !== null
+        ? categoryService.formatDetailValue(field, detalhes[field.key])
+        : null
+    }));
+
+    modal.addComponents(...fields.map(field => this._buildModalInput(field)));
+    return modal;
+  }
+
+  /**
+   * Cria o modal de cadastro/edição de categoria
+   * @param {Object} category - Categoria a editar (null para criar)
+   * @returns {ModalBuilder}
+   */
+  buildCategoryModal(category = null) {
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.buttons.categoryModal}${category ? category.slug : 'new'}`)
+      .setTitle(category ? `Editar Categoria - ${category.nome}`.substring(0, 45) : 'Nova Categoria');
+
+    const fields = [
+      category
+        ? { id: 'ativa', label: 'Ativa na loja (sim/não)', style: TextInputStyle.Short, required: true, maxLength: 3, value: category.ativa ? 'sim' : 'não' }
+        : { id: 'slug', label: 'Slug (tipo do produto)', style: TextInputStyle.Short, required: true, maxLength: 20, placeholder: 'fortnite' },
+      { id: 'nome', label: 'Nome', style: TextInputStyle.Short, required: true, maxLength: 50, value: category?.nome },
+      { id: 'emoji', label: 'Emoji', style: TextInputStyle.Short, required: false, maxLength: 10, placeholder: '🎮', value: category?.emoji },
+      { id: 'ordem', label: 'Ordem de exibição', style: TextInputStyle.Short, required: false, maxLength: 3, placeholder: '4', value: category ? String(category.ordem) : null },
+      {
+        id: 'campos',
+        label: `Campos (um por linha, até ${categoryService.MAX_FIELDS})`,
+        style: TextInputStyle.Paragraph,
+        required: false,
+        maxLength: 2000,
+        placeholder: 'chave | Rótulo | texto, inteiro ou booleano | opção1, opção2 | filtro',
+        value: category ? categoryService.formatFieldSchema(category.campos) : null
+      }
+    ];
+
+    modal.addComponents(...fields.map(field => this._buildModalInput(field)));
+    return modal;
+  }
+
+  /**
+   * Converte o formulário de produto em dados para o ProductService
+   * @param {ModalSubmitFields} fields - Campos do modal
+   * @returns {Object} - Dados do produto
+   * @private
+   */
+  _parseProductForm(fields) {
+    const preco = fields.getTextInputValue('preco').trim().replace(/\s|R\$/g, '').replace(',', '.');
+
+    return {
+      nome: fields.getTextInputValue('nome').trim(),
+      tipo: fields.getTextInputValue('tipo').trim().toLowerCase(),
+      preco: preco ? Number(preco) : NaN,
+      descricao: fields.getTextInputValue('descricao').trim(),
+      imagens: fields.getTextInputValue('imagens').split(/\s+/).filter(Boolean)
+    };
+  }
+
+  /**
+   * Mescla o formulário de detalhes com os detalhes atuais (campos vazios são removidos)
+   * @param {ModalSubmitFields} fields - Campos do modal
+   * @param {Object} current - Detalhes atuais do produto
+   * @param {string} tipo - Categoria do produto
+   * @returns {Object} - Novos detalhes
+   * @private
+   */
+  _parseDetailsForm(fields, current = {}, tipo) {
+    const detalhes = { ...current };
+
+    for (const field of categoryService.getFields(tipo).slice(0, categoryService.MAX_FIELDS)) {
+      const value = fields.getTextInputValue(field.key).trim();
+      if (value) detalhes[field.key] = categoryService.parseDetailValue(field, value);
+      else delete detalhes[field.key];
+    }
+
+    return detalhes;
+  }
+
+  /**
+   * Converte o formulário de categoria em dados para o CategoryService
+   * @param {ModalSubmitFields} fields - Campos do modal
+   * @param {Object} category - Categoria editada (null na criação)
+   * @returns {Object} - { data, errors }
+   * @private
+   */
+  _parseCategoryForm(fields, category = null) {
+    const { campos, errors } = categoryService.parseFieldSchema(fields.getTextInputValue('campos'));
+    const ordem = fields.getTextInputValue('ordem').trim();
+
+    const data = {
+      slug: category ? category.slug : fields.getTextInputValue('slug').trim().toLowerCase(),
+      nome: fields.getTextInputValue('nome').trim(),
+      emoji: fields.getTextInputValue('emoji').trim() || null,
+      ordem: ordem ? Number(ordem) : undefined,
+      campos
+    };
+
+    if (category) {
+      const ativa = fields.getTextInputValue('ativa').trim().toLowerCase();
+      if (!['sim', 's', 'não', 'nao', 'n'].includes(ativa)) {
+        errors.push('Ativa deve ser sim ou não');
+      }
+      data.ativa = ativa.startsWith('s');
+    }
+
+    return { data, errors };
+  }
+
+  /**
+   * Nome da categoria com emoji para exibição
+   * @private
+   */
+  _categoryLabel(slug) {
+    const category = categoryService.get(slug);
+    return category ? `${category.emoji ? `${category.emoji} ` : ''}${category.nome}` : slug;
+  }
+
+  /**
+   * @private
+   */
+  _buildModalInput(field) {
+    const input = new TextInputBuilder()
+      .setCustomId(field.id)
+      .setLabel(field.label)
+      .setStyle(field.style)
+      .setRequired(field.required)
+      .setMaxLength(field.maxLength);
+
+    if (field.placeholder) input.setPlaceholder(field.placeholder);
+    if (field.value !== undefined && field.value !== null && String(field.value) !== '') {
+      input.setValue(String(field.value).substring(0, field.maxLength));
+    }
+
+    return new ActionRowBuilder().addComponents(input);
+  }
+
+  /**
+   * Cria o modal de cadastro das credenciais de um produto
+   * @param {string} productId - ID do produto
+   * @returns {ModalBuilder} - Modal com os campos do cofre
+   */
+  buildCredentialsModal(productId) {
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.buttons.credentialsModal}${productId}`)
+      .setTitle('Credenciais da Conta');
+
+    const fields = [
+      { id: 'login', label: 'Login', style: TextInputStyle.Short, required: true },
+      { id: 'password', label: 'Senha', style: TextInputStyle.Short, required: true },
+      { id: 'email', label: 'E-mail da conta', style: TextInputStyle.Short, required: false },
+      { id: 'emailPassword', label: 'Senha do e-mail', style: TextInputStyle.Short, required: false },
+      { id: 'recovery', label: 'Dados de recuperação', style: TextInputStyle.Paragraph, required: false }
+    ];
+
+    modal.addComponents(
+      ...fields.map(field => new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId(field.id)
+          .setLabel(field.label)
+          .setStyle(field.style)
+          .setRequired(field.required)
+          .setMaxLength(field.style === TextInputStyle.Paragraph ? 1000 : 200)
+      ))
+    );
+
+    return modal;
+  }
+
+  /**
+   * Renderiza painel de gerenciamento de usuários
+   * @param {TextChannel} channel - Canal onde o painel será enviado
+   * @param {Object} options - Opções adicionais
+   */
+  async renderUsersPanel(channel, options = {}) {
+    try {
+      // Obter informações de usuários (implementação básica)
+      const users = await this._getRecentUsers();
+
+      // Criar embed
+      const embed = new EmbedBuilder()
+        .setTitle('👥 Gerenciamento de Usuários')
+        .setColor(config.discord.embedColors.primary)
+        .setDescription('Gerenciamento de usuários e permissões.')
+        .setTimestamp();
+
+      // Adicionar usuários recentes
+      if (users.length > 0) {
+        users.forEach((user, index) => {
+          embed.addFields({
+            name: `#${index + 1} - ${user.username}`,
+            value: `🆔 **ID**: ${user.userId}\n📅 **Desde**: ${formatDate(user.createdAt)}\n⚠️ **Bloqueado**: ${user.isBlocked ? 'Sim' : 'Não'}`
+          });
+        });
+      } else {
+        embed.addFields({
+          name: 'Nenhum usuário encontrado',
+          value: 'Não há usuários registrados no sistema.'
+        });
+      }
+
+      // Botão de busca
+      const row1 = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(this.buttons.searchUser)
+            .setLabel('Buscar Usuário')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🔍'),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.blockManagement)
+            .setLabel('Gerenciar Bloqueios')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('⚠️')
+        );
+
+      // Menu de seleção para usuários
+      const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.selectUser)
+        .setPlaceholder('Selecione um usuário para gerenciar');
+
+      users.forEach((user) => {
+        selectMenu.addOptions({
+          label: user.username.substring(0, 25),
+          description: `${user.userId} - ${user.isBlocked ? 'Bloqueado' : 'Ativo'}`,
+          value: user.userId
+        });
+      });
+
+      const row2 = new ActionRowBuilder().addComponents(selectMenu);
+
+      // Botão de voltar
+      const row3 = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(this.buttons.refresh)
+            .setLabel('Atualizar')
+            .setStyle(ButtonStyle.Secondary),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.back)
+            .setLabel('Voltar')
+            .setStyle(ButtonStyle.Secondary)
+        );
+
+      // Enviar ou editar mensagem
+      if (options.message) {
+        return await options.message.edit({
+          embeds: [embed],
+          components: [row1, row2, row3]
+        });
+      } else {
+        return await channel.send({
+          embeds: [embed],
+          components: [row1, row2, row3]
+        });
+      }
+    } catch (error) {
+      logger.error('Erro ao renderizar painel de usuários:', error);
+
+      // Mensagem de erro
+      const errorEmbed = new EmbedBuilder()
+        .setTitle('❌ Erro')
+        .setColor(config.discord.embedColors.error)
+        .setDescription('Ocorreu um erro ao carregar os usuários. Por favor, tente novamente.')
+        .setTimestamp();
+
+      if (options.message) {
+        return await options.message.edit({
+          embeds: [errorEmbed],
+          components: [
+            new ActionRowBuilder()
+              .addComponents(
+                new ButtonBuilder()
                   .setCustomId(this.buttons.back)
                   .setLabel('Voltar')
                   .setStyle(ButtonStyle.Primary)
@@ -783,6 +1645,160 @@ class AdminPanel {
     }
   }
 
+  /**
+   * Renderiza uma lista de usuários para seleção (resultado de busca ou bloqueados)
+   * @param {TextChannel} channel - Canal onde o painel será enviado
+   * @param {Array} users - Usuários listados
+   * @param {Object} options - Opções adicionais
+   * @param {string} options.title - Título da lista
+   */
+  async renderUserList(channel, users, options = {}) {
+    const embed = new EmbedBuilder()
+      .setTitle(options.title || '👥 Usuários')
+      .setColor(config.discord.embedColors.primary)
+      .setDescription(users.length > 0
+        ? users.slice(0, 25).map(user => `${user.isBlocked ? '⛔' : '✅'} **${user.username}** (${user.userId})${user.blockedUntil ? ` - até <t:${Math.floor(new Date(user.blockedUntil).getTime() / 1000)}:f>` : ''}`).join('\n').substring(0, 4000)
+        : 'Nenhum usuário encontrado.')
+      .setTimestamp();
+
+    const components = [];
+
+    if (users.length > 0) {
+      const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.selectUser)
+        .setPlaceholder('Selecione um usuário para ver detalhes');
+
+      users.slice(0, 25).forEach(user => {
+        selectMenu.addOptions({
+          label: user.username.substring(0, 25),
+          description: `${user.userId} - ${user.isBlocked ? 'Bloqueado' : 'Ativo'}`,
+          value: user.userId
+        });
+      });
+
+      components.push(new ActionRowBuilder().addComponents(selectMenu));
+    }
+
+    components.push(new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(this.buttons.searchUser)
+          .setLabel('Nova Busca')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('🔍'),
+        new ButtonBuilder()
+          .setCustomId(this.buttons.users)
+          .setLabel('Voltar para Usuários')
+          .setStyle(ButtonStyle.Secondary)
+      ));
+
+    if (options.message) {
+      return await options.message.edit({ embeds: [embed], components });
+    }
+    return await channel.send({ embeds: [embed], components });
+  }
+
+  /**
+   * Renderiza os detalhes de um usuário: compras, risco, fidelidade e atividades
+   * @param {TextChannel} channel - Canal onde o painel será enviado
+   * @param {string} targetId - ID do usuário exibido
+   * @param {Object} options - Opções adicionais
+   */
+  async renderUserDetails(channel, targetId, options = {}) {
+    try {
+      const { User } = require('../models');
+      const user = await User.findByPk(targetId);
+
+      if (!user) {
+        return await this.renderUserList(channel, [], { ...options, title: '❌ Usuário não encontrado' });
+      }
+
+      const [purchases, risk, points, activities] = await Promise.all([
+        userService.getPurchaseHistory(user.userId),
+        fraudDetection.assessUserRisk(user.userId),
+        loyalty.getUserPoints(user.userId),
+        userService.getUserHistory(user.userId, 8)
+      ]);
+
+      // Situação da conta
+      let statusText = '✅ Ativo';
+      if (user.isBlocked) {
+        statusText = user.blockedUntil
+          ? `⏳ Suspenso até <t:${Math.floor(new Date(user.blockedUntil).getTime() / 1000)}:f>`
+          : '⛔ Bloqueado';
+        statusText += `\n**Motivo**: ${user.blockReason || 'Não informado'}\n**Por**: ${user.blockedBy === 'SYSTEM' ? 'Sistema' : `<@${user.blockedBy}>`} em ${formatDate(user.blockDate)}`;
+      }
+
+      const riskEmoji = { low: '🟢', medium: '🟡', high: '🔴' }[risk.risk] || '⚪';
+      const totalSpent = purchases.reduce((sum, purchase) => sum + (purchase.amount || 0), 0);
+
+      const embed = new EmbedBuilder()
+        .setTitle(`👤 ${user.username}`)
+        .setColor(user.isBlocked ? config.discord.embedColors.error : config.discord.embedColors.primary)
+        .addFields(
+          { name: '🆔 ID', value: user.userId, inline: true },
+          { name: '📅 Cadastro', value: formatDate(user.createdAt), inline: true },
+          { name: '🕒 Última atividade', value: formatDate(user.lastActive), inline: true },
+          { name: '📊 Situação', value: statusText },
+          {
+            name: `${riskEmoji} Risco de fraude`,
+            value: `**${risk.risk.toUpperCase()}** (${risk.score}/100)${risk.factors?.length ? `\n${risk.factors.join(', ')}` : ''}`.substring(0, 1024),
+            inline: true
+          },
+          {
+            name: '🎖️ Fidelidade',
+            value: `${points.amount} pontos (nível ${points.level})\n${formatCurrency(points.valueInMoney || 0)}`,
+            inline: true
+          },
+          {
+            name: `🛍️ Compras (${purchases.length}) - ${formatCurrency(totalSpent)}`,
+            value: purchases.length > 0
+              ? purchases.slice(0, 5).map(purchase => `• ${purchase.productName} - ${formatCurrency(purchase.amount)} (${formatDate(purchase.date)})`).join('\n').substring(0, 1024)
+              : 'Nenhuma compra aprovada'
+          },
+          {
+            name: '📜 Atividades recentes',
+            value: activities.length > 0
+              ? activities.map(activity => `• \`${activity.action}\` <t:${Math.floor(new Date(activity.createdAt).getTime() / 1000)}:R>`).join('\n').substring(0, 1024)
+              : 'Nenhuma atividade registrada'
+          }
+        )
+        .setTimestamp();
+
+      const row = new ActionRowBuilder()
+        .addComponents(
+          user.isBlocked
+            ? new ButtonBuilder()
+              .setCustomId(`${this.buttons.unblockUser}${user.userId}`)
+              .setLabel('Desbloquear')
+              .setStyle(ButtonStyle.Success)
+              .setEmoji('🔓')
+            : new ButtonBuilder()
+              .setCustomId(`${this.buttons.blockUser}${user.userId}`)
+              .setLabel('Bloquear / Suspender')
+              .setStyle(ButtonStyle.Danger)
+              .setEmoji('⛔'),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.searchUser)
+            .setLabel('Buscar Outro')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🔍'),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.users)
+            .setLabel('Voltar para Usuários')
+            .setStyle(ButtonStyle.Secondary)
+        );
+
+      if (options.message) {
+        return await options.message.edit({ embeds: [embed], components: [row] });
+      }
+      return await channel.send({ embeds: [embed], components: [row] });
+    } catch (error) {
+      logger.error(`Erro ao renderizar detalhes do usuário ${targetId}:`, error);
+      return await this.renderUsersPanel(channel, options);
+    }
+  }
+
   /**
    * Renderiza painel de estatísticas do sistema
    * @param {TextChannel} channel - Canal onde o painel será enviado
@@ -790,74 +1806,127 @@ class AdminPanel {
    */
   async renderStatsPanel(channel, options = {}) {
     try {
-      // Obter estatísticas (implementação básica)
-      const stats = await this._getSystemStats();
+      // Período e agrupamento continuam valendo entre as atualizações da mesma mensagem
+      const previous = options.message ? this.statsState.get(options.message.id) : null;
+      const range = options.range || previous?.range || '30d';
+      const granularity = options.granularity ||
+        (options.range ? analyticsService.RANGES[range].granularity : previous?.granularity) ||
+        analyticsService.RANGES[range].granularity;
+
+      const { from, to } = analyticsService.getRangeDates(range);
+      const [stats, report] = await Promise.all([
+        this._getSystemStats(),
+        analyticsService.getSalesReport({ from, to, granularity })
+      ]);
+      const charts = analyticsService.renderCharts(report);
+
+      const percent = value => `${(value * 100).toFixed(1)}%`;
+      const conversionLines = Object.entries(report.conversion.byType)
+        .map(([type, entry]) => `**${type}**: ${entry.sold}/${entry.views} (${percent(entry.rate)})`);
 
       // Criar embed
       const embed = new EmbedBuilder()
-        .setTitle('📊 Estatísticas do Sistema')
+        .setTitle('📊 Análise de Vendas')
         .setColor(config.discord.embedColors.primary)
-        .setDescription('Visão geral de atividades e métricas do sistema.')
+        .setDescription(`${analyticsService.RANGES[range].label} • ${formatDate(from)} a ${formatDate(to)}\nReceita agrupada por ${analyticsService.GRANULARITIES[granularity].toLowerCase()}.`)
         .addFields(
           {
-            name: '💰 Vendas',
-            value: `**Total**: ${stats.sales.total} vendas\n**Valor**: R$ ${stats.sales.value.toFixed(2)}\n**Hoje**: ${stats.sales.today} vendas`,
+            name: '💰 Receita',
+            value: `**Total**: ${formatCurrency(report.revenue)}\n**Vendas**: ${report.sales}\n**Ticket médio**: ${formatCurrency(report.averageTicket)}`,
             inline: true
           },
+          {
+            name: '⏱️ Aprovação',
+            value: `**Tempo médio**: ${report.approvalLatency !== null ? formatDuration(report.approvalLatency) : 'N/A'}\n**Rejeição**: ${percent(report.rates.rejection)}\n**Expiração**: ${percent(report.rates.expiration)}\n*(${report.rates.finished} de ${report.rates.created} pagamentos finalizados)*`,
+            inline: true
+          },
+          {
+            name: '👁️ Conversão (visualizações → vendas)',
+            value: `**Geral**: ${report.conversion.total.sold}/${report.conversion.total.views} (${percent(report.conversion.total.rate)})${conversionLines.length > 0 ? `\n${conversionLines.join('\n')}` : ''}`.substring(0, 1024),
+            inline: true
+          },
+          {
+            name: '🏆 Maiores Compradores',
+            value: report.topBuyers.length > 0
+              ? report.topBuyers.map((buyer, index) => `${index + 1}. <@${buyer.userId}> - ${formatCurrency(buyer.total)} (${buyer.count} compra(s))`).join('\n')
+              : 'Nenhuma venda no período'
+          },
           {
             name: '👥 Usuários',
-            value: `**Total**: ${stats.users.total} usuários\n**Ativos**: ${stats.users.active} usuários\n**Novos Hoje**: ${stats.users.newToday} usuários`,
+            value: `**Total**: ${stats.users.total}\n**Ativos**: ${stats.users.active}\n**Novos Hoje**: ${stats.users.newToday}`,
             inline: true
           },
           {
             name: '📦 Produtos',
             value: `**Disponíveis**: ${stats.products.available}\n**Vendidos**: ${stats.products.sold}\n**Visualizações**: ${stats.products.views}`,
             inline: true
-          },
-          {
-            name: '🏆 Produto Mais Vendido',
-            value: stats.topProduct ? `**Nome**: ${stats.topProduct.name}\n**Vendas**: ${stats.topProduct.quantity}` : 'Nenhum produto vendido',
-            inline: false
           }
         )
+        .setImage('attachment://receita.png')
         .setTimestamp();
 
+      const unitsEmbed = new EmbedBuilder()
+        .setTitle('📦 Unidades Vendidas por Tipo')
+        .setColor(config.discord.embedColors.success)
+        .setDescription(Object.keys(report.unitsByType).length > 0
+          ? Object.entries(report.unitsByType).map(([type, units]) => `**${type}**: ${units}`).join('\n')
+          : 'Nenhuma unidade vendida no período')
+        .setImage('attachment://unidades.png');
+
+      const files = [
+        new AttachmentBuilder(charts.revenue, { name: 'receita.png' }),
+        new AttachmentBuilder(charts.units, { name: 'unidades.png' })
+      ];
+
+      // Seletores de período e agrupamento
+      const rangeMenu = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.statsRange)
+        .setPlaceholder('Período')
+        .addOptions(Object.entries(analyticsService.RANGES).map(([value, item]) => ({
+          label: item.label,
+          value,
+          default: value === range
+        })));
+
+      const granularityMenu = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.statsGranularity)
+        .setPlaceholder('Agrupar receita por')
+        .addOptions(Object.entries(analyticsService.GRANULARITIES).map(([value, label]) => ({
+          label: `Receita por ${label.toLowerCase()}`,
+          value,
+          default: value === granularity
+        })));
+
       // Botões de ação
-      const row1 = new ActionRowBuilder()
+      const buttonRow = new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
-            .setCustomId('admin_export_stats')
-            .setLabel('Exportar Relatório')
-            .setStyle(ButtonStyle.Primary)
-            .setEmoji('📝'),
-          new ButtonBuilder()
-            .setCustomId(this.buttons.refresh)
+            .setCustomId(this.buttons.stats)
             .setLabel('Atualizar')
             .setStyle(ButtonStyle.Secondary)
-            .setEmoji('🔄')
-        );
-
-      // Botão de voltar
-      const row2 = new ActionRowBuilder()
-        .addComponents(
+            .setEmoji('🔄'),
           new ButtonBuilder()
             .setCustomId(this.buttons.back)
             .setLabel('Voltar')
             .setStyle(ButtonStyle.Secondary)
         );
 
-      // Enviar ou editar mensagem
-      if (options.message) {
-        return await options.message.edit({
-          embeds: [embed],
-          components: [row1, row2]
-        });
-      } else {
-        return await channel.send({
-          embeds: [embed],
-          components: [row1, row2]
-        });
+      const components = [
+        new ActionRowBuilder().addComponents(rangeMenu),
+        new ActionRowBuilder().addComponents(granularityMenu),
+        buttonRow
+      ];
+
+      // Enviar ou editar mensagem (substituindo os gráficos anteriores)
+      const message = options.message
+        ? await options.message.edit({ embeds: [embed, unitsEmbed], components, files, attachments: [] })
+        : await channel.send({ embeds: [embed, unitsEmbed], components, files });
+
+      if (message?.id) {
+        this._setPanelState(this.statsState, message.id, { range, granularity });
       }
+
+      return message;
     } catch (error) {
       logger.error('Erro ao renderizar painel de estatísticas:', error);
 
@@ -897,121 +1966,1089 @@ class AdminPanel {
   }
 }
 
-/**
- * Manipula interações com o painel
- * @param {Interaction} interaction - Interação do Discord
- * @param {PanelSystem} panelSystem - Sistema de painéis
+  /**
+   * Monta a prévia (dry-run) de uma importação do catálogo
+   * @param {Object} plan - Resultado de catalogService.planImport
+   * @param {string} filename - Nome do arquivo importado
+   * @returns {EmbedBuilder} - Embed com o resumo e as primeiras linhas
+   */
+  buildImportPreview(plan, filename) {
+    const { summary } = plan;
+
+    // Linhas com alteração ou erro primeiro; linhas sem alteração só entram se sobrar espaço
+    const relevant = [
+      ...plan.items.filter(item => item.action !== 'skip'),
+      ...plan.items.filter(item => item.action === 'skip')
+    ];
+
+    const lines = relevant.slice(0, 15).map(item => {
+      const label = `${IMPORT_ACTION_ICONS[item.action]} **L${item.line}** ${(item.nome || 'Sem nome').substring(0, 40)}`;
+
+      if (item.action === 'error') return `${label}: ${item.errors.join('; ').substring(0, 150)}`;
+      if (item.action === 'create') return `${label} (${item.data.tipo}, ${formatCurrency(item.data.preco)})`;
+      if (item.action === 'update') return `${label}: ${Object.keys(item.changes).join(', ')}`;
+      return `${label}: sem alterações`;
+    });
+
+    if (relevant.length > lines.length) {
+      lines.push(`... e mais ${relevant.length - lines.length} linha(s) no arquivo anexo`);
+    }
+
+    return new EmbedBuilder()
+      .setTitle('📥 Prévia da Importação')
+      .setColor(summary.error > 0 ? config.discord.embedColors.warning : config.discord.embedColors.primary)
+      .setDescription(
+        `**Arquivo**: ${filename}\n` +
+        `${IMPORT_ACTION_ICONS.create} Criar: **${summary.create}** • ${IMPORT_ACTION_ICONS.update} Atualizar: **${summary.update}** • ` +
+        `${IMPORT_ACTION_ICONS.skip} Sem alterações: **${summary.skip}** • ${IMPORT_ACTION_ICONS.error} Com erro: **${summary.error}**\n\n` +
+        `${lines.join('\n')}\n\n` +
+        'Nada foi alterado ainda. Ao confirmar, apenas as linhas válidas são aplicadas.'
+      )
+      .setFooter({ text: `A prévia expira em ${formatDuration(config.catalog.importConfirmTTL)}` })
+      .setTimestamp();
+  }
+
+  /**
+   * Renderiza o navegador de auditoria: registros paginados com filtros
+   * @param {TextChannel} channel - Canal onde o painel será enviado
+   * @param {Object} options - Opções adicionais
+   * @param {number} options.page - Página
+   * @param {Object} options.filters - Filtros (severity, category, action, userId, targetId, period)
+   */
+  async renderAuditPanel(channel, options = {}) {
+    try {
+      // Filtros e página continuam valendo entre as atualizações da mesma mensagem
+      const previous = options.message ? this.auditState.get(options.message.id) : null;
+      const filters = options.filters || previous?.filters || {};
+      let page = Math.max(options.page || previous?.page || 1, 1);
+
+      let result = await auditLogger.searchLogs(this._toAuditSearch(filters), {
+        limit: AUDIT_PAGE_SIZE,
+        skip: (page - 1) * AUDIT_PAGE_SIZE
+      });
+
+      // Filtros novos podem reduzir o total de páginas
+      if (page > 1 && page > result.totalPages) {
+        page = Math.max(result.totalPages, 1);
+        result = await auditLogger.searchLogs(this._toAuditSearch(filters), {
+          limit: AUDIT_PAGE_SIZE,
+          skip: (page - 1) * AUDIT_PAGE_SIZE
+        });
+      }
+
+      const totalPages = Math.max(result.totalPages, 1);
+
+      const entries = result.logs.map(entry =>
+        `${AUDIT_SEVERITY_ICONS[entry.severity] || '•'} <t:${Math.floor(new Date(entry.timestamp).getTime() / 1000)}:f> **${entry.action}** (${entry.category}/${entry.status})\n` +
+        `↳ 👤 ${entry.userId || '—'} → 🎯 ${entry.targetId || '—'}`
+      );
+
+      const embed = new EmbedBuilder()
+        .setTitle('🛡️ Auditoria')
+        .setColor(config.discord.embedColors.primary)
+        .setDescription(
+          `**${result.total}** registro(s)${this._describeAuditFilters(filters)}.\n\n` +
+          (entries.length > 0 ? entries.join('\n') : 'Nenhum registro corresponde aos filtros atuais.')
+        )
+        .setFooter({ text: `Página ${page}/${totalPages} • Mais recentes primeiro` })
+        .setTimestamp();
+
+      const components = [];
+
+      if (result.logs.length > 0) {
+        const entryMenu = new StringSelectMenuBuilder()
+          .setCustomId(this.buttons.auditSelect)
+          .setPlaceholder('Abrir detalhes de um registro')
+          .addOptions(result.logs.map(entry => ({
+            label: entry.action.substring(0, 100),
+            description: `${formatDate(entry.timestamp)} • ${entry.userId || 'sem autor'}`.substring(0, 100),
+            value: entry.id,
+            emoji: AUDIT_SEVERITY_ICONS[entry.severity] || undefined
+          })));
+
+        components.push(new ActionRowBuilder().addComponents(entryMenu));
+      }
+
+      const severityMenu = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.auditSeverity)
+        .setPlaceholder('Filtrar por severidade')
+        .addOptions(
+          { label: 'Severidade: qualquer', value: 'all', default: !filters.severity },
+          ...Object.entries(AUDIT_SEVERITY_ICONS).map(([severity, emoji]) => ({
+            label: `Severidade: ${severity}`,
+            value: severity,
+            emoji,
+            default: filters.severity === severity
+          }))
+        );
+
+      const categoryMenu = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.auditCategory)
+        .setPlaceholder('Filtrar por categoria')
+        .addOptions(
+          { label: 'Categoria: qualquer', value: 'all', default: !filters.category },
+          ...AuditLog.rawAttributes.category.values.map(category => ({
+            label: `Categoria: ${category}`,
+            value: category,
+            default: filters.category === category
+          }))
+        );
+
+      components.push(new ActionRowBuilder().addComponents(severityMenu));
+      components.push(new ActionRowBuilder().addComponents(categoryMenu));
+
+      components.push(new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(this.buttons.auditFilter)
+            .setLabel('Ação, autor, alvo e período')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🔎'),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.auditClear)
+            .setLabel('Limpar filtros')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('🧹')
+            .setDisabled(Object.keys(filters).length === 0),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.auditExport)
+            .setLabel('Exportar JSONL')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('📤')
+            .setDisabled(result.total === 0)
+        ));
+
+      components.push(new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(this.buttons.auditPrev)
+            .setLabel('◀️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page <= 1),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.auditNext)
+            .setLabel('▶️')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page >= totalPages),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.auditList)
+            .setLabel('Atualizar')
+            .setStyle(ButtonStyle.Secondary),
+          new ButtonBuilder()
+            .setCustomId(this.buttons.back)
+            .setLabel('Voltar')
+            .setStyle(ButtonStyle.Primary)
+        ));
+
+      const message = options.message
+        ? await options.message.edit({ embeds: [embed], components })
+        : await channel.send({ embeds: [embed], components });
+
+      if (message?.id) {
+        this._setPanelState(this.auditState, message.id, { filters, page });
+      }
+
+      return message;
+    } catch (error) {
+      logger.error('Erro ao renderizar painel de auditoria:', error);
+
+      const errorEmbed = new EmbedBuilder()
+        .setTitle('❌ Erro')
+        .setColor(config.discord.embedColors.error)
+        .setDescription('Ocorreu um erro ao carregar os registros de auditoria. Por favor, tente novamente.')
+        .setTimestamp();
+
+      const payload = {
+        embeds: [errorEmbed],
+        components: [
+          new ActionRowBuilder()
+            .addComponents(
+              new ButtonBuilder()
+                .setCustomId(this.buttons.back)
+                .setLabel('Voltar')
+                .setStyle(ButtonStyle.Primary)
+            )
+        ]
+      };
+
+      return options.message ? await options.message.edit(payload) : await channel.send(payload);
+    }
+  }
+
+  /**
+   * Renderiza um registro de auditoria com os detalhes completos
+   * @param {TextChannel} channel - Canal onde a mensagem será enviada
+   * @param {string} entryId - ID do registro
+   * @param {Object} options - Opções adicionais
+   */
+  async renderAuditEntry(channel, entryId, options = {}) {
+    const entry = await AuditLog.findByPk(entryId);
+
+    if (!entry) {
+      return await this.renderAuditPanel(channel, options);
+    }
+
+    const severityColors = {
+      INFO: config.discord.embedColors.info,
+      WARNING: config.discord.embedColors.warning,
+      ERROR: config.discord.embedColors.error,
+      CRITICAL: config.discord.embedColors.error
+    };
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${AUDIT_SEVERITY_ICONS[entry.severity] || '🛡️'} ${entry.action}`.substring(0, 256))
+      .setColor(severityColors[entry.severity] || config.discord.embedColors.primary)
+      .addFields(
+        { name: '📂 Categoria', value: entry.category, inline: true },
+        { name: '🚦 Severidade', value: entry.severity, inline: true },
+        { name: '📌 Status', value: entry.status, inline: true },
+        { name: '👤 Autor', value: entry.userId ? `${entry.userId}${/^\d+$/.test(entry.userId) ? ` (<@${entry.userId}>)` : ''}` : '—', inline: true },
+        { name: '🎯 Alvo', value: entry.targetId || '—', inline: true },
+        { name: '🌐 IP', value: entry.ip || '—', inline: true },
+        { name: '📅 Data', value: formatDate(entry.timestamp), inline: true },
+        { name: '🗄️ Retenção até', value: entry.retentionDate && !isNaN(new Date(entry.retentionDate)) ? formatDate(entry.retentionDate) : '—', inline: true },
+        { name: '🆔 ID', value: entry.id, inline: false }
+      )
+      .setTimestamp();
+
+    // Detalhes em blocos de até 1000 caracteres (limite do campo do embed)
+    const details = JSON.stringify(entry.details || {}, null, 2);
+    const chunks = details.match(/[\s\S]{1,1000}/g) || ['{}'];
+
+    chunks.slice(0, 4).forEach((chunk, index) => {
+      embed.addFields({ name: index === 0 ? '🧾 Detalhes' : '🧾 Detalhes (cont.)', value: `\`\`\`json\n${chunk}\n\`\`\`` });
+    });
+
+    if (chunks.length > 4) {
+      embed.addFields({ name: '✂️ Detalhes truncados', value: 'Use "Exportar JSONL" para ver o registro completo.' });
+    }
+
+    const row = new ActionRowBuilder();
+
+    if (entry.userId) {
+      row.addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${this.buttons.auditActor}${entry.userId}`.substring(0, 100))
+          .setLabel('Registros deste autor')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('👤')
+      );
+    }
+
+    if (entry.targetId) {
+      row.addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${this.buttons.auditTarget}${entry.targetId}`.substring(0, 100))
+          .setLabel('Registros deste alvo')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('🎯')
+      );
+    }
+
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(this.buttons.auditList)
+        .setLabel('Voltar à lista')
+        .setStyle(ButtonStyle.Primary)
+    );
+
+    return await options.message.edit({ embeds: [embed], components: [row] });
+  }
+
+  /**
+   * Converte os filtros do painel nos filtros de auditLogger.searchLogs
+   * @private
+   */
+  _toAuditSearch(filters) {
+    const search = { ...filters };
+    delete search.period;
+
+    const period = parseDuration(filters.period);
+    if (period) search.startDate = new Date(Date.now() - period);
+
+    return search;
+  }
+
+  /**
+   * @private
+   */
+  _describeAuditFilters(filters) {
+    const labels = {
+      severity: 'severidade',
+      category: 'categoria',
+      action: 'ação',
+      userId: 'autor',
+      targetId: 'alvo',
+      period: 'últimos'
+    };
+
+    const parts = Object.entries(filters).map(([key, value]) => `${labels[key]}: \`${value}\``);
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+  }
+
+/**
+ * Manipula interações com o painel
+ * @param {Interaction} interaction - Interação do Discord
+ * @param {PanelSystem} panelSystem - Sistema de painéis
  */
 async handleInteraction(interaction, panelSystem) {
   try {
     const customId = interaction.customId;
 
-    // Voltar ao menu principal
-    if (customId === this.buttons.back) {
+    // Toda interação do painel exige a capacidade correspondente
+    const capability = this.getRequiredCapability(customId);
+    if (!(await permissionService.authorize(interaction, capability))) {
+      return await interaction.reply({
+        content: `❌ Você não tem permissão para esta ação (\`${capability}\`).`,
+        ephemeral: true
+      });
+    }
+
+    // Voltar ao menu principal
+    if (customId === this.buttons.back) {
+      await interaction.deferUpdate();
+      return await panelSystem.renderPanel('main', interaction.channel, {
+        userId: interaction.user.id,
+        username: interaction.user.tag,
+        message: interaction.message
+      });
+    }
+
+    // Atualizar painel
+    if (customId === this.buttons.refresh) {
+      await interaction.deferUpdate();
+      return await this.render(interaction.channel, {
+        userId: interaction.user.id,
+        username: interaction.user.tag,
+        message: interaction.message
+      }, panelSystem);
+    }
+
+    // Mostrar painel de pagamentos
+    if (customId === this.buttons.payments) {
+      await interaction.deferUpdate();
+      return await this.renderPaymentsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        username: interaction.user.tag,
+        message: interaction.message
+      });
+    }
+
+    // Mostrar painel de produtos
+    if (customId === this.buttons.products) {
+      await interaction.deferUpdate();
+      return await this.renderProductsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        username: interaction.user.tag,
+        message: interaction.message
+      });
+    }
+
+    // Mostrar painel de usuários
+    if (customId === this.buttons.users) {
+      await interaction.deferUpdate();
+      return await this.renderUsersPanel(interaction.channel, {
+        userId: interaction.user.id,
+        username: interaction.user.tag,
+        message: interaction.message
+      });
+    }
+
+    // Estatísticas
+    if (customId === this.buttons.stats) {
+      await interaction.deferUpdate();
+      return await this.renderStatsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        username: interaction.user.tag,
+        message: interaction.message
+      });
+    }
+
+    // Estatísticas: período e agrupamento da receita
+    if ((customId === this.buttons.statsRange || customId === this.buttons.statsGranularity) && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+
+      return await this.renderStatsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        [customId === this.buttons.statsRange ? 'range' : 'granularity']: interaction.values[0]
+      });
+    }
+
+    // Sincronizar produtos
+    if (customId === this.buttons.sync) {
+      await interaction.deferReply({ ephemeral: true });
+
+      try {
+        const lztService = require('../product/lzt');
+        const result = await lztService.syncProducts({ trigger: interaction.user.id });
+
+        if (result.success) {
+          await interaction.editReply({
+            content: `✅ Sincronização concluída em ${formatDuration(result.durationMs)}! ${result.received} produtos no feed (${result.pages} página(s)): ` +
+              `${result.added} adicionados, ${result.updated} atualizados, ${result.delisted} retirados da loja, ${result.errors} erros.`
+          });
+        } else {
+          await interaction.editReply({
+            content: `❌ Erro na sincronização: ${result.message}`
+          });
+        }
+      } catch (error) {
+        logger.error('Erro ao sincronizar produtos:', error);
+        await interaction.editReply({
+          content: '❌ Erro ao sincronizar produtos. Verifique os logs.'
+        });
+      }
+
+      // Atualizar painel após sincronização
+      await this.render(interaction.channel, {
+        userId: interaction.user.id,
+        username: interaction.user.tag,
+        message: interaction.message
+      }, panelSystem);
+
+      return;
+    }
+
+    // Triagem: seleção para ação em lote
+    if (customId === this.buttons.triageSelect && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+
+      const state = this.triageState.get(interaction.message.id) || { filters: {}, page: 1 };
+      this._setPanelState(this.triageState, interaction.message.id, { ...state, selected: interaction.values });
+
+      return await this.renderPaymentsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Triagem: filtros por idade, valor e risco (voltam para a primeira página)
+    if (customId === this.buttons.triageFilter && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+
+      const state = this.triageState.get(interaction.message.id) || { filters: {} };
+      this._setPanelState(this.triageState, interaction.message.id, { filters: state.filters, page: 1, selected: [] });
+
+      return await this.renderPaymentsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        filters: this._applyTriageFilter(state.filters, interaction.values[0])
+      });
+    }
+
+    // Triagem: paginação mantendo os filtros
+    if (customId === this.buttons.triagePrev || customId === this.buttons.triageNext) {
+      await interaction.deferUpdate();
+
+      const state = this.triageState.get(interaction.message.id) || { filters: {}, page: 1 };
+      const page = (state.page || 1) + (customId === this.buttons.triageNext ? 1 : -1);
+      this._setPanelState(this.triageState, interaction.message.id, { filters: state.filters, page, selected: [] });
+
+      return await this.renderPaymentsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        page
+      });
+    }
+
+    // Triagem: filtro por usuário
+    if (customId === this.buttons.triageUser) {
+      const state = this.triageState.get(interaction.message.id);
+
+      const modal = new ModalBuilder()
+        .setCustomId(this.buttons.triageUserModal)
+        .setTitle('Filtrar por Usuário');
+
+      const userInput = new TextInputBuilder()
+        .setCustomId('triage_user')
+        .setLabel('ID ou nome do usuário (vazio = todos)')
+        .setStyle(TextInputStyle.Short)
+        .setRequired(false)
+        .setMaxLength(100);
+
+      if (state?.filters?.user) userInput.setValue(state.filters.user);
+
+      modal.addComponents(new ActionRowBuilder().addComponents(userInput));
+      return await interaction.showModal(modal);
+    }
+
+    if (interaction.isModalSubmit() && customId === this.buttons.triageUserModal) {
+      await interaction.deferUpdate();
+
+      const state = this.triageState.get(interaction.message.id) || { filters: {} };
+      const user = interaction.fields.getTextInputValue('triage_user').trim().replace(/^<@!?(\d+)>$/, '$1');
+      const filters = { ...state.filters };
+
+      if (user) {
+        filters.user = user;
+      } else {
+        delete filters.user;
+      }
+
+      this._setPanelState(this.triageState, interaction.message.id, { filters, page: 1, selected: [] });
+
+      return await this.renderPaymentsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        filters
+      });
+    }
+
+    // Triagem: aprovar os selecionados
+    if (customId === this.buttons.triageApprove) {
+      await interaction.deferUpdate();
+
+      const state = this.triageState.get(interaction.message.id);
+      if (!state?.selected?.length) {
+        return await interaction.followUp({ content: '❌ Nenhum pagamento selecionado.', ephemeral: true });
+      }
+
+      const results = await paymentService.bulkReview(state.selected, 'APPROVE', interaction.user.id);
+      this._setPanelState(this.triageState, interaction.message.id, { ...state, selected: [] });
+
+      await interaction.followUp({ content: this._formatBulkResults(results, 'APPROVE'), ephemeral: true });
+
+      return await this.renderPaymentsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Triagem: rejeitar os selecionados com um motivo comum
+    if (customId === this.buttons.triageReject) {
+      const state = this.triageState.get(interaction.message.id);
+      if (!state?.selected?.length) {
+        return await interaction.reply({ content: '❌ Nenhum pagamento selecionado.', ephemeral: true });
+      }
+
+      const modal = new ModalBuilder()
+        .setCustomId(this.buttons.triageRejectModal)
+        .setTitle(`Rejeitar ${state.selected.length} Pagamento(s)`);
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reject_reason')
+            .setLabel('Motivo da rejeição (vale para todos)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMaxLength(200)
+        )
+      );
+
+      return await interaction.showModal(modal);
+    }
+
+    if (interaction.isModalSubmit() && customId === this.buttons.triageRejectModal) {
+      await interaction.deferUpdate();
+
+      const state = this.triageState.get(interaction.message.id);
+      if (!state?.selected?.length) {
+        return await interaction.followUp({ content: '❌ Nenhum pagamento selecionado.', ephemeral: true });
+      }
+
+      const reason = interaction.fields.getTextInputValue('reject_reason').trim();
+      const results = await paymentService.bulkReview(state.selected, 'REJECT', interaction.user.id, reason);
+      this._setPanelState(this.triageState, interaction.message.id, { ...state, selected: [] });
+
+      await interaction.followUp({ content: this._formatBulkResults(results, 'REJECT'), ephemeral: true });
+
+      return await this.renderPaymentsPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Tratar seleção de pagamento
+    if (customId === 'admin_select_payment' && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+      const selectedPaymentId = interaction.values[0];
+
+      // Renderizar detalhes do pagamento selecionado
+      return await this.renderPaymentDetails(interaction.channel, selectedPaymentId, {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Tratar seleção de produto
+    if (customId === 'admin_select_product' && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+
+      return await this.renderProductDetails(interaction.channel, interaction.values[0], {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Buscar usuário por ID ou nome
+    if (customId === this.buttons.searchUser) {
+      const modal = new ModalBuilder()
+        .setCustomId(this.buttons.searchModal)
+        .setTitle('Buscar Usuário');
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('user_query')
+            .setLabel('ID do Discord, menção ou nome')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(100)
+        )
+      );
+
+      return await interaction.showModal(modal);
+    }
+
+    if (interaction.isModalSubmit() && customId === this.buttons.searchModal) {
+      await interaction.deferUpdate();
+
+      const query = interaction.fields.getTextInputValue('user_query');
+      const users = await userService.searchUsers(query);
+
+      if (users.length === 1) {
+        return await this.renderUserDetails(interaction.channel, users[0].userId, {
+          userId: interaction.user.id,
+          message: interaction.message
+        });
+      }
+
+      return await this.renderUserList(interaction.channel, users, {
+        title: `🔍 Resultados para "${query.substring(0, 50)}"`,
+        message: interaction.message
+      });
+    }
+
+    // Usuários bloqueados e suspensos
+    if (customId === this.buttons.blockManagement) {
+      await interaction.deferUpdate();
+
+      const users = await userService.getBlockedUsers();
+      return await this.renderUserList(interaction.channel, users, {
+        title: '⛔ Usuários Bloqueados e Suspensos',
+        message: interaction.message
+      });
+    }
+
+    // Detalhes do usuário selecionado
+    if (customId === this.buttons.selectUser && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+
+      return await this.renderUserDetails(interaction.channel, interaction.values[0], {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Bloquear ou suspender: pedir motivo e duração
+    if (customId.startsWith(this.buttons.blockUser)) {
+      const targetId = customId.replace(this.buttons.blockUser, '');
+
+      const modal = new ModalBuilder()
+        .setCustomId(`${this.buttons.blockModal}${targetId}`)
+        .setTitle('Bloquear Usuário');
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('block_reason')
+            .setLabel('Motivo')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMaxLength(200)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('block_duration')
+            .setLabel('Duração da suspensão (vazio = permanente)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('Ex: 30m, 12h, 7d, 2w')
+            .setRequired(false)
+            .setMaxLength(10)
+        )
+      );
+
+      return await interaction.showModal(modal);
+    }
+
+    if (interaction.isModalSubmit() && customId.startsWith(this.buttons.blockModal)) {
+      await interaction.deferUpdate();
+
+      const targetId = customId.replace(this.buttons.blockModal, '');
+      const reason = interaction.fields.getTextInputValue('block_reason').trim();
+      const durationText = interaction.fields.getTextInputValue('block_duration').trim();
+
+      let until = null;
+      if (durationText) {
+        const duration = parseDuration(durationText);
+        if (!duration) {
+          return await interaction.followUp({
+            content: `❌ Duração inválida: "${durationText}". Use minutos (30m), horas (12h), dias (7d) ou semanas (2w).`,
+            ephemeral: true
+          });
+        }
+        until = new Date(Date.now() + duration);
+      }
+
+      const result = await userService.blockUser(targetId, reason, interaction.user.id, { until });
+
+      await interaction.followUp({
+        content: result.success
+          ? (until ? `✅ Usuário suspenso até <t:${Math.floor(until.getTime() / 1000)}:f>.` : '✅ Usuário bloqueado.')
+          : `❌ Erro ao bloquear usuário: ${result.message}`,
+        ephemeral: true
+      });
+
+      return await this.renderUserDetails(interaction.channel, targetId, {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Desbloquear: pedir motivo
+    if (customId.startsWith(this.buttons.unblockUser)) {
+      const targetId = customId.replace(this.buttons.unblockUser, '');
+
+      const modal = new ModalBuilder()
+        .setCustomId(`${this.buttons.unblockModal}${targetId}`)
+        .setTitle('Desbloquear Usuário');
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('unblock_reason')
+            .setLabel('Motivo do desbloqueio')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMaxLength(200)
+        )
+      );
+
+      return await interaction.showModal(modal);
+    }
+
+    if (interaction.isModalSubmit() && customId.startsWith(this.buttons.unblockModal)) {
+      await interaction.deferUpdate();
+
+      const targetId = customId.replace(this.buttons.unblockModal, '');
+      const reason = interaction.fields.getTextInputValue('unblock_reason').trim();
+      const result = await userService.unblockUser(targetId, interaction.user.id, reason);
+
+      await interaction.followUp({
+        content: result.success ? '✅ Usuário desbloqueado.' : `❌ Erro ao desbloquear usuário: ${result.message}`,
+        ephemeral: true
+      });
+
+      return await this.renderUserDetails(interaction.channel, targetId, {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Novo produto
+    if (customId === this.buttons.addProduct) {
+      return await interaction.showModal(this.buildProductModal());
+    }
+
+    // Editar produto (modal pré-preenchido)
+    if (customId.startsWith(this.buttons.editProduct)) {
+      const product = await Product.findByPk(customId.replace(this.buttons.editProduct, ''));
+      if (!product) {
+        return await interaction.reply({ content: '❌ Produto não encontrado.', ephemeral: true });
+      }
+      return await interaction.showModal(this.buildProductModal(product));
+    }
+
+    // Editar detalhes estruturados
+    if (customId.startsWith(this.buttons.productDetails)) {
+      const product = await Product.findByPk(customId.replace(this.buttons.productDetails, ''));
+      if (!product) {
+        return await interaction.reply({ content: '❌ Produto não encontrado.', ephemeral: true });
+      }
+
+      const modal = this.buildDetailsModal(product);
+      if (!modal) {
+        return await interaction.reply({ content: `❌ A categoria \`${product.tipo}\` não tem campos de detalhes. Cadastre os campos em **Categorias**.`, ephemeral: true });
+      }
+      return await interaction.showModal(modal);
+    }
+
+    // Salvar produto criado ou editado
+    if (interaction.isModalSubmit() && customId.startsWith(this.buttons.productModal)) {
       await interaction.deferUpdate();
-      return await panelSystem.renderPanel('main', interaction.channel, {
+
+      const target = customId.replace(this.buttons.productModal, '');
+      const data = this._parseProductForm(interaction.fields);
+      let productId = target;
+      let errors = [];
+
+      if (target === 'new') {
+        try {
+          const product = await productService.createProduct({ ...data, criadoPor: interaction.user.id });
+          productId = product.id;
+        } catch (error) {
+          errors = error.validation || [error.message];
+        }
+      } else {
+        const result = await productService.updateProduct(target, data, interaction.user.id);
+        if (!result.success) errors = result.errors || [result.message];
+      }
+
+      if (errors.length > 0) {
+        await interaction.followUp({
+          content: `❌ Não foi possível salvar o produto:\n${errors.map(error => `• ${error}`).join('\n')}`,
+          ephemeral: true
+        });
+
+        if (target === 'new') return;
+      } else {
+        await interaction.followUp({
+          content: target === 'new'
+            ? '✅ Produto criado! Use **Detalhes** para informar os campos da categoria e **Credenciais** para cadastrar o acesso da conta.'
+            : '✅ Produto atualizado.',
+          ephemeral: true
+        });
+      }
+
+      return await this.renderProductDetails(interaction.channel, productId, {
         userId: interaction.user.id,
-        username: interaction.user.tag,
         message: interaction.message
       });
     }
 
-    // Atualizar painel
-    if (customId === this.buttons.refresh) {
+    // Salvar detalhes estruturados
+    if (interaction.isModalSubmit() && customId.startsWith(this.buttons.detailsModal)) {
       await interaction.deferUpdate();
-      return await this.render(interaction.channel, {
+
+      const productId = customId.replace(this.buttons.detailsModal, '');
+      const product = await Product.findByPk(productId);
+      if (!product) {
+        return await interaction.followUp({ content: '❌ Produto não encontrado.', ephemeral: true });
+      }
+
+      const detalhes = this._parseDetailsForm(interaction.fields, product.detalhes, product.tipo);
+      const result = await productService.updateProduct(productId, { detalhes }, interaction.user.id);
+
+      await interaction.followUp({
+        content: result.success
+          ? '✅ Detalhes atualizados.'
+          : `❌ Não foi possível salvar os detalhes:\n${(result.errors || [result.message]).map(error => `• ${error}`).join('\n')}`,
+        ephemeral: true
+      });
+
+      return await this.renderProductDetails(interaction.channel, productId, {
         userId: interaction.user.id,
-        username: interaction.user.tag,
         message: interaction.message
-      }, panelSystem);
+      });
     }
 
-    // Mostrar painel de pagamentos
-    if (customId === this.buttons.payments) {
+    // Categorias de produtos
+    if (customId === this.buttons.categories) {
       await interaction.deferUpdate();
-      return await this.renderPaymentsPanel(interaction.channel, {
-        userId: interaction.user.id,
-        username: interaction.user.tag,
-        message: interaction.message
+      return await this.renderCategoriesPanel(interaction.channel, { message: interaction.message });
+    }
+
+    if (customId === this.buttons.categoryNew) {
+      return await interaction.showModal(this.buildCategoryModal());
+    }
+
+    if (customId === this.buttons.categorySelect) {
+      const category = categoryService.get(interaction.values[0]);
+      if (!category) {
+        return await interaction.reply({ content: '❌ Categoria não encontrada.', ephemeral: true });
+      }
+      return await interaction.showModal(this.buildCategoryModal(category));
+    }
+
+    // Salvar categoria criada ou editada
+    if (interaction.isModalSubmit() && customId.startsWith(this.buttons.categoryModal)) {
+      await interaction.deferUpdate();
+
+      const target = customId.replace(this.buttons.categoryModal, '');
+      const category = target === 'new' ? null : categoryService.get(target);
+      const { data, errors } = this._parseCategoryForm(interaction.fields, category);
+
+      if (target === 'new' && categoryService.get(data.slug)) {
+        errors.push(`Já existe uma categoria com o slug "${data.slug}"`);
+      }
+
+      const result = errors.length > 0
+        ? { success: false, message: errors.map(error => `• ${error}`).join('\n') }
+        : await categoryService.saveCategory(data, interaction.user.id);
+
+      await interaction.followUp({
+        content: result.success
+          ? `✅ Categoria ${category ? 'atualizada' : 'criada'}.`
+          : `❌ Não foi possível salvar a categoria:\n${result.message}`,
+        ephemeral: true
       });
+
+      return await this.renderCategoriesPanel(interaction.channel, { message: interaction.message });
     }
 
-    // Mostrar painel de produtos
-    if (customId === this.buttons.products) {
+    // Remover produto: pedir confirmação
+    if (customId.startsWith(this.buttons.removeProduct)) {
+      await interaction.deferUpdate();
+
+      const product = await Product.findByPk(customId.replace(this.buttons.removeProduct, ''));
+      if (!product) {
+        return await this.renderProductsPanel(interaction.channel, { message: interaction.message });
+      }
+
+      return await this.renderRemoveConfirmation(interaction.message, product);
+    }
+
+    // Remoção confirmada
+    if (customId.startsWith(this.buttons.confirmRemove)) {
       await interaction.deferUpdate();
+
+      const productId = customId.replace(this.buttons.confirmRemove, '');
+      const result = await productService.removeProduct(productId, interaction.user.id);
+
+      await interaction.followUp({
+        content: result.success ? '✅ Produto removido do catálogo.' : `❌ Erro ao remover produto: ${result.message}`,
+        ephemeral: true
+      });
+
+      if (!result.success) {
+        return await this.renderProductDetails(interaction.channel, productId, {
+          userId: interaction.user.id,
+          message: interaction.message
+        });
+      }
+
       return await this.renderProductsPanel(interaction.channel, {
         userId: interaction.user.id,
-        username: interaction.user.tag,
         message: interaction.message
       });
     }
 
-    // Mostrar painel de usuários
-    if (customId === this.buttons.users) {
+    // Remoção cancelada
+    if (customId.startsWith(this.buttons.cancelRemove)) {
       await interaction.deferUpdate();
-      return await this.renderUsersPanel(interaction.channel, {
+
+      return await this.renderProductDetails(interaction.channel, customId.replace(this.buttons.cancelRemove, ''), {
         userId: interaction.user.id,
-        username: interaction.user.tag,
         message: interaction.message
       });
     }
 
-    // Estatísticas
-    if (customId === this.buttons.stats) {
+    // Abrir modal de credenciais do produto
+    if (customId.startsWith(this.buttons.productCredentials)) {
+      const productId = customId.replace(this.buttons.productCredentials, '');
+      return await interaction.showModal(this.buildCredentialsModal(productId));
+    }
+
+    // Gravar credenciais no cofre
+    if (interaction.isModalSubmit() && customId.startsWith(this.buttons.credentialsModal)) {
       await interaction.deferUpdate();
-      return await this.renderStatsPanel(interaction.channel, {
+
+      const productId = customId.replace(this.buttons.credentialsModal, '');
+      const secret = {};
+      for (const field of vaultService.SECRET_FIELDS) {
+        secret[field] = interaction.fields.getTextInputValue(field);
+      }
+
+      const result = await vaultService.storeSecret(productId, secret, interaction.user.id);
+
+      await interaction.followUp({
+        content: result.success
+          ? '✅ Credenciais criptografadas e salvas no cofre.'
+          : `❌ Erro ao salvar credenciais: ${result.message}`,
+        ephemeral: true
+      });
+
+      return await this.renderProductDetails(interaction.channel, productId, {
         userId: interaction.user.id,
-        username: interaction.user.tag,
         message: interaction.message
       });
     }
 
-    // Sincronizar produtos
-    if (customId === this.buttons.sync) {
-      await interaction.deferReply({ ephemeral: true });
+    // Liberar produto da quarentena
+    if (customId.startsWith(this.buttons.releaseQuarantine)) {
+      await interaction.deferUpdate();
 
-      try {
-        const lztService = require('../product/lzt');
-        const result = await lztService.syncProducts();
+      const productId = customId.replace(this.buttons.releaseQuarantine, '');
+      const result = await productService.releaseFromQuarantine(productId, interaction.user.id);
 
-        if (result.success) {
-          await interaction.editReply({
-            content: `✅ Sincronização concluída! ${result.added} produtos adicionados, ${result.updated} atualizados, ${result.errors} erros.`
-          });
-        } else {
-          await interaction.editReply({
-            content: `❌ Erro na sincronização: ${result.message}`
-          });
-        }
-      } catch (error) {
-        logger.error('Erro ao sincronizar produtos:', error);
-        await interaction.editReply({
-          content: '❌ Erro ao sincronizar produtos. Verifique os logs.'
-        });
-      }
+      await interaction.followUp({
+        content: result.success
+          ? '✅ Produto devolvido à venda.'
+          : `❌ Erro ao liberar produto: ${result.message}`,
+        ephemeral: true
+      });
 
-      // Atualizar painel após sincronização
-      await this.render(interaction.channel, {
+      return await this.renderProductDetails(interaction.channel, productId, {
         userId: interaction.user.id,
-        username: interaction.user.tag,
         message: interaction.message
-      }, panelSystem);
-
-      return;
+      });
     }
 
-    // Tratar seleção de pagamento
-    if (customId === 'admin_select_payment' && interaction.isStringSelectMenu()) {
+    // Processamento do modal de reembolso
+    if (interaction.isModalSubmit() && customId.startsWith(this.buttons.refundModal)) {
       await interaction.deferUpdate();
-      const selectedPaymentId = interaction.values[0];
 
-      // Renderizar detalhes do pagamento selecionado
-      return await this.renderPaymentDetails(interaction.channel, selectedPaymentId, {
+      const [mode, ...idParts] = customId.replace(this.buttons.refundModal, '').split('_');
+      const paymentId = idParts.join('_');
+      const reason = interaction.fields.getTextInputValue('refund_reason');
+
+      const result = await paymentService.refundPayment(paymentId, {
+        reason,
+        adminId: interaction.user.id,
+        restock: mode === 'restock',
+        chargeback: mode === 'chargeback'
+      });
+
+      let content;
+      if (result.success) {
+        content = `✅ ${mode === 'chargeback' ? 'Chargeback registrado' : 'Pagamento reembolsado'}. Motivo: ${reason}`;
+        if (result.refund?.manual && mode !== 'chargeback') {
+          content += `\n⚠️ ${result.refund.message || 'Devolva o valor manualmente ao comprador.'}`;
+        }
+        if (result.reversedPoints > 0) {
+          content += `\n🎖️ ${result.reversedPoints} ponto(s) de fidelidade estornado(s).`;
+        }
+        content += mode === 'restock'
+          ? '\n📦 Produto(s) de volta à venda. As credenciais antigas foram apagadas do cofre; cadastre novas antes da próxima venda.'
+          : '\n🚧 Produto(s) em quarentena.';
+      } else {
+        content = `❌ Erro ao reembolsar pagamento: ${result.message}`;
+      }
+
+      await interaction.followUp({ content, ephemeral: true });
+
+      return await this.renderPaymentDetails(interaction.channel, paymentId, {
         userId: interaction.user.id,
         message: interaction.message
       });
     }
 
+    // Reembolso ou chargeback: pedir o motivo
+    if (customId.startsWith(this.buttons.refund)) {
+      const target = customId.replace(this.buttons.refund, '');
+      const mode = target.split('_')[0];
+
+      const modal = new ModalBuilder()
+        .setCustomId(`${this.buttons.refundModal}${target}`)
+        .setTitle(mode === 'chargeback' ? 'Registrar Chargeback' : 'Reembolsar Pagamento');
+
+      const reasonInput = new TextInputBuilder()
+        .setCustomId('refund_reason')
+        .setLabel('Motivo')
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('Informe o motivo do reembolso')
+        .setRequired(true)
+        .setMaxLength(200);
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(reasonInput)
+      );
+
+      return await interaction.showModal(modal);
+    }
+
     // Aprovar pagamento
     if (customId.startsWith(this.buttons.approve)) {
       await interaction.deferReply({ ephemeral: true });
@@ -1021,7 +3058,20 @@ async handleInteraction(interaction, panelSystem) {
 
       if (result.success) {
         await interaction.editReply({
-          content: `✅ Pagamento aprovado com sucesso! Dados enviados ao usuário.`
+          content: result.delivered
+            ? '✅ Pagamento aprovado com sucesso! Dados enviados ao usuário por DM.'
+            : '✅ Pagamento aprovado, mas não foi possível enviar a DM ao usuário. Entregue os dados manualmente.'
+        });
+      } else if (result.pendingApproval) {
+        await interaction.editReply({
+          content: `⏳ ${result.message}`
+        });
+
+        // Manter os detalhes abertos mostrando quem já aprovou
+        return await this.renderPaymentDetails(interaction.channel, paymentId, {
+          userId: interaction.user.id,
+          username: interaction.user.tag,
+          message: interaction.message
         });
       } else {
         await interaction.editReply({
@@ -1090,6 +3140,199 @@ async handleInteraction(interaction, panelSystem) {
 
     // Verifica e encaminha para métodos específicos de outros painéis
     // Essa é uma adaptação para interações não mapeadas corretamente
+    // Auditoria: abrir o navegador ou voltar à lista
+    if (customId === this.buttons.audit || customId === this.buttons.auditList) {
+      await interaction.deferUpdate();
+      return await this.renderAuditPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        // O botão do menu principal sempre começa sem filtros
+        filters: customId === this.buttons.audit ? {} : undefined,
+        page: customId === this.buttons.audit ? 1 : undefined
+      });
+    }
+
+    // Auditoria: detalhes de um registro
+    if (customId === this.buttons.auditSelect && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+      return await this.renderAuditEntry(interaction.channel, interaction.values[0], {
+        userId: interaction.user.id,
+        message: interaction.message
+      });
+    }
+
+    // Auditoria: filtros de severidade e categoria (voltam para a primeira página)
+    if ((customId === this.buttons.auditSeverity || customId === this.buttons.auditCategory) && interaction.isStringSelectMenu()) {
+      await interaction.deferUpdate();
+
+      const state = this.auditState.get(interaction.message.id) || { filters: {} };
+      const field = customId === this.buttons.auditSeverity ? 'severity' : 'category';
+      const filters = { ...state.filters, [field]: interaction.values[0] };
+      if (interaction.values[0] === 'all') delete filters[field];
+
+      return await this.renderAuditPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        filters,
+        page: 1
+      });
+    }
+
+    // Auditoria: registros do autor ou do alvo de um registro
+    if (customId.startsWith(this.buttons.auditActor) || customId.startsWith(this.buttons.auditTarget)) {
+      await interaction.deferUpdate();
+
+      const isActor = customId.startsWith(this.buttons.auditActor);
+      const value = customId.replace(isActor ? this.buttons.auditActor : this.buttons.auditTarget, '');
+
+      return await this.renderAuditPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        filters: { [isActor ? 'userId' : 'targetId']: value },
+        page: 1
+      });
+    }
+
+    // Auditoria: paginação mantendo os filtros
+    if (customId === this.buttons.auditPrev || customId === this.buttons.auditNext) {
+      await interaction.deferUpdate();
+
+      const state = this.auditState.get(interaction.message.id) || { filters: {}, page: 1 };
+      return await this.renderAuditPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        page: (state.page || 1) + (customId === this.buttons.auditNext ? 1 : -1)
+      });
+    }
+
+    // Auditoria: limpar filtros
+    if (customId === this.buttons.auditClear) {
+      await interaction.deferUpdate();
+      return await this.renderAuditPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        filters: {},
+        page: 1
+      });
+    }
+
+    // Auditoria: filtros por ação, autor, alvo e período
+    if (customId === this.buttons.auditFilter) {
+      const filters = this.auditState.get(interaction.message.id)?.filters || {};
+
+      const modal = new ModalBuilder()
+        .setCustomId(this.buttons.auditFilterModal)
+        .setTitle('Filtrar Auditoria');
+
+      const fields = [
+        { id: 'action', label: 'Ação (aceita *, ex: PAYMENT_*)', style: TextInputStyle.Short, required: false, maxLength: 100, placeholder: 'PAYMENT_APPROVED', value: filters.action },
+        { id: 'userId', label: 'Autor (ID do usuário ou SYSTEM)', style: TextInputStyle.Short, required: false, maxLength: 100, value: filters.userId },
+        { id: 'targetId', label: 'Alvo (ID)', style: TextInputStyle.Short, required: false, maxLength: 100, value: filters.targetId },
+        { id: 'period', label: 'Período (ex: 24h, 7d, 2w)', style: TextInputStyle.Short, required: false, maxLength: 10, placeholder: '7d', value: filters.period }
+      ];
+
+      modal.addComponents(...fields.map(field => this._buildModalInput(field)));
+      return await interaction.showModal(modal);
+    }
+
+    if (interaction.isModalSubmit() && customId === this.buttons.auditFilterModal) {
+      await interaction.deferUpdate();
+
+      const state = this.auditState.get(interaction.message.id) || { filters: {} };
+      const filters = { ...state.filters };
+
+      for (const field of ['action', 'userId', 'targetId', 'period']) {
+        let value = interaction.fields.getTextInputValue(field).trim();
+        if (field === 'action') value = value.toUpperCase();
+        if (field === 'userId') value = value.replace(/^<@!?(\d+)>$/, '$1');
+
+        if (value) filters[field] = value;
+        else delete filters[field];
+      }
+
+      if (filters.period && !parseDuration(filters.period)) {
+        delete filters.period;
+        await interaction.followUp({
+          content: '⚠️ Período inválido, use o formato 30m, 12h, 7d ou 2w. O filtro de período foi ignorado.',
+          ephemeral: true
+        });
+      }
+
+      return await this.renderAuditPanel(interaction.channel, {
+        userId: interaction.user.id,
+        message: interaction.message,
+        filters,
+        page: 1
+      });
+    }
+
+    // Auditoria: exportar os registros filtrados em JSON Lines
+    if (customId === this.buttons.auditExport) {
+      await interaction.deferReply({ ephemeral: true });
+
+      const filters = this.auditState.get(interaction.message.id)?.filters || {};
+      const exported = await auditLogger.exportLogs(this._toAuditSearch(filters));
+
+      await auditLogger.log({
+        action: 'AUDIT_EXPORTED',
+        category: 'SECURITY',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: interaction.user.id, username: interaction.user.tag },
+        details: { filters, count: exported.count }
+      });
+
+      return await interaction.editReply({
+        content: `📤 **${exported.count}** registro(s) exportado(s)${this._describeAuditFilters(filters)}.` +
+          (exported.truncated ? `\n⚠️ Limite de ${exported.count} registros atingido (de ${exported.total}); refine os filtros para exportar o restante.` : ''),
+        files: [new AttachmentBuilder(exported.buffer, { name: `auditoria-${new Date().toISOString().substring(0, 10)}.jsonl` })]
+      });
+    }
+
+    // Confirmar a importação do catálogo
+    if (customId.startsWith(this.buttons.catalogConfirm)) {
+      const token = customId.replace(this.buttons.catalogConfirm, '');
+      const pending = this.catalogImports.get(token);
+
+      if (!pending || pending.expiresAt < Date.now() || pending.adminId !== interaction.user.id) {
+        this.catalogImports.delete(token);
+        return await interaction.update({
+          content: '⌛ Esta prévia expirou ou pertence a outro administrador. Envie o arquivo novamente com `/catalogo importar`.',
+          embeds: [],
+          components: [],
+          files: [],
+          attachments: []
+        });
+      }
+
+      this.catalogImports.delete(token);
+      await interaction.update({ content: '⏳ Aplicando importação...', components: [] });
+
+      const result = await catalogService.applyImport(pending.plan, interaction.user.id, pending.filename);
+
+      const failures = result.failed.slice(0, 10).map(failure => `L${failure.line}: ${failure.message}`);
+      return await interaction.editReply({
+        content: `✅ **Importação concluída!**\n\n` +
+          `➕ Criados: **${result.created}**\n✏️ Atualizados: **${result.updated}**\n❌ Falhas: **${result.failed.length}**` +
+          (failures.length > 0 ? `\n\n${failures.join('\n')}` : ''),
+        embeds: [],
+        components: []
+      });
+    }
+
+    // Descartar a prévia da importação
+    if (customId.startsWith(this.buttons.catalogCancel)) {
+      this.catalogImports.delete(customId.replace(this.buttons.catalogCancel, ''));
+
+      return await interaction.update({
+        content: '🚫 Importação cancelada. Nenhum produto foi alterado.',
+        embeds: [],
+        components: [],
+        files: [],
+        attachments: []
+      });
+    }
+
     if (!interaction.replied && !interaction.deferred) {
       logger.debug(`AdminPanel: interação não tratada diretamente: ${customId}`);
       // Não fazer nada, deixar o sistema tentar outros painéis
@@ -1123,8 +3366,13 @@ async handleInteraction(interaction, panelSystem) {
  * @param {PanelSystem} panelSystem - Sistema de painéis
  */
 async handleCommand(interaction, options, panelSystem) {
-  // Verificar permissões de administrador
-  if (!interaction.memberPermissions.has('Administrator')) {
+  // /catalogo (a capacidade products.edit já foi verificada no EventHandler)
+  if (options.action === 'catalog') {
+    return await this.handleCatalogCommand(interaction);
+  }
+
+  // Verificar permissões de acesso ao painel
+  if (!(await permissionService.can(interaction.user.id, interaction.member, 'panel.access'))) {
     return await interaction.editReply({
       content: 'Você não tem permissão para acessar o painel administrativo.',
       ephemeral: true
@@ -1143,6 +3391,84 @@ async handleCommand(interaction, options, panelSystem) {
   });
 }
 
+/**
+ * Manipula o comando /catalogo (exportar e importar)
+ * @param {CommandInteraction} interaction - Interação de comando (já respondida com deferReply)
+ */
+async handleCatalogCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'exportar') {
+    const format = interaction.options.getString('formato') || 'csv';
+
+    // Categorias são cadastradas pelo painel, então o tipo é validado aqui e não nas opções do comando
+    const tipo = interaction.options.getString('tipo')?.trim().toLowerCase() || null;
+    if (tipo && !categoryService.get(tipo)) {
+      const slugs = categoryService.list({ includeInactive: true }).map(category => `\`${category.slug}\``);
+      return await interaction.editReply({ content: `❌ Categoria \`${tipo}\` não encontrada. Categorias: ${slugs.join(', ')}` });
+    }
+
+    const filters = {
+      tipo,
+      status: interaction.options.getString('situacao') || 'todos',
+      precoMin: interaction.options.getNumber('preco_min'),
+      precoMax: interaction.options.getNumber('preco_max')
+    };
+
+    const exported = await catalogService.exportCatalog(filters, format, interaction.user.id);
+
+    return await interaction.editReply({
+      content: `📤 **${exported.count}** produto(s) exportado(s) em ${format.toUpperCase()} ` +
+        `(${catalogService.EXPORT_STATUSES[filters.status]}${filters.tipo ? `, ${filters.tipo}` : ''}).`,
+      files: [new AttachmentBuilder(exported.buffer, { name: exported.filename })]
+    });
+  }
+
+  const attachment = interaction.options.getAttachment('arquivo');
+
+  let plan;
+  try {
+    const { rows } = await catalogService.readImportFile(attachment);
+    plan = await catalogService.planImport(rows);
+  } catch (error) {
+    logger.warn(`Importação do catálogo recusada (${attachment.name}): ${error.message}`);
+    return await interaction.editReply({ content: `❌ Não foi possível ler o arquivo: ${error.message}` });
+  }
+
+  // Limpar prévias vencidas antes de guardar a nova
+  for (const [token, pending] of this.catalogImports) {
+    if (pending.expiresAt < Date.now()) this.catalogImports.delete(token);
+  }
+
+  const token = interaction.id;
+  this.catalogImports.set(token, {
+    plan,
+    adminId: interaction.user.id,
+    filename: attachment.name,
+    expiresAt: Date.now() + config.catalog.importConfirmTTL
+  });
+
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${this.buttons.catalogConfirm}${token}`)
+        .setLabel(`Aplicar ${plan.summary.create + plan.summary.update} alteração(ões)`)
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('✅')
+        .setDisabled(plan.summary.create + plan.summary.update === 0),
+      new ButtonBuilder()
+        .setCustomId(`${this.buttons.catalogCancel}${token}`)
+        .setLabel('Cancelar')
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+  return await interaction.editReply({
+    embeds: [this.buildImportPreview(plan, attachment.name)],
+    files: [new AttachmentBuilder(catalogService.buildPlanCsv(plan), { name: 'previa-importacao.csv' })],
+    components: [row]
+  });
+}
+
 /**
  * Obtém usuários recentes para exibição no painel
  * @returns {Promise<Array>} Lista de usuários
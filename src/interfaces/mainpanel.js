@@ -22,7 +22,8 @@ const {
         support: 'main_support',
         help: 'main_help',
         cart: 'main_cart',
-        points: 'main_points'
+        points: 'main_points',
+        remindersOff: 'main_reminders_off'
       };
     }
 
@@ -178,6 +179,13 @@ const {
             message: interaction.message
           });
 
+        case this.buttons.remindersOff:
+          await userService.updatePreferences(interaction.user.id, { cartReminders: false });
+          return await interaction.reply({
+            content: '🔕 Lembretes de carrinho desativados. Você pode reativá-los no seu perfil ou enviando "ativar lembretes" aqui.',
+            ephemeral: true
+          });
+
         case this.buttons.points:
           await interaction.deferUpdate();
           return await panelSystem.renderPanel('loyalty', interaction.channel, {
@@ -253,12 +261,89 @@ const {
       }
     }
 
+    /**
+     * Envia por DM o lembrete de carrinho abandonado
+     * @param {Client} client - Cliente Discord
+     * @param {Object} cart - Carrinho com itens
+     * @returns {Promise<boolean>} - Se o lembrete foi entregue
+     */
+    async sendCartReminder(client, cart) {
+      try {
+        const user = await client.users.fetch(cart.userId);
+        const total = cart.items.reduce((sum, item) => sum + item.price, 0);
+
+        const embed = new EmbedBuilder()
+          .setTitle('🛒 Você esqueceu algo no carrinho!')
+          .setColor(config.discord.embedColors.warning)
+          .setDescription(`Você tem ${cart.items.length} item(s) esperando no seu carrinho. Os produtos são únicos e podem ser vendidos a qualquer momento!`)
+          .addFields(
+            {
+              name: '📦 Itens',
+              value: cart.items
+                .map(item => `• ${item.name} - R$ ${item.price.toFixed(2)}`)
+                .join('\n')
+                .substring(0, 1024)
+            },
+            { name: '💲 Total', value: `R$ ${total.toFixed(2)}` }
+          )
+          .setFooter({ text: 'Responda "parar lembretes" para não receber mais estes avisos' })
+          .setTimestamp();
+
+        const row = new ActionRowBuilder()
+          .addComponents(
+            new ButtonBuilder()
+              .setCustomId(this.buttons.cart)
+              .setLabel('Ver Carrinho')
+              .setStyle(ButtonStyle.Primary)
+              .setEmoji('🛒'),
+            new ButtonBuilder()
+              .setCustomId(this.buttons.remindersOff)
+              .setLabel('Parar Lembretes')
+              .setStyle(ButtonStyle.Secondary)
+              .setEmoji('🔕')
+          );
+
+        await user.send({ embeds: [embed], components: [row] });
+
+        await userService.recordActivity(cart.userId, 'CART_REMINDER_SENT', {
+          itemCount: cart.items.length,
+          total
+        });
+
+        return true;
+      } catch (error) {
+        logger.warn(`Não foi possível enviar lembrete de carrinho para ${cart.userId}: ${error.message}`);
+        return false;
+      }
+    }
+
     /**
      * Manipula mensagens em DM
      * @param {Message} message - Mensagem recebida
      */
     async handleDM(message) {
       try {
+        const content = message.content.trim().toLowerCase();
+
+        // Respostas ao lembrete de carrinho abandonado
+        if (content === 'parar lembretes' || content === 'ativar lembretes') {
+          const enabled = content === 'ativar lembretes';
+          await userService.updatePreferences(message.author.id, { cartReminders: enabled });
+          await message.reply(enabled
+            ? '🔔 Lembretes de carrinho ativados. Avisaremos quando você deixar itens no carrinho.'
+            : '🔕 Lembretes de carrinho desativados.');
+          return;
+        }
+
+        if (content === 'carrinho') {
+          const panelSystem = require('../core/PanelSystem');
+          await panelSystem.renderPanel('cart', message.channel, {
+            userId: message.author.id,
+            username: message.author.tag
+          });
+          return;
+        }
+
         // Verificar se mensagem é confusa ou se parece com comando
         if (message.content.startsWith('/') ||
             message.content.startsWith('!') ||
@@ -275,7 +360,12 @@ const {
         }
 
         // Tratar como pergunta para o assistente (se existir)
-        const assistantService = require('../services/AssistantService');
+        let assistantService = null;
+        try {
+          assistantService = require('../services/AssistantService');
+        } catch (error) {
+          logger.debug(`Assistente indisponível para DM: ${error.message}`);
+        }
 
         if (assistantService && typeof assistantService.getResponse === 'function') {
           const response = await assistantService.getResponse(message.content, message.author.id);
@@ -8,29 +8,66 @@ const {
     ActionRowBuilder,
     ButtonBuilder,
     ButtonStyle,
-    StringSelectMenuBuilder
+    StringSelectMenuBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
   } = require('discord.js');
-  const { logger } = require('../utils/helpers');
+  const { logger, formatCurrency } = require('../utils/helpers');
   const config = require('../../config');
   const productService = require('../services/ProductService');
   const userService = require('../services/UserService');
+  const categoryService = require('../services/CategoryService');
+
+  // Faixas de preço do filtro (a busca aceita qualquer faixa)
+  const PRICE_RANGES = {
+    ate50: { label: 'Até R$ 50', precoMax: 50 },
+    de50a100: { label: 'R$ 50 a R$ 100', precoMin: 50, precoMax: 100 },
+    de100a200: { label: 'R$ 100 a R$ 200', precoMin: 100, precoMax: 200 },
+    de200a500: { label: 'R$ 200 a R$ 500', precoMin: 200, precoMax: 500 },
+    acima500: { label: 'Acima de R$ 500', precoMin: 500 }
+  };
+
+  const SORT_OPTIONS = {
+    recentes: { label: 'Mais recentes', orderBy: 'data', orderDirection: 'desc' },
+    menor_preco: { label: 'Menor preço', orderBy: 'preco', orderDirection: 'asc' },
+    maior_preco: { label: 'Maior preço', orderBy: 'preco', orderDirection: 'desc' },
+    populares: { label: 'Mais vistos', orderBy: 'visualizacoes' }
+  };
+
+  // Filtros fixos (os de detalhes vêm dos campos marcados como filtro na categoria)
+  const FIXED_FILTERS = {
+    preco: { label: 'Faixa de preço', emoji: '💰' },
+    sort: { label: 'Ordenação', emoji: '↕️' }
+  };
+
+  // Prefixo dos filtros de detalhes no seletor (ex: d.rank)
+  const DETAIL_FILTER_PREFIX = 'd.';
+
+  // Tempo sem interação após o qual os filtros de uma mensagem da loja são descartados
+  const SEARCH_STATE_TTL = 6 * 60 * 60 * 1000; // 6 horas
 
   class StorePanel {
     constructor() {
       this.id = 'store';
       this.buttons = {
         back: 'store_back',
-        viewAll: 'store_view_all',
         cart: 'store_cart',
         support: 'store_support',
         refresh: 'store_refresh',
-        filter_valorant: 'store_filter_valorant',
-        filter_steam: 'store_filter_steam',
-        filter_lol: 'store_filter_lol',
+        category: 'store_category',
         viewProduct: 'store_view_product_',
         addToCart: 'store_add_cart_',
-        buyNow: 'store_buy_now_'
+        buyNow: 'store_buy_now_',
+        search: 'store_search',
+        searchModal: 'store_search_modal',
+        filterField: 'store_filter_field',
+        filterValue: 'store_filter_value',
+        clearFilters: 'store_clear_filters'
       };
+
+      // Filtros ativos de cada mensagem da loja (mantidos na paginação)
+      this.searchState = new Map();
     }
 
     /**
@@ -41,40 +78,52 @@ const {
      */
     async render(channel, options = {}, panelSystem) {
       const userId = options.userId;
-      const filter = options.filter || 'all';
-      const page = options.page || 1;
+      const filters = { ...(options.filters || {}) };
+      if (options.filter && options.filter !== 'all') filters.tipo = options.filter;
+      const filter = filters.tipo || 'all';
+      let page = Math.max(options.page || 1, 1);
+      const editing = options.editing || null;
       const itemsPerPage = config.discord.panels.itemsPerPage || 5;
 
       // Registrar visita à loja se tiver userId
       if (userId) {
         await userService.recordActivity(userId, 'STORE_VIEW', {
           filter,
+          filters,
           page
         });
       }
 
       try {
-        // Obter produtos com filtro
-        const filters = {};
+        const serviceFilters = this._toServiceFilters(filters);
+        let result = await productService.searchAvailableProducts(serviceFilters, {
+          limit: itemsPerPage,
+          skip: (page - 1) * itemsPerPage
+        });
 
-        if (filter !== 'all') {
-          filters.tipo = filter;
+        // Filtros novos ou vendas podem reduzir o total de páginas
+        if (page > 1 && page > result.totalPages) {
+          page = Math.max(result.totalPages, 1);
+          result = await productService.searchAvailableProducts(serviceFilters, {
+            limit: itemsPerPage,
+            skip: (page - 1) * itemsPerPage
+          });
         }
 
-        const produtos = await productService.getAvailableProducts(itemsPerPage * 2, filters);
+        const chips = this._describeFilters(filters);
 
         // Configurar paginação
-        const totalProducts = produtos.length;
-        const totalPages = Math.ceil(totalProducts / itemsPerPage);
+        const totalProducts = result.total;
+        const totalPages = result.totalPages;
         const startIdx = (page - 1) * itemsPerPage;
-        const endIdx = Math.min(startIdx + itemsPerPage, totalProducts);
-        const displayedProducts = produtos.slice(startIdx, endIdx);
+        const displayedProducts = result.produtos;
+        const endIdx = startIdx + displayedProducts.length;
 
         // Criar embed da loja
         const embed = new EmbedBuilder()
           .setTitle('🏪 Loja - Mercadão das Contas')
           .setColor(config.discord.embedColors.primary)
-          .setDescription(`${filter === 'all' ? 'Todos os produtos' : `Produtos ${filter}`} (${startIdx + 1}-${endIdx} de ${totalProducts})`)
+          .setDescription(`${filter === 'all' ? 'Todos os produtos' : `Produtos ${this._categoryLabel(filter)}`} (${startIdx + 1}-${endIdx} de ${totalProducts})${chips.length > 0 ? `\n🏷️ ${chips.join(' ')}` : ''}`)
           .setFooter({ text: `Página ${page}/${totalPages || 1} • Use os botões para navegar` })
           .setTimestamp();
 
@@ -86,32 +135,23 @@ const {
               value: `💰 **R$ ${produto.preco.toFixed(2)}**\n${produto.descricao.substring(0, 100)}${produto.descricao.length > 100 ? '...' : ''}`
             });
           });
+        } else if (chips.length > 0 || filter !== 'all') {
+          embed.setDescription(`Nenhum produto encontrado com os filtros atuais.${chips.length > 0 ? `\n🏷️ ${chips.join(' ')}` : ''}\n\nUse **Limpar filtros** ou escolha outra categoria.`);
         } else {
           embed.setDescription('Não há produtos disponíveis no momento. Volte mais tarde!');
         }
 
-        // Botões para categorias
+        // Categorias cadastradas
         const row1 = new ActionRowBuilder()
-          .addComponents(
-            new ButtonBuilder()
-              .setCustomId(this.buttons.filter_valorant)
-              .setLabel('Valorant')
-              .setStyle(filter === 'valorant' ? ButtonStyle.Success : ButtonStyle.Primary),
-            new ButtonBuilder()
-              .setCustomId(this.buttons.filter_steam)
-              .setLabel('Steam')
-              .setStyle(filter === 'steam' ? ButtonStyle.Success : ButtonStyle.Primary),
-            new ButtonBuilder()
-              .setCustomId(this.buttons.filter_lol)
-              .setLabel('League of Legends')
-              .setStyle(filter === 'lol' ? ButtonStyle.Success : ButtonStyle.Primary),
-            new ButtonBuilder()
-              .setCustomId(this.buttons.viewAll)
-              .setLabel('Ver Todos')
-              .setStyle(filter === 'all' ? ButtonStyle.Success : ButtonStyle.Secondary)
-          );
+          .addComponents(this._buildCategorySelect(filter));
 
-        // Botões de paginação e ações
+        // Filtros: escolher o campo e depois o valor
+        const filterRow = new ActionRowBuilder()
+          .addComponents(editing
+            ? this._buildFilterValueSelect(editing, filters)
+            : this._buildFilterFieldSelect(filters));
+
+        // Botões de paginação, busca e filtros
         const row2 = new ActionRowBuilder()
           .addComponents(
             new ButtonBuilder()
@@ -124,10 +164,23 @@ const {
               .setLabel('Próxima ➡️')
               .setStyle(ButtonStyle.Secondary)
               .setDisabled(page >= totalPages),
+            new ButtonBuilder()
+              .setCustomId(this.buttons.search)
+              .setLabel('🔎 Buscar')
+              .setStyle(filters.busca ? ButtonStyle.Success : ButtonStyle.Primary),
+            new ButtonBuilder()
+              .setCustomId(this.buttons.clearFilters)
+              .setLabel('🧹 Limpar filtros')
+              .setStyle(ButtonStyle.Secondary)
+              .setDisabled(chips.length === 0),
             new ButtonBuilder()
               .setCustomId(this.buttons.refresh)
               .setLabel('🔄 Atualizar')
-              .setStyle(ButtonStyle.Secondary),
+              .setStyle(ButtonStyle.Secondary)
+          );
+
+        const actionsRow = new ActionRowBuilder()
+          .addComponents(
             new ButtonBuilder()
               .setCustomId(this.buttons.back)
               .setLabel('Menu Principal')
@@ -155,19 +208,23 @@ const {
         }
 
         // Enviar ou editar mensagem
-        const components = row3 ? [row1, row2, row3] : [row1, row2];
+        const components = row3 ? [row1, filterRow, row3, row2, actionsRow] : [row1, filterRow, row2, actionsRow];
 
-        if (options.message) {
-          return await options.message.edit({
+        const message = options.message
+          ? await options.message.edit({
             embeds: [embed],
             components: components
-          });
-        } else {
-          return await channel.send({
+          })
+          : await channel.send({
             embeds: [embed],
             components: components
           });
+
+        if (message) {
+          this._setSearchState(message.id, { filters, page });
         }
+
+        return message;
       } catch (error) {
         logger.error('Erro ao renderizar painel da loja:', error);
 
@@ -248,6 +305,12 @@ const {
           });
         }
 
+        // Produtos com pagamento pendente de outro comprador ficam bloqueados até a expiração
+        const reservado = productService.isReserved(produto);
+        const disponibilidade = reservado
+          ? `🔒 Reservado até <t:${Math.floor(new Date(produto.reservadoAte).getTime() / 1000)}:t>`
+          : (produto.disponivel ? '✅ Disponível' : '❌ Indisponível');
+
         // Criar embed com detalhes do produto
         const embed = new EmbedBuilder()
           .setTitle(`🛍️ ${produto.nome}`)
@@ -255,28 +318,26 @@ const {
           .setDescription(produto.descricao)
           .addFields(
             { name: 'Preço', value: `💰 **R$ ${produto.preco.toFixed(2)}**`, inline: true },
-            { name: 'Tipo', value: produto.tipo, inline: true },
-            { name: 'Disponibilidade', value: produto.disponivel ? '✅ Disponível' : '❌ Indisponível', inline: true }
+            { name: 'Tipo', value: this._categoryLabel(produto.tipo), inline: true },
+            { name: 'Disponibilidade', value: disponibilidade, inline: true }
           )
           .setTimestamp();
 
-        // Adicionar detalhes específicos do produto
+        // Adicionar detalhes na ordem dos campos da categoria (chaves fora do esquema aparecem no final)
         if (produto.detalhes) {
-          // Para contas Valorant
-          if (produto.tipo === 'valorant') {
-            if (produto.detalhes.rank) embed.addFields({ name: 'Rank', value: produto.detalhes.rank, inline: true });
-            if (produto.detalhes.skins) embed.addFields({ name: 'Skins', value: String(produto.detalhes.skins), inline: true });
-            if (produto.detalhes.region) embed.addFields({ name: 'Região', value: produto.detalhes.region, inline: true });
-            if (produto.detalhes.level) embed.addFields({ name: 'Nível', value: String(produto.detalhes.level), inline: true });
-            if (produto.detalhes.agents) embed.addFields({ name: 'Agentes', value: String(produto.detalhes.agents), inline: true });
-          } else {
-            // Para outros tipos de produtos
-            Object.entries(produto.detalhes).forEach(([key, value]) => {
-              if (key && value !== undefined && value !== null) {
-                embed.addFields({ name: key, value: String(value), inline: true });
-              }
-            });
-          }
+          const campos = categoryService.getFields(produto.tipo);
+          const keys = [
+            ...campos.map(field => field.key),
+            ...Object.keys(produto.detalhes).filter(key => !campos.some(field => field.key === key))
+          ];
+
+          keys.forEach(key => {
+            const value = produto.detalhes[key];
+            if (value === undefined || value === null || value === '') return;
+
+            const field = campos.find(item => item.key === key);
+            embed.addFields({ name: field?.label || key, value: categoryService.formatDetailValue(field, value), inline: true });
+          });
         }
 
         // Botões de ação
@@ -287,13 +348,13 @@ const {
               .setLabel('Adicionar ao Carrinho')
               .setStyle(ButtonStyle.Primary)
               .setEmoji('🛒')
-              .setDisabled(!produto.disponivel),
+              .setDisabled(!produto.disponivel || reservado),
 
             new ButtonBuilder()
               .setCustomId(`${this.buttons.buyNow}${produto.id}`)
               .setLabel('Comprar Agora')
               .setStyle(ButtonStyle.Success)
-              .setDisabled(!produto.disponivel),
+              .setDisabled(!produto.disponivel || reservado),
 
             new ButtonBuilder()
               .setCustomId(this.buttons.back)
@@ -353,6 +414,306 @@ const {
       }
     }
 
+    /**
+     * Guarda os filtros de uma mensagem da loja e descarta os das mensagens inativas
+     * @param {string} messageId - ID da mensagem da loja
+     * @param {Object} state - { filters, page }
+     * @private
+     */
+    _setSearchState(messageId, state) {
+      const now = Date.now();
+      for (const [id, entry] of this.searchState) {
+        if (entry.expiresAt < now) this.searchState.delete(id);
+      }
+
+      this.searchState.set(messageId, { ...state, expiresAt: now + SEARCH_STATE_TTL });
+    }
+
+    /**
+     * Nome da categoria com emoji para exibição
+     * @private
+     */
+    _categoryLabel(slug) {
+      const category = categoryService.get(slug);
+      return category ? `${category.emoji ? `${category.emoji} ` : ''}${category.nome}` : slug;
+    }
+
+    /**
+     * Menu com as categorias ativas
+     * @private
+     */
+    _buildCategorySelect(current) {
+      const options = [{ label: '🏪 Todas as categorias', value: 'all', default: current === 'all' }];
+
+      for (const category of categoryService.list().slice(0, 24)) {
+        options.push({
+          label: this._categoryLabel(category.slug).substring(0, 100),
+          value: category.slug,
+          default: current === category.slug
+        });
+      }
+
+      return new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.category)
+        .setPlaceholder('🗂️ Escolha uma categoria')
+        .addOptions(options);
+    }
+
+    /**
+     * Converte os filtros do painel para os filtros do ProductService
+     * @param {Object} filters - Filtros ativos
+     * @returns {Object}
+     * @private
+     */
+    _toServiceFilters(filters) {
+      const serviceFilters = {};
+
+      for (const key of ['tipo', 'busca', 'precoMin', 'precoMax']) {
+        if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+          serviceFilters[key] = filters[key];
+        }
+      }
+
+      if (filters.detalhes && Object.keys(filters.detalhes).length > 0) {
+        serviceFilters.detalhes = { ...filters.detalhes };
+      }
+
+      const sort = SORT_OPTIONS[filters.sort];
+      if (sort) {
+        serviceFilters.orderBy = sort.orderBy;
+        if (sort.orderDirection) serviceFilters.orderDirection = sort.orderDirection;
+      }
+
+      return serviceFilters;
+    }
+
+    /**
+     * Campos de filtro da categoria atual: preço, campos de detalhes marcados como filtro e ordenação
+     * @param {Object} filters - Filtros ativos
+     * @returns {Array<Object>} - { id, label, emoji, field }
+     * @private
+     */
+    _filterFields(filters) {
+      const detailFields = categoryService.getFilterFields(filters.tipo).map(field => ({
+        id: `${DETAIL_FILTER_PREFIX}${field.key}`,
+        label: field.label,
+        emoji: '🔹',
+        field
+      }));
+
+      return [
+        { id: 'preco', ...FIXED_FILTERS.preco },
+        ...detailFields,
+        { id: 'sort', ...FIXED_FILTERS.sort }
+      ];
+    }
+
+    /**
+     * Texto da faixa de preço
+     * @private
+     */
+    _formatPriceRange(precoMin, precoMax) {
+      if (precoMin && precoMax) return `${formatCurrency(precoMin)} a ${formatCurrency(precoMax)}`;
+      if (precoMax) return `Até ${formatCurrency(precoMax)}`;
+      if (precoMin) return `A partir de ${formatCurrency(precoMin)}`;
+      return null;
+    }
+
+    /**
+     * Valor atual de um campo de filtro para exibição
+     * @private
+     */
+    _describeField(entry, filters) {
+      if (entry.id === 'preco') return this._formatPriceRange(filters.precoMin, filters.precoMax);
+      if (entry.id === 'sort') return filters.sort && filters.sort !== 'recentes' ? SORT_OPTIONS[filters.sort]?.label || null : null;
+
+      const value = filters.detalhes?.[entry.field.key];
+      if (value === undefined || value === null || value === '') return null;
+
+      // Campos numéricos filtram pelo mínimo
+      return entry.field.type === 'inteiro' ? `${value}+` : categoryService.formatDetailValue(entry.field, value);
+    }
+
+    /**
+     * Chips dos filtros ativos exibidos no embed (a categoria aparece no título da listagem)
+     * @param {Object} filters - Filtros ativos
+     * @returns {Array<string>}
+     * @private
+     */
+    _describeFilters(filters) {
+      const chips = [];
+
+      if (filters.busca) chips.push(`\`🔎 "${filters.busca}"\``);
+
+      for (const entry of this._filterFields(filters)) {
+        const value = this._describeField(entry, filters);
+        if (!value) continue;
+
+        chips.push(entry.field ? `\`${entry.field.label}: ${value}\`` : `\`${entry.emoji} ${value}\``);
+      }
+
+      return chips;
+    }
+
+    /**
+     * Menu com os campos de filtro disponíveis para a categoria atual
+     * @private
+     */
+    _buildFilterFieldSelect(filters) {
+      const fields = this._filterFields(filters);
+      const select = new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.filterField)
+        .setPlaceholder(`🎛️ Filtrar por ${fields.map(entry => entry.label.toLowerCase()).join(', ')}`.substring(0, 150));
+
+      for (const entry of fields.slice(0, 25)) {
+        select.addOptions({
+          label: entry.label,
+          description: (this._describeField(entry, filters) || 'Qualquer').substring(0, 100),
+          value: entry.id,
+          emoji: entry.emoji
+        });
+      }
+
+      return select;
+    }
+
+    /**
+     * Menu com os valores de um campo de filtro
+     * @private
+     */
+    _buildFilterValueSelect(fieldId, filters) {
+      const entry = this._filterFields(filters).find(item => item.id === fieldId);
+
+      // Campo removido da categoria enquanto o menu estava aberto
+      if (!entry) return this._buildFilterFieldSelect(filters);
+
+      const { label, emoji, field } = entry;
+      const options = [];
+
+      if (fieldId === 'preco') {
+        for (const [key, range] of Object.entries(PRICE_RANGES)) {
+          options.push({
+            label: range.label,
+            value: `preco:${key}`,
+            default: filters.precoMin === range.precoMin && filters.precoMax === range.precoMax
+          });
+        }
+      } else if (fieldId === 'sort') {
+        for (const [key, sort] of Object.entries(SORT_OPTIONS)) {
+          options.push({ label: sort.label, value: `sort:${key}`, default: (filters.sort || 'recentes') === key });
+        }
+      } else {
+        const current = filters.detalhes?.[field.key];
+
+        for (const option of field.opcoes.slice(0, 23)) {
+          options.push({
+            label: (field.type === 'inteiro' ? `${option}+ ${label.toLowerCase()}` : categoryService.formatDetailValue(field, option)).substring(0, 100),
+            value: `${fieldId}:${option}`,
+            default: current !== undefined && String(current) === String(option)
+          });
+        }
+      }
+
+      // A ordenação padrão já é "Mais recentes"
+      if (fieldId !== 'sort') {
+        options.push({ label: `Qualquer (remover filtro de ${label.toLowerCase()})`.substring(0, 100), value: `${fieldId}:any`, emoji: '🧹' });
+      }
+      options.push({ label: 'Voltar sem alterar', value: 'cancel', emoji: '↩️' });
+
+      return new StringSelectMenuBuilder()
+        .setCustomId(this.buttons.filterValue)
+        .setPlaceholder(`${emoji} ${label}: escolha uma opção`)
+        .addOptions(options);
+    }
+
+    /**
+     * Aplica o valor escolhido em um campo de filtro
+     * @param {Object} filters - Filtros ativos
+     * @param {string} selection - Valor do menu (campo:valor)
+     * @returns {Object} - Novos filtros
+     * @private
+     */
+    _applyFilterSelection(filters, selection) {
+      const separator = selection.indexOf(':');
+      const fieldId = selection.substring(0, separator);
+      const value = selection.substring(separator + 1);
+      const updated = { ...filters, detalhes: { ...(filters.detalhes || {}) } };
+      const clear = value === 'any';
+
+      if (fieldId === 'preco') {
+        const range = PRICE_RANGES[value];
+        delete updated.precoMin;
+        delete updated.precoMax;
+        if (!clear && range) {
+          if (range.precoMin) updated.precoMin = range.precoMin;
+          if (range.precoMax) updated.precoMax = range.precoMax;
+        }
+      } else if (fieldId === 'sort' && SORT_OPTIONS[value]) {
+        updated.sort = value;
+      } else if (fieldId.startsWith(DETAIL_FILTER_PREFIX)) {
+        const key = fieldId.substring(DETAIL_FILTER_PREFIX.length);
+        const field = categoryService.getFilterFields(filters.tipo).find(item => item.key === key);
+
+        if (clear || !field) delete updated.detalhes[key];
+        else updated.detalhes[key] = field.type === 'inteiro' ? parseInt(value, 10) : categoryService.parseDetailValue(field, value);
+      }
+
+      if (Object.keys(updated.detalhes).length === 0) delete updated.detalhes;
+
+      return updated;
+    }
+
+    /**
+     * Modal de busca por texto e faixa de preço livre
+     * @private
+     */
+    _buildSearchModal(filters) {
+      const inputs = [
+        { id: 'busca', label: 'Nome ou descrição', placeholder: 'Ex: Imortal, full acesso, skins raras...', maxLength: 50, value: filters.busca },
+        { id: 'preco_min', label: 'Preço mínimo (R$)', placeholder: 'Ex: 50', maxLength: 10, value: filters.precoMin },
+        { id: 'preco_max', label: 'Preço máximo (R$)', placeholder: 'Ex: 200', maxLength: 10, value: filters.precoMax }
+      ];
+
+      return new ModalBuilder()
+        .setCustomId(this.buttons.searchModal)
+        .setTitle('Buscar produtos')
+        .addComponents(inputs.map(input => {
+          const textInput = new TextInputBuilder()
+            .setCustomId(input.id)
+            .setLabel(input.label)
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder(input.placeholder)
+            .setRequired(false)
+            .setMaxLength(input.maxLength);
+
+          if (input.value !== undefined && input.value !== null && input.value !== '') {
+            textInput.setValue(String(input.value));
+          }
+
+          return new ActionRowBuilder().addComponents(textInput);
+        }));
+    }
+
+    /**
+     * Re-renderiza a loja na mesma mensagem com os filtros salvos
+     * @param {Interaction} interaction - Interação do Discord
+     * @param {PanelSystem} panelSystem - Sistema de painéis
+     * @param {Object} changes - { filters, page, editing }
+     * @private
+     */
+    async _rerender(interaction, panelSystem, changes = {}) {
+      const state = this.searchState.get(interaction.message.id) || { filters: {}, page: 1 };
+
+      return await this.render(interaction.channel, {
+        userId: interaction.user.id,
+        username: interaction.user.tag,
+        message: interaction.message,
+        filters: changes.filters || state.filters,
+        page: changes.page || state.page || 1,
+        editing: changes.editing || null
+      }, panelSystem);
+    }
+
     /**
      * Atualiza o painel
      * @param {Message} message - Mensagem do painel
@@ -385,88 +746,111 @@ const {
         });
       }
 
-      // Atualizar painel
+      // Atualizar painel (mantendo filtros e página)
       if (customId === this.buttons.refresh) {
         await interaction.deferUpdate();
-        return await this.render(interaction.channel, {
-          userId: interaction.user.id,
-          username: interaction.user.tag,
-          message: interaction.message
-        }, panelSystem);
+        return await this._rerender(interaction, panelSystem);
       }
 
-      // Ver todos os produtos
-      if (customId === this.buttons.viewAll) {
+      // Filtrar por categoria (mantém apenas os filtros de detalhes que existem na nova categoria)
+      if (customId === this.buttons.category) {
         await interaction.deferUpdate();
-        return await this.render(interaction.channel, {
-          userId: interaction.user.id,
-          username: interaction.user.tag,
-          message: interaction.message,
-          filter: 'all',
-          page: 1
-        }, panelSystem);
+
+        const filters = { ...(this.searchState.get(interaction.message.id)?.filters || {}) };
+        const tipo = interaction.values[0];
+
+        if (tipo && tipo !== 'all') filters.tipo = tipo;
+        else delete filters.tipo;
+
+        if (filters.detalhes) {
+          const keys = categoryService.getFilterFields(filters.tipo).map(field => field.key);
+          const detalhes = Object.fromEntries(Object.entries(filters.detalhes).filter(([key]) => keys.includes(key)));
+
+          if (Object.keys(detalhes).length > 0) filters.detalhes = detalhes;
+          else delete filters.detalhes;
+        }
+
+        return await this._rerender(interaction, panelSystem, { filters, page: 1 });
       }
 
-      // Filtrar por categoria
-      if (customId === this.buttons.filter_valorant) {
+      // Escolher o campo de filtro
+      if (customId === this.buttons.filterField) {
         await interaction.deferUpdate();
-        return await this.render(interaction.channel, {
-          userId: interaction.user.id,
-          username: interaction.user.tag,
-          message: interaction.message,
-          filter: 'valorant',
-          page: 1
-        }, panelSystem);
+        return await this._rerender(interaction, panelSystem, { editing: interaction.values[0] });
       }
 
-      if (customId === this.buttons.filter_steam) {
+      // Aplicar o valor escolhido
+      if (customId === this.buttons.filterValue) {
         await interaction.deferUpdate();
-        return await this.render(interaction.channel, {
-          userId: interaction.user.id,
-          username: interaction.user.tag,
-          message: interaction.message,
-          filter: 'steam',
-          page: 1
-        }, panelSystem);
+
+        const selection = interaction.values[0];
+        if (selection === 'cancel') {
+          return await this._rerender(interaction, panelSystem);
+        }
+
+        const filters = this._applyFilterSelection(this.searchState.get(interaction.message.id)?.filters || {}, selection);
+        return await this._rerender(interaction, panelSystem, { filters, page: 1 });
       }
 
-      if (customId === this.buttons.filter_lol) {
+      // Limpar filtros (mantém a categoria)
+      if (customId === this.buttons.clearFilters) {
         await interaction.deferUpdate();
-        return await this.render(interaction.channel, {
-          userId: interaction.user.id,
-          username: interaction.user.tag,
-          message: interaction.message,
-          filter: 'lol',
-          page: 1
-        }, panelSystem);
+
+        const tipo = this.searchState.get(interaction.message.id)?.filters?.tipo;
+        return await this._rerender(interaction, panelSystem, { filters: tipo ? { tipo } : {}, page: 1 });
+      }
+
+      // Abrir busca
+      if (customId === this.buttons.search) {
+        const filters = this.searchState.get(interaction.message.id)?.filters || {};
+        return await interaction.showModal(this._buildSearchModal(filters));
       }
 
-      // Navegar para próxima/anterior página
+      // Aplicar busca
+      if (interaction.isModalSubmit() && customId === this.buttons.searchModal) {
+        await interaction.deferUpdate();
+
+        const filters = { ...(this.searchState.get(interaction.message.id)?.filters || {}) };
+        const busca = interaction.fields.getTextInputValue('busca').trim();
+        const invalid = [];
+
+        if (busca) filters.busca = busca;
+        else delete filters.busca;
+
+        for (const [input, key] of [['preco_min', 'precoMin'], ['preco_max', 'precoMax']]) {
+          const raw = interaction.fields.getTextInputValue(input).trim().replace(/\s|R\$/g, '').replace(',', '.');
+          const value = parseFloat(raw);
+
+          if (!raw) {
+            delete filters[key];
+          } else if (Number.isFinite(value) && value >= 0) {
+            filters[key] = value;
+          } else {
+            invalid.push(input === 'preco_min' ? 'preço mínimo' : 'preço máximo');
+          }
+        }
+
+        if (filters.precoMin && filters.precoMax && filters.precoMin > filters.precoMax) {
+          [filters.precoMin, filters.precoMax] = [filters.precoMax, filters.precoMin];
+        }
+
+        if (invalid.length > 0) {
+          await interaction.followUp({
+            content: `⚠️ Valor inválido para ${invalid.join(' e ')}, use apenas números (ex: 49,90). O campo foi ignorado.`,
+            ephemeral: true
+          });
+        }
+
+        return await this._rerender(interaction, panelSystem, { filters, page: 1 });
+      }
+
+      // Navegar para próxima/anterior página (filtros salvos para a mensagem)
       if (customId.startsWith('store_prev_') || customId.startsWith('store_next_')) {
         const currentPage = parseInt(customId.split('_')[2]);
         const newPage = customId.startsWith('store_prev_') ? currentPage - 1 : currentPage + 1;
 
-        // Obter filtro atual do embed
-        const embed = interaction.message.embeds[0];
-        const descriptionText = embed.description || '';
-        let filter = 'all';
-
-        if (descriptionText.includes('Produtos valorant')) {
-          filter = 'valorant';
-        } else if (descriptionText.includes('Produtos steam')) {
-          filter = 'steam';
-        } else if (descriptionText.includes('Produtos lol')) {
-          filter = 'lol';
-        }
-
         await interaction.deferUpdate();
-        return await this.render(interaction.channel, {
-          userId: interaction.user.id,
-          username: interaction.user.tag,
-          message: interaction.message,
-          filter,
-          page: newPage
-        }, panelSystem);
+        return await this._rerender(interaction, panelSystem, { page: Math.max(newPage, 1) });
       }
 
       // Ver detalhes de produto (pelo botão ou select)
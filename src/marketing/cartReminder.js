@@ -0,0 +1,51 @@
+/**
+ * Lembretes de carrinho abandonado
+ * Avisa por DM (opt-in) os usuários que deixaram itens parados no carrinho
+ */
+
+const { User } = require('../models');
+const { logger } = require('../utils/helpers');
+const config = require('../../config');
+const cartService = require('../services/CartService');
+const mainPanel = require('../interfaces/mainpanel');
+
+/**
+ * Envia lembretes para os carrinhos parados há mais tempo que o limite configurado
+ * @param {Client} client - Cliente Discord
+ * @returns {Promise<Object>} - { checked, sent }
+ */
+async function sendAbandonedCartReminders(client) {
+  const reminderConfig = config.cart.reminder;
+
+  if (!reminderConfig?.enabled || !client) {
+    return { checked: 0, sent: 0 };
+  }
+
+  const carts = await cartService.getAbandonedCarts(reminderConfig.afterMinutes);
+  let sent = 0;
+
+  for (const cart of carts) {
+    try {
+      // Somente usuários que ativaram os lembretes recebem a DM
+      const user = await User.findByPk(cart.userId);
+      if (!user?.preferences?.cartReminders || user.isBlocked) continue;
+
+      if (await mainPanel.sendCartReminder(client, cart)) {
+        await cartService.markReminderSent(cart);
+        sent++;
+      }
+    } catch (error) {
+      logger.error(`Erro ao processar lembrete do carrinho de ${cart.userId}:`, error);
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`${sent} lembrete(s) de carrinho abandonado enviado(s)`);
+  }
+
+  return { checked: carts.length, sent };
+}
+
+module.exports = {
+  sendAbandonedCartReminders
+};
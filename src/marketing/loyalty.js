@@ -4,7 +4,7 @@
 
 const { Loyalty, User } = require('../models');
 const { logger } = require('../utils/helpers');
-const config = require('../config');
+const config = require('../../config');
 const auditLogger = require('../audit/logger');
 const { Op } = require('sequelize');
 
@@ -33,7 +33,7 @@ async function addPoints(userId, points, reason, metadata = {}) {
 
     if (!loyalty) {
       // Obter dados do usuário
-      const userService = require('../user/profile');
+      const userService = require('../services/UserService');
       const userProfile = await userService.getUserProfile(userId);
 
       if (!userProfile) {
@@ -221,6 +221,97 @@ async function usePoints(userId, points, reason, metadata = {}) {
   }
 }
 
+/**
+ * Estorna os pontos ganhos em um pagamento (reembolso ou chargeback)
+ * Pontos já utilizados pelo usuário deixam o saldo negativo até novas compras
+ * @param {string} userId - ID do usuário
+ * @param {string} paymentId - ID do pagamento que gerou os pontos
+ * @param {string} reason - Motivo do estorno
+ * @param {Object} metadata - Dados adicionais
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function reversePoints(userId, paymentId, reason, metadata = {}) {
+  try {
+    const loyalty = await Loyalty.findOne({
+      where: { userId }
+    });
+
+    if (!loyalty) {
+      return { success: true, reversedPoints: 0 };
+    }
+
+    // Localizar as transações de crédito do pagamento que ainda não foram estornadas
+    let reversedPoints = 0;
+    const updatedTransactions = (loyalty.transactions || []).map(tx => {
+      if (tx.relatedPaymentId === paymentId && tx.amount > 0 && tx.status !== 'REVERSED') {
+        // Pontos já expirados não contam mais no saldo
+        if (tx.status === 'ACTIVE') reversedPoints += tx.amount;
+        return { ...tx, status: 'REVERSED' };
+      }
+      return tx;
+    });
+
+    if (reversedPoints === 0) {
+      return { success: true, reversedPoints: 0 };
+    }
+
+    const now = new Date();
+    updatedTransactions.push({
+      id: Date.now().toString(),
+      amount: -reversedPoints,
+      reason,
+      createdAt: now,
+      expiresAt: new Date(Date.now() + (365 * 24 * 60 * 60 * 1000)), // Não expira
+      status: 'USED',
+      relatedProductId: metadata.productId,
+      relatedPaymentId: paymentId,
+      actionBy: metadata.adminId
+    });
+
+    loyalty.transactions = updatedTransactions;
+    loyalty.totalPoints -= reversedPoints;
+    loyalty.lifetimePoints = Math.max(loyalty.lifetimePoints - reversedPoints, 0);
+    loyalty.level = _calculateLoyaltyLevel(loyalty.lifetimePoints);
+    loyalty.lastUpdated = now;
+
+    await loyalty.save();
+
+    await auditLogger.log({
+      action: 'LOYALTY_POINTS_REVERSED',
+      category: 'MARKETING',
+      severity: 'WARNING',
+      status: 'SUCCESS',
+      user: { id: metadata.adminId },
+      target: {
+        id: userId,
+        username: loyalty.userName
+      },
+      details: {
+        points: reversedPoints,
+        paymentId,
+        reason,
+        newTotal: loyalty.totalPoints,
+        newLevel: loyalty.level
+      }
+    });
+
+    logger.info(`${reversedPoints} pontos de fidelidade estornados do usuário ${userId}: ${reason}`);
+    return {
+      success: true,
+      reversedPoints,
+      remainingPoints: loyalty.totalPoints,
+      level: loyalty.level
+    };
+  } catch (error) {
+    logger.error(`Erro ao estornar pontos do usuário ${userId}:`, error);
+    return {
+      success: false,
+      reversedPoints: 0,
+      message: error.message
+    };
+  }
+}
+
 /**
  * Obtém saldo e histórico de pontos de um usuário
  * @param {string} userId - ID do usuário
@@ -355,5 +446,6 @@ async function _processExpiredPoints(loyalty) {
 module.exports = {
   addPoints,
   usePoints,
+  reversePoints,
   getUserPoints
 };
@@ -4,22 +4,46 @@
 
 const { Promotion, Product } = require('../models');
 const { logger } = require('../utils/helpers');
-const config = require('../config');
+const config = require('../../config');
 const auditLogger = require('../audit/logger');
 const cache = require('../utils/cache');
+const permissionService = require('../services/PermissionService');
 const { Op } = require('sequelize');
 
 // Chave de cache para promoções ativas
 const CACHE_KEY_ACTIVE_PROMOS = 'promotions:active';
 const CACHE_TTL = 300; // 5 minutos
 
+/**
+ * Verifica se o administrador pode gerenciar promoções
+ * @param {string} adminId - ID do administrador
+ * @param {GuildMember|Object} member - Membro do servidor (null em DMs)
+ * @returns {Promise<Object|null>} - Resultado da recusa, ou null se permitido
+ * @private
+ */
+async function checkManagePermission(adminId, member) {
+  if (await permissionService.can(adminId, member, 'promotions.manage')) {
+    return null;
+  }
+
+  logger.warn(`Usuário ${adminId} sem a capacidade promotions.manage`);
+  return {
+    success: false,
+    message: 'Você não tem permissão para gerenciar promoções'
+  };
+}
+
 /**
  * Cria uma nova promoção
  * @param {Object} promoData - Dados da promoção
+ * @param {GuildMember|Object} member - Membro do servidor de quem cria (promoData.criadoPor)
  * @returns {Promise<Object>} - Promoção criada
  */
-async function createPromotion(promoData) {
+async function createPromotion(promoData, member = null) {
   try {
+    const denied = await checkManagePermission(promoData.criadoPor, member);
+    if (denied) return denied;
+
     // Validar desconto
     if (promoData.desconto < config.marketing.discountLimits.min ||
         promoData.desconto > config.marketing.discountLimits.max) {
@@ -107,10 +131,14 @@ async function createPromotion(promoData) {
  * @param {string} promoId - ID da promoção
  * @param {Object} updateData - Dados para atualização
  * @param {string} adminId - ID do administrador
+ * @param {GuildMember|Object} member - Membro do servidor do administrador
  * @returns {Promise<Object>} - Resultado da operação
  */
-async function updatePromotion(promoId, updateData, adminId) {
+async function updatePromotion(promoId, updateData, adminId, member = null) {
   try {
+    const denied = await checkManagePermission(adminId, member);
+    if (denied) return denied;
+
     const promotion = await Promotion.findByPk(promoId);
 
     if (!promotion) {
@@ -188,10 +216,14 @@ async function updatePromotion(promoId, updateData, adminId) {
  * Encerra uma promoção
  * @param {string} promoId - ID da promoção
  * @param {string} adminId - ID do administrador
+ * @param {GuildMember|Object} member - Membro do servidor do administrador
  * @returns {Promise<Object>} - Resultado da operação
  */
-async function endPromotion(promoId, adminId) {
+async function endPromotion(promoId, adminId, member = null) {
   try {
+    const denied = await checkManagePermission(adminId, member);
+    if (denied) return denied;
+
     const promotion = await Promotion.findByPk(promoId);
 
     if (!promotion) {
@@ -24,6 +24,7 @@ const User = sequelize.define('User', {
   blockReason: DataTypes.STRING,
   blockedBy: DataTypes.STRING,
   blockDate: DataTypes.DATE,
+  blockedUntil: DataTypes.DATE, // Fim da suspensão (null = bloqueio permanente)
   preferences: {
     type: DataTypes.JSON,
     defaultValue: {}
@@ -85,12 +86,49 @@ const Product = sequelize.define('Product', {
     defaultValue: 'MANUAL'
   },
   origemId: DataTypes.STRING,
+  precoCusto: DataTypes.FLOAT, // Preço pago na origem (LZT), antes da margem
+  // Reserva temporária enquanto um pagamento está pendente
+  reservadoPor: DataTypes.STRING, // ID do pagamento
+  reservadoAte: DataTypes.DATE,
+  reservaOrigemId: DataTypes.STRING, // ID da reserva no LZT Market
+  // Produtos reembolsados que aguardam análise antes de voltar à venda
+  quarentena: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  quarentenaMotivo: DataTypes.STRING,
   imagens: {
     type: DataTypes.JSON,
     defaultValue: []
   }
 });
 
+// Modelo de Categoria (o slug é o valor de Product.tipo)
+const Category = sequelize.define('Category', {
+  slug: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  nome: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  emoji: DataTypes.STRING,
+  // Campos de Product.detalhes: [{ key, label, type (texto, inteiro, booleano), opcoes, filtro, placeholder }]
+  campos: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  ordem: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  ativa: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+});
+
 // Modelo de Pagamento
 const Payment = sequelize.define('Payment', {
   id: {
@@ -108,7 +146,7 @@ const Payment = sequelize.define('Payment', {
   },
   productId: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true, // Nulo em pagamentos de pedidos com vários itens (ver orderId)
     references: {
       model: 'Products',
       key: 'id'
@@ -118,26 +156,44 @@ const Payment = sequelize.define('Payment', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Orders',
+      key: 'id'
+    }
+  },
   amount: {
     type: DataTypes.FLOAT,
     allowNull: false
   },
   method: {
-    type: DataTypes.STRING,
+    type: DataTypes.ENUM('PIX'), // Métodos oferecidos pelos provedores em src/payment/providers
     defaultValue: 'PIX'
   },
   status: {
-    type: DataTypes.ENUM('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'REFUNDED', 'CANCELLED', 'EXPIRED'),
+    type: DataTypes.ENUM('PENDING', 'PROCESSING', 'COMPLETED', 'REJECTED', 'FAILED', 'REFUNDED', 'CANCELLED', 'EXPIRED'),
     defaultValue: 'PENDING'
   },
-  pixCode: DataTypes.STRING,
+  pixCode: DataTypes.TEXT,
+  txid: DataTypes.STRING,
   qrCodeUrl: DataTypes.STRING,
   expiresAt: DataTypes.DATE,
   completedAt: DataTypes.DATE,
   approvedBy: DataTypes.STRING,
+  approvals: {
+    type: DataTypes.JSON,
+    defaultValue: [] // [{ adminId, approvedAt }] em pagamentos que exigem aprovação dupla
+  },
   rejectedAt: DataTypes.DATE,
   rejectionReason: DataTypes.STRING,
   rejectedBy: DataTypes.STRING,
+  refundedAt: DataTypes.DATE,
+  refundReason: DataTypes.STRING,
+  refundedBy: DataTypes.STRING,
+  approvalClaimedAt: DataTypes.DATE, // Aprovação em andamento (impede compra e entrega em dobro)
+  refundClaimedAt: DataTypes.DATE, // Reembolso em andamento (impede devolução em dobro no provedor)
   deliveryData: {
     type: DataTypes.JSON,
     defaultValue: {}
@@ -148,6 +204,100 @@ const Payment = sequelize.define('Payment', {
   }
 });
 
+// Modelo de Pedido (vários produtos pagos com uma única cobrança PIX)
+const Order = sequelize.define('Order', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  userName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  total: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'COMPLETED', 'REJECTED', 'CANCELLED', 'EXPIRED', 'REFUNDED'),
+    defaultValue: 'PENDING'
+  },
+  completedAt: DataTypes.DATE,
+  rejectionReason: DataTypes.STRING,
+  metadata: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  }
+});
+
+// Modelo de Item do Pedido
+const OrderItem = sequelize.define('OrderItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  productName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  price: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  deliveryData: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  }
+});
+
+// Modelo de Credenciais do Produto (cofre criptografado com AES-256-GCM)
+const ProductSecret = sequelize.define('ProductSecret', {
+  productId: {
+    type: DataTypes.UUID,
+    primaryKey: true
+  },
+  encryptedData: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  iv: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  authTag: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  updatedBy: DataTypes.STRING
+});
+
+// Modelo de Carrinho (armazenamento quando o Redis está desativado)
+const Cart = sequelize.define('Cart', {
+  userId: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  items: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  reminderSentAt: DataTypes.DATE
+});
+
 // Modelo de Promoção
 const Promotion = sequelize.define('Promotion', {
   id: {
@@ -348,6 +498,26 @@ Payment.belongsTo(User, { foreignKey: 'userId', targetKey: 'userId' });
 Product.hasMany(Payment, { foreignKey: 'productId' });
 Payment.belongsTo(Product, { foreignKey: 'productId' });
 
+// User -> Order (1:N)
+User.hasMany(Order, { foreignKey: 'userId' });
+Order.belongsTo(User, { foreignKey: 'userId', targetKey: 'userId' });
+
+// Order -> OrderItem (1:N)
+Order.hasMany(OrderItem, { foreignKey: 'orderId', as: 'items' });
+OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
+
+// Product -> OrderItem (1:N)
+Product.hasMany(OrderItem, { foreignKey: 'productId' });
+OrderItem.belongsTo(Product, { foreignKey: 'productId' });
+
+// Product -> ProductSecret (1:1)
+Product.hasOne(ProductSecret, { foreignKey: 'productId' });
+ProductSecret.belongsTo(Product, { foreignKey: 'productId' });
+
+// Order -> Payment (1:N, tentativas de pagamento do pedido)
+Order.hasMany(Payment, { foreignKey: 'orderId' });
+Payment.belongsTo(Order, { foreignKey: 'orderId' });
+
 // User -> Ticket (1:N)
 User.hasMany(Ticket, { foreignKey: 'userId' });
 Ticket.belongsTo(User, { foreignKey: 'userId', targetKey: 'userId' });
@@ -356,7 +526,12 @@ Ticket.belongsTo(User, { foreignKey: 'userId', targetKey: 'userId' });
 module.exports = {
   User,
   Product,
+  Category,
   Payment,
+  Order,
+  OrderItem,
+  ProductSecret,
+  Cart,
   Promotion,
   AuditLog,
   Activity,
@@ -36,7 +36,7 @@ const PaymentSchema = new Schema({
   },
   method: {
     type: String,
-    enum: ['PIX', 'MANUAL', 'CREDIT_CARD', 'CRYPTO'],
+    enum: ['PIX'],
     default: 'PIX'
   },
 
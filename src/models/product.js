@@ -1,17 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
-const ProductDetailsSchema = new Schema({
-  rank: { type: String },
-  skins: { type: Number, default: 0 },
-  level: { type: Number, default: 0 },
-  agents: { type: Number, default: 0 },
-  region: { type: String },
-  email_changed: { type: Boolean, default: false },
-  valorantPoints: { type: Number, default: 0 },
-  verification: { type: Boolean, default: true }
-}, { _id: false, strict: false });
-
 const ProductSchema = new Schema({
   nome: {
     type: String,
@@ -33,8 +22,9 @@ const ProductSchema = new Schema({
     type: String,
     required: true
   },
+  // Campos definidos pela categoria do produto (Category.campos)
   detalhes: {
-    type: ProductDetailsSchema,
+    type: Schema.Types.Mixed,
     default: () => ({})
   },
   disponivel: {
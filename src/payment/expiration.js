@@ -0,0 +1,58 @@
+/**
+ * Job de expiração de pagamentos
+ * Expira cobranças vencidas e atualiza o painel de pagamento aberto pelo usuário
+ */
+
+const { logger } = require('../utils/helpers');
+const paymentService = require('../services/PaymentService');
+const paymentPanel = require('../interfaces/PaymentPanel');
+
+// Nome do job no agendador
+const JOB_NAME = 'payment-expiration';
+
+/**
+ * Expira os pagamentos vencidos e edita as mensagens dos painéis
+ * @param {Client} client - Cliente Discord
+ * @returns {Promise<Object>} - { expired, panelsUpdated }
+ */
+async function sweepExpiredPayments(client) {
+  const expiredPayments = await paymentService.expireOverduePayments();
+  let panelsUpdated = 0;
+
+  for (const payment of expiredPayments) {
+    if (await updatePanelMessage(client, payment)) {
+      panelsUpdated++;
+    }
+  }
+
+  return { expired: expiredPayments.length, panelsUpdated };
+}
+
+/**
+ * Edita a mensagem do PaymentPanel registrada para o pagamento
+ * @param {Client} client - Cliente Discord
+ * @param {Object} payment - Pagamento expirado
+ * @returns {Promise<boolean>} - Se a mensagem foi atualizada
+ */
+async function updatePanelMessage(client, payment) {
+  const panelMessage = payment.metadata?.panelMessage;
+  if (!client || !panelMessage) return false;
+
+  try {
+    const channel = await client.channels.fetch(panelMessage.channelId);
+    const message = await channel?.messages.fetch(panelMessage.messageId);
+    if (!message) return false;
+
+    await paymentPanel.renderExpired(message, payment);
+    return true;
+  } catch (error) {
+    // A mensagem pode ter sido apagada pelo usuário
+    logger.warn(`Não foi possível atualizar o painel do pagamento expirado ${payment.id}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  JOB_NAME,
+  sweepExpiredPayments
+};
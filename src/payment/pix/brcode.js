@@ -0,0 +1,312 @@
+/**
+ * Montagem e leitura de payloads PIX no padrão BR Code (EMV® QRCPS-MPM)
+ * Segue o Manual de Padrões para Iniciação do Pix do Banco Central
+ */
+
+const { removeAccents } = require('../../utils/helpers');
+
+// Identificadores dos campos (IDs EMV) utilizados pelo PIX
+const FIELDS = {
+  PAYLOAD_FORMAT: '00',
+  POINT_OF_INITIATION: '01',
+  MERCHANT_ACCOUNT: '26',
+  MERCHANT_CATEGORY: '52',
+  CURRENCY: '53',
+  AMOUNT: '54',
+  COUNTRY: '58',
+  MERCHANT_NAME: '59',
+  MERCHANT_CITY: '60',
+  ADDITIONAL_DATA: '62',
+  CRC: '63'
+};
+
+// Subcampos do Merchant Account Information (ID 26)
+const ACCOUNT_FIELDS = {
+  GUI: '00',
+  KEY: '01',
+  DESCRIPTION: '02'
+};
+
+// Subcampos do Additional Data Field Template (ID 62)
+const ADDITIONAL_FIELDS = {
+  TXID: '05'
+};
+
+const PIX_GUI = 'br.gov.bcb.pix';
+const CURRENCY_BRL = '986';
+const COUNTRY_BR = 'BR';
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+const MAX_TXID_LENGTH = 25;
+
+/**
+ * Codifica um campo no formato TLV (ID + tamanho com 2 dígitos + valor)
+ * @param {string} id - ID do campo
+ * @param {string} value - Valor do campo
+ * @returns {string} - Campo codificado
+ * @private
+ */
+function _tlv(id, value) {
+  const text = String(value);
+  if (text.length > 99) {
+    throw new Error(`Campo ${id} do BR Code excede 99 caracteres`);
+  }
+  return `${id}${String(text.length).padStart(2, '0')}${text}`;
+}
+
+/**
+ * Normaliza textos livres para o conjunto de caracteres aceito pelos bancos
+ * @param {string} text - Texto original
+ * @param {number} maxLength - Tamanho máximo
+ * @returns {string} - Texto sem acentos, em maiúsculas e truncado
+ * @private
+ */
+function _sanitize(text, maxLength) {
+  return removeAccents(String(text || ''))
+    .replace(/[^A-Za-z0-9 .\-]/g, '')
+    .trim()
+    .toUpperCase()
+    .substring(0, maxLength);
+}
+
+/**
+ * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF)
+ * @param {string} payload - Payload incluindo "6304" ao final
+ * @returns {string} - CRC em 4 dígitos hexadecimais maiúsculos
+ */
+function crc16(payload) {
+  let crc = 0xFFFF;
+
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+      crc &= 0xFFFF;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Converte um identificador qualquer em txid válido (alfanumérico, até 25 caracteres)
+ * @param {string} id - Identificador de origem (ex: UUID do pagamento)
+ * @returns {string} - txid
+ */
+function formatTxid(id) {
+  const txid = String(id || '').replace(/[^A-Za-z0-9]/g, '').substring(0, MAX_TXID_LENGTH);
+  return txid || '***';
+}
+
+/**
+ * Monta um payload PIX "Copia e Cola" no padrão BR Code
+ * @param {Object} data - Dados do pagamento
+ * @param {string} data.key - Chave PIX do recebedor
+ * @param {string} data.merchantName - Nome do recebedor
+ * @param {string} data.merchantCity - Cidade do recebedor
+ * @param {number} [data.amount] - Valor da cobrança
+ * @param {string} [data.txid] - Identificador da transação
+ * @param {string} [data.description] - Descrição exibida no app do banco
+ * @param {boolean} [data.singleUse] - Indica QR Code de uso único
+ * @returns {string} - Payload BR Code com CRC
+ */
+function buildPixPayload(data) {
+  if (!data || !data.key) {
+    throw new Error('Chave PIX não configurada');
+  }
+
+  const merchantName = _sanitize(data.merchantName, MAX_NAME_LENGTH);
+  const merchantCity = _sanitize(data.merchantCity, MAX_CITY_LENGTH);
+
+  if (!merchantName || !merchantCity) {
+    throw new Error('Nome e cidade do recebedor são obrigatórios no BR Code');
+  }
+
+  // Merchant Account Information (GUI + chave + descrição opcional)
+  let accountInfo = _tlv(ACCOUNT_FIELDS.GUI, PIX_GUI) + _tlv(ACCOUNT_FIELDS.KEY, data.key);
+
+  if (data.description) {
+    // A descrição ocupa o espaço que sobrar no campo 26 (máximo de 99 caracteres)
+    const available = 99 - accountInfo.length - 4;
+    const description = _sanitize(data.description, Math.max(available, 0));
+    if (description) {
+      accountInfo += _tlv(ACCOUNT_FIELDS.DESCRIPTION, description);
+    }
+  }
+
+  let payload = _tlv(FIELDS.PAYLOAD_FORMAT, '01');
+
+  if (data.singleUse) {
+    payload += _tlv(FIELDS.POINT_OF_INITIATION, '12');
+  }
+
+  payload += _tlv(FIELDS.MERCHANT_ACCOUNT, accountInfo);
+  payload += _tlv(FIELDS.MERCHANT_CATEGORY, '0000');
+  payload += _tlv(FIELDS.CURRENCY, CURRENCY_BRL);
+
+  if (data.amount !== undefined && data.amount !== null) {
+    const amount = Number(data.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Valor inválido para o BR Code');
+    }
+    payload += _tlv(FIELDS.AMOUNT, amount.toFixed(2));
+  }
+
+  payload += _tlv(FIELDS.COUNTRY, COUNTRY_BR);
+  payload += _tlv(FIELDS.MERCHANT_NAME, merchantName);
+  payload += _tlv(FIELDS.MERCHANT_CITY, merchantCity);
+  payload += _tlv(FIELDS.ADDITIONAL_DATA, _tlv(ADDITIONAL_FIELDS.TXID, formatTxid(data.txid)));
+
+  // CRC calculado sobre todo o payload, incluindo o ID e tamanho do próprio CRC
+  payload += `${FIELDS.CRC}04`;
+  return payload + crc16(payload);
+}
+
+/**
+ * Separa uma string TLV em seus campos
+ * @param {string} text - Conteúdo TLV
+ * @returns {Object} - Mapa de ID para valor
+ * @private
+ */
+function _parseTlv(text) {
+  const fields = {};
+  let position = 0;
+
+  while (position < text.length) {
+    const id = text.substring(position, position + 2);
+    const length = parseInt(text.substring(position + 2, position + 4), 10);
+
+    if (id.length < 2 || Number.isNaN(length)) {
+      throw new Error(`Campo malformado na posição ${position}`);
+    }
+
+    const value = text.substring(position + 4, position + 4 + length);
+    if (value.length !== length) {
+      throw new Error(`Campo ${id} truncado`);
+    }
+
+    fields[id] = value;
+    position += 4 + length;
+  }
+
+  return fields;
+}
+
+/**
+ * Decodifica um payload BR Code
+ * @param {string} payload - Payload PIX "Copia e Cola"
+ * @returns {Object} - Campos decodificados e status da validação
+ */
+function parsePixPayload(payload) {
+  const result = {
+    valid: false,
+    errors: [],
+    payloadFormat: null,
+    singleUse: false,
+    key: null,
+    description: null,
+    merchantCategory: null,
+    currency: null,
+    amount: null,
+    country: null,
+    merchantName: null,
+    merchantCity: null,
+    txid: null,
+    crc: null
+  };
+
+  if (!payload || typeof payload !== 'string') {
+    result.errors.push('Payload vazio');
+    return result;
+  }
+
+  let fields;
+  try {
+    fields = _parseTlv(payload.trim());
+  } catch (error) {
+    result.errors.push(error.message);
+    return result;
+  }
+
+  result.payloadFormat = fields[FIELDS.PAYLOAD_FORMAT] || null;
+  result.singleUse = fields[FIELDS.POINT_OF_INITIATION] === '12';
+  result.merchantCategory = fields[FIELDS.MERCHANT_CATEGORY] || null;
+  result.currency = fields[FIELDS.CURRENCY] || null;
+  result.amount = fields[FIELDS.AMOUNT] ? parseFloat(fields[FIELDS.AMOUNT]) : null;
+  result.country = fields[FIELDS.COUNTRY] || null;
+  result.merchantName = fields[FIELDS.MERCHANT_NAME] || null;
+  result.merchantCity = fields[FIELDS.MERCHANT_CITY] || null;
+  result.crc = fields[FIELDS.CRC] || null;
+
+  try {
+    if (fields[FIELDS.MERCHANT_ACCOUNT]) {
+      const account = _parseTlv(fields[FIELDS.MERCHANT_ACCOUNT]);
+      if ((account[ACCOUNT_FIELDS.GUI] || '').toLowerCase() !== PIX_GUI) {
+        result.errors.push('GUI do arranjo PIX inválido');
+      }
+      result.key = account[ACCOUNT_FIELDS.KEY] || null;
+      result.description = account[ACCOUNT_FIELDS.DESCRIPTION] || null;
+    }
+
+    if (fields[FIELDS.ADDITIONAL_DATA]) {
+      const additional = _parseTlv(fields[FIELDS.ADDITIONAL_DATA]);
+      result.txid = additional[ADDITIONAL_FIELDS.TXID] || null;
+    }
+  } catch (error) {
+    result.errors.push(error.message);
+  }
+
+  // Validações obrigatórias
+  if (result.payloadFormat !== '01') result.errors.push('Payload Format Indicator inválido');
+  if (!result.key) result.errors.push('Chave PIX ausente');
+  if (result.currency !== CURRENCY_BRL) result.errors.push('Moeda diferente de BRL');
+  if (result.country !== COUNTRY_BR) result.errors.push('País diferente de BR');
+  if (!result.merchantName) result.errors.push('Nome do recebedor ausente');
+  if (!result.merchantCity) result.errors.push('Cidade do recebedor ausente');
+
+  // O CRC deve ser o último campo e bater com o cálculo
+  const crcIndex = payload.length - 8;
+  if (!result.crc || payload.substring(crcIndex, crcIndex + 4) !== `${FIELDS.CRC}04`) {
+    result.errors.push('CRC ausente ou fora da posição final');
+  } else if (crc16(payload.substring(0, payload.length - 4)) !== result.crc.toUpperCase()) {
+    result.errors.push('CRC inválido');
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Valida um payload BR Code, opcionalmente comparando com os dados esperados
+ * @param {string} payload - Payload PIX
+ * @param {Object} expected - Valores esperados (amount, txid, key)
+ * @returns {Object} - { valid, errors, data }
+ */
+function validatePixPayload(payload, expected = {}) {
+  const data = parsePixPayload(payload);
+  const errors = [...data.errors];
+
+  if (expected.amount !== undefined && data.amount !== Number(Number(expected.amount).toFixed(2))) {
+    errors.push('Valor não confere com o pagamento');
+  }
+  if (expected.txid !== undefined && data.txid !== formatTxid(expected.txid)) {
+    errors.push('txid não confere com o pagamento');
+  }
+  if (expected.key !== undefined && data.key !== expected.key) {
+    errors.push('Chave PIX não confere');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    data
+  };
+}
+
+module.exports = {
+  buildPixPayload,
+  parsePixPayload,
+  validatePixPayload,
+  formatTxid,
+  crc16
+};
@@ -0,0 +1,83 @@
+/**
+ * Provedor PIX falso para testes locais
+ * Simula um PSP enviando notificações de liquidação assinadas para o webhook
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../../config');
+const signature = require('../providers/signature');
+
+class FakePixProvider {
+  /**
+   * @param {Object} options - Opções do provedor falso
+   * @param {string} options.secret - Segredo compartilhado (padrão: config.payment.webhook.secret)
+   * @param {string} options.url - URL do webhook (padrão: servidor local configurado)
+   */
+  constructor(options = {}) {
+    const webhookConfig = config.payment.webhook;
+
+    this.secret = options.secret || webhookConfig.secret;
+    this.url = options.url || `http://127.0.0.1:${webhookConfig.port}${webhookConfig.path}`;
+    this.sent = []; // Histórico de notificações enviadas
+  }
+
+  /**
+   * Monta uma notificação de liquidação para um pagamento
+   * @param {Object} payment - Pagamento (precisa de txid e amount)
+   * @param {Object} overrides - Campos para sobrescrever em data (eventId define o ID do evento)
+   * @returns {Object} - Corpo da notificação
+   */
+  buildNotification(payment, overrides = {}) {
+    const { eventId, ...dataOverrides } = overrides;
+
+    return {
+      id: eventId || `evt_${uuidv4().replace(/-/g, '')}`,
+      event: 'pix.received',
+      data: {
+        txid: payment.txid,
+        amount: payment.amount,
+        status: 'PAID',
+        endToEndId: `E${Date.now()}${Math.floor(Math.random() * 1e6)}`,
+        paidAt: new Date().toISOString(),
+        ...dataOverrides
+      }
+    };
+  }
+
+  /**
+   * Envia uma notificação para o webhook
+   * @param {Object} notification - Corpo da notificação
+   * @param {Object} options - { secret, timestamp } para simular assinaturas inválidas
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async send(notification, options = {}) {
+    const rawBody = JSON.stringify(notification);
+    const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+    const signed = signature.signPayload(rawBody, timestamp, options.secret || this.secret);
+
+    const response = await axios.post(this.url, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        [signature.SIGNATURE_HEADER]: signed,
+        [signature.TIMESTAMP_HEADER]: String(timestamp)
+      },
+      validateStatus: () => true
+    });
+
+    this.sent.push(notification);
+    return { status: response.status, body: response.data };
+  }
+
+  /**
+   * Simula o pagamento de uma cobrança
+   * @param {Object} payment - Pagamento a liquidar
+   * @param {Object} overrides - Campos para sobrescrever na notificação
+   * @returns {Promise<Object>} - Resposta do webhook
+   */
+  async pay(payment, overrides = {}) {
+    return await this.send(this.buildNotification(payment, overrides));
+  }
+}
+
+module.exports = FakePixProvider;
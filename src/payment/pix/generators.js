@@ -5,6 +5,7 @@
 const { v4: uuidv4 } = require('uuid');
 const config = require('../../../config'); // Caminho corrigido
 const { logger } = require('../../utils/helpers');
+const { buildPixPayload, formatTxid } = require('./brcode');
 
 /**
  * Gera uma chave PIX única para o pagamento
@@ -21,29 +22,25 @@ function generatePixKey() {
 /**
  * Gera o código PIX para pagamento
  * @param {Object} paymentData - Dados do pagamento
- * @returns {string} - Código PIX no formato "Copia e Cola"
+ * @returns {string} - Código PIX no formato "Copia e Cola" (BR Code)
  */
 function generatePixCode(paymentData) {
-  // Esta é uma implementação simplificada
-  // Em produção, deve seguir o padrão EMV do Banco Central
-  const pixData = {
-    keyType: config.payment.pix.keyType,
-    keyValue: config.payment.pix.keyValue,
-    name: "Bot de Vendas Discord",
-    city: "São Paulo",
-    txId: paymentData._id.toString().substring(0, 25),
-    amount: paymentData.amount.toFixed(2),
-    description: `Compra: ${paymentData.productName.substring(0, 30)}`
-  };
+  const paymentId = (paymentData.id || paymentData._id).toString();
 
-  // Criar String do PIX (formato simplificado)
-  return Buffer.from(JSON.stringify(pixData)).toString('base64');
+  return buildPixPayload({
+    key: config.payment.pix.keyValue,
+    merchantName: config.payment.pix.beneficiaryName,
+    merchantCity: config.payment.pix.city,
+    amount: paymentData.amount,
+    txid: paymentData.txid || formatTxid(paymentId),
+    description: `Compra ${paymentData.productName || ''}`.substring(0, 40)
+  });
 }
 
 /**
- * Gera URL de um QR Code para o pagamento PIX
+ * Renderiza localmente o QR Code do pagamento PIX
  * @param {string} pixCode - Código PIX
- * @returns {Promise<string>} - URL do QR Code em data:image/png;base64
+ * @returns {Promise<Buffer|null>} - Imagem PNG do QR Code ou null se não for possível gerar
  */
 async function generateQRCode(pixCode) {
   try {
@@ -53,27 +50,28 @@ async function generateQRCode(pixCode) {
       QRCode = require('qrcode');
     } catch (error) {
       logger.error('Módulo QRCode não encontrado:', error);
-      // Fallback para QR code estático
-      return 'https://i.imgur.com/placeholder-qr.png';
+      return null;
     }
 
+    const qrConfig = config.payment.pix.qrCode || {};
+
     // Opções do QR Code
     const options = {
-      errorCorrectionLevel: 'H',
-      margin: 1,
-      width: 300,
+      type: 'png',
+      errorCorrectionLevel: qrConfig.errorCorrectionLevel || 'M',
+      margin: qrConfig.margin !== undefined ? qrConfig.margin : 1,
+      width: qrConfig.width || 300,
       color: {
         dark: '#000000',
         light: '#FFFFFF'
       }
     };
 
-    // Gerar QR code como data URL
-    return await QRCode.toDataURL(pixCode, options);
+    // Gerar QR code como PNG em memória
+    return await QRCode.toBuffer(pixCode, options);
   } catch (error) {
     logger.error('Erro ao gerar QR Code:', error);
-    // Retornar URL de um QR code genérico em caso de erro
-    return 'https://i.imgur.com/placeholder-qr.png';
+    return null;
   }
 }
 
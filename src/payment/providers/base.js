@@ -0,0 +1,66 @@
+/**
+ * Interface base dos provedores de pagamento
+ * Todo provedor registrado em providers/index.js deve implementar estes métodos
+ */
+
+// Status normalizados de uma cobrança no provedor
+const CHARGE_STATUS = {
+  PENDING: 'PENDING',     // Aguardando pagamento
+  PAID: 'PAID',           // Liquidada
+  REFUNDED: 'REFUNDED',   // Devolvida ao pagador
+  CANCELLED: 'CANCELLED', // Cancelada/expirada no provedor
+  UNKNOWN: 'UNKNOWN'      // Provedor não consegue consultar a cobrança
+};
+
+class PaymentProvider {
+  /**
+   * @param {string} name - Nome do provedor (valor usado em config.payment.pix.provider)
+   * @param {string} method - Método de pagamento gravado em Payment.method
+   */
+  constructor(name, method = 'PIX') {
+    this.name = name;
+    this.method = method;
+  }
+
+  /**
+   * Cria a cobrança de um pagamento
+   * @param {Object} payment - Pagamento já persistido (id, amount, productName)
+   * @returns {Promise<Object>} - { chargeId, txid, pixCode }
+   */
+  async createCharge(payment) {
+    throw new Error(`createCharge não implementado no provedor ${this.name}`);
+  }
+
+  /**
+   * Consulta o status de uma cobrança
+   * @param {Object} payment - Pagamento com txid
+   * @returns {Promise<Object>} - { status, amount, paidAt }
+   */
+  async getChargeStatus(payment) {
+    throw new Error(`getChargeStatus não implementado no provedor ${this.name}`);
+  }
+
+  /**
+   * Solicita a devolução de uma cobrança paga
+   * @param {Object} payment - Pagamento a devolver
+   * @param {number} amount - Valor a devolver (padrão: valor total)
+   * @returns {Promise<Object>} - { success, manual, refundId, message }
+   */
+  async refund(payment, amount) {
+    throw new Error(`refund não implementado no provedor ${this.name}`);
+  }
+
+  /**
+   * Valida e converte uma notificação recebida no webhook
+   * @param {string} rawBody - Corpo bruto da requisição
+   * @param {Object} headers - Cabeçalhos HTTP
+   * @returns {Object} - { valid, reason, notification }
+   */
+  parseWebhook(rawBody, headers) {
+    throw new Error(`parseWebhook não implementado no provedor ${this.name}`);
+  }
+}
+
+PaymentProvider.CHARGE_STATUS = CHARGE_STATUS;
+
+module.exports = PaymentProvider;
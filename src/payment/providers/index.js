@@ -0,0 +1,80 @@
+/**
+ * Registro dos provedores de pagamento
+ * O provedor ativo é escolhido por config.payment.pix.provider
+ */
+
+const config = require('../../../config');
+const PaymentProvider = require('./base');
+const StaticPixProvider = require('./staticPix');
+const MockPixProvider = require('./mock');
+const { logger } = require('../../utils/helpers');
+
+// Provedores disponíveis (nome -> classe)
+const PROVIDERS = {
+  static: StaticPixProvider,
+  mock: MockPixProvider
+};
+
+// Nomes antigos aceitos em PIX_PROVIDER (nome antigo -> provedor atual)
+const LEGACY_PROVIDERS = {
+  '99pay': 'static'
+};
+
+// Instâncias criadas sob demanda (o mock precisa manter estado entre chamadas)
+const instances = new Map();
+const warnedLegacy = new Set();
+
+/**
+ * Obtém a instância de um provedor
+ * @param {string} name - Nome do provedor (padrão: config.payment.pix.provider)
+ * @returns {PaymentProvider} - Provedor de pagamento
+ */
+function getProvider(name = config.payment.pix.provider) {
+  const key = resolveProviderName(name);
+
+  if (!instances.has(key)) {
+    instances.set(key, new PROVIDERS[key]());
+  }
+
+  return instances.get(key);
+}
+
+/**
+ * Resolve o nome configurado para um provedor registrado
+ * Nomes antigos são convertidos com um aviso; nomes desconhecidos lançam erro
+ * @param {string} name - Nome do provedor (padrão: config.payment.pix.provider)
+ * @returns {string} - Nome do provedor registrado
+ */
+function resolveProviderName(name = config.payment.pix.provider) {
+  let key = String(name || '').toLowerCase();
+
+  if (LEGACY_PROVIDERS[key]) {
+    if (!warnedLegacy.has(key)) {
+      warnedLegacy.add(key);
+      logger.warn(`PIX_PROVIDER=${name} está obsoleto, usando o provedor "${LEGACY_PROVIDERS[key]}". Atualize a configuração`);
+    }
+    key = LEGACY_PROVIDERS[key];
+  }
+
+  if (!PROVIDERS[key]) {
+    throw new Error(`Provedor de pagamento desconhecido: ${name} (disponíveis: ${listProviders().join(', ')})`);
+  }
+
+  return key;
+}
+
+/**
+ * Lista os nomes dos provedores registrados
+ * @returns {Array<string>} - Nomes dos provedores
+ */
+function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+  getProvider,
+  resolveProviderName,
+  listProviders,
+  CHARGE_STATUS: PaymentProvider.CHARGE_STATUS,
+  PaymentProvider
+};
@@ -0,0 +1,152 @@
+/**
+ * Provedor de pagamento em memória para desenvolvimento e testes
+ * Mantém as cobranças em um Map e permite simular liquidações sem PSP real
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../../config');
+const StaticPixProvider = require('./staticPix');
+const { buildPixPayload, formatTxid } = require('../pix/brcode');
+
+const { CHARGE_STATUS } = StaticPixProvider;
+
+// Chave usada quando nenhuma chave PIX está configurada no ambiente
+const MOCK_PIX_KEY = 'mock@mercadao.local';
+
+class MockPixProvider extends StaticPixProvider {
+  constructor() {
+    super('mock');
+    this.charges = new Map(); // txid -> cobrança
+  }
+
+  /**
+   * Registra a cobrança em memória
+   * @param {Object} payment - Pagamento já persistido
+   * @returns {Promise<Object>} - { chargeId, txid, pixCode }
+   */
+  async createCharge(payment) {
+    const txid = payment.txid || formatTxid(payment.id);
+    const pixCode = buildPixPayload({
+      key: config.payment.pix.keyValue || MOCK_PIX_KEY,
+      merchantName: config.payment.pix.beneficiaryName,
+      merchantCity: config.payment.pix.city,
+      amount: payment.amount,
+      txid,
+      description: `Compra ${payment.productName || ''}`.substring(0, 40)
+    });
+
+    const charge = {
+      chargeId: `mock_${txid}`,
+      txid,
+      pixCode,
+      amount: payment.amount,
+      status: CHARGE_STATUS.PENDING,
+      createdAt: new Date(),
+      paidAt: null,
+      refunds: []
+    };
+
+    this.charges.set(txid, charge);
+    return { chargeId: charge.chargeId, txid, pixCode };
+  }
+
+  /**
+   * Consulta a cobrança em memória
+   * @param {Object} payment - Pagamento com txid
+   * @returns {Promise<Object>} - Status da cobrança
+   */
+  async getChargeStatus(payment) {
+    const charge = this.charges.get(payment.txid);
+
+    if (!charge) {
+      return { status: CHARGE_STATUS.UNKNOWN };
+    }
+
+    return {
+      status: charge.status,
+      amount: charge.amount,
+      paidAt: charge.paidAt
+    };
+  }
+
+  /**
+   * Devolve uma cobrança paga
+   * @param {Object} payment - Pagamento a devolver
+   * @param {number} amount - Valor a devolver
+   * @returns {Promise<Object>} - Resultado da devolução
+   */
+  async refund(payment, amount = payment.amount) {
+    const charge = this.charges.get(payment.txid);
+
+    if (!charge || charge.status !== CHARGE_STATUS.PAID) {
+      return { success: false, message: 'Cobrança não encontrada ou não liquidada' };
+    }
+
+    const refundId = `mock_refund_${uuidv4().replace(/-/g, '')}`;
+    charge.refunds.push({ refundId, amount, createdAt: new Date() });
+    charge.status = CHARGE_STATUS.REFUNDED;
+
+    return { success: true, manual: false, refundId, amount };
+  }
+
+  /**
+   * Valida a assinatura como o provedor estático e marca a cobrança em memória como paga
+   * Para liquidar sem webhook use settle()
+   * @param {string} rawBody - Corpo bruto da requisição
+   * @param {Object} headers - Cabeçalhos HTTP (em minúsculas)
+   * @returns {Object} - { valid, reason, notification }
+   */
+  parseWebhook(rawBody, headers) {
+    const result = super.parseWebhook(rawBody, headers);
+
+    if (result.valid && result.notification && result.notification.status === CHARGE_STATUS.PAID) {
+      this._markPaid(result.notification.txid, result.notification.paidAt);
+    }
+
+    return result;
+  }
+
+  /**
+   * Simula a liquidação de uma cobrança
+   * @param {string} txid - txid da cobrança
+   * @param {Object} overrides - Campos para sobrescrever na notificação
+   * @returns {Object|null} - Notificação normalizada, pronta para o PaymentService
+   */
+  settle(txid, overrides = {}) {
+    const charge = this.charges.get(txid);
+    if (!charge) return null;
+
+    const paidAt = new Date();
+    this._markPaid(txid, paidAt);
+
+    return {
+      eventId: `evt_${uuidv4().replace(/-/g, '')}`,
+      txid,
+      amount: charge.amount,
+      status: CHARGE_STATUS.PAID,
+      endToEndId: `E${Date.now()}`,
+      paidAt,
+      ...overrides
+    };
+  }
+
+  /**
+   * Limpa todas as cobranças em memória
+   */
+  reset() {
+    this.charges.clear();
+  }
+
+  /**
+   * @private
+   */
+  _markPaid(txid, paidAt) {
+    const charge = this.charges.get(txid);
+    if (charge && charge.status === CHARGE_STATUS.PENDING) {
+      charge.status = CHARGE_STATUS.PAID;
+      charge.paidAt = paidAt;
+    }
+  }
+}
+
+module.exports = MockPixProvider;
@@ -0,0 +1,68 @@
+/**
+ * Assinatura HMAC das notificações de webhook PIX
+ */
+
+const crypto = require('crypto');
+const config = require('../../../config');
+
+// Cabeçalhos enviados pelo PSP
+const SIGNATURE_HEADER = 'x-pix-signature';
+const TIMESTAMP_HEADER = 'x-pix-timestamp';
+
+/**
+ * Gera a assinatura HMAC-SHA256 de um corpo de notificação
+ * @param {string} rawBody - Corpo bruto da requisição
+ * @param {number|string} timestamp - Timestamp (segundos) enviado no cabeçalho
+ * @param {string} secret - Segredo compartilhado com o PSP
+ * @returns {string} - Assinatura no formato "sha256=<hex>"
+ */
+function signPayload(rawBody, timestamp, secret) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verifica a assinatura e a janela de tempo de uma notificação
+ * @param {string} rawBody - Corpo bruto da requisição
+ * @param {Object} headers - Cabeçalhos HTTP
+ * @param {string} secret - Segredo compartilhado com o PSP
+ * @returns {Object} - { valid, reason }
+ */
+function verifySignature(rawBody, headers, secret) {
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = parseInt(headers[TIMESTAMP_HEADER], 10);
+
+  if (!secret) {
+    return { valid: false, reason: 'Segredo do webhook não configurado' };
+  }
+
+  if (!signature || Number.isNaN(timestamp)) {
+    return { valid: false, reason: 'Assinatura ou timestamp ausente' };
+  }
+
+  // Rejeitar notificações antigas para evitar replay
+  const tolerance = config.payment.webhook.toleranceSeconds || 300;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+    return { valid: false, reason: 'Timestamp fora da janela permitida' };
+  }
+
+  const expected = Buffer.from(signPayload(rawBody, timestamp, secret));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Assinatura inválida' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+};
@@ -0,0 +1,123 @@
+/**
+ * Provedor de chave PIX estática
+ * Gera o BR Code localmente com a chave configurada; a confirmação chega pelo
+ * webhook assinado ou pela aprovação manual de um administrador
+ */
+
+const config = require('../../../config');
+const PaymentProvider = require('./base');
+const { verifySignature } = require('./signature');
+const pixGenerators = require('../pix/generators');
+const { formatTxid } = require('../pix/brcode');
+
+const { CHARGE_STATUS } = PaymentProvider;
+
+// Status enviados pelos PSPs que indicam liquidação
+const PAID_STATUSES = ['PAID', 'CONCLUIDA', 'COMPLETED'];
+
+class StaticPixProvider extends PaymentProvider {
+  constructor(name = 'static') {
+    super(name, 'PIX');
+  }
+
+  /**
+   * Gera o BR Code da cobrança com a chave PIX configurada
+   * @param {Object} payment - Pagamento já persistido
+   * @returns {Promise<Object>} - { chargeId, txid, pixCode }
+   */
+  async createCharge(payment) {
+    const txid = payment.txid || formatTxid(payment.id);
+    const pixCode = pixGenerators.generatePixCode({
+      id: payment.id,
+      amount: payment.amount,
+      productName: payment.productName,
+      txid
+    });
+
+    return { chargeId: txid, txid, pixCode };
+  }
+
+  /**
+   * Com chave estática não há API para consultar a cobrança
+   * @param {Object} payment - Pagamento
+   * @returns {Promise<Object>} - Status da cobrança
+   */
+  async getChargeStatus(payment) {
+    const confirmation = payment.metadata?.pspConfirmation;
+
+    // Se o webhook já confirmou, reaproveitar a confirmação recebida
+    if (confirmation) {
+      return {
+        status: CHARGE_STATUS.PAID,
+        amount: confirmation.amount,
+        paidAt: confirmation.paidAt
+      };
+    }
+
+    return { status: CHARGE_STATUS.UNKNOWN };
+  }
+
+  /**
+   * Devoluções de PIX recebido em chave estática são feitas pelo app do banco
+   * @param {Object} payment - Pagamento a devolver
+   * @param {number} amount - Valor a devolver
+   * @returns {Promise<Object>} - Resultado da devolução
+   */
+  async refund(payment, amount = payment.amount) {
+    return {
+      success: true,
+      manual: true,
+      amount,
+      message: `Devolva R$ ${Number(amount).toFixed(2)} manualmente pelo app do banco (E2E: ${payment.metadata?.pspConfirmation?.endToEndId || 'N/A'})`
+    };
+  }
+
+  /**
+   * Valida a assinatura HMAC e normaliza a notificação de liquidação
+   * @param {string} rawBody - Corpo bruto da requisição
+   * @param {Object} headers - Cabeçalhos HTTP
+   * @returns {Object} - { valid, reason, notification }
+   */
+  parseWebhook(rawBody, headers) {
+    const verification = verifySignature(rawBody, headers, config.payment.webhook.secret);
+    if (!verification.valid) {
+      return { valid: false, reason: verification.reason, notification: null };
+    }
+
+    return { valid: true, notification: this._parseNotification(rawBody) };
+  }
+
+  /**
+   * Converte o corpo recebido do PSP em uma notificação normalizada
+   * @param {string} rawBody - Corpo JSON da notificação
+   * @returns {Object|null} - Notificação normalizada ou null se inválida
+   * @protected
+   */
+  _parseNotification(rawBody) {
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      return null;
+    }
+
+    const data = body && body.data;
+
+    if (!body || !body.id || !data || !data.txid) {
+      return null;
+    }
+
+    const status = String(data.status || '').toUpperCase();
+
+    return {
+      eventId: String(body.id),
+      txid: String(data.txid),
+      amount: parseFloat(data.amount),
+      status: PAID_STATUSES.includes(status) ? CHARGE_STATUS.PAID : status,
+      endToEndId: data.endToEndId,
+      paidAt: data.paidAt ? new Date(data.paidAt) : new Date()
+    };
+  }
+}
+
+module.exports = StaticPixProvider;
@@ -0,0 +1,158 @@
+/**
+ * Receptor HTTP de webhooks do provedor PIX (PSP)
+ * Valida as notificações de liquidação pelo provedor configurado e repassa ao PaymentService
+ */
+
+const http = require('http');
+const config = require('../../config');
+const { logger } = require('../utils/helpers');
+const paymentService = require('../services/PaymentService');
+const paymentProviders = require('./providers');
+
+let server = null;
+
+/**
+ * Envia uma resposta JSON
+ * @private
+ */
+function _sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Lê o corpo bruto da requisição respeitando o limite de tamanho
+ * @private
+ */
+function _readBody(req) {
+  const maxSize = config.payment.webhook.maxBodySize || 1048576;
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxSize) {
+        reject(new Error('Corpo da requisição excede o limite'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Processa uma requisição HTTP recebida
+ * @param {IncomingMessage} req - Requisição
+ * @param {ServerResponse} res - Resposta
+ */
+async function handleRequest(req, res) {
+  const webhookConfig = config.payment.webhook;
+  const url = (req.url || '').split('?')[0];
+
+  if (url !== webhookConfig.path) {
+    return _sendJson(res, 404, { error: 'not_found' });
+  }
+
+  if (req.method !== 'POST') {
+    return _sendJson(res, 405, { error: 'method_not_allowed' });
+  }
+
+  let rawBody;
+  try {
+    rawBody = await _readBody(req);
+  } catch (error) {
+    return _sendJson(res, 413, { error: 'payload_too_large' });
+  }
+
+  // Cada provedor valida a autenticidade e o formato das suas notificações
+  const parsed = paymentProviders.getProvider().parseWebhook(rawBody, req.headers);
+  if (!parsed.valid) {
+    logger.warn(`Webhook PIX rejeitado: ${parsed.reason}`);
+    return _sendJson(res, 401, { error: 'invalid_signature' });
+  }
+
+  const notification = parsed.notification;
+  if (!notification) {
+    return _sendJson(res, 400, { error: 'invalid_payload' });
+  }
+
+  try {
+    const result = await paymentService.processPspNotification(notification);
+
+    if (!result.success && result.code === 'NOT_FOUND') {
+      return _sendJson(res, 404, { error: 'payment_not_found' });
+    }
+
+    return _sendJson(res, 200, {
+      received: true,
+      duplicate: !!result.duplicate,
+      approved: !!result.approved
+    });
+  } catch (error) {
+    logger.error('Erro ao processar webhook PIX:', error);
+    // 500 faz o PSP reenviar a notificação mais tarde
+    return _sendJson(res, 500, { error: 'internal_error' });
+  }
+}
+
+/**
+ * Inicia o servidor HTTP do webhook
+ * @param {number} port - Porta (padrão: config.payment.webhook.port)
+ * @returns {Promise<Server>} - Servidor HTTP em execução
+ */
+function start(port = config.payment.webhook.port) {
+  if (server) {
+    return Promise.resolve(server);
+  }
+
+  if (!config.payment.webhook.secret) {
+    logger.warn('PIX_WEBHOOK_SECRET não configurado: todas as notificações serão rejeitadas');
+  }
+
+  server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      logger.error('Erro inesperado no webhook PIX:', error);
+      if (!res.headersSent) _sendJson(res, 500, { error: 'internal_error' });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    // Falha ao abrir a porta (ex: em uso): um novo start() deve criar outro servidor
+    server.once('error', error => {
+      server = null;
+      reject(error);
+    });
+    server.listen(port, () => {
+      logger.info(`Webhook PIX ouvindo na porta ${server.address().port} (${config.payment.webhook.path})`);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Encerra o servidor HTTP do webhook
+ * @returns {Promise<void>}
+ */
+function stop() {
+  if (!server) return Promise.resolve();
+
+  return new Promise(resolve => {
+    server.close(() => {
+      server = null;
+      logger.info('Webhook PIX encerrado');
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  start,
+  stop,
+  handleRequest
+};
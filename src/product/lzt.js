@@ -1,154 +1,168 @@
 /**
- * Integração com o LZT Market (Simplificada)
+ * Integração com o LZT Market
+ * Sincronização do catálogo; as requisições passam pelo cliente único em ./lzt/client
  */
-const axios = require('axios');
+const { Op } = require('sequelize');
 const config = require('../../config'); // Caminho corrigido
 const { logger } = require('../utils/helpers');
 const { Product } = require('../models');
 const cache = require('../utils/cache');
+const auditLogger = require('../audit/logger');
+const categoryService = require('../services/CategoryService');
+const lztClient = require('./lzt/client');
 
 // Chave de cache para produtos
 const CACHE_KEY_PRODUCTS = 'products:lzt';
+const CACHE_KEY_STORE_PRODUCTS = 'products:all'; // Listagem da loja (ProductService)
 const CACHE_TTL = 300; // 5 minutos
 
-// Cliente API LZT simplificado
-class LZTClient {
-  constructor() {
-    this.apiKey = config.lzt.apiKey;
-    this.baseUrl = config.lzt.baseUrl;
-    this.client = axios.create({
-      baseURL: this.baseUrl,
-      timeout: 30000,
-      headers: {
-        'X-API-KEY': this.apiKey
-      }
-    });
+// Relatório da última sincronização
+const CACHE_KEY_LAST_SYNC = 'lzt:sync:last';
+const LAST_SYNC_TTL = 7 * 24 * 60 * 60; // 7 dias
+
+// Evita execuções simultâneas (agendada e manual)
+let syncInProgress = false;
+
+/**
+ * Calcula o preço de venda a partir do custo no LZT e da regra do tipo
+ * @param {number} cost - Preço do produto no LZT Market
+ * @param {string} tipo - Tipo do produto
+ * @returns {number} - Preço de venda
+ */
+function applyPricing(cost, tipo) {
+  const rule = { ...config.lzt.pricing.default, ...(config.lzt.pricing.byType[tipo] || {}) };
+
+  let price = cost * (1 + (rule.markupPercent || 0) / 100) + (rule.fixedFee || 0);
+
+  // Arredondar para cima até o próximo X,90
+  if (rule.roundTo90) {
+    price = Math.ceil(price - 0.9) + 0.9;
   }
 
-  /**
-   * Faz uma requisição para a API
-   * @param {string} method - Método HTTP
-   * @param {string} endpoint - Endpoint da API
-   * @param {Object} data - Dados da requisição
-   * @returns {Promise<Object>} - Resposta da API
-   */
-  async request(method, endpoint, data = {}, retries = 3) {
-    try {
-      const response = await this.client({
-        method,
-        url: endpoint,
-        data: method !== 'get' ? data : undefined,
-        params: method === 'get' ? data : undefined
-      });
+  return Math.round(price * 100) / 100;
+}
 
-      return response.data;
-    } catch (error) {
-      if (retries > 0 && this._shouldRetry(error)) {
-        logger.warn(`Erro na requisição LZT, tentando novamente... (${retries} tentativas restantes)`);
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        return this.request(method, endpoint, data, retries - 1);
-      }
+/**
+ * Percorre todas as páginas do feed de produtos disponíveis
+ * @returns {Promise<Object>} - { items, pages }
+ * @private
+ */
+async function fetchAllProducts() {
+  const { pageSize, maxPages } = config.lzt.sync;
+  const items = [];
+  let page = 1;
+
+  for (; page <= maxPages; page++) {
+    const response = await lztClient.getProducts({
+      status: 'available',
+      page,
+      limit: pageSize
+    });
 
-      logger.error(`Erro na requisição LZT: ${method} ${endpoint}`, error);
-      throw error;
+    if (!response || !Array.isArray(response.data)) {
+      throw new Error(`Formato inválido na resposta do LZT Market (página ${page})`);
     }
-  }
 
-  /**
-   * Determina se deve tentar novamente
-   * @private
-   */
-  _shouldRetry(error) {
-    if (!error.response) return true;
-    return error.response.status === 429 || error.response.status >= 500;
-  }
+    items.push(...response.data);
 
-  /**
-   * Busca produtos disponíveis
-   * @param {Object} filters - Filtros para busca
-   * @returns {Promise<Array>} - Lista de produtos
-   */
-  async getProducts(filters = {}) {
-    return this.request('get', '/products', filters);
+    const totalPages = response.totalPages || response.pagination?.totalPages || response.meta?.last_page;
+    if (response.data.length < pageSize || (totalPages && page >= totalPages)) {
+      return { items, pages: page };
+    }
   }
 
-  /**
-   * Busca detalhes de um produto
-   * @param {string} productId - ID do produto
-   * @returns {Promise<Object>} - Detalhes do produto
-   */
-  async getProductDetails(productId) {
-    return this.request('get', `/products/${productId}`);
-  }
+  // O limite de páginas impede saber quais produtos saíram do feed
+  throw new Error(`Feed do LZT Market excedeu o limite de ${maxPages} páginas`);
 }
 
-// Instância do cliente
-const lztClient = new LZTClient();
-
 /**
  * Sincroniza produtos do LZT Market
- * @returns {Promise<Object>} - Resultado da sincronização
+ * Percorre o feed completo, aplica as regras de preço e retira da loja os produtos que saíram do feed
+ * @param {Object} options - Opções da sincronização
+ * @param {string} options.trigger - Origem da execução (scheduled ou o ID do administrador)
+ * @returns {Promise<Object>} - Relatório da sincronização
  */
-async function syncProducts() {
-  try {
-    logger.info('Iniciando sincronização com LZT Market...');
+async function syncProducts(options = {}) {
+  if (syncInProgress) {
+    return {
+      success: false,
+      message: 'Já existe uma sincronização em andamento',
+      added: 0,
+      updated: 0,
+      delisted: 0,
+      errors: 0
+    };
+  }
 
-    // Buscar produtos disponíveis no LZT
-    const lztProducts = await lztClient.getProducts({
-      status: 'available',
-      limit: 100
-    });
+  syncInProgress = true;
+  const startedAt = Date.now();
+  const trigger = options.trigger || 'manual';
 
-    if (!lztProducts || !lztProducts.data || !Array.isArray(lztProducts.data)) {
-      logger.error('Formato inválido na resposta do LZT Market');
-      return {
-        success: false,
-        message: 'Formato de resposta inválido',
-        added: 0,
-        updated: 0,
-        errors: 1
-      };
-    }
+  try {
+    logger.info(`Iniciando sincronização com LZT Market (${trigger})...`);
+
+    const { items, pages } = await fetchAllProducts();
 
     let added = 0;
     let updated = 0;
+    let delisted = 0;
     let errors = 0;
+    const seen = new Set();
 
     // Processar produtos
-    for (const lztProduct of lztProducts.data) {
+    for (const lztProduct of items) {
       try {
+        const origemId = String(lztProduct.id);
+        seen.add(origemId);
+
+        const cost = Number(lztProduct.price);
+        if (!Number.isFinite(cost) || cost <= 0) {
+          logger.warn(`Produto LZT ${origemId} ignorado: preço inválido (${lztProduct.price})`);
+          errors++;
+          continue;
+        }
+
+        const tipo = lztProduct.type || 'valorant';
+        if (!categoryService.get(tipo)) {
+          logger.warn(`Produto LZT ${origemId} ignorado: categoria desconhecida (${tipo})`);
+          errors++;
+          continue;
+        }
+
+        const data = {
+          nome: lztProduct.title || `Conta ${tipo}`,
+          preco: applyPricing(cost, tipo),
+          precoCusto: cost,
+          descricao: lztProduct.description || '',
+          disponivel: lztProduct.status === 'available',
+          detalhes: lztProduct.details || {},
+          imagens: lztProduct.images || []
+        };
+
         // Verificar se o produto já existe
         const existingProduct = await Product.findOne({
           where: {
             origem: 'LZT',
-            origemId: lztProduct.id
+            origemId
           }
         });
 
         if (existingProduct) {
-          // Atualizar produto existente
-          await existingProduct.update({
-            nome: lztProduct.title || `Conta ${lztProduct.type || 'Valorant'}`,
-            preco: lztProduct.price || 0,
-            descricao: lztProduct.description || '',
-            disponivel: lztProduct.status === 'available',
-            detalhes: lztProduct.details || {},
-            imagens: lztProduct.images || []
-          });
+          // Produtos vendidos ou em quarentena seguem o fluxo local
+          if (existingProduct.vendido || existingProduct.quarentena) continue;
 
-          updated++;
+          existingProduct.set(data);
+          if (existingProduct.changed()) {
+            await existingProduct.save();
+            updated++;
+          }
         } else {
           // Criar novo produto
           await Product.create({
-            nome: lztProduct.title || `Conta ${lztProduct.type || 'Valorant'}`,
-            tipo: lztProduct.type || 'valorant',
-            preco: lztProduct.price || 0,
-            descricao: lztProduct.description || '',
-            detalhes: lztProduct.details || {},
-            disponivel: lztProduct.status === 'available',
+            ...data,
+            tipo,
             origem: 'LZT',
-            origemId: lztProduct.id,
-            imagens: lztProduct.images || []
+            origemId
           });
 
           added++;
@@ -159,30 +173,99 @@ async function syncProducts() {
       }
     }
 
+    // Retirar da loja os produtos que saíram do feed (reservados por pagamentos pendentes também somem do feed)
+    if (config.lzt.sync.delistMissing && seen.size > 0) {
+      const [count] = await Product.update({ disponivel: false }, {
+        where: {
+          origem: 'LZT',
+          origemId: { [Op.notIn]: [...seen] },
+          disponivel: true,
+          vendido: false,
+          [Op.or]: [
+            { reservadoAte: null },
+            { reservadoAte: { [Op.lt]: new Date() } }
+          ]
+        }
+      });
+      delisted = count;
+    } else if (seen.size === 0) {
+      logger.warn('Feed do LZT Market vazio, nenhum produto retirado da loja');
+    }
+
     // Invalidar cache
     await cache.del(CACHE_KEY_PRODUCTS);
+    await cache.del(CACHE_KEY_STORE_PRODUCTS);
 
-    logger.info(`Sincronização concluída: ${added} adicionados, ${updated} atualizados, ${errors} erros`);
-
-    return {
+    const report = {
       success: true,
+      trigger,
       added,
       updated,
-      errors
+      delisted,
+      errors,
+      received: items.length,
+      pages,
+      durationMs: Date.now() - startedAt,
+      finishedAt: new Date()
     };
+
+    await cache.set(CACHE_KEY_LAST_SYNC, report, LAST_SYNC_TTL);
+
+    logger.info(`Sincronização concluída: ${added} adicionados, ${updated} atualizados, ${delisted} retirados, ${errors} erros`);
+
+    await auditLogger.log({
+      action: 'LZT_SYNC_COMPLETED',
+      category: 'INTEGRATION',
+      severity: errors > 0 ? 'WARNING' : 'INFO',
+      status: 'SUCCESS',
+      user: { id: trigger === 'scheduled' ? 'SYSTEM' : trigger },
+      details: { trigger, added, updated, delisted, errors, received: items.length, pages, durationMs: report.durationMs }
+    });
+
+    return report;
   } catch (error) {
     logger.error('Erro ao sincronizar com LZT Market:', error);
-    return {
+
+    const report = {
       success: false,
+      trigger,
       message: error.message,
       added: 0,
       updated: 0,
-      errors: 1
+      delisted: 0,
+      errors: 1,
+      durationMs: Date.now() - startedAt,
+      finishedAt: new Date()
     };
+
+    await cache.set(CACHE_KEY_LAST_SYNC, report, LAST_SYNC_TTL);
+
+    await auditLogger.log({
+      action: 'LZT_SYNC_FAILED',
+      category: 'INTEGRATION',
+      severity: 'ERROR',
+      status: 'ERROR',
+      user: { id: trigger === 'scheduled' ? 'SYSTEM' : trigger },
+      details: { trigger, message: error.message }
+    });
+
+    return report;
+  } finally {
+    syncInProgress = false;
   }
 }
 
+/**
+ * Relatório da última sincronização
+ * @returns {Promise<Object|null>}
+ */
+async function getLastSyncReport() {
+  return await cache.get(CACHE_KEY_LAST_SYNC);
+}
+
 module.exports = {
   client: lztClient,
-  syncProducts
+  syncProducts,
+  getLastSyncReport,
+  applyPricing
 };
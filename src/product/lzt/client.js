@@ -1,21 +1,47 @@
 /**
  * Cliente para API do LZT Market
+ * Único ponto de acesso ao LZT: requisições assinadas, retry com backoff (respeitando Retry-After) e circuit breaker
  */
 
 const axios = require('axios');
-const crypto = require('crypto');
-const config = require('../../config');
+const config = require('../../../config');
 const { logger } = require('../../utils/helpers');
+const auditLogger = require('../../audit/logger');
+const signature = require('./signature');
+
+// Estados do circuit breaker
+const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED', // Requisições normais
+  OPEN: 'OPEN', // Falhas seguidas: requisições recusadas sem chamar a API
+  HALF_OPEN: 'HALF_OPEN' // Período de espera terminou: uma requisição de teste é liberada
+};
 
 class LZTMarketClient {
-  constructor() {
-    this.apiKey = config.lzt.apiKey;
-    this.apiSecret = config.lzt.apiSecret;
-    this.baseUrl = config.lzt.baseUrl;
+  /**
+   * @param {Object} options - Sobrescreve config.lzt (usado pelo servidor simulado e em testes)
+   */
+  constructor(options = {}) {
+    const clientConfig = { ...config.lzt.client, ...(options.client || {}) };
+
+    this.apiKey = options.apiKey || config.lzt.apiKey;
+    this.apiSecret = options.apiSecret || config.lzt.apiSecret;
+    this.baseUrl = options.baseUrl || config.lzt.baseUrl;
+    this.maxRetries = clientConfig.maxRetries;
+    this.retryBaseDelay = clientConfig.retryBaseDelay;
+    this.maxRetryDelay = clientConfig.maxRetryDelay;
+    this.breaker = clientConfig.circuitBreaker;
+
     this.client = axios.create({
       baseURL: this.baseUrl,
-      timeout: 30000 // 30 segundos
+      timeout: clientConfig.timeout
     });
+
+    this.circuit = {
+      state: CIRCUIT_STATES.CLOSED,
+      failures: 0,
+      openedAt: null,
+      trialInFlight: false
+    };
   }
 
   /**
@@ -23,20 +49,7 @@ class LZTMarketClient {
    * @private
    */
   _signRequest(method, endpoint, data = {}, timestamp = Date.now()) {
-    // Formato: METHOD|endpoint|timestamp|payload
-    const payload = `${method.toUpperCase()}|${endpoint}|${timestamp}|${JSON.stringify(data)}`;
-
-    // Gerar assinatura usando o secret
-    const signature = crypto
-      .createHmac('sha256', this.apiSecret)
-      .update(payload)
-      .digest('hex');
-
-    return {
-      'X-API-KEY': this.apiKey,
-      'X-API-SIGNATURE': signature,
-      'X-API-TIMESTAMP': timestamp
-    };
+    return signature.buildHeaders({ apiKey: this.apiKey, apiSecret: this.apiSecret }, method, endpoint, data, timestamp);
   }
 
   /**
@@ -46,53 +59,200 @@ class LZTMarketClient {
    * @param {Object} data - Dados da requisição
    * @returns {Promise<Object>} - Resposta da API
    */
-  async request(method, endpoint, data = {}, retries = 3) {
-    try {
-      const timestamp = Date.now();
-      const headers = this._signRequest(method, endpoint, data, timestamp);
-
-      const response = await this.client({
-        method,
-        url: endpoint,
-        data: method !== 'get' ? data : undefined,
-        params: method === 'get' ? data : undefined,
-        headers
-      });
+  async request(method, endpoint, data = {}) {
+    this._acquireCircuit();
 
-      return response.data;
-    } catch (error) {
-      // Verificar se deve tentar novamente
-      if (retries > 0 && this._shouldRetry(error)) {
-        logger.warn(`Erro na requisição LZT (${method} ${endpoint}), tentando novamente... (${retries} tentativas restantes)`);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // Cada tentativa é assinada novamente (o timestamp faz parte da assinatura)
+        const response = await this.client({
+          method,
+          url: endpoint,
+          data: method !== 'get' ? data : undefined,
+          params: method === 'get' ? data : undefined,
+          headers: this._signRequest(method, endpoint, data)
+        });
 
-        // Delay exponencial
-        const delay = Math.pow(2, 4 - retries) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await this._recordSuccess();
+        return response.data;
+      } catch (error) {
+        const retryable = this._shouldRetry(error, method);
 
-        // Tentar novamente
-        return this.request(method, endpoint, data, retries - 1);
-      }
+        if (retryable && attempt < this.maxRetries) {
+          const delay = this._getRetryDelay(error, attempt);
+          logger.warn(`Erro na requisição LZT (${method} ${endpoint}), tentando novamente em ${delay}ms... (${this.maxRetries - attempt} tentativas restantes)`);
 
-      logger.error(`Erro na requisição LZT: ${method.toUpperCase()} ${endpoint}`, error);
-      throw error;
+          await this._sleep(delay);
+          continue;
+        }
+
+        // Erros do cliente (4xx) não indicam instabilidade da API
+        if (this._isServerFailure(error)) {
+          await this._recordFailure(error);
+        } else {
+          this._releaseTrial();
+        }
+
+        logger.error(`Erro na requisição LZT: ${method.toUpperCase()} ${endpoint}`, error);
+        throw error;
+      }
     }
   }
 
+  /**
+   * Situação atual do circuit breaker
+   * @returns {Object} - { state, failures, openedAt }
+   */
+  getCircuitStatus() {
+    const { state, failures, openedAt } = this.circuit;
+    return { state, failures, openedAt };
+  }
+
   /**
    * Determina se deve tentar novamente baseado no erro
+   * Escritas (reserva, compra) só são repetidas quando a API avisa com Retry-After que não processou a requisição:
+   * um timeout em uma compra concluída na origem compraria a conta de novo e perderia as credenciais da primeira
    * @private
    */
-  _shouldRetry(error) {
-    // Retry em erros de rede ou timeout
+  _shouldRetry(error, method) {
+    if (method.toLowerCase() !== 'get') {
+      const status = error.response?.status;
+      return (status === 429 || status === 503) && !!error.response.headers?.['retry-after'];
+    }
+
+    return this._isServerFailure(error);
+  }
+
+  /**
+   * Erros de rede, timeout, 5xx (servidor) ou 429 (rate limit)
+   * @private
+   */
+  _isServerFailure(error) {
     if (!error.response) {
       return true;
     }
 
-    // Retry em erros 5xx (servidor) ou 429 (rate limit)
     const status = error.response.status;
     return status === 429 || status >= 500;
   }
 
+  /**
+   * Espera antes da próxima tentativa: Retry-After no 429, senão backoff exponencial com jitter
+   * @private
+   */
+  _getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.status === 429 ? error.response.headers?.['retry-after'] : null;
+
+    if (retryAfter) {
+      // Retry-After pode ser em segundos ou uma data HTTP
+      const seconds = Number(retryAfter);
+      const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+
+      if (Number.isFinite(delay)) {
+        return Math.round(Math.min(Math.max(delay, 0), this.maxRetryDelay));
+      }
+    }
+
+    const exponential = this.retryBaseDelay * Math.pow(2, attempt);
+    const jitter = Math.random() * this.retryBaseDelay;
+    return Math.round(Math.min(exponential + jitter, this.maxRetryDelay));
+  }
+
+  /**
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Libera a requisição ou recusa com o circuito aberto
+   * @private
+   */
+  _acquireCircuit() {
+    const circuit = this.circuit;
+
+    if (circuit.state === CIRCUIT_STATES.OPEN && Date.now() - circuit.openedAt >= this.breaker.resetTimeout) {
+      circuit.state = CIRCUIT_STATES.HALF_OPEN;
+      logger.info('Circuit breaker do LZT em teste (meio-aberto)');
+    }
+
+    // Meio-aberto: apenas uma requisição de teste por vez
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return;
+    }
+
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+      const retryIn = Math.max(this.breaker.resetTimeout - (Date.now() - circuit.openedAt), 0);
+      const error = new Error(`API do LZT Market indisponível (circuit breaker aberto, nova tentativa em ${Math.ceil(retryIn / 1000)}s)`);
+      error.code = 'LZT_CIRCUIT_OPEN';
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _releaseTrial() {
+    this.circuit.trialInFlight = false;
+  }
+
+  /**
+   * @private
+   */
+  async _recordSuccess() {
+    const wasOpen = this.circuit.state !== CIRCUIT_STATES.CLOSED;
+
+    this.circuit.state = CIRCUIT_STATES.CLOSED;
+    this.circuit.failures = 0;
+    this.circuit.openedAt = null;
+    this._releaseTrial();
+
+    if (wasOpen) {
+      logger.info('Circuit breaker do LZT fechado, API respondendo novamente');
+
+      await auditLogger.log({
+        action: 'LZT_CIRCUIT_CLOSED',
+        category: 'INTEGRATION',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        details: { baseUrl: this.baseUrl }
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _recordFailure(error) {
+    const circuit = this.circuit;
+    const wasHalfOpen = circuit.state === CIRCUIT_STATES.HALF_OPEN;
+
+    circuit.failures++;
+    this._releaseTrial();
+
+    if (wasHalfOpen || (circuit.state === CIRCUIT_STATES.CLOSED && circuit.failures >= this.breaker.failureThreshold)) {
+      circuit.state = CIRCUIT_STATES.OPEN;
+      circuit.openedAt = Date.now();
+
+      logger.warn(`Circuit breaker do LZT aberto após ${circuit.failures} falha(s) seguida(s)`);
+
+      await auditLogger.log({
+        action: 'LZT_CIRCUIT_OPENED',
+        category: 'INTEGRATION',
+        severity: 'WARNING',
+        status: 'ERROR',
+        details: {
+          baseUrl: this.baseUrl,
+          failures: circuit.failures,
+          resetTimeout: this.breaker.resetTimeout,
+          lastError: error.response ? `HTTP ${error.response.status}` : error.message
+        }
+      });
+    }
+  }
+
   /**
    * Busca produtos disponíveis
    * @param {Object} filters - Filtros para busca
@@ -140,5 +300,8 @@ class LZTMarketClient {
   }
 }
 
-// Exportar instância única
-module.exports = new LZTMarketClient();
+// Exportar instância única (a classe fica disponível para instâncias apontando para o servidor simulado)
+const lztClient = new LZTMarketClient();
+lztClient.LZTMarketClient = LZTMarketClient;
+lztClient.CIRCUIT_STATES = CIRCUIT_STATES;
+module.exports = lztClient;
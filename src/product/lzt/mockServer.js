@@ -0,0 +1,238 @@
+/**
+ * Servidor LZT Market simulado para testes locais
+ * Verifica as assinaturas do cliente e permite injetar falhas (429 com Retry-After, 5xx)
+ *
+ * Uso direto: node src/product/lzt/mockServer.js (com LZT_API_URL=http://127.0.0.1:3099)
+ */
+
+const http = require('http');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../../config');
+const { logger } = require('../../utils/helpers');
+const signature = require('./signature');
+
+const PRODUCT_TYPES = ['valorant', 'steam', 'lol'];
+
+class MockLZTServer {
+  /**
+   * @param {Object} options - Opções do servidor simulado
+   * @param {string} options.apiKey - Chave esperada (padrão: config.lzt.apiKey)
+   * @param {string} options.apiSecret - Segredo usado na verificação (padrão: config.lzt.apiSecret)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || config.lzt.apiKey;
+    this.apiSecret = options.apiSecret || config.lzt.apiSecret;
+    this.server = null;
+    this.products = new Map();
+    this.reservations = new Map();
+    this.faults = []; // Falhas programadas
+    this.requests = []; // Histórico de requisições recebidas
+  }
+
+  /**
+   * Cria produtos disponíveis no catálogo simulado
+   * @param {number} count - Quantidade de produtos
+   * @returns {Array<Object>} - Produtos criados
+   */
+  seed(count = 10) {
+    const created = [];
+
+    for (let i = 0; i < count; i++) {
+      const id = String(this.products.size + 1);
+      const type = PRODUCT_TYPES[i % PRODUCT_TYPES.length];
+      const product = {
+        id,
+        title: `Conta ${type} #${id}`,
+        type,
+        price: 10 + (i % 10) * 5,
+        status: 'available',
+        description: 'Conta de teste do servidor simulado',
+        details: { region: 'BR', level: 20 + i },
+        images: []
+      };
+
+      this.products.set(id, product);
+      created.push(product);
+    }
+
+    return created;
+  }
+
+  /**
+   * Programa uma falha para as próximas requisições
+   * @param {Object} fault - { status, retryAfter, times, path }
+   * @param {number} fault.status - Status HTTP retornado (ex: 429, 503)
+   * @param {number|string} fault.retryAfter - Valor do cabeçalho Retry-After
+   * @param {number} fault.times - Quantidade de requisições afetadas (padrão: 1)
+   * @param {string} fault.path - Prefixo do caminho afetado (padrão: todos)
+   */
+  injectFault({ status = 503, retryAfter = null, times = 1, path = null } = {}) {
+    this.faults.push({ status, retryAfter, remaining: times, path });
+  }
+
+  /**
+   * Inicia o servidor
+   * @param {number} port - Porta (0 para uma porta livre)
+   * @returns {Promise<string>} - URL base do servidor
+   */
+  start(port = config.lzt.mockPort) {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  /**
+   * Encerra o servidor
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const method = req.method.toLowerCase();
+    const rawBody = await this._readBody(req);
+
+    let data;
+    try {
+      data = method === 'get' ? Object.fromEntries(url.searchParams) : JSON.parse(rawBody || '{}');
+    } catch (error) {
+      return this._send(res, 400, { error: 'JSON inválido' });
+    }
+
+    this.requests.push({ method: req.method, path: url.pathname, data, at: new Date() });
+
+    const verification = signature.verifyRequest(
+      { method, endpoint: url.pathname, data, headers: req.headers },
+      { apiKey: this.apiKey, apiSecret: this.apiSecret }
+    );
+
+    if (!verification.valid) {
+      return this._send(res, 401, { error: verification.reason });
+    }
+
+    const fault = this.faults.find(entry => entry.remaining > 0 && (!entry.path || url.pathname.startsWith(entry.path)));
+    if (fault) {
+      fault.remaining--;
+      const headers = fault.retryAfter !== null ? { 'Retry-After': String(fault.retryAfter) } : {};
+      return this._send(res, fault.status, { error: 'Falha simulada' }, headers);
+    }
+
+    return this._route(method, url.pathname, data, res);
+  }
+
+  /**
+   * @private
+   */
+  _route(method, path, data, res) {
+    let match;
+
+    if (method === 'get' && path === '/products') {
+      const page = Math.max(parseInt(data.page || '1', 10), 1);
+      const limit = Math.max(parseInt(data.limit || '50', 10), 1);
+      const items = [...this.products.values()].filter(product => !data.status || product.status === data.status);
+
+      return this._send(res, 200, {
+        data: items.slice((page - 1) * limit, page * limit),
+        page,
+        totalPages: Math.max(Math.ceil(items.length / limit), 1),
+        total: items.length
+      });
+    }
+
+    if (method === 'get' && (match = path.match(/^\/products\/([^/]+)$/))) {
+      const product = this.products.get(match[1]);
+      return product ? this._send(res, 200, product) : this._send(res, 404, { error: 'Produto não encontrado' });
+    }
+
+    if (method === 'post' && (match = path.match(/^\/products\/([^/]+)\/reserve$/))) {
+      const product = this.products.get(match[1]);
+      if (!product) return this._send(res, 404, { error: 'Produto não encontrado' });
+      if (product.status !== 'available') return this._send(res, 409, { error: 'Produto indisponível' });
+
+      const reservation = { id: uuidv4(), productId: product.id, status: 'reserved', createdAt: new Date().toISOString() };
+      product.status = 'reserved';
+      this.reservations.set(reservation.id, reservation);
+
+      return this._send(res, 200, reservation);
+    }
+
+    if (method === 'post' && (match = path.match(/^\/reservations\/([^/]+)\/(purchase|cancel)$/))) {
+      const reservation = this.reservations.get(match[1]);
+      if (!reservation || reservation.status !== 'reserved') {
+        return this._send(res, 404, { error: 'Reserva não encontrada' });
+      }
+
+      const product = this.products.get(reservation.productId);
+
+      if (match[2] === 'cancel') {
+        reservation.status = 'cancelled';
+        if (product) product.status = 'available';
+        return this._send(res, 200, { id: reservation.id, status: 'cancelled' });
+      }
+
+      reservation.status = 'completed';
+      if (product) product.status = 'sold';
+
+      return this._send(res, 200, {
+        id: reservation.id,
+        status: 'completed',
+        orderId: `ord_${uuidv4().replace(/-/g, '').substring(0, 12)}`,
+        account: {
+          login: `mock_user_${reservation.productId}`,
+          password: `mock_pass_${reservation.productId}`,
+          email: `mock${reservation.productId}@example.com`,
+          emailPassword: `mock_mail_${reservation.productId}`
+        }
+      });
+    }
+
+    return this._send(res, 404, { error: 'Rota não encontrada' });
+  }
+
+  /**
+   * @private
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// Execução direta: sobe o servidor com um catálogo de exemplo
+if (require.main === module) {
+  const server = new MockLZTServer();
+  server.seed(parseInt(process.env.LZT_MOCK_PRODUCTS || '25', 10));
+
+  server.start().then(url => {
+    logger.info(`Servidor LZT simulado em ${url} (${server.products.size} produtos)`);
+  });
+}
+
+module.exports = MockLZTServer;
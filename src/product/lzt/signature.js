@@ -0,0 +1,107 @@
+/**
+ * Assinatura HMAC das requisições ao LZT Market
+ * Usada pelo cliente para assinar e pelo servidor simulado para verificar
+ */
+
+const crypto = require('crypto');
+
+// Cabeçalhos enviados em cada requisição
+const API_KEY_HEADER = 'x-api-key';
+const SIGNATURE_HEADER = 'x-api-signature';
+const TIMESTAMP_HEADER = 'x-api-timestamp';
+
+/**
+ * Serializa os dados assinados: corpo JSON nas escritas, query string ordenada nas leituras
+ * @param {string} method - Método HTTP
+ * @param {Object} data - Corpo ou parâmetros da requisição
+ * @returns {string}
+ */
+function serializeData(method, data = {}) {
+  if (method.toLowerCase() !== 'get') {
+    return JSON.stringify(data || {});
+  }
+
+  return Object.keys(data || {})
+    .filter(key => data[key] !== undefined && data[key] !== null)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(String(data[key]))}`)
+    .join('&');
+}
+
+/**
+ * Gera a assinatura HMAC-SHA256 de uma requisição
+ * Formato assinado: METHOD|endpoint|timestamp|dados
+ * @param {string} method - Método HTTP
+ * @param {string} endpoint - Caminho relativo à URL base (ex: /products)
+ * @param {Object} data - Corpo ou parâmetros da requisição
+ * @param {number|string} timestamp - Timestamp em milissegundos
+ * @param {string} secret - Segredo da API
+ * @returns {string} - Assinatura em hexadecimal
+ */
+function signRequest(method, endpoint, data, timestamp, secret) {
+  const payload = `${method.toUpperCase()}|${endpoint}|${timestamp}|${serializeData(method, data)}`;
+
+  return crypto
+    .createHmac('sha256', secret || '')
+    .update(payload)
+    .digest('hex');
+}
+
+/**
+ * Monta os cabeçalhos de autenticação de uma requisição
+ * @param {Object} credentials - { apiKey, apiSecret }
+ * @param {string} method - Método HTTP
+ * @param {string} endpoint - Caminho relativo à URL base
+ * @param {Object} data - Corpo ou parâmetros da requisição
+ * @param {number} timestamp - Timestamp em milissegundos
+ * @returns {Object} - Cabeçalhos HTTP
+ */
+function buildHeaders({ apiKey, apiSecret }, method, endpoint, data, timestamp = Date.now()) {
+  return {
+    [API_KEY_HEADER]: apiKey,
+    [SIGNATURE_HEADER]: signRequest(method, endpoint, data, timestamp, apiSecret),
+    [TIMESTAMP_HEADER]: String(timestamp)
+  };
+}
+
+/**
+ * Verifica a assinatura e a janela de tempo de uma requisição
+ * @param {Object} request - { method, endpoint, data, headers }
+ * @param {Object} credentials - { apiKey, apiSecret }
+ * @param {number} toleranceMs - Diferença máxima aceita entre os relógios
+ * @returns {Object} - { valid, reason }
+ */
+function verifyRequest({ method, endpoint, data, headers }, { apiKey, apiSecret }, toleranceMs = 300000) {
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = parseInt(headers[TIMESTAMP_HEADER], 10);
+
+  if (headers[API_KEY_HEADER] !== apiKey) {
+    return { valid: false, reason: 'Chave de API inválida' };
+  }
+
+  if (!signature || Number.isNaN(timestamp)) {
+    return { valid: false, reason: 'Assinatura ou timestamp ausente' };
+  }
+
+  if (Math.abs(Date.now() - timestamp) > toleranceMs) {
+    return { valid: false, reason: 'Timestamp fora da janela permitida' };
+  }
+
+  const expected = Buffer.from(signRequest(method, endpoint, data, timestamp, apiSecret));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Assinatura inválida' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signRequest,
+  buildHeaders,
+  verifyRequest
+};
@@ -0,0 +1,270 @@
+/**
+ * Serviço de análise de vendas
+ * Receita por período, unidades por tipo, conversão, latência de aprovação e maiores compradores
+ */
+const { Op } = require('sequelize');
+const { Payment, Product } = require('../models');
+const { logger } = require('../utils/helpers');
+const { renderBarChart } = require('../utils/charts');
+const config = require('../../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Períodos oferecidos no seletor (em dias) e o agrupamento padrão de cada um
+const RANGES = {
+  '7d': { days: 7, label: 'Últimos 7 dias', granularity: 'day' },
+  '30d': { days: 30, label: 'Últimos 30 dias', granularity: 'day' },
+  '90d': { days: 90, label: 'Últimos 90 dias', granularity: 'week' },
+  '365d': { days: 365, label: 'Últimos 12 meses', granularity: 'month' }
+};
+
+const GRANULARITIES = {
+  day: 'Dia',
+  week: 'Semana',
+  month: 'Mês'
+};
+
+// Pagamentos que já tiveram desfecho (entram no cálculo das taxas)
+const FINISHED_STATUSES = ['COMPLETED', 'REJECTED', 'EXPIRED', 'CANCELLED', 'REFUNDED', 'FAILED'];
+
+class AnalyticsService {
+  /**
+   * Calcula o início e o fim de um período do seletor
+   * @param {string} range - Chave do período (7d, 30d, 90d, 365d)
+   * @returns {Object} - { from, to }
+   */
+  getRangeDates(range) {
+    const { days } = RANGES[range] || RANGES['30d'];
+    const to = new Date();
+    const from = new Date(to.getTime() - days * DAY_MS);
+    from.setHours(0, 0, 0, 0);
+    return { from, to };
+  }
+
+  /**
+   * Monta o relatório de vendas do período
+   * @param {Object} options - Opções do relatório
+   * @param {Date} options.from - Início do período
+   * @param {Date} options.to - Fim do período
+   * @param {string} options.granularity - Agrupamento da receita (day, week ou month)
+   * @returns {Promise<Object>} - Relatório de vendas
+   */
+  async getSalesReport({ from, to, granularity = 'day' }) {
+    try {
+      const [completed, created, soldProducts, catalog] = await Promise.all([
+        Payment.findAll({
+          where: { status: 'COMPLETED', completedAt: { [Op.between]: [from, to] } },
+          attributes: ['id', 'userId', 'userName', 'amount', 'createdAt', 'completedAt']
+        }),
+        Payment.findAll({
+          where: { createdAt: { [Op.between]: [from, to] } },
+          attributes: ['id', 'status']
+        }),
+        Product.findAll({
+          where: { vendido: true, dataVenda: { [Op.between]: [from, to] } },
+          attributes: ['id', 'tipo']
+        }),
+        Product.findAll({
+          attributes: ['id', 'tipo', 'visualizacoes', 'vendido']
+        })
+      ]);
+
+      const revenue = completed.reduce((sum, payment) => sum + payment.amount, 0);
+
+      return {
+        from,
+        to,
+        granularity,
+        revenue,
+        sales: completed.length,
+        averageTicket: completed.length > 0 ? revenue / completed.length : 0,
+        revenueSeries: this._buildRevenueSeries(completed, from, to, granularity),
+        unitsByType: this._countBy(soldProducts, 'tipo'),
+        conversion: this._buildConversion(catalog),
+        approvalLatency: this._averageLatency(completed),
+        rates: this._buildRates(created),
+        topBuyers: this._buildTopBuyers(completed)
+      };
+    } catch (error) {
+      logger.error('Erro ao montar relatório de vendas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gera os gráficos PNG do relatório
+   * @param {Object} report - Relatório de getSalesReport
+   * @returns {Object} - { revenue, units } com os PNG
+   */
+  renderCharts(report) {
+    const titles = { day: 'RECEITA POR DIA', week: 'RECEITA POR SEMANA', month: 'RECEITA POR MES' };
+    const types = Object.keys(report.unitsByType);
+
+    return {
+      revenue: renderBarChart({
+        title: `${titles[report.granularity]} (R$)`,
+        labels: report.revenueSeries.map(point => point.label),
+        values: report.revenueSeries.map(point => Number(point.value.toFixed(2))),
+        color: config.discord.embedColors.primary
+      }),
+      units: renderBarChart({
+        title: 'UNIDADES VENDIDAS POR TIPO',
+        labels: types,
+        values: types.map(type => report.unitsByType[type]),
+        color: config.discord.embedColors.success,
+        height: 300
+      })
+    };
+  }
+
+  /**
+   * Receita agrupada por dia, semana ou mês, com os períodos sem vendas zerados
+   * @private
+   */
+  _buildRevenueSeries(payments, from, to, granularity) {
+    const buckets = new Map();
+
+    for (let cursor = this._bucketStart(from, granularity); cursor <= to; cursor = this._nextBucket(cursor, granularity)) {
+      buckets.set(cursor.getTime(), { label: this._bucketLabel(cursor, granularity), value: 0, count: 0 });
+    }
+
+    for (const payment of payments) {
+      const bucket = buckets.get(this._bucketStart(new Date(payment.completedAt), granularity).getTime());
+      if (bucket) {
+        bucket.value += payment.amount;
+        bucket.count++;
+      }
+    }
+
+    return [...buckets.values()];
+  }
+
+  /**
+   * Conversão de visualizações em vendas por tipo (visualizações acumuladas do catálogo)
+   * @private
+   */
+  _buildConversion(products) {
+    const byType = {};
+
+    for (const product of products) {
+      const entry = byType[product.tipo] || (byType[product.tipo] = { views: 0, sold: 0 });
+      entry.views += product.visualizacoes || 0;
+      if (product.vendido) entry.sold++;
+    }
+
+    const total = Object.values(byType).reduce((acc, entry) => ({
+      views: acc.views + entry.views,
+      sold: acc.sold + entry.sold
+    }), { views: 0, sold: 0 });
+
+    const withRate = entry => ({ ...entry, rate: entry.views > 0 ? entry.sold / entry.views : 0 });
+
+    return {
+      total: withRate(total),
+      byType: Object.fromEntries(Object.entries(byType).map(([type, entry]) => [type, withRate(entry)]))
+    };
+  }
+
+  /**
+   * Tempo médio entre a criação e a aprovação, em milissegundos
+   * @private
+   */
+  _averageLatency(payments) {
+    const latencies = payments
+      .filter(payment => payment.completedAt)
+      .map(payment => new Date(payment.completedAt) - new Date(payment.createdAt));
+
+    if (latencies.length === 0) return null;
+    return latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length;
+  }
+
+  /**
+   * Taxas de rejeição e expiração entre os pagamentos criados no período que já tiveram desfecho
+   * @private
+   */
+  _buildRates(payments) {
+    const finished = payments.filter(payment => FINISHED_STATUSES.includes(payment.status));
+    const count = status => finished.filter(payment => payment.status === status).length;
+
+    return {
+      created: payments.length,
+      finished: finished.length,
+      rejection: finished.length > 0 ? count('REJECTED') / finished.length : 0,
+      expiration: finished.length > 0 ? count('EXPIRED') / finished.length : 0
+    };
+  }
+
+  /**
+   * Maiores compradores do período por valor gasto
+   * @private
+   */
+  _buildTopBuyers(payments, limit = 5) {
+    const buyers = new Map();
+
+    for (const payment of payments) {
+      const buyer = buyers.get(payment.userId) || { userId: payment.userId, userName: payment.userName, total: 0, count: 0 };
+      buyer.total += payment.amount;
+      buyer.count++;
+      buyers.set(payment.userId, buyer);
+    }
+
+    return [...buyers.values()].sort((a, b) => b.total - a.total).slice(0, limit);
+  }
+
+  /**
+   * @private
+   */
+  _countBy(items, field) {
+    return items.reduce((counts, item) => {
+      counts[item[field]] = (counts[item[field]] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Início do período (dia, semana iniciada na segunda ou mês) que contém a data
+   * @private
+   */
+  _bucketStart(date, granularity) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+
+    if (granularity === 'week') {
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    } else if (granularity === 'month') {
+      start.setDate(1);
+    }
+
+    return start;
+  }
+
+  /**
+   * @private
+   */
+  _nextBucket(date, granularity) {
+    const next = new Date(date);
+
+    if (granularity === 'month') {
+      next.setMonth(next.getMonth() + 1);
+    } else {
+      next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+    }
+
+    return next;
+  }
+
+  /**
+   * @private
+   */
+  _bucketLabel(date, granularity) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return granularity === 'month' ? `${month}/${date.getFullYear()}` : `${day}/${month}`;
+  }
+}
+
+// Singleton
+const analyticsService = new AnalyticsService();
+analyticsService.RANGES = RANGES;
+analyticsService.GRANULARITIES = GRANULARITIES;
+module.exports = analyticsService;
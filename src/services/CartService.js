@@ -0,0 +1,256 @@
+/**
+ * Serviço de carrinhos de compra persistentes
+ * Usa o Redis quando ele está conectado na inicialização e o SQLite caso contrário
+ */
+const { Op } = require('sequelize');
+const { Cart } = require('../models');
+const cache = require('../utils/cache');
+const { logger } = require('../utils/helpers');
+const config = require('../../config');
+
+// Prefixo das chaves de carrinho no Redis
+const CACHE_KEY_CART = 'cart:';
+
+class CartService {
+  constructor() {
+    // Armazenamento escolhido uma única vez (redis ou database)
+    this.backend = null;
+  }
+
+  /**
+   * Escolhe o armazenamento dos carrinhos (chamar após cache.initCache)
+   * A escolha não muda em execução: se o Redis cair, os carrinhos ficam indisponíveis até ele voltar,
+   * em vez de serem divididos entre o Redis e o cache em memória
+   * @returns {string} - Armazenamento escolhido
+   */
+  init() {
+    this.backend = cache.isPersistent() ? 'redis' : 'database';
+    logger.info(`Carrinhos armazenados em ${this.backend === 'redis' ? 'Redis' : 'SQLite'}`);
+    return this.backend;
+  }
+
+  /**
+   * Tempo de vida de um carrinho sem alterações, em milissegundos
+   * @returns {number}
+   */
+  get timeoutMs() {
+    return (config.cart?.timeoutMinutes || 30) * 60 * 1000;
+  }
+
+  /**
+   * Obtém o carrinho de um usuário (vazio se não existir ou tiver expirado)
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Object>} - Carrinho do usuário
+   */
+  async getCart(userId) {
+    try {
+      const cart = this._usesRedis()
+        ? await this._redisGet(`${CACHE_KEY_CART}${userId}`)
+        : await this._getFromDatabase(userId);
+
+      if (!cart) return this._emptyCart(userId);
+
+      if (this._isExpired(cart)) {
+        await this.clearCart(userId);
+        return this._emptyCart(userId);
+      }
+
+      return cart;
+    } catch (error) {
+      logger.error(`Erro ao obter carrinho do usuário ${userId}:`, error);
+      return this._emptyCart(userId);
+    }
+  }
+
+  /**
+   * Salva o carrinho renovando seu prazo de expiração
+   * @param {Object} cart - Carrinho a salvar
+   * @returns {Promise<Object>} - Carrinho salvo
+   */
+  async saveCart(cart) {
+    cart.updatedAt = new Date();
+    cart.reminderSentAt = null; // Alterações reiniciam o ciclo de lembrete
+
+    if (cart.items.length === 0) {
+      await this.clearCart(cart.userId);
+      return cart;
+    }
+
+    await this._persist(cart);
+    return cart;
+  }
+
+  /**
+   * Remove o carrinho de um usuário
+   * @param {string} userId - ID do usuário
+   */
+  async clearCart(userId) {
+    try {
+      if (this._usesRedis()) {
+        await this._redis().del(`${CACHE_KEY_CART}${userId}`);
+      } else {
+        await Cart.destroy({ where: { userId } });
+      }
+    } catch (error) {
+      logger.error(`Erro ao limpar carrinho do usuário ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Lista carrinhos com itens parados há mais tempo que o limite e ainda sem lembrete
+   * @param {number} afterMinutes - Minutos desde a última alteração
+   * @returns {Promise<Array>} - Carrinhos abandonados
+   */
+  async getAbandonedCarts(afterMinutes) {
+    const threshold = Date.now() - afterMinutes * 60 * 1000;
+
+    try {
+      let carts;
+      if (this._usesRedis()) {
+        const keys = await this._redis().keys(`${CACHE_KEY_CART}*`);
+        carts = (await Promise.all(keys.map(key => this._redisGet(key)))).filter(Boolean);
+      } else {
+        const rows = await Cart.findAll({
+          where: {
+            updatedAt: { [Op.lt]: new Date(threshold) },
+            reminderSentAt: null
+          }
+        });
+        carts = rows.map(row => this._fromRow(row));
+      }
+
+      return carts.filter(cart =>
+        cart.items.length > 0 &&
+        !cart.reminderSentAt &&
+        new Date(cart.updatedAt).getTime() < threshold &&
+        !this._isExpired(cart)
+      );
+    } catch (error) {
+      logger.error('Erro ao buscar carrinhos abandonados:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Marca que o lembrete foi enviado sem renovar o prazo do carrinho
+   * @param {Object} cart - Carrinho lembrado
+   */
+  async markReminderSent(cart) {
+    cart.reminderSentAt = new Date();
+    await this._persist(cart);
+  }
+
+  /**
+   * Remove carrinhos expirados (o Redis já expira as chaves pelo TTL)
+   * @returns {Promise<number>} - Quantidade de carrinhos removidos
+   */
+  async cleanupExpiredCarts() {
+    try {
+      if (this._usesRedis()) return 0;
+
+      const removed = await Cart.destroy({
+        where: {
+          updatedAt: { [Op.lt]: new Date(Date.now() - this.timeoutMs) }
+        }
+      });
+
+      if (removed > 0) {
+        logger.info(`${removed} carrinho(s) expirado(s) removido(s)`);
+      }
+
+      return removed;
+    } catch (error) {
+      logger.error('Erro ao limpar carrinhos expirados:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Grava o carrinho no armazenamento ativo mantendo o updatedAt
+   * @private
+   */
+  async _persist(cart) {
+    if (this._usesRedis()) {
+      // O TTL acompanha o tempo restante até a expiração do carrinho
+      const remaining = new Date(cart.updatedAt).getTime() + this.timeoutMs - Date.now();
+      await this._redis().setEx(`${CACHE_KEY_CART}${cart.userId}`, Math.max(Math.ceil(remaining / 1000), 1), JSON.stringify(cart));
+      return;
+    }
+
+    await Cart.upsert({
+      userId: cart.userId,
+      items: cart.items,
+      reminderSentAt: cart.reminderSentAt,
+      createdAt: cart.createdAt,
+      updatedAt: cart.updatedAt
+    }, { silent: true });
+  }
+
+  /**
+   * @private
+   */
+  _usesRedis() {
+    return (this.backend || this.init()) === 'redis';
+  }
+
+  /**
+   * Cliente Redis usado diretamente (a camada de cache troca para memória quando o Redis falha)
+   * @private
+   */
+  _redis() {
+    return cache.client();
+  }
+
+  /**
+   * @private
+   */
+  async _redisGet(key) {
+    const data = await this._redis().get(key);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * @private
+   */
+  async _getFromDatabase(userId) {
+    const row = await Cart.findByPk(userId);
+    return row ? this._fromRow(row) : null;
+  }
+
+  /**
+   * @private
+   */
+  _fromRow(row) {
+    return {
+      userId: row.userId,
+      items: row.items || [],
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      reminderSentAt: row.reminderSentAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  _isExpired(cart) {
+    return new Date(cart.updatedAt).getTime() + this.timeoutMs < Date.now();
+  }
+
+  /**
+   * @private
+   */
+  _emptyCart(userId) {
+    return {
+      userId,
+      items: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      reminderSentAt: null
+    };
+  }
+}
+
+// Singleton
+const cartService = new CartService();
+module.exports = cartService;
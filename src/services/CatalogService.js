@@ -0,0 +1,459 @@
+/**
+ * Serviço de exportação e importação do catálogo
+ * Exporta produtos em CSV ou JSON e importa arquivos com prévia (criar, atualizar, ignorar) antes de aplicar
+ */
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { Product } = require('../models');
+const { logger } = require('../utils/helpers');
+const { toCsv, parseCsv } = require('../utils/csv');
+const productService = require('./ProductService');
+const categoryService = require('./CategoryService');
+const auditLogger = require('../audit/logger');
+const config = require('../../config');
+
+const FORMATS = ['csv', 'json'];
+
+// Filtros de situação aceitos na exportação
+const EXPORT_STATUSES = {
+  todos: 'Todos',
+  disponivel: 'Disponíveis',
+  vendido: 'Vendidos',
+  quarentena: 'Em quarentena'
+};
+
+// Colunas do CSV exportado (as de somente leitura são ignoradas na importação)
+// Os campos de detalhes de todas as categorias entram como colunas próprias entre disponivel e imagens
+const BASE_COLUMNS = ['id', 'nome', 'tipo', 'preco', 'descricao', 'disponivel'];
+const TRAILING_COLUMNS = ['imagens', 'vendido', 'quarentena', 'origem', 'origemId', 'createdAt'];
+
+// Campos que a importação pode alterar
+const IMPORT_FIELDS = ['nome', 'tipo', 'preco', 'descricao', 'disponivel', 'detalhes', 'imagens'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BOOLEAN_VALUES = { true: true, sim: true, s: true, '1': true, false: false, nao: false, 'não': false, n: false, '0': false };
+
+class CatalogService {
+  /**
+   * Exporta o catálogo filtrado
+   * @param {Object} filters - Filtros da exportação
+   * @param {string} filters.tipo - Tipo do produto
+   * @param {string} filters.status - todos, disponivel, vendido ou quarentena
+   * @param {number} filters.precoMin - Preço mínimo
+   * @param {number} filters.precoMax - Preço máximo
+   * @param {string} format - csv ou json
+   * @param {string} adminId - ID do administrador (auditoria)
+   * @returns {Promise<Object>} - { buffer, filename, count }
+   */
+  async exportCatalog(filters = {}, format = 'csv', adminId = null) {
+    const where = {};
+
+    if (filters.tipo) where.tipo = filters.tipo;
+    if (filters.status === 'disponivel') Object.assign(where, { disponivel: true, vendido: false, quarentena: false });
+    if (filters.status === 'vendido') where.vendido = true;
+    if (filters.status === 'quarentena') where.quarentena = true;
+    if (filters.precoMin !== undefined && filters.precoMin !== null) where.preco = { [Op.gte]: filters.precoMin };
+    if (filters.precoMax !== undefined && filters.precoMax !== null) where.preco = { ...where.preco, [Op.lte]: filters.precoMax };
+
+    const products = await Product.findAll({ where, order: [['createdAt', 'ASC']] });
+
+    const buffer = format === 'json'
+      ? Buffer.from(JSON.stringify(products.map(product => this._toJsonEntry(product)), null, 2), 'utf8')
+      : toCsv(this._exportColumns(), products.map(product => this._toCsvRow(product)));
+
+    await auditLogger.log({
+      action: 'CATALOG_EXPORTED',
+      category: 'PRODUCT',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: { id: adminId },
+      details: { format, filters, count: products.length }
+    });
+
+    return {
+      buffer,
+      filename: `catalogo-${new Date().toISOString().substring(0, 10)}.${format}`,
+      count: products.length
+    };
+  }
+
+  /**
+   * Baixa e lê o arquivo enviado para importação
+   * @param {Attachment} attachment - Anexo do Discord
+   * @returns {Promise<Object>} - { format, rows } com rows no formato { line, values }
+   */
+  async readImportFile(attachment) {
+    const format = this._detectFormat(attachment);
+    if (!format) {
+      throw new Error('Formato não suportado, envie um arquivo .csv ou .json');
+    }
+
+    if (attachment.size > config.catalog.importMaxBytes) {
+      throw new Error(`Arquivo maior que o limite de ${Math.round(config.catalog.importMaxBytes / 1024)} KB`);
+    }
+
+    const response = await axios.get(attachment.url, {
+      responseType: 'arraybuffer',
+      maxContentLength: config.catalog.importMaxBytes,
+      timeout: 15000
+    });
+
+    return { format, rows: this.parseImport(Buffer.from(response.data).toString('utf8'), format) };
+  }
+
+  /**
+   * Converte o conteúdo do arquivo em linhas
+   * @param {string} content - Conteúdo do arquivo
+   * @param {string} format - csv ou json
+   * @returns {Array<Object>} - Linhas no formato { line, values }
+   */
+  parseImport(content, format) {
+    let rows;
+
+    if (format === 'json') {
+      let data;
+      try {
+        data = JSON.parse(content.replace(/^\uFEFF/, ''));
+      } catch (error) {
+        throw new Error(`JSON inválido: ${error.message}`);
+      }
+
+      if (!Array.isArray(data)) {
+        throw new Error('O JSON deve ser uma lista de produtos');
+      }
+
+      // Em JSON a "linha" é a posição do produto na lista
+      rows = data.map((values, index) => ({ line: index + 1, values: values && typeof values === 'object' ? values : {} }));
+    } else {
+      rows = parseCsv(content);
+    }
+
+    if (rows.length === 0) {
+      throw new Error('Nenhum produto encontrado no arquivo');
+    }
+
+    if (rows.length > config.catalog.importMaxRows) {
+      throw new Error(`O arquivo tem ${rows.length} produtos, o limite por importação é ${config.catalog.importMaxRows}`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Compara as linhas importadas com o catálogo sem alterar nada (dry-run)
+   * @param {Array<Object>} rows - Linhas de parseImport
+   * @returns {Promise<Object>} - { items, summary }
+   */
+  async planImport(rows) {
+    const normalized = rows.map(row => ({ line: row.line, ...this._normalizeRow(row.values) }));
+
+    const ids = normalized.map(row => row.id).filter(id => id && UUID_PATTERN.test(id));
+    const existing = new Map(
+      (ids.length > 0 ? await Product.findAll({ where: { id: ids } }) : []).map(product => [product.id, product])
+    );
+
+    const seen = new Set();
+    const items = normalized.map(row => {
+      const item = { line: row.line, action: 'error', productId: row.id || null, nome: row.data.nome || null, changes: {}, data: null, errors: [...row.errors] };
+
+      if (row.id) {
+        if (!UUID_PATTERN.test(row.id)) {
+          item.errors.push('ID inválido');
+        } else if (seen.has(row.id)) {
+          item.errors.push('Produto repetido no arquivo');
+        }
+        seen.add(row.id);
+
+        const product = existing.get(row.id);
+        if (item.errors.length === 0 && !product) {
+          item.errors.push('Produto não encontrado');
+        }
+
+        if (item.errors.length > 0) return item;
+
+        item.nome = product.nome;
+        item.changes = this._diff(product, row.data);
+
+        // Produtos vendidos aparecem na exportação, mas só podem voltar sem alterações
+        if (product.vendido && Object.keys(item.changes).length > 0) {
+          item.errors.push('Produto já vendido não pode ser alterado');
+        }
+        // O comprador de um pagamento pendente paga o valor da reserva
+        if (!product.vendido && productService.isReserved(product) && Object.keys(item.changes).length > 0) {
+          item.errors.push('Produto reservado por um pagamento pendente não pode ser alterado');
+        }
+        item.errors.push(...productService.validateProduct(this._changedValues(item.changes), { partial: true, tipo: product.tipo }));
+
+        if (item.errors.length === 0) {
+          item.action = Object.keys(item.changes).length > 0 ? 'update' : 'skip';
+          item.data = this._changedValues(item.changes);
+        }
+
+        return item;
+      }
+
+      item.errors.push(...productService.validateProduct(row.data));
+
+      if (item.errors.length === 0) {
+        item.action = 'create';
+        item.data = row.data;
+      }
+
+      return item;
+    });
+
+    const summary = { create: 0, update: 0, skip: 0, error: 0 };
+    items.forEach(item => summary[item.action]++);
+
+    return { items, summary };
+  }
+
+  /**
+   * Aplica uma prévia de importação já confirmada
+   * @param {Object} plan - Resultado de planImport
+   * @param {string} adminId - ID do administrador
+   * @param {string} filename - Nome do arquivo importado (auditoria)
+   * @returns {Promise<Object>} - { created, updated, failed }
+   */
+  async applyImport(plan, adminId, filename = null) {
+    const result = { created: 0, updated: 0, failed: [] };
+
+    for (const item of plan.items) {
+      try {
+        if (item.action === 'create') {
+          await productService.createProduct({ ...item.data, criadoPor: adminId, origem: 'IMPORTACAO' });
+          result.created++;
+        } else if (item.action === 'update') {
+          // O produto pode ter sido vendido ou reservado entre a prévia e a confirmação
+          const product = await Product.findByPk(item.productId, { attributes: ['id', 'vendido', 'reservadoPor', 'reservadoAte'] });
+          if (!product || product.vendido) {
+            result.failed.push({ line: item.line, message: 'Produto vendido ou removido após a prévia' });
+            continue;
+          }
+          if (productService.isReserved(product)) {
+            result.failed.push({ line: item.line, message: 'Produto reservado por um pagamento pendente' });
+            continue;
+          }
+
+          const update = await productService.updateProduct(item.productId, item.data, adminId);
+          if (update.success) {
+            result.updated++;
+          } else {
+            result.failed.push({ line: item.line, message: update.message });
+          }
+        }
+      } catch (error) {
+        logger.error(`Erro ao importar linha ${item.line} do catálogo:`, error);
+        result.failed.push({ line: item.line, message: error.message });
+      }
+    }
+
+    await auditLogger.log({
+      action: 'CATALOG_IMPORTED',
+      category: 'PRODUCT',
+      severity: result.failed.length > 0 ? 'WARNING' : 'INFO',
+      status: 'SUCCESS',
+      user: { id: adminId },
+      details: {
+        filename,
+        created: result.created,
+        updated: result.updated,
+        skipped: plan.summary.skip,
+        invalid: plan.summary.error,
+        failed: result.failed
+      }
+    });
+
+    logger.info(`Importação do catálogo por ${adminId}: ${result.created} criados, ${result.updated} atualizados, ${result.failed.length} falhas`);
+
+    return result;
+  }
+
+  /**
+   * Gera o CSV com o resultado linha a linha da prévia
+   * @param {Object} plan - Resultado de planImport
+   * @returns {Buffer}
+   */
+  buildPlanCsv(plan) {
+    return toCsv(['linha', 'acao', 'id', 'nome', 'alteracoes', 'erros'], plan.items.map(item => [
+      item.line,
+      item.action,
+      item.productId,
+      item.nome,
+      Object.entries(item.changes).map(([field, change]) => `${field}: ${this._formatValue(change.from)} -> ${this._formatValue(change.to)}`).join('; '),
+      item.errors.join('; ')
+    ]));
+  }
+
+  /**
+   * Normaliza uma linha (CSV ou JSON) nos campos do produto
+   * @private
+   */
+  _normalizeRow(values) {
+    const errors = [];
+    const data = {};
+    const get = field => {
+      const value = values[field];
+      return typeof value === 'string' ? value.trim() : value;
+    };
+    const isEmpty = value => value === undefined || value === null || value === '';
+
+    const id = isEmpty(get('id')) ? null : String(get('id'));
+
+    for (const field of ['nome', 'descricao']) {
+      if (!isEmpty(get(field))) data[field] = String(get(field));
+    }
+
+    if (!isEmpty(get('tipo'))) data.tipo = String(get('tipo')).toLowerCase();
+
+    if (!isEmpty(get('preco'))) {
+      data.preco = typeof get('preco') === 'number'
+        ? get('preco')
+        : Number(String(get('preco')).replace(/\s|R\$/g, '').replace(',', '.'));
+    }
+
+    if (!isEmpty(get('disponivel'))) {
+      const key = String(get('disponivel')).toLowerCase();
+      if (key in BOOLEAN_VALUES) data.disponivel = BOOLEAN_VALUES[key];
+      else errors.push(`Valor inválido para "disponivel": ${get('disponivel')}`);
+    }
+
+    // Detalhes podem vir como objeto (JSON) e/ou em colunas próprias (CSV)
+    const detalhes = values.detalhes && typeof values.detalhes === 'object' ? { ...values.detalhes } : {};
+    for (const [key, field] of Object.entries(this._detailFields())) {
+      const value = get(key);
+      if (isEmpty(value)) continue;
+      detalhes[key] = categoryService.parseDetailValue(categoryService.getField(data.tipo, key) || field, String(value));
+    }
+    if (Object.keys(detalhes).length > 0) data.detalhes = detalhes;
+
+    const imagens = get('imagens');
+    if (Array.isArray(imagens)) {
+      data.imagens = imagens;
+    } else if (!isEmpty(imagens)) {
+      data.imagens = String(imagens).split(/[\s|]+/).filter(Boolean);
+    }
+
+    return { id, data, errors };
+  }
+
+  /**
+   * Campos que mudam em relação ao produto atual (detalhes são mesclados aos existentes)
+   * @private
+   */
+  _diff(product, data) {
+    const changes = {};
+
+    for (const field of IMPORT_FIELDS) {
+      if (data[field] === undefined) continue;
+
+      const current = product[field];
+      const next = field === 'detalhes' ? { ...(current || {}), ...data.detalhes } : data[field];
+
+      if (JSON.stringify(current ?? null) !== JSON.stringify(next)) {
+        changes[field] = { from: current ?? null, to: next };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * @private
+   */
+  _changedValues(changes) {
+    return Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+  }
+
+  /**
+   * @private
+   */
+  _formatValue(value) {
+    if (value === null || value === undefined) return '(vazio)';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * @private
+   */
+  _detectFormat(attachment) {
+    const extension = (attachment.name || '').split('.').pop().toLowerCase();
+    if (FORMATS.includes(extension)) return extension;
+    if (attachment.contentType?.includes('json')) return 'json';
+    if (attachment.contentType?.includes('csv')) return 'csv';
+    return null;
+  }
+
+  /**
+   * Campos de detalhes de todas as categorias (a primeira definição de cada chave vale para as colunas)
+   * @private
+   */
+  _detailFields() {
+    const fields = {};
+
+    for (const category of categoryService.list({ includeInactive: true })) {
+      for (const field of category.campos || []) {
+        if (!fields[field.key]) fields[field.key] = field;
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * @private
+   */
+  _exportColumns() {
+    return [...BASE_COLUMNS, ...Object.keys(this._detailFields()), ...TRAILING_COLUMNS];
+  }
+
+  /**
+   * @private
+   */
+  _toCsvRow(product) {
+    const detalhes = product.detalhes || {};
+
+    return [
+      product.id,
+      product.nome,
+      product.tipo,
+      product.preco.toFixed(2),
+      product.descricao,
+      product.disponivel,
+      ...Object.keys(this._detailFields()).map(field => detalhes[field]),
+      (product.imagens || []).join(' | '),
+      product.vendido,
+      product.quarentena,
+      product.origem,
+      product.origemId,
+      product.createdAt
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _toJsonEntry(product) {
+    return {
+      id: product.id,
+      nome: product.nome,
+      tipo: product.tipo,
+      preco: product.preco,
+      descricao: product.descricao,
+      disponivel: product.disponivel,
+      detalhes: product.detalhes || {},
+      imagens: product.imagens || [],
+      vendido: product.vendido,
+      quarentena: product.quarentena,
+      origem: product.origem,
+      origemId: product.origemId,
+      createdAt: product.createdAt
+    };
+  }
+}
+
+// Singleton
+const catalogService = new CatalogService();
+catalogService.FORMATS = FORMATS;
+catalogService.EXPORT_STATUSES = EXPORT_STATUSES;
+module.exports = catalogService;
@@ -0,0 +1,344 @@
+/**
+ * Serviço de categorias de produtos
+ * Cada categoria define o tipo de produto e os campos de detalhes usados na loja, no painel admin e no catálogo
+ */
+const { Category } = require('../models');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Tipos aceitos nos campos de detalhes
+const FIELD_TYPES = {
+  texto: 'Texto',
+  inteiro: 'Número inteiro',
+  booleano: 'Sim/Não'
+};
+
+// Um campo por linha do modal de detalhes (limite do Discord)
+const MAX_FIELDS = 5;
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,19}$/;
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,29}$/;
+
+// Respostas aceitas em campos Sim/Não
+const BOOLEAN_VALUES = {
+  sim: true,
+  s: true,
+  true: true,
+  1: true,
+  nao: false,
+  não: false,
+  n: false,
+  false: false,
+  0: false
+};
+
+// Categorias criadas na primeira execução (os tipos que eram fixos no código)
+const DEFAULT_CATEGORIES = [
+  {
+    slug: 'valorant',
+    nome: 'Valorant',
+    emoji: '🎯',
+    ordem: 1,
+    campos: [
+      { key: 'rank', label: 'Rank', type: 'texto', placeholder: 'Imortal 2', filtro: true, opcoes: ['Ferro', 'Bronze', 'Prata', 'Ouro', 'Platina', 'Diamante', 'Ascendente', 'Imortal', 'Radiante'] },
+      { key: 'skins', label: 'Skins', type: 'inteiro', placeholder: '35', filtro: true, opcoes: [5, 10, 20, 50, 100] },
+      { key: 'level', label: 'Nível', type: 'inteiro', placeholder: '120' },
+      { key: 'region', label: 'Região', type: 'texto', placeholder: 'BR', filtro: true, opcoes: ['BR', 'LATAM', 'NA', 'EU', 'AP', 'KR'] },
+      { key: 'agents', label: 'Agentes', type: 'inteiro', placeholder: '20' }
+    ]
+  },
+  {
+    slug: 'steam',
+    nome: 'Steam',
+    emoji: '🎮',
+    ordem: 2,
+    campos: [
+      { key: 'games', label: 'Jogos', type: 'inteiro', placeholder: '40', filtro: true, opcoes: [5, 10, 25, 50, 100] },
+      { key: 'level', label: 'Nível', type: 'inteiro', placeholder: '15' },
+      { key: 'region', label: 'Região', type: 'texto', placeholder: 'BR', filtro: true, opcoes: ['BR', 'LATAM', 'NA', 'EU', 'AP', 'KR'] }
+    ]
+  },
+  {
+    slug: 'lol',
+    nome: 'League of Legends',
+    emoji: '⚔️',
+    ordem: 3,
+    campos: [
+      { key: 'rank', label: 'Elo', type: 'texto', placeholder: 'Diamante 4', filtro: true, opcoes: ['Ferro', 'Bronze', 'Prata', 'Ouro', 'Platina', 'Esmeralda', 'Diamante', 'Mestre', 'Grão-Mestre', 'Desafiante'] },
+      { key: 'skins', label: 'Skins', type: 'inteiro', placeholder: '60', filtro: true, opcoes: [10, 25, 50, 100, 200] },
+      { key: 'champions', label: 'Campeões', type: 'inteiro', placeholder: '120' },
+      { key: 'level', label: 'Nível', type: 'inteiro', placeholder: '250' },
+      { key: 'region', label: 'Região', type: 'texto', placeholder: 'BR', filtro: true, opcoes: ['BR', 'LAN', 'LAS', 'NA', 'EUW', 'EUNE', 'KR'] }
+    ]
+  }
+];
+
+class CategoryService {
+  constructor() {
+    // Categorias carregadas do banco (consultas síncronas usadas na validação e na montagem dos painéis)
+    this.categories = null;
+  }
+
+  /**
+   * Carrega as categorias do banco, criando as padrão na primeira execução
+   * @returns {Promise<Array>} - Categorias carregadas
+   */
+  async load() {
+    try {
+      if (await Category.count() === 0) {
+        await Category.bulkCreate(DEFAULT_CATEGORIES);
+        logger.info(`${DEFAULT_CATEGORIES.length} categorias padrão criadas`);
+      }
+
+      const categories = await Category.findAll({ order: [['ordem', 'ASC'], ['nome', 'ASC']] });
+      this.categories = categories.map(category => category.get({ plain: true }));
+      return this.categories;
+    } catch (error) {
+      logger.error('Erro ao carregar categorias:', error);
+      return this.list({ includeInactive: true });
+    }
+  }
+
+  /**
+   * Lista as categorias em ordem de exibição
+   * @param {Object} options - { includeInactive }
+   * @returns {Array<Object>}
+   */
+  list(options = {}) {
+    const categories = this.categories || DEFAULT_CATEGORIES.map(category => ({ ativa: true, ...category }));
+    return options.includeInactive ? categories : categories.filter(category => category.ativa);
+  }
+
+  /**
+   * Busca uma categoria pelo slug (inclusive inativas)
+   * @param {string} slug - Slug da categoria (Product.tipo)
+   * @returns {Object|null}
+   */
+  get(slug) {
+    return this.list({ includeInactive: true }).find(category => category.slug === slug) || null;
+  }
+
+  /**
+   * Campos de detalhes de uma categoria
+   * @param {string} slug - Slug da categoria
+   * @returns {Array<Object>}
+   */
+  getFields(slug) {
+    return this.get(slug)?.campos || [];
+  }
+
+  /**
+   * Campo de detalhes de uma categoria
+   * @param {string} slug - Slug da categoria
+   * @param {string} key - Chave do campo
+   * @returns {Object|null}
+   */
+  getField(slug, key) {
+    return this.getFields(slug).find(field => field.key === key) || null;
+  }
+
+  /**
+   * Campos usados como filtro na loja
+   * Sem categoria, apenas os filtros comuns a todas as categorias ativas (ex: região)
+   * @param {string} slug - Slug da categoria (opcional)
+   * @returns {Array<Object>}
+   */
+  getFilterFields(slug = null) {
+    const filterable = category => (category?.campos || [])
+      .filter(field => field.filtro && Array.isArray(field.opcoes) && field.opcoes.length > 0);
+
+    if (slug) return filterable(this.get(slug));
+
+    const [first, ...others] = this.list().map(filterable);
+    if (!first) return [];
+
+    return first.filter(field => others.every(fields =>
+      fields.some(other => other.key === field.key && other.type === field.type)));
+  }
+
+  /**
+   * Valida os detalhes de um produto conforme os campos da categoria
+   * @param {string} slug - Slug da categoria
+   * @param {Object} detalhes - Detalhes do produto
+   * @returns {Array<string>} - Lista de erros
+   */
+  validateDetails(slug, detalhes = {}) {
+    const errors = [];
+
+    for (const field of this.getFields(slug)) {
+      const value = detalhes[field.key];
+      if (value === undefined || value === null || value === '') continue;
+
+      if (field.type === 'inteiro' && (!Number.isInteger(value) || value < 0)) {
+        errors.push(`Detalhe "${field.label}" deve ser um número inteiro`);
+      } else if (field.type === 'booleano' && typeof value !== 'boolean') {
+        errors.push(`Detalhe "${field.label}" deve ser sim ou não`);
+      } else if (field.type === 'texto' && String(value).length > 100) {
+        errors.push(`Detalhe "${field.label}" deve ter no máximo 100 caracteres`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Converte o texto digitado (formulário ou CSV) para o tipo do campo
+   * Valores inválidos são mantidos para que a validação aponte o erro
+   * @param {Object} field - Campo da categoria
+   * @param {*} raw - Valor informado
+   * @returns {*}
+   */
+  parseDetailValue(field, raw) {
+    if (typeof raw !== 'string') return raw;
+
+    const value = raw.trim();
+    if (field.type === 'inteiro') return Number(value);
+    if (field.type === 'booleano') {
+      const key = value.toLowerCase();
+      return key in BOOLEAN_VALUES ? BOOLEAN_VALUES[key] : value;
+    }
+    return value;
+  }
+
+  /**
+   * Valor de um detalhe para exibição
+   * @param {Object} field - Campo da categoria
+   * @param {*} value - Valor salvo
+   * @returns {string}
+   */
+  formatDetailValue(field, value) {
+    if (field?.type === 'booleano' && typeof value === 'boolean') return value ? 'Sim' : 'Não';
+    return String(value);
+  }
+
+  /**
+   * Lê os campos no formato do formulário: uma linha por campo
+   * chave | Rótulo | tipo | opção1, opção2 | filtro
+   * @param {string} text - Texto do formulário
+   * @returns {Object} - { campos, errors }
+   */
+  parseFieldSchema(text) {
+    const campos = [];
+    const errors = [];
+    const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    if (lines.length > MAX_FIELDS) {
+      errors.push(`Máximo de ${MAX_FIELDS} campos por categoria`);
+    }
+
+    lines.slice(0, MAX_FIELDS).forEach((line, index) => {
+      const [key = '', label = '', type = 'texto', opcoes = '', filtro = ''] = line.split('|').map(part => part.trim());
+      const prefix = `Linha ${index + 1}`;
+
+      if (!KEY_PATTERN.test(key)) {
+        errors.push(`${prefix}: chave "${key}" inválida (letras, números e _)`);
+        return;
+      }
+      if (campos.some(field => field.key === key)) {
+        errors.push(`${prefix}: chave "${key}" repetida`);
+        return;
+      }
+      if (!FIELD_TYPES[type.toLowerCase()]) {
+        errors.push(`${prefix}: tipo "${type}" inválido, use ${Object.keys(FIELD_TYPES).join(', ')}`);
+        return;
+      }
+
+      const field = { key, label: label || key, type: type.toLowerCase() };
+
+      const options = opcoes.split(',').map(option => option.trim()).filter(Boolean);
+      if (options.length > 0) {
+        field.opcoes = field.type === 'inteiro' ? options.map(Number) : options;
+        if (field.opcoes.some(option => field.type === 'inteiro' && !Number.isInteger(option))) {
+          errors.push(`${prefix}: as opções de "${key}" devem ser números inteiros`);
+          return;
+        }
+      }
+
+      if (filtro.toLowerCase() === 'filtro') {
+        if (!field.opcoes) {
+          errors.push(`${prefix}: filtros precisam de opções`);
+          return;
+        }
+        field.filtro = true;
+      }
+
+      campos.push(field);
+    });
+
+    return { campos, errors };
+  }
+
+  /**
+   * Texto dos campos no formato do formulário
+   * @param {Array<Object>} campos - Campos da categoria
+   * @returns {string}
+   */
+  formatFieldSchema(campos = []) {
+    return campos
+      .map(field => [field.key, field.label, field.type, (field.opcoes || []).join(', '), field.filtro ? 'filtro' : '']
+        .join(' | ')
+        .replace(/(\s\|\s)+$/, ''))
+      .join('\n');
+  }
+
+  /**
+   * Cria ou atualiza uma categoria
+   * @param {Object} data - { slug, nome, emoji, ordem, ativa, campos }
+   * @param {string} adminId - ID do administrador
+   * @returns {Promise<Object>} - { success, category, message }
+   */
+  async saveCategory(data, adminId) {
+    try {
+      const slug = String(data.slug || '').trim().toLowerCase();
+      const existing = await Category.findByPk(slug);
+
+      if (!existing && !SLUG_PATTERN.test(slug)) {
+        return { success: false, message: 'Slug inválido: use de 2 a 20 letras minúsculas, números ou hífen' };
+      }
+      if (!data.nome || String(data.nome).trim().length < 2) {
+        return { success: false, message: 'Nome deve ter pelo menos 2 caracteres' };
+      }
+      if (data.ordem !== undefined && !Number.isInteger(data.ordem)) {
+        return { success: false, message: 'Ordem deve ser um número inteiro' };
+      }
+
+      const values = {
+        slug,
+        nome: String(data.nome).trim(),
+        emoji: data.emoji ? String(data.emoji).trim() : null,
+        ordem: data.ordem ?? existing?.ordem ?? this.list({ includeInactive: true }).length + 1,
+        ativa: data.ativa ?? existing?.ativa ?? true,
+        campos: data.campos || []
+      };
+
+      const [category] = await Category.upsert(values);
+      await this.load();
+
+      await auditLogger.log({
+        action: existing ? 'CATEGORY_UPDATED' : 'CATEGORY_CREATED',
+        category: 'PRODUCT',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: adminId },
+        details: {
+          slug,
+          nome: values.nome,
+          ativa: values.ativa,
+          campos: values.campos.map(field => field.key)
+        }
+      });
+
+      logger.info(`Categoria ${slug} ${existing ? 'atualizada' : 'criada'} por ${adminId}`);
+      return { success: true, category: category.get({ plain: true }) };
+    } catch (error) {
+      logger.error('Erro ao salvar categoria:', error);
+      return { success: false, message: 'Erro ao salvar categoria' };
+    }
+  }
+}
+
+// Singleton
+const categoryService = new CategoryService();
+categoryService.FIELD_TYPES = FIELD_TYPES;
+categoryService.MAX_FIELDS = MAX_FIELDS;
+module.exports = categoryService;
@@ -0,0 +1,134 @@
+/**
+ * Serviço de notificações
+ * Envia mensagens do bot para os usuários (DM) e alertas para a equipe fora do fluxo das interações
+ */
+const { EmbedBuilder } = require('discord.js');
+const { Payment } = require('../models');
+const { logger } = require('../utils/helpers');
+const config = require('../../config');
+
+// Rótulos dos campos de credenciais entregues
+const DELIVERY_LABELS = {
+  login: '👤 Login',
+  password: '🔑 Senha',
+  email: '📧 E-mail',
+  emailPassword: '🔐 Senha do e-mail',
+  recovery: '🛟 Recuperação'
+};
+
+class NotificationService {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Define o cliente Discord usado para enviar as mensagens
+   * @param {Client} client - Cliente Discord
+   */
+  setClient(client) {
+    this.client = client;
+  }
+
+  /**
+   * Envia uma mensagem direta para um usuário
+   * @param {string} userId - ID do usuário
+   * @param {Object} payload - Conteúdo da mensagem (embeds, components, content)
+   * @returns {Promise<boolean>} - Se a mensagem foi entregue
+   */
+  async sendDirectMessage(userId, payload) {
+    if (!this.client) {
+      logger.warn(`Cliente Discord indisponível, DM para ${userId} não enviada`);
+      return false;
+    }
+
+    try {
+      const user = await this.client.users.fetch(userId);
+      await user.send(payload);
+      return true;
+    } catch (error) {
+      logger.warn(`Não foi possível enviar DM para ${userId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Envia ao comprador as credenciais da compra aprovada
+   * @param {Object} payment - Pagamento aprovado com deliveryData
+   * @returns {Promise<boolean>} - Se a entrega foi enviada
+   */
+  async sendDelivery(payment) {
+    const deliveries = payment.deliveryData?.items || [{ productName: payment.productName, ...payment.deliveryData }];
+
+    const embeds = deliveries.slice(0, 10).map(delivery => {
+      const embed = new EmbedBuilder()
+        .setTitle(`📦 ${delivery.productName || 'Sua compra'}`)
+        .setColor(config.discord.embedColors.success)
+        .setFooter({ text: 'Mercadão das Contas - Entrega' })
+        .setTimestamp();
+
+      for (const [field, label] of Object.entries(DELIVERY_LABELS)) {
+        if (delivery[field]) {
+          embed.addFields({ name: label, value: `||${String(delivery[field]).substring(0, 1000)}||` });
+        }
+      }
+
+      return embed;
+    });
+
+    embeds[0].setDescription('Seu pagamento foi aprovado! Estes são os dados de acesso da sua conta.\n\n**Altere a senha e os dados de recuperação assim que possível e não compartilhe estas informações.**');
+
+    const sent = await this.sendDirectMessage(payment.userId, { embeds });
+
+    // Registrar o resultado para que a equipe possa reenviar manualmente
+    try {
+      const key = sent ? 'deliverySentAt' : 'deliveryFailedAt';
+      await Payment.update({
+        metadata: { ...payment.metadata, [key]: new Date() }
+      }, { where: { id: payment.id } });
+    } catch (error) {
+      logger.error(`Erro ao registrar entrega do pagamento ${payment.id}:`, error);
+    }
+
+    if (sent) {
+      logger.info(`Entrega do pagamento ${payment.id} enviada por DM para ${payment.userId}`);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Envia um alerta para o canal de administração
+   * @param {Object} payload - Conteúdo da mensagem (embeds, components, content)
+   * @returns {Promise<boolean>} - Se o alerta foi enviado
+   */
+  async sendAdminAlert(payload) {
+    if (!this.client) {
+      logger.warn('Cliente Discord indisponível, alerta para a equipe não enviado');
+      return false;
+    }
+
+    const target = config.discord.channels.admin;
+    const channel = this.client.channels.cache.find(candidate =>
+      (candidate.id === target || candidate.name === target) &&
+      (!config.discord.guildId || candidate.guildId === config.discord.guildId) &&
+      typeof candidate.send === 'function'
+    );
+
+    if (!channel) {
+      logger.warn(`Canal de administração "${target}" não encontrado, alerta não enviado`);
+      return false;
+    }
+
+    try {
+      await channel.send(payload);
+      return true;
+    } catch (error) {
+      logger.error('Erro ao enviar alerta para a equipe:', error);
+      return false;
+    }
+  }
+}
+
+// Singleton
+const notificationService = new NotificationService();
+module.exports = notificationService;
@@ -0,0 +1,156 @@
+/**
+ * Serviço de pedidos
+ * Agrupa vários produtos em um pedido pago com uma única cobrança PIX
+ */
+const { Order, OrderItem, Product } = require('../models');
+const { sequelize } = require('../utils/db');
+const paymentService = require('./PaymentService');
+const productService = require('./ProductService');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+const config = require('../../config');
+
+class OrderService {
+  /**
+   * Cria um pedido com os produtos informados e a cobrança do valor total
+   * @param {Object} orderData - Dados do pedido
+   * @param {string} orderData.userId - ID do usuário
+   * @param {string} orderData.userName - Nome do usuário
+   * @param {Array<string>} orderData.productIds - IDs dos produtos
+   * @returns {Promise<Object>} - { success, order, payment, unavailable, reserved, message }
+   */
+  async createOrder(orderData) {
+    try {
+      const productIds = [...new Set(orderData.productIds || [])];
+
+      if (productIds.length === 0) {
+        return { success: false, message: 'Nenhum produto informado' };
+      }
+
+      const maxItems = config.cart?.maxItems || 10;
+      if (productIds.length > maxItems) {
+        return { success: false, message: `Limite máximo de ${maxItems} itens por pedido` };
+      }
+
+      // Preços e disponibilidade sempre vêm do banco, não do carrinho
+      const products = await Product.findAll({ where: { id: productIds } });
+      const unavailable = productIds.filter(id => {
+        const product = products.find(p => p.id === id);
+        return !product || !product.disponivel || product.vendido;
+      });
+
+      if (unavailable.length > 0) {
+        return {
+          success: false,
+          unavailable,
+          message: `${unavailable.length} produto(s) do carrinho não estão mais disponíveis`
+        };
+      }
+
+      // Produtos reservados por outro pagamento pendente continuam no carrinho
+      const reserved = products.filter(p => productService.isReserved(p)).map(p => p.id);
+      if (reserved.length > 0) {
+        return {
+          success: false,
+          reserved,
+          message: `${reserved.length} produto(s) do carrinho estão reservados por outro comprador`
+        };
+      }
+
+      const total = Number(products.reduce((sum, product) => sum + product.preco, 0).toFixed(2));
+
+      const order = await sequelize.transaction(async (transaction) => {
+        const newOrder = await Order.create({
+          userId: orderData.userId,
+          userName: orderData.userName,
+          total,
+          status: 'PENDING'
+        }, { transaction });
+
+        await OrderItem.bulkCreate(products.map(product => ({
+          orderId: newOrder.id,
+          productId: product.id,
+          productName: product.nome,
+          price: product.preco
+        })), { transaction });
+
+        return newOrder;
+      });
+
+      // Uma única cobrança PIX para o total do pedido (reserva todos os itens)
+      let payment;
+      try {
+        payment = await paymentService.createPayment({
+          userId: orderData.userId,
+          userName: orderData.userName,
+          orderId: order.id,
+          productId: null,
+          productIds: products.map(p => p.id),
+          productName: this.describeOrder(products.map(p => p.nome)),
+          amount: total,
+          ipAddress: orderData.ipAddress,
+          userAgent: orderData.userAgent
+        });
+      } catch (error) {
+        order.status = 'CANCELLED';
+        await order.save();
+
+        if (error.code === 'PRODUCT_RESERVED') {
+          return { success: false, reserved: error.unavailable, message: error.message };
+        }
+        throw error;
+      }
+
+      await auditLogger.log({
+        action: 'ORDER_CREATED',
+        category: 'TRANSACTION',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: orderData.userId, username: orderData.userName },
+        details: {
+          orderId: order.id,
+          paymentId: payment.id,
+          total,
+          items: products.map(p => ({ id: p.id, name: p.nome, price: p.preco }))
+        }
+      });
+
+      logger.info(`Pedido ${order.id} criado com ${products.length} itens (pagamento ${payment.id})`);
+
+      return { success: true, order, payment };
+    } catch (error) {
+      logger.error('Erro ao criar pedido:', error);
+      return { success: false, message: 'Erro ao criar pedido' };
+    }
+  }
+
+  /**
+   * Obtém um pedido com seus itens
+   * @param {string} orderId - ID do pedido
+   * @returns {Promise<Object|null>} - Pedido encontrado ou null
+   */
+  async getOrderById(orderId) {
+    try {
+      return await Order.findByPk(orderId, {
+        include: [{ model: OrderItem, as: 'items' }]
+      });
+    } catch (error) {
+      logger.error(`Erro ao buscar pedido ${orderId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Monta a descrição curta de um pedido (usada como productName do pagamento)
+   * @param {Array<string>} names - Nomes dos produtos
+   * @returns {string} - Descrição do pedido
+   */
+  describeOrder(names) {
+    if (names.length === 1) return names[0];
+    return `Pedido com ${names.length} itens`;
+  }
+}
+
+// Singleton
+const orderService = new OrderService();
+module.exports = orderService;
@@ -2,17 +2,41 @@
  * Serviço centralizado de pagamentos
  * Consolida funções de src/payment/pix.js e src/payment/approval.js
  */
-const { Payment, Product } = require('../models');
+const { Op } = require('sequelize');
+const { EmbedBuilder } = require('discord.js');
+const { Payment, Product, Order, OrderItem } = require('../models');
+const { sequelize } = require('../utils/db');
 const userService = require('./UserService');
-const { logger } = require('../utils/helpers');
+const productService = require('./ProductService');
+const { logger, formatCurrency } = require('../utils/helpers');
 const auditLogger = require('../audit/logger');
 const cache = require('../utils/cache');
-const crypto = require('crypto');
+const config = require('../../config');
+const pixGenerators = require('../payment/pix/generators');
+const { validatePixPayload } = require('../payment/pix/brcode');
+const paymentProviders = require('../payment/providers');
+const vaultService = require('./VaultService');
+const notificationService = require('./NotificationService');
+const loyalty = require('../marketing/loyalty');
+const fraudDetection = require('../ai/fraud');
 
 // Chave de cache para pagamentos pendentes
 const CACHE_KEY_PENDING = 'payments:pending';
 const CACHE_TTL = 300; // 5 minutos
 
+// Controle de idempotência das notificações do PSP
+const CACHE_KEY_PSP_EVENT = 'payments:psp-event:';
+const PSP_EVENT_TTL = 86400; // 24 horas
+
+// Tempo máximo de uma aprovação em andamento (reservas mais antigas são consideradas abandonadas)
+const APPROVAL_CLAIM_TTL = 10 * 60 * 1000; // 10 minutos
+
+// Tempo máximo de um reembolso em andamento
+const REFUND_CLAIM_TTL = 10 * 60 * 1000; // 10 minutos
+
+// Identificador usado quando a aprovação é feita automaticamente
+const SYSTEM_ACTOR = 'SYSTEM';
+
 class PaymentService {
   /**
    * Cria um novo pagamento
@@ -22,34 +46,84 @@ class PaymentService {
   async createPayment(paymentData) {
     try {
       // Calcular data de expiração
-      const expirationTime = 1800; // 30 minutos em segundos
+      const expirationTime = config.payment.expiration; // em segundos
       const expiresAt = new Date(Date.now() + expirationTime * 1000);
 
+      // Provedor responsável pela cobrança
+      const provider = paymentProviders.getProvider();
+
       // Criar pagamento no banco de dados
       const newPayment = await Payment.create({
         userId: paymentData.userId,
         userName: paymentData.userName,
         productId: paymentData.productId,
         productName: paymentData.productName,
+        orderId: paymentData.orderId || null,
         amount: paymentData.amount,
-        method: 'PIX',
+        method: provider.method,
         status: 'PENDING',
         expiresAt: expiresAt,
         metadata: {
           ipAddress: paymentData.ipAddress,
-          userAgent: paymentData.userAgent
+          userAgent: paymentData.userAgent,
+          provider: provider.name
         }
       });
 
-      // Gerar código PIX
-      const pixCode = this.generatePixCode(newPayment);
+      // Análise antifraude da transação (pagamentos sinalizados exigem aprovação dupla)
+      const fraudCheck = await fraudDetection.verifyTransaction({
+        userId: paymentData.userId,
+        productId: paymentData.productId,
+        amount: paymentData.amount,
+        paymentMethod: provider.method,
+        ipAddress: paymentData.ipAddress
+      });
+
+      if (fraudCheck) {
+        newPayment.metadata = {
+          ...newPayment.metadata,
+          fraudCheck: {
+            approved: fraudCheck.approved,
+            score: fraudCheck.score,
+            reasons: fraudCheck.reasons
+          }
+        };
+      }
+
+      // Reservar os produtos até a expiração do pagamento
+      const productIds = paymentData.productIds || (paymentData.productId ? [paymentData.productId] : []);
+      const reservation = await productService.reserveProducts(productIds, newPayment.id, expiresAt);
+      if (!reservation.success) {
+        newPayment.status = 'CANCELLED';
+        newPayment.metadata = {
+          ...newPayment.metadata,
+          cancelReason: reservation.message
+        };
+        await newPayment.save();
 
-      // Gerar QR Code
-      const qrCodeUrl = await this.generateQRCode(pixCode);
+        const error = new Error(reservation.message);
+        error.code = 'PRODUCT_RESERVED';
+        error.unavailable = reservation.unavailable;
+        throw error;
+      }
+
+      // Criar a cobrança no provedor (txid derivado do ID do pagamento)
+      let charge;
+      try {
+        charge = await provider.createCharge(newPayment);
+      } catch (error) {
+        newPayment.status = 'FAILED';
+        await newPayment.save();
+        await productService.releaseReservations(newPayment.id);
+        throw error;
+      }
 
-      // Atualizar modelo com informações do PIX
-      newPayment.pixCode = pixCode;
-      newPayment.qrCodeUrl = qrCodeUrl;
+      newPayment.txid = charge.txid;
+      newPayment.pixCode = charge.pixCode;
+      newPayment.metadata = {
+        ...newPayment.metadata,
+        chargeId: charge.chargeId
+      };
 
       await newPayment.save();
 
@@ -66,7 +140,7 @@ class PaymentService {
         payment: {
           id: newPayment.id,
           amount: newPayment.amount,
-          method: 'PIX'
+          method: newPayment.method
         },
         product: {
           id: paymentData.productId,
@@ -74,7 +148,7 @@ class PaymentService {
         }
       });
 
-      logger.info(`Novo pagamento PIX criado: ${newPayment.id}`);
+      logger.info(`Novo pagamento PIX criado: ${newPayment.id} (provedor: ${provider.name})`);
 
       return newPayment;
     } catch (error) {
@@ -84,41 +158,60 @@ class PaymentService {
   }
 
   /**
-   * Gera um código PIX para pagamento
-   * @param {Object} payment - Dados do pagamento
-   * @returns {string} - Código PIX
-   * @private
+   * Obtém o provedor que emitiu a cobrança de um pagamento
+   * @param {Object} payment - Pagamento
+   * @returns {PaymentProvider} - Provedor de pagamento
    */
-  generatePixCode(payment) {
-    // Implementação simplificada
-    const pixData = {
-      keyType: 'random',
-      keyValue: `BOT${payment.id.toString().substring(0, 8)}`,
-      name: "Bot de Vendas Discord",
-      city: "São Paulo",
-      txId: payment.id.toString().substring(0, 25),
-      amount: payment.amount.toFixed(2),
-      description: `Compra: ${payment.productName.substring(0, 30)}`
-    };
+  getPaymentProvider(payment) {
+    return paymentProviders.getProvider(payment?.metadata?.provider || config.payment.pix.provider);
+  }
 
-    // Criar String do PIX (formato simplificado)
-    return Buffer.from(JSON.stringify(pixData)).toString('base64');
+  /**
+   * Consulta o status da cobrança no provedor
+   * @param {Object} payment - Pagamento
+   * @returns {Promise<Object>} - { status, amount, paidAt }
+   */
+  async getChargeStatus(payment) {
+    try {
+      return await this.getPaymentProvider(payment).getChargeStatus(payment);
+    } catch (error) {
+      logger.error(`Erro ao consultar cobrança do pagamento ${payment.id}:`, error);
+      return { status: paymentProviders.CHARGE_STATUS.UNKNOWN };
+    }
   }
 
   /**
-   * Gera URL de um QR Code para o pagamento PIX
+   * Decodifica e valida o código PIX emitido para um pagamento
+   * @param {Object} payment - Pagamento com pixCode
+   * @returns {Object} - Resultado da validação { valid, errors, data }
+   */
+  inspectPixCode(payment) {
+    return validatePixPayload(payment.pixCode, {
+      amount: payment.amount,
+      txid: payment.txid || payment.id.toString()
+    });
+  }
+
+  /**
+   * Renderiza o QR Code de um código PIX
    * @param {string} pixCode - Código PIX
-   * @returns {Promise<string>} - URL do QR Code
-   * @private
+   * @returns {Promise<Buffer|null>} - Imagem PNG do QR Code
    */
   async generateQRCode(pixCode) {
+    return await pixGenerators.generateQRCode(pixCode);
+  }
+
+  /**
+   * Obtém um pagamento pelo ID
+   * @param {string} paymentId - ID do pagamento
+   * @returns {Promise<Object|null>} - Pagamento encontrado ou null
+   */
+  async getPaymentById(paymentId) {
     try {
-      // Implementação simplificada - em produção usaria uma biblioteca como 'qrcode'
-      return `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(pixCode)}`;
+      return await Payment.findByPk(paymentId);
     } catch (error) {
-      logger.error('Erro ao gerar QR Code:', error);
-      // Retornar URL de um QR code genérico em caso de erro
-      return 'https://i.imgur.com/placeholder-qr.png';
+      logger.error(`Erro ao buscar pagamento ${paymentId}:`, error);
+      return null;
     }
   }
 
@@ -138,64 +231,106 @@ class PaymentService {
         return { success: false, message: `Pagamento já foi ${payment.status === 'COMPLETED' ? 'aprovado' : 'rejeitado/expirado'}`, payment };
       }
 
-      // Verificar produto
-      const product = await Product.findByPk(payment.productId);
-      if (!product || !product.disponivel || product.vendido) {
-        payment.status = 'REJECTED';
-        payment.rejectedAt = new Date();
-        payment.rejectionReason = 'Produto não disponível';
-        await payment.save();
-        return { success: false, message: 'Produto não disponível', payment };
+      // Cobranças devolvidas ou canceladas no provedor não podem ser aprovadas
+      const charge = await this.getChargeStatus(payment);
+      const { REFUNDED, CANCELLED } = paymentProviders.CHARGE_STATUS;
+      if (charge.status === REFUNDED || charge.status === CANCELLED) {
+        return { success: false, message: `Cobrança ${charge.status === REFUNDED ? 'devolvida' : 'cancelada'} no provedor de pagamento`, payment };
       }
 
-      // Gerar credenciais
-      const accountCredentials = this._generateAccountCredentials();
+      // Apenas uma aprovação por vez: o registro dos aprovadores, a compra no LZT e a entrega só acontecem com o pagamento reservado
+      if (!(await this._claimApproval(payment))) {
+        const approved = payment.status === 'COMPLETED';
+        return {
+          success: false,
+          message: approved || !['PENDING', 'PROCESSING'].includes(payment.status)
+            ? `Pagamento já foi ${approved ? 'aprovado' : 'rejeitado/expirado'}`
+            : 'Pagamento já está sendo aprovado por outro membro da equipe',
+          payment
+        };
+      }
 
-      // Atualizar pagamento
-      payment.status = 'COMPLETED';
-      payment.completedAt = new Date();
-      payment.approvedBy = adminId;
-      payment.deliveryData = accountCredentials;
-      await payment.save();
+      try {
+        // Valores altos e pagamentos sinalizados pelo antifraude precisam de dois aprovadores
+        // Atingido o mínimo, a aprovação pode ser repetida após uma falha (ex: credenciais faltando) sem novo registro
+        const dualApproval = this.getDualApprovalStatus(payment);
+        if (dualApproval.required && dualApproval.approvers.length < dualApproval.requiredApprovals) {
+          if (adminId === SYSTEM_ACTOR) {
+            return { success: false, pendingApproval: true, message: `Aprovação dupla necessária: ${dualApproval.reasons.join(', ')}`, payment };
+          }
 
-      // Atualizar produto
-      product.vendido = true;
-      product.disponivel = false;
-      product.dataVenda = new Date();
-      product.compradoPor = payment.userId;
-      await product.save();
+          if (dualApproval.approvers.includes(adminId)) {
+            return { success: false, pendingApproval: true, message: 'Você já aprovou este pagamento. A próxima aprovação precisa ser de outro membro da equipe', payment };
+          }
 
-      // Registrar atividade e pontos
-      await userService.recordActivity(payment.userId, 'PRODUCT_PURCHASE', {
-        productId: product.id,
-        productName: product.nome,
-        paymentId: payment.id,
-        amount: payment.amount
-      });
+          payment.approvals = [...(payment.approvals || []), { adminId, approvedAt: new Date() }];
+          await payment.save();
 
-      // Invalidar cache
-      await cache.del(CACHE_KEY_PENDING);
+          if (payment.approvals.length < dualApproval.requiredApprovals) {
+            await auditLogger.log({
+              action: 'PAYMENT_APPROVAL_RECORDED',
+              category: 'TRANSACTION',
+              severity: 'INFO',
+              status: 'SUCCESS',
+              user: { id: adminId },
+              target: { id: payment.userId, username: payment.userName },
+              payment: { id: payment.id, amount: payment.amount },
+              details: {
+                approvers: payment.approvals.map(approval => approval.adminId),
+                requiredApprovals: dualApproval.requiredApprovals,
+                reasons: dualApproval.reasons
+              }
+            });
 
-      // Log de auditoria
-      await auditLogger.log({
-        action: 'PAYMENT_APPROVED',
-        category: 'TRANSACTION',
-        severity: 'INFO',
-        status: 'SUCCESS',
-        user: { id: adminId },
-        target: { id: payment.userId, username: payment.userName },
-        payment: { id: payment.id, amount: payment.amount },
-        product: { id: product.id, name: product.nome }
-      });
+            logger.info(`Aprovação ${payment.approvals.length}/${dualApproval.requiredApprovals} do pagamento ${paymentId} registrada por ${adminId}`);
+            return {
+              success: false,
+              pendingApproval: true,
+              approvals: payment.approvals,
+              requiredApprovals: dualApproval.requiredApprovals,
+              message: `Aprovação ${payment.approvals.length}/${dualApproval.requiredApprovals} registrada. Falta a aprovação de outro membro da equipe`,
+              payment
+            };
+          }
+        }
 
-      logger.info(`Pagamento ${paymentId} aprovado por ${adminId}`);
-      return { success: true, payment, accountCredentials };
+        // Pedidos com vários itens são entregues em bloco
+        return payment.orderId
+          ? await this._approveOrderPayment(payment, adminId, charge)
+          : await this._approveSinglePayment(payment, adminId, charge);
+      } finally {
+        await this._releaseApproval(payment);
+      }
     } catch (error) {
       logger.error(`Erro ao aprovar pagamento ${paymentId}:`, error);
       return { success: false, message: 'Erro ao processar aprovação', payment: null };
     }
   }
 
+  /**
+   * Indica se o pagamento exige aprovação de dois membros da equipe e quem já aprovou
+   * @param {Object} payment - Pagamento
+   * @returns {Object} - { required, reasons, requiredApprovals, approvers }
+   */
+  getDualApprovalStatus(payment) {
+    const { threshold, requiredApprovals } = config.payment.dualApproval;
+    const reasons = [];
+
+    if (payment.amount >= threshold) {
+      reasons.push(`valor a partir de ${formatCurrency(threshold)}`);
+    }
+    if (payment.metadata?.fraudCheck?.approved === false) {
+      reasons.push('sinalizado pelo antifraude');
+    }
+
+    return {
+      required: reasons.length > 0,
+      reasons,
+      requiredApprovals,
+      approvers: (payment.approvals || []).map(approval => approval.adminId)
+    };
+  }
+
   /**
    * Rejeita um pagamento
    * @param {string} paymentId - ID do pagamento
@@ -215,13 +350,38 @@ class PaymentService {
       if (payment.status === 'REJECTED') {
         return { success: false, message: 'Pagamento já foi rejeitado anteriormente', payment };
       }
+      if (payment.status !== 'PENDING' && payment.status !== 'PROCESSING') {
+        return { success: false, message: 'Somente pagamentos pendentes podem ser rejeitados', payment };
+      }
 
-      // Atualizar pagamento
-      payment.status = 'REJECTED';
-      payment.rejectedAt = new Date();
-      payment.rejectionReason = reason;
-      payment.rejectedBy = adminId;
-      await payment.save();
+      // UPDATE condicional: não rejeita um pagamento que mudou de status ou está sendo aprovado
+      const rejectedAt = new Date();
+      const [rejected] = await Payment.update({
+        status: 'REJECTED',
+        rejectedAt,
+        rejectionReason: reason,
+        rejectedBy: adminId
+      }, {
+        where: {
+          id: payment.id,
+          status: ['PENDING', 'PROCESSING'],
+          approvalClaimedAt: null
+        }
+      });
+
+      await payment.reload();
+      if (rejected === 0) {
+        return {
+          success: false,
+          message: payment.approvalClaimedAt
+            ? 'Pagamento está sendo aprovado por outro membro da equipe'
+            : 'Somente pagamentos pendentes podem ser rejeitados',
+          payment
+        };
+      }
+
+      await this._updateOrderStatus(payment, 'REJECTED', { rejectionReason: reason });
+      await productService.releaseReservations(payment.id);
 
       // Registrar atividade
       await userService.recordActivity(payment.userId, 'PAYMENT_REJECTED', {
@@ -254,6 +414,509 @@ class PaymentService {
     }
   }
 
+  /**
+   * Cancela um pagamento pendente a pedido do comprador e libera a reserva dos produtos
+   * @param {string} paymentId - ID do pagamento
+   * @param {string} userId - ID do usuário que solicitou o cancelamento
+   * @returns {Promise<Object>} - Resultado do cancelamento
+   */
+  async cancelPayment(paymentId, userId) {
+    try {
+      const payment = await Payment.findByPk(paymentId);
+      if (!payment || payment.userId !== userId) {
+        return { success: false, message: 'Pagamento não encontrado', payment: null };
+      }
+
+      if (payment.status !== 'PENDING') {
+        return { success: false, message: 'Somente pagamentos pendentes podem ser cancelados', payment };
+      }
+
+      payment.status = 'CANCELLED';
+      payment.metadata = {
+        ...payment.metadata,
+        cancelledAt: new Date(),
+        cancelReason: 'Cancelado pelo comprador'
+      };
+      await payment.save();
+
+      await this._updateOrderStatus(payment, 'CANCELLED');
+      const releasedProducts = await productService.releaseReservations(payment.id);
+
+      await userService.recordActivity(payment.userId, 'PAYMENT_CANCELLED', {
+        paymentId: payment.id,
+        productId: payment.productId
+      });
+
+      await cache.del(CACHE_KEY_PENDING);
+
+      await auditLogger.log({
+        action: 'PAYMENT_CANCELLED',
+        category: 'TRANSACTION',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: userId, username: payment.userName },
+        payment: { id: payment.id, amount: payment.amount },
+        product: { id: payment.productId, name: payment.productName },
+        details: { releasedProducts }
+      });
+
+      logger.info(`Pagamento ${paymentId} cancelado pelo comprador`);
+      return { success: true, payment };
+    } catch (error) {
+      logger.error(`Erro ao cancelar pagamento ${paymentId}:`, error);
+      return { success: false, message: 'Erro ao cancelar pagamento', payment: null };
+    }
+  }
+
+  /**
+   * Reembolsa um pagamento aprovado ou registra um chargeback
+   * @param {string} paymentId - ID do pagamento
+   * @param {Object} options - Opções do reembolso
+   * @param {string} options.reason - Motivo do reembolso
+   * @param {string} options.adminId - ID do administrador
+   * @param {boolean} options.restock - Devolver os produtos à venda (caso contrário ficam em quarentena)
+   * @param {boolean} options.chargeback - Valor já devolvido pelo banco, sem acionar o provedor
+   * @returns {Promise<Object>} - Resultado do reembolso
+   */
+  async refundPayment(paymentId, options = {}) {
+    const { reason, adminId, restock = false, chargeback = false } = options;
+
+    try {
+      const payment = await Payment.findByPk(paymentId);
+      if (!payment) return { success: false, message: 'Pagamento não encontrado', payment: null };
+
+      if (payment.status === 'REFUNDED') {
+        return { success: false, message: 'Pagamento já foi reembolsado anteriormente', payment };
+      }
+      if (payment.status !== 'COMPLETED') {
+        return { success: false, message: 'Somente pagamentos aprovados podem ser reembolsados', payment };
+      }
+      if (!reason) {
+        return { success: false, message: 'Informe o motivo do reembolso', payment };
+      }
+
+      // Apenas um reembolso por vez: o UPDATE condicional impede devolver o valor duas vezes no provedor
+      const claimedAt = new Date();
+      const [claimed] = await Payment.update({ refundClaimedAt: claimedAt }, {
+        where: {
+          id: payment.id,
+          status: 'COMPLETED',
+          [Op.or]: [
+            { refundClaimedAt: null },
+            { refundClaimedAt: { [Op.lt]: new Date(claimedAt.getTime() - REFUND_CLAIM_TTL) } }
+          ]
+        }
+      });
+
+      await payment.reload();
+      if (claimed === 0) {
+        return {
+          success: false,
+          message: payment.status === 'REFUNDED'
+            ? 'Pagamento já foi reembolsado anteriormente'
+            : 'Reembolso deste pagamento já está em andamento',
+          payment
+        };
+      }
+
+      try {
+        return await this._refundClaimedPayment(payment, { reason, adminId, restock, chargeback });
+      } finally {
+        await Payment.update({ refundClaimedAt: null }, { where: { id: payment.id } });
+      }
+    } catch (error) {
+      logger.error(`Erro ao reembolsar pagamento ${paymentId}:`, error);
+      return { success: false, message: 'Erro ao processar reembolso', payment: null };
+    }
+  }
+
+  /**
+   * Devolve o valor e conclui o reembolso de um pagamento já reservado para reembolso
+   * @param {Object} payment - Pagamento reservado para reembolso
+   * @param {Object} options - Opções do reembolso (as mesmas de refundPayment)
+   * @returns {Promise<Object>} - Resultado do reembolso
+   * @private
+   */
+  async _refundClaimedPayment(payment, options) {
+    const { reason, adminId, restock, chargeback } = options;
+
+    const type = chargeback ? 'CHARGEBACK' : 'REFUND';
+
+    // Devolver o valor pelo provedor (no chargeback o banco já devolveu)
+    // Uma devolução feita em uma tentativa anterior que não terminou não é repetida
+    let refund = payment.metadata?.providerRefund;
+    if (!refund && chargeback) {
+      refund = { success: true, manual: true, amount: payment.amount };
+    }
+    if (!refund) {
+      refund = await this.getPaymentProvider(payment).refund(payment, payment.amount);
+
+      if (!refund.success) {
+        await auditLogger.log({
+          action: 'PAYMENT_REFUNDED',
+          category: 'TRANSACTION',
+          severity: 'ERROR',
+          status: 'ERROR',
+          user: { id: adminId },
+          target: { id: payment.userId, username: payment.userName },
+          payment: { id: payment.id, amount: payment.amount },
+          details: { type, reason, error: refund.message }
+        });
+
+        return { success: false, message: `Falha no reembolso pelo provedor: ${refund.message}`, payment };
+      }
+
+      payment.metadata = {
+        ...payment.metadata,
+        providerRefund: { ...refund, refundedAt: new Date() }
+      };
+      await payment.save();
+    }
+
+    const productIds = await this._getPaymentProductIds(payment);
+    const refundedAt = new Date();
+    let restockedIds = [];
+
+    await sequelize.transaction(async (transaction) => {
+      payment.status = 'REFUNDED';
+      payment.refundedAt = refundedAt;
+      payment.refundReason = reason.substring(0, 255);
+      payment.refundedBy = adminId;
+      payment.metadata = {
+        ...payment.metadata,
+        refund: {
+          type,
+          restock,
+          amount: refund.amount,
+          refundId: refund.refundId,
+          manual: !!refund.manual,
+          message: refund.message
+        }
+      };
+      await payment.save({ transaction });
+
+      // Somente produtos ainda vinculados a este comprador (não revendidos)
+      if (restock) {
+        const restocked = await Product.findAll({
+          where: { id: productIds, compradoPor: payment.userId },
+          attributes: ['id'],
+          transaction
+        });
+        restockedIds = restocked.map(product => product.id);
+      }
+
+      const productUpdate = restock
+        ? { vendido: false, disponivel: true, dataVenda: null, compradoPor: null, quarentena: false, quarentenaMotivo: null }
+        : { vendido: false, disponivel: false, quarentena: true, quarentenaMotivo: payment.refundReason };
+
+      await Product.update(productUpdate, {
+        where: { id: productIds, compradoPor: payment.userId },
+        transaction
+      });
+
+      if (payment.orderId) {
+        await Order.update({ status: 'REFUNDED' }, { where: { id: payment.orderId }, transaction });
+      }
+    });
+
+    for (const productId of productIds) {
+      await productService.clearProductCache(productId);
+    }
+
+    // As credenciais entregues ao comprador não podem ser revendidas; a próxima aprovação exige novas
+    for (const productId of restockedIds) {
+      await vaultService.removeSecret(productId, adminId);
+    }
+
+    // Estornar os pontos de fidelidade ganhos na compra
+    const pointsResult = await loyalty.reversePoints(payment.userId, payment.id, `${type}: ${reason}`, {
+      adminId,
+      productId: payment.productId
+    });
+
+    await userService.recordActivity(payment.userId, 'PAYMENT_REFUNDED', {
+      paymentId: payment.id,
+      productId: payment.productId,
+      type,
+      reason
+    });
+
+    await cache.del(CACHE_KEY_PENDING);
+
+    await auditLogger.log({
+      action: 'PAYMENT_REFUNDED',
+      category: 'TRANSACTION',
+      severity: 'WARNING',
+      status: 'SUCCESS',
+      user: { id: adminId },
+      target: { id: payment.userId, username: payment.userName },
+      payment: { id: payment.id, amount: payment.amount },
+      product: { id: payment.productId, name: payment.productName },
+      details: {
+        type,
+        reason,
+        restock,
+        products: productIds,
+        clearedSecrets: restockedIds,
+        provider: payment.metadata?.provider,
+        refundId: refund.refundId,
+        manual: !!refund.manual,
+        reversedPoints: pointsResult.reversedPoints
+      }
+    });
+
+    logger.info(`Pagamento ${payment.id} reembolsado por ${adminId} (${type}, ${restock ? 'revenda' : 'quarentena'}): ${reason}`);
+    return {
+      success: true,
+      payment,
+      refund,
+      reversedPoints: pointsResult.reversedPoints
+    };
+  }
+
+  /**
+   * Processa uma notificação de liquidação enviada pelo provedor PIX (PSP)
+   * @param {Object} notification - Notificação normalizada
+   * @param {string} notification.eventId - ID único do evento no PSP
+   * @param {string} notification.txid - txid do BR Code pago
+   * @param {number} notification.amount - Valor liquidado
+   * @param {string} notification.status - Status normalizado (PAID quando liquidado)
+   * @returns {Promise<Object>} - Resultado do processamento
+   */
+  async processPspNotification(notification) {
+    const { eventId, txid, amount, status } = notification;
+    const lockKey = `${CACHE_KEY_PSP_EVENT}${eventId}`;
+
+    // Notificações repetidas (reenvio do PSP) são apenas confirmadas
+    if (await cache.get(lockKey)) {
+      logger.info(`Notificação PSP ${eventId} já recebida, ignorando`);
+      return { success: true, duplicate: true };
+    }
+    await cache.set(lockKey, true, PSP_EVENT_TTL);
+
+    try {
+      const payment = await Payment.findOne({ where: { txid } });
+      if (!payment) {
+        logger.warn(`Notificação PSP ${eventId} sem pagamento para o txid ${txid}`);
+        return { success: false, code: 'NOT_FOUND', message: 'Pagamento não encontrado para o txid' };
+      }
+
+      const processedEvents = payment.metadata?.pspEvents || [];
+      if (processedEvents.includes(eventId)) {
+        return { success: true, duplicate: true, payment };
+      }
+
+      // Registrar evento no pagamento para idempotência persistente
+      payment.metadata = {
+        ...payment.metadata,
+        pspEvents: [...processedEvents, eventId]
+      };
+
+      await auditLogger.log({
+        action: 'PAYMENT_WEBHOOK_RECEIVED',
+        category: 'TRANSACTION',
+        severity: 'INFO',
+        status: 'INFO',
+        user: { id: SYSTEM_ACTOR },
+        target: { id: payment.userId, username: payment.userName },
+        details: { paymentId: payment.id, eventId, txid, amount, status }
+      });
+
+      if (status !== 'PAID') {
+        await payment.save();
+        return { success: true, ignored: true, payment };
+      }
+
+      // Valor pago precisa ser o valor cobrado
+      if (Math.abs(Number(amount) - payment.amount) > 0.009) {
+        await payment.save();
+
+        await auditLogger.log({
+          action: 'PAYMENT_AMOUNT_MISMATCH',
+          category: 'TRANSACTION',
+          severity: 'WARNING',
+          status: 'ERROR',
+          user: { id: SYSTEM_ACTOR },
+          target: { id: payment.userId, username: payment.userName },
+          details: { paymentId: payment.id, eventId, expected: payment.amount, received: amount }
+        });
+
+        return { success: false, code: 'AMOUNT_MISMATCH', message: 'Valor pago diferente do cobrado', payment };
+      }
+
+      payment.metadata = {
+        ...payment.metadata,
+        pspConfirmation: {
+          eventId,
+          amount,
+          endToEndId: notification.endToEndId,
+          paidAt: notification.paidAt
+        }
+      };
+
+      if (payment.status === 'COMPLETED') {
+        await payment.save();
+        return { success: true, duplicate: true, payment };
+      }
+
+      // Pago depois de expirado/rejeitado: precisa de análise humana
+      if (payment.status !== 'PENDING' && payment.status !== 'PROCESSING') {
+        await payment.save();
+        logger.warn(`Pagamento ${payment.id} liquidado com status ${payment.status}, requer análise`);
+        return { success: true, requiresReview: true, payment };
+      }
+
+      // Com aprovação manual, apenas sinalizar que o PSP confirmou o recebimento
+      if (config.payment.pix.manualApproval) {
+        payment.status = 'PROCESSING';
+        await payment.save();
+        await cache.del(CACHE_KEY_PENDING);
+
+        logger.info(`Pagamento ${payment.id} confirmado pelo PSP, aguardando aprovação manual`);
+        return { success: true, approved: false, payment };
+      }
+
+      await payment.save();
+
+      const result = await this.approvePayment(payment.id, SYSTEM_ACTOR);
+
+      // Sem credenciais no cofre ou com aprovação dupla o pagamento fica na fila de aprovação manual
+      if (!result.success && (result.missingCredentials || result.pendingApproval)) {
+        payment.status = 'PROCESSING';
+        await payment.save();
+        await cache.del(CACHE_KEY_PENDING);
+        logger.warn(`Pagamento ${payment.id} confirmado pelo PSP, mas aguarda ${result.pendingApproval ? 'aprovação dupla' : 'credenciais no cofre'}`);
+      }
+
+      return {
+        success: result.success,
+        approved: result.success,
+        message: result.message,
+        payment: result.payment
+      };
+    } catch (error) {
+      // Liberar o evento para que o reenvio do PSP seja processado
+      await cache.del(lockKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra a mensagem do PaymentPanel aberta para o pagamento
+   * @param {string} paymentId - ID do pagamento
+   * @param {Message} message - Mensagem do Discord com o painel
+   */
+  async attachPanelMessage(paymentId, message) {
+    try {
+      if (!message || !message.channelId) return;
+
+      const payment = await Payment.findByPk(paymentId);
+      if (!payment) return;
+
+      payment.metadata = {
+        ...payment.metadata,
+        panelMessage: { channelId: message.channelId, messageId: message.id }
+      };
+      await payment.save();
+    } catch (error) {
+      logger.error(`Erro ao registrar mensagem do pagamento ${paymentId}:`, error);
+    }
+  }
+
+  /**
+   * Expira os pagamentos PENDING/PROCESSING com prazo vencido
+   * @returns {Promise<Array>} - Pagamentos expirados neste ciclo
+   */
+  async expireOverduePayments() {
+    try {
+      const overduePayments = await Payment.findAll({
+        where: {
+          status: ['PENDING', 'PROCESSING'],
+          expiresAt: { [Op.lt]: new Date() }
+        }
+      });
+
+      const expired = [];
+      for (const payment of overduePayments) {
+        // Pagamentos já confirmados pelo PSP aguardam apenas a aprovação manual
+        if (payment.metadata?.pspConfirmation) continue;
+
+        // Aprovados com falha na compra do LZT Market aguardam a equipe
+        if (payment.metadata?.lztPurchaseFailure) continue;
+
+        if (await this.expirePayment(payment)) {
+          expired.push(payment);
+        }
+      }
+
+      if (expired.length > 0) {
+        await cache.del(CACHE_KEY_PENDING);
+        logger.info(`${expired.length} pagamento(s) expirado(s)`);
+      }
+
+      return expired;
+    } catch (error) {
+      logger.error('Erro ao expirar pagamentos vencidos:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Marca um pagamento como expirado e libera a reserva no LZT
+   * @param {Object} payment - Pagamento vencido
+   * @returns {Promise<boolean>} - Se o pagamento foi expirado
+   */
+  async expirePayment(payment) {
+    try {
+      const previousStatus = payment.status;
+      const metadata = { ...payment.metadata, expiredAt: new Date() };
+
+      // Pagamentos com aprovação em andamento (ou que mudaram de status desde a leitura) não expiram
+      const [expired] = await Payment.update({ status: 'EXPIRED', metadata }, {
+        where: {
+          id: payment.id,
+          status: ['PENDING', 'PROCESSING'],
+          approvalClaimedAt: null
+        }
+      });
+      if (expired === 0) return false;
+
+      payment.status = 'EXPIRED';
+      payment.metadata = metadata;
+
+      await this._updateOrderStatus(payment, 'EXPIRED');
+
+      // Liberar os produtos reservados (e as reservas no LZT Market) para outros compradores
+      const releasedProducts = await productService.releaseReservations(payment.id);
+
+      await userService.recordActivity(payment.userId, 'PAYMENT_EXPIRED', {
+        paymentId: payment.id,
+        productId: payment.productId
+      });
+
+      await auditLogger.log({
+        action: 'PAYMENT_EXPIRED',
+        category: 'TRANSACTION',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: SYSTEM_ACTOR },
+        target: { id: payment.userId, username: payment.userName },
+        payment: { id: payment.id, amount: payment.amount },
+        product: { id: payment.productId, name: payment.productName },
+        details: {
+          previousStatus,
+          expiresAt: payment.expiresAt,
+          releasedProducts
+        }
+      });
+
+      return true;
+    } catch (error) {
+      logger.error(`Erro ao expirar pagamento ${payment.id}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Obtém todos os pagamentos pendentes de aprovação
    * @returns {Promise<Array>} - Lista de pagamentos pendentes
@@ -283,16 +946,681 @@ class PaymentService {
   }
 
   /**
-   * Gera credenciais de acesso aleatórias
+   * Fila de triagem: pagamentos aguardando aprovação com o risco de cada um, filtrados
+   * @param {Object} filters - Filtros da triagem
+   * @param {number} filters.olderThan - Somente pagamentos criados há mais destes minutos
+   * @param {number} filters.minAmount - Valor mínimo
+   * @param {number} filters.maxAmount - Valor máximo
+   * @param {string} filters.user - ID ou parte do nome do usuário
+   * @param {string} filters.risk - Nível de risco (low, medium ou high)
+   * @returns {Promise<Array>} - Pagamentos do mais antigo para o mais recente
+   */
+  async getTriageQueue(filters = {}) {
+    try {
+      const pendingPayments = await this.getPendingApprovals();
+      const now = Date.now();
+      const userQuery = filters.user ? filters.user.toLowerCase() : null;
+
+      const payments = pendingPayments.filter(payment => {
+        if (filters.olderThan && now - new Date(payment.createdAt).getTime() < filters.olderThan * 60000) return false;
+        if (filters.minAmount !== undefined && payment.amount < filters.minAmount) return false;
+        if (filters.maxAmount !== undefined && payment.amount >= filters.maxAmount) return false;
+        if (userQuery && payment.userId !== filters.user && !payment.userName.toLowerCase().includes(userQuery)) return false;
+        return true;
+      });
+
+      // Risco do comprador (em cache no antifraude), elevado quando a transação foi sinalizada
+      const userRisks = new Map();
+      for (const userId of new Set(payments.map(payment => payment.userId))) {
+        userRisks.set(userId, await fraudDetection.assessUserRisk(userId));
+      }
+
+      const queue = payments.map(payment => {
+        const userRisk = userRisks.get(payment.userId);
+        const fraudCheck = payment.metadata?.fraudCheck;
+        const flagged = fraudCheck?.approved === false;
+
+        return {
+          id: payment.id,
+          userId: payment.userId,
+          userName: payment.userName,
+          productName: payment.productName,
+          amount: payment.amount,
+          status: payment.status,
+          createdAt: payment.createdAt,
+          expiresAt: payment.expiresAt,
+          risk: flagged ? 'high' : userRisk.risk,
+          riskScore: fraudCheck?.score ?? userRisk.score,
+          riskReasons: fraudCheck?.reasons || userRisk.factors || []
+        };
+      });
+
+      return queue
+        .filter(payment => !filters.risk || payment.risk === filters.risk)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    } catch (error) {
+      logger.error('Erro ao montar fila de triagem de pagamentos:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Aprova ou rejeita vários pagamentos, um de cada vez, informando o resultado de cada um
+   * @param {Array<string>} paymentIds - IDs dos pagamentos
+   * @param {string} action - APPROVE ou REJECT
+   * @param {string} adminId - ID do administrador
+   * @param {string} reason - Motivo compartilhado (obrigatório para rejeição)
+   * @returns {Promise<Array>} - [{ paymentId, productName, success, pendingApproval, message }]
+   */
+  async bulkReview(paymentIds, action, adminId, reason = null) {
+    const results = [];
+
+    for (const paymentId of paymentIds) {
+      const result = action === 'APPROVE'
+        ? await this.approvePayment(paymentId, adminId)
+        : await this.rejectPayment(paymentId, reason, adminId);
+
+      results.push({
+        paymentId,
+        productName: result.payment?.productName || null,
+        success: result.success,
+        pendingApproval: Boolean(result.pendingApproval),
+        delivered: result.delivered,
+        message: result.message || null
+      });
+    }
+
+    await auditLogger.log({
+      action: action === 'APPROVE' ? 'PAYMENT_BULK_APPROVAL' : 'PAYMENT_BULK_REJECTION',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: results.every(result => result.success) ? 'SUCCESS' : 'ERROR',
+      user: { id: adminId },
+      details: {
+        reason,
+        total: results.length,
+        succeeded: results.filter(result => result.success).map(result => result.paymentId),
+        failed: results.filter(result => !result.success).map(result => ({ id: result.paymentId, message: result.message }))
+      }
+    });
+
+    logger.info(`Triagem em lote (${action}) por ${adminId}: ${results.filter(result => result.success).length}/${results.length} concluído(s)`);
+    return results;
+  }
+
+  /**
+   * Reserva o pagamento para a aprovação em andamento
+   * O UPDATE condicional faz com que só uma aprovação simultânea (administradores ou webhook) siga adiante
+   * @param {Object} payment - Pagamento (recarregado quando a reserva é obtida)
+   * @returns {Promise<boolean>} - Se a reserva foi obtida
+   * @private
+   */
+  async _claimApproval(payment) {
+    const now = new Date();
+    const [claimed] = await Payment.update({ approvalClaimedAt: now }, {
+      where: {
+        id: payment.id,
+        status: ['PENDING', 'PROCESSING'],
+        // Reservas antigas ficam de uma aprovação interrompida (ex: reinício do bot)
+        [Op.or]: [
+          { approvalClaimedAt: null },
+          { approvalClaimedAt: { [Op.lt]: new Date(now.getTime() - APPROVAL_CLAIM_TTL) } }
+        ]
+      }
+    });
+
+    await payment.reload();
+    return claimed > 0;
+  }
+
+  /**
+   * Libera a reserva de aprovação do pagamento
+   * @param {Object} payment - Pagamento
+   * @private
+   */
+  async _releaseApproval(payment) {
+    try {
+      await Payment.update({ approvalClaimedAt: null }, { where: { id: payment.id } });
+      payment.approvalClaimedAt = null;
+    } catch (error) {
+      logger.error(`Erro ao liberar a aprovação do pagamento ${payment.id}:`, error);
+    }
+  }
+
+  /**
+   * Aprova o pagamento de um único produto e entrega as credenciais
+   * @param {Object} payment - Pagamento reservado para aprovação
+   * @param {string} adminId - ID do administrador
+   * @param {Object} charge - Status da cobrança no provedor
+   * @returns {Promise<Object>} - Resultado da aprovação
+   * @private
+   */
+  async _approveSinglePayment(payment, adminId, charge) {
+    const item = { productId: payment.productId, productName: payment.productName };
+
+    // O produto é reservado antes da compra no LZT Market, como os itens de um pedido
+    const unavailableIds = await this._lockProducts(payment, [payment.productId]);
+    if (unavailableIds.length > 0) {
+      return await this._rejectUnavailable(payment, [item], adminId);
+    }
+
+    // Produtos do LZT Market são comprados na origem antes de concluir a venda
+    const product = await Product.findByPk(payment.productId);
+    const sourcePurchase = await this._purchaseFromSource(payment, [product], adminId);
+    if (!sourcePurchase.success) return sourcePurchase;
+
+    // Credenciais reais do cofre (a aprovação aguarda o cadastro quando estiverem faltando)
+    const missingCredentials = (await vaultService.findMissingSecrets([product.id]))
+      .filter(productId => !sourcePurchase.credentials[productId]);
+    if (missingCredentials.length > 0) {
+      return {
+        success: false,
+        missingCredentials,
+        message: `Credenciais de "${product.nome}" não cadastradas no cofre`,
+        payment
+      };
+    }
+
+    const accountCredentials = sourcePurchase.credentials[product.id] || await vaultService.revealSecret(product.id, {
+      actor: adminId,
+      paymentId: payment.id,
+      userId: payment.userId
+    });
+
+    // Produto e pagamento são atualizados juntos; a condição no UPDATE impede vender um produto que já saiu do estoque
+    let sold = false;
+    await sequelize.transaction(async (transaction) => {
+      const completedAt = new Date();
+      sold = await this._sellProduct(payment, product.id, completedAt, transaction);
+      if (!sold) return;
+
+      payment.status = 'COMPLETED';
+      payment.completedAt = completedAt;
+      payment.approvedBy = adminId;
+      payment.deliveryData = accountCredentials;
+      await payment.save({ transaction });
+    });
+
+    if (!sold) {
+      return await this._rejectUnavailable(payment, [item], adminId);
+    }
+
+    await productService.clearProductCache(product.id);
+
+    // Registrar atividade e pontos
+    await userService.recordActivity(payment.userId, 'PRODUCT_PURCHASE', {
+      productId: product.id,
+      productName: product.nome,
+      paymentId: payment.id,
+      amount: payment.amount
+    });
+    await this._awardPurchasePoints(payment);
+
+    // Invalidar cache
+    await cache.del(CACHE_KEY_PENDING);
+
+    // Log de auditoria
+    await auditLogger.log({
+      action: 'PAYMENT_APPROVED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: { id: adminId },
+      target: { id: payment.userId, username: payment.userName },
+      payment: { id: payment.id, amount: payment.amount },
+      product: { id: product.id, name: product.nome },
+      details: {
+        provider: payment.metadata?.provider,
+        chargeStatus: charge.status,
+        approvers: (payment.approvals || []).map(approval => approval.adminId)
+      }
+    });
+
+    logger.info(`Pagamento ${payment.id} aprovado por ${adminId}`);
+
+    const delivered = await notificationService.sendDelivery(payment);
+    return { success: true, payment, accountCredentials, delivered };
+  }
+
+  /**
+   * Aprova o pagamento de um pedido entregando todos os itens de uma vez
+   * Se qualquer produto tiver sido vendido nesse meio tempo, o pedido inteiro é rejeitado
+   * @param {Object} payment - Pagamento do pedido
+   * @param {string} adminId - ID do administrador
+   * @param {Object} charge - Status da cobrança no provedor
+   * @returns {Promise<Object>} - Resultado da aprovação
+   * @private
+   */
+  async _approveOrderPayment(payment, adminId, charge) {
+    const order = await Order.findByPk(payment.orderId, {
+      include: [{ model: OrderItem, as: 'items' }]
+    });
+
+    if (!order || order.items.length === 0) {
+      return { success: false, message: 'Pedido não encontrado', payment };
+    }
+
+    // Todos os itens são reservados antes da compra no LZT Market, para não comprar na origem um pedido que será rejeitado
+    const unavailableIds = await this._lockProducts(payment, order.items.map(item => item.productId));
+    if (unavailableIds.length > 0) {
+      const unavailableItems = order.items.filter(item => unavailableIds.includes(item.productId));
+      return await this._rejectUnavailable(payment, unavailableItems, adminId);
+    }
+
+    // Produtos do LZT Market são comprados na origem antes de concluir a venda
+    const products = await Product.findAll({ where: { id: order.items.map(item => item.productId) } });
+    const sourcePurchase = await this._purchaseFromSource(payment, products, adminId);
+    if (!sourcePurchase.success) return sourcePurchase;
+
+    // Todas as credenciais precisam estar no cofre antes de concluir a venda
+    const missingCredentials = (await vaultService.findMissingSecrets(order.items.map(item => item.productId)))
+      .filter(productId => !sourcePurchase.credentials[productId]);
+    if (missingCredentials.length > 0) {
+      const names = order.items
+        .filter(item => missingCredentials.includes(item.productId))
+        .map(item => item.productName)
+        .join(', ');
+      return {
+        success: false,
+        missingCredentials,
+        message: `Credenciais não cadastradas no cofre: ${names}`,
+        payment
+      };
+    }
+
+    const secrets = { ...sourcePurchase.credentials };
+    for (const item of order.items) {
+      if (secrets[item.productId]) continue;
+
+      secrets[item.productId] = await vaultService.revealSecret(item.productId, {
+        actor: adminId,
+        paymentId: payment.id,
+        userId: payment.userId
+      });
+    }
+
+    const unavailable = [];
+    let deliveries = [];
+
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const completedAt = new Date();
+        deliveries = [];
+
+        for (const item of order.items) {
+          // A condição no UPDATE impede vender um produto que já saiu do estoque
+          if (!(await this._sellProduct(payment, item.productId, completedAt, transaction))) {
+            unavailable.push(item);
+            continue;
+          }
+
+          const credentials = secrets[item.productId];
+          item.deliveryData = credentials;
+          await item.save({ transaction });
+
+          deliveries.push({ productId: item.productId, productName: item.productName, ...credentials });
+        }
+
+        // Desfaz todas as vendas do pedido se algum item não estiver mais disponível
+        if (unavailable.length > 0) {
+          throw new Error('ORDER_ITEMS_UNAVAILABLE');
+        }
+
+        payment.status = 'COMPLETED';
+        payment.completedAt = completedAt;
+        payment.approvedBy = adminId;
+        payment.deliveryData = { items: deliveries };
+        await payment.save({ transaction });
+
+        order.status = 'COMPLETED';
+        order.completedAt = completedAt;
+        await order.save({ transaction });
+      });
+    } catch (error) {
+      if (error.message !== 'ORDER_ITEMS_UNAVAILABLE') throw error;
+    }
+
+    if (unavailable.length > 0) {
+      return await this._rejectUnavailable(payment, unavailable, adminId);
+    }
+
+    // Pós-entrega: histórico, cache e auditoria
+    for (const item of order.items) {
+      await productService.clearProductCache(item.productId);
+      await userService.recordActivity(payment.userId, 'PRODUCT_PURCHASE', {
+        productId: item.productId,
+        productName: item.productName,
+        paymentId: payment.id,
+        orderId: order.id,
+        amount: item.price
+      });
+    }
+    await this._awardPurchasePoints(payment);
+
+    await cache.del(CACHE_KEY_PENDING);
+
+    await auditLogger.log({
+      action: 'PAYMENT_APPROVED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: { id: adminId },
+      target: { id: payment.userId, username: payment.userName },
+      payment: { id: payment.id, amount: payment.amount },
+      details: {
+        orderId: order.id,
+        items: order.items.map(item => ({ id: item.productId, name: item.productName, price: item.price })),
+        provider: payment.metadata?.provider,
+        chargeStatus: charge.status,
+        approvers: (payment.approvals || []).map(approval => approval.adminId)
+      }
+    });
+
+    logger.info(`Pedido ${order.id} (pagamento ${payment.id}) aprovado por ${adminId}`);
+
+    const delivered = await notificationService.sendDelivery(payment);
+    return { success: true, payment, order, accountCredentials: deliveries, delivered };
+  }
+
+  /**
+   * Rejeita um pagamento cujos produtos não estão mais disponíveis
+   * @param {Object} payment - Pagamento em aprovação
+   * @param {Array} unavailable - Itens indisponíveis ({ productId, productName })
+   * @param {string} adminId - ID do administrador
+   * @returns {Promise<Object>} - Resultado da aprovação
+   * @private
+   */
+  async _rejectUnavailable(payment, unavailable, adminId) {
+    const names = unavailable.map(item => item.productName).join(', ');
+    const reason = `Produto(s) vendido(s) antes da aprovação: ${names}`;
+
+    await payment.reload();
+    payment.status = 'REJECTED';
+    payment.rejectedAt = new Date();
+    payment.rejectionReason = reason.substring(0, 255);
+    payment.rejectedBy = adminId;
+    await payment.save();
+
+    await this._updateOrderStatus(payment, 'REJECTED', { rejectionReason: payment.rejectionReason });
+    await productService.releaseReservations(payment.id);
+    await cache.del(CACHE_KEY_PENDING);
+
+    await auditLogger.log({
+      action: 'PAYMENT_REJECTED',
+      category: 'TRANSACTION',
+      severity: 'WARNING',
+      status: 'SUCCESS',
+      user: { id: adminId },
+      target: { id: payment.userId, username: payment.userName },
+      payment: { id: payment.id, amount: payment.amount },
+      details: {
+        orderId: payment.orderId,
+        reason,
+        unavailable: unavailable.map(item => item.productId)
+      }
+    });
+
+    if (payment.orderId) {
+      logger.warn(`Pedido ${payment.orderId} rejeitado: ${reason}`);
+      return { success: false, message: `Pedido rejeitado, ${names} não está(ão) mais disponível(is). O valor pago deve ser reembolsado.`, payment };
+    }
+
+    logger.warn(`Pagamento ${payment.id} rejeitado: ${reason}`);
+    return { success: false, message: `Pagamento rejeitado, ${names} não está mais disponível. O valor pago deve ser reembolsado.`, payment };
+  }
+
+  /**
+   * Marca um produto como vendido ao comprador do pagamento, se ele ainda estiver disponível
+   * @param {Object} payment - Pagamento em aprovação
+   * @param {string} productId - ID do produto
+   * @param {Date} completedAt - Data da venda
+   * @param {Object} transaction - Transação da aprovação
+   * @returns {Promise<boolean>} - Se o produto foi vendido
+   * @private
+   */
+  async _sellProduct(payment, productId, completedAt, transaction) {
+    const [updated] = await Product.update({
+      vendido: true,
+      disponivel: false,
+      dataVenda: completedAt,
+      compradoPor: payment.userId,
+      reservadoPor: null,
+      reservadoAte: null
+    }, {
+      where: { id: productId, ...this._sellableWhere(payment, completedAt) },
+      transaction
+    });
+
+    return updated > 0;
+  }
+
+  /**
+   * Condição de um produto que ainda pode ser vendido ao pagamento
+   * @param {Object} payment - Pagamento em aprovação
+   * @param {Date} now - Data de referência das reservas
+   * @returns {Object} - Condição para o where do Product
+   * @private
+   */
+  _sellableWhere(payment, now) {
+    return {
+      vendido: false,
+      disponivel: true,
+      // Produtos reservados por outro pagamento ainda válido não podem ser vendidos
+      [Op.or]: [
+        { reservadoPor: null },
+        { reservadoPor: payment.id },
+        { reservadoAte: { [Op.lt]: now } }
+      ]
+    };
+  }
+
+  /**
+   * Reserva para o pagamento em aprovação todos os seus produtos, ou nenhum se algum estiver indisponível
+   * @param {Object} payment - Pagamento reservado para aprovação
+   * @param {Array<string>} productIds - IDs dos produtos
+   * @returns {Promise<Array<string>>} - IDs dos produtos indisponíveis
+   * @private
+   */
+  async _lockProducts(payment, productIds) {
+    const now = new Date();
+    // A reserva cobre a aprovação em andamento sem encurtar a reserva original do pagamento
+    const lockedUntil = new Date(Math.max(new Date(payment.expiresAt || 0).getTime(), now.getTime() + APPROVAL_CLAIM_TTL));
+    const unavailable = [];
+
+    try {
+      await sequelize.transaction(async (transaction) => {
+        for (const productId of productIds) {
+          const [updated] = await Product.update({ reservadoPor: payment.id, reservadoAte: lockedUntil }, {
+            where: { id: productId, ...this._sellableWhere(payment, now) },
+            transaction
+          });
+
+          if (updated === 0) unavailable.push(productId);
+        }
+
+        if (unavailable.length > 0) throw new Error('PRODUCTS_UNAVAILABLE');
+      });
+    } catch (error) {
+      if (error.message !== 'PRODUCTS_UNAVAILABLE') throw error;
+    }
+
+    return unavailable;
+  }
+
+  /**
+   * Compra na origem os produtos do LZT Market de um pagamento aprovado
+   * Compras concluídas ficam no cofre, então uma nova aprovação após falha não compra o mesmo produto duas vezes
+   * @param {Object} payment - Pagamento em aprovação
+   * @param {Array} products - Produtos do pagamento
+   * @param {string} adminId - ID do administrador
+   * @returns {Promise<Object>} - { success, credentials } ou o resultado da falha
+   * @private
+   */
+  async _purchaseFromSource(payment, products, adminId) {
+    const credentials = {};
+
+    // Itens indisponíveis são rejeitados pela aprovação, sem compra na origem
+    const sourced = products.filter(product =>
+      product.origem === 'LZT' && product.disponivel && !product.vendido && !productService.isReserved(product, payment.id));
+    if (sourced.length === 0) return { success: true, credentials };
+
+    const pending = await vaultService.findMissingSecrets(sourced.map(product => product.id));
+
+    for (const product of sourced.filter(candidate => pending.includes(candidate.id))) {
+      let purchase;
+      try {
+        purchase = await productService.purchaseFromSource(product, payment.id);
+      } catch (error) {
+        return await this._holdForSourceFailure(payment, product, adminId, error);
+      }
+
+      credentials[product.id] = purchase.credentials;
+
+      payment.metadata = {
+        ...payment.metadata,
+        lztPurchases: {
+          ...(payment.metadata?.lztPurchases || {}),
+          [product.id]: { reservationId: purchase.reservationId, orderId: purchase.orderId, purchasedAt: new Date() }
+        }
+      };
+      await payment.save();
+
+      const stored = await vaultService.storeSecret(product.id, purchase.credentials, adminId);
+      if (!stored.success) {
+        logger.warn(`Credenciais do produto ${product.id} compradas no LZT Market não foram gravadas no cofre: ${stored.message}`);
+      }
+
+      await auditLogger.log({
+        action: 'LZT_PURCHASE_COMPLETED',
+        category: 'INTEGRATION',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: adminId },
+        target: { id: payment.userId, username: payment.userName },
+        payment: { id: payment.id, amount: payment.amount },
+        product: { id: product.id, name: product.nome },
+        details: {
+          origemId: product.origemId,
+          reservationId: purchase.reservationId,
+          orderId: purchase.orderId,
+          cost: product.precoCusto
+        }
+      });
+    }
+
+    return { success: true, credentials };
+  }
+
+  /**
+   * Devolve para a fila de aprovação um pagamento cuja compra no LZT Market falhou e avisa a equipe
+   * @param {Object} payment - Pagamento em aprovação
+   * @param {Object} product - Produto que não foi comprado
+   * @param {string} adminId - ID do administrador
+   * @param {Error} error - Erro da compra
+   * @returns {Promise<Object>} - Resultado da aprovação
+   * @private
+   */
+  async _holdForSourceFailure(payment, product, adminId, error) {
+    const reason = error.response
+      ? `HTTP ${error.response.status}: ${error.response.data?.error || error.message}`
+      : error.message;
+    const attempts = (payment.metadata?.lztPurchaseFailure?.attempts || 0) + 1;
+
+    logger.error(`Falha ao comprar o produto ${product.id} no LZT Market para o pagamento ${payment.id}:`, error);
+
+    payment.status = 'PROCESSING';
+    payment.metadata = {
+      ...payment.metadata,
+      lztPurchaseFailure: {
+        productId: product.id,
+        productName: product.nome,
+        reason,
+        attempts,
+        failedAt: new Date()
+      }
+    };
+    await payment.save();
+    await cache.del(CACHE_KEY_PENDING);
+
+    await auditLogger.log({
+      action: 'LZT_PURCHASE_FAILED',
+      category: 'INTEGRATION',
+      severity: 'ERROR',
+      status: 'ERROR',
+      user: { id: adminId },
+      target: { id: payment.userId, username: payment.userName },
+      payment: { id: payment.id, amount: payment.amount },
+      product: { id: product.id, name: product.nome },
+      details: { origemId: product.origemId, reservationId: product.reservaOrigemId, reason, attempts }
+    });
+
+    const alert = new EmbedBuilder()
+      .setTitle('⚠️ Falha na compra no LZT Market')
+      .setColor(config.discord.embedColors.error)
+      .setDescription('O pagamento foi aprovado, mas a conta não foi comprada na origem. Ele voltou para a fila de aprovação como **PROCESSING** e o comprador ainda não recebeu nada.')
+      .addFields(
+        { name: 'Pagamento', value: `\`${payment.id}\` - ${formatCurrency(payment.amount)}`, inline: true },
+        { name: 'Comprador', value: `<@${payment.userId}> (${payment.userName})`, inline: true },
+        { name: 'Produto', value: `${product.nome} (LZT ${product.origemId})`, inline: false },
+        { name: 'Erro', value: reason.substring(0, 1024), inline: false },
+        { name: 'Tentativas', value: String(attempts), inline: true }
+      )
+      .setTimestamp();
+
+    await notificationService.sendAdminAlert({ embeds: [alert] });
+
+    return {
+      success: false,
+      sourceFailure: true,
+      message: `Falha ao comprar "${product.nome}" no LZT Market (${reason}). O pagamento voltou para a fila como PROCESSING`,
+      payment
+    };
+  }
+
+  /**
+   * Credita os pontos de fidelidade de uma compra aprovada
+   * @param {Object} payment - Pagamento aprovado
+   * @private
+   */
+  async _awardPurchasePoints(payment) {
+    const points = Math.floor(payment.amount * (config.marketing.loyaltyPoints.pointsPerReal || 0));
+    if (points <= 0) return;
+
+    await loyalty.addPoints(payment.userId, points, 'PURCHASE', {
+      paymentId: payment.id,
+      productId: payment.productId
+    });
+  }
+
+  /**
+   * IDs dos produtos vendidos em um pagamento (produto único ou itens do pedido)
+   * @param {Object} payment - Pagamento
+   * @returns {Promise<Array<string>>}
+   * @private
+   */
+  async _getPaymentProductIds(payment) {
+    if (payment.orderId) {
+      const items = await OrderItem.findAll({ where: { orderId: payment.orderId }, attributes: ['productId'] });
+      return items.map(item => item.productId);
+    }
+
+    return payment.productId ? [payment.productId] : [];
+  }
+
+  /**
+   * Atualiza o status do pedido vinculado a um pagamento
+   * @param {Object} payment - Pagamento
+   * @param {string} status - Novo status do pedido
+   * @param {Object} extra - Campos adicionais
    * @private
    */
-  _generateAccountCredentials() {
-    const login = `user_${crypto.randomBytes(4).toString('hex')}`;
-    const password = crypto.randomBytes(8).toString('base64').replace(/[\/\+=]/g, '');
-    return { login, password };
+  async _updateOrderStatus(payment, status, extra = {}) {
+    if (!payment.orderId) return;
+    await Order.update({ status, ...extra }, { where: { id: payment.orderId } });
   }
 }
 
 // Singleton
 const paymentService = new PaymentService();
+paymentService.SYSTEM_ACTOR = SYSTEM_ACTOR;
 module.exports = paymentService;
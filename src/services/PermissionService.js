@@ -0,0 +1,152 @@
+/**
+ * Serviço de permissões do painel administrativo
+ * Traduz cargos do Discord, usuários configurados e User.isAdmin em capacidades nomeadas
+ */
+const { User } = require('../models');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+const config = require('../../config');
+
+// Capacidades disponíveis e o que cada uma libera
+const CAPABILITIES = {
+  'panel.access': 'Abrir o painel administrativo e consultar pagamentos, produtos e usuários',
+  'payments.approve': 'Aprovar e rejeitar pagamentos',
+  'payments.refund': 'Reembolsar pagamentos e registrar chargebacks',
+  'products.edit': 'Criar, editar, remover e sincronizar produtos e suas credenciais',
+  'users.block': 'Bloquear, suspender e desbloquear usuários',
+  'promotions.manage': 'Criar e encerrar promoções',
+  'audit.read': 'Consultar os registros de auditoria'
+};
+
+// Valor que concede todas as capacidades
+const ALL_CAPABILITIES = '*';
+
+class PermissionService {
+  /**
+   * Lista as capacidades concedidas a um usuário
+   * @param {string} userId - ID do usuário
+   * @param {GuildMember|Object} member - Membro do servidor (null em DMs)
+   * @returns {Promise<Set<string>>} - Capacidades do usuário
+   */
+  async getCapabilities(userId, member = null) {
+    const granted = new Set();
+
+    // Administradores do servidor e administradores configurados têm acesso total
+    if (this._hasAdministratorPermission(member) || config.discord.adminUsers.includes(userId)) {
+      return new Set(Object.keys(CAPABILITIES));
+    }
+
+    const memberRoles = this._getMemberRoles(member);
+    if (config.discord.adminRoles.some(role => memberRoles.has(role))) {
+      return new Set(Object.keys(CAPABILITIES));
+    }
+
+    const grants = [
+      ...(config.permissions.users[userId] || []),
+      ...Object.entries(config.permissions.roles)
+        .filter(([role]) => memberRoles.has(role))
+        .flatMap(([, capabilities]) => capabilities)
+    ];
+
+    if (grants.includes(ALL_CAPABILITIES)) {
+      return new Set(Object.keys(CAPABILITIES));
+    }
+    grants.forEach(capability => granted.add(capability));
+
+    // Administradores marcados no banco têm acesso total mesmo com cargos de acesso parcial
+    try {
+      const user = await User.findByPk(userId, { attributes: ['userId', 'isAdmin'] });
+      if (user?.isAdmin) {
+        return new Set(Object.keys(CAPABILITIES));
+      }
+    } catch (error) {
+      logger.error(`Erro ao verificar administrador ${userId}:`, error);
+    }
+
+    return granted;
+  }
+
+  /**
+   * Verifica se um usuário tem uma capacidade
+   * @param {string} userId - ID do usuário
+   * @param {GuildMember|Object} member - Membro do servidor (null em DMs)
+   * @param {string} capability - Capacidade exigida
+   * @returns {Promise<boolean>}
+   */
+  async can(userId, member, capability) {
+    if (!CAPABILITIES[capability]) {
+      logger.warn(`Capacidade desconhecida verificada: ${capability}`);
+      return false;
+    }
+
+    const capabilities = await this.getCapabilities(userId, member);
+    return capabilities.has(capability);
+  }
+
+  /**
+   * Verifica a capacidade de quem disparou uma interação e audita a recusa
+   * @param {Interaction} interaction - Interação do Discord
+   * @param {string} capability - Capacidade exigida
+   * @returns {Promise<boolean>} - Se a interação pode prosseguir
+   */
+  async authorize(interaction, capability) {
+    if (await this.can(interaction.user.id, interaction.member, capability)) {
+      return true;
+    }
+
+    await auditLogger.log({
+      action: 'PERMISSION_DENIED',
+      category: 'SECURITY',
+      severity: 'WARNING',
+      status: 'BLOCKED',
+      user: { id: interaction.user.id, username: interaction.user.tag },
+      details: {
+        capability,
+        customId: interaction.customId || null,
+        commandName: interaction.commandName || null
+      }
+    });
+
+    logger.warn(`Usuário ${interaction.user.id} sem a capacidade ${capability} (${interaction.customId || interaction.commandName})`);
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  _hasAdministratorPermission(member) {
+    if (!member?.permissions) return false;
+
+    // GuildMember expõe PermissionsBitField; membros crus da API trazem apenas o bitfield
+    if (typeof member.permissions.has === 'function') {
+      return member.permissions.has('Administrator');
+    }
+
+    return (BigInt(member.permissions) & 0x8n) === 0x8n;
+  }
+
+  /**
+   * IDs e nomes dos cargos do membro
+   * @private
+   */
+  _getMemberRoles(member) {
+    const roles = new Set();
+    if (!member?.roles) return roles;
+
+    if (member.roles.cache) {
+      for (const role of member.roles.cache.values()) {
+        roles.add(role.id);
+        roles.add(role.name);
+      }
+    } else if (Array.isArray(member.roles)) {
+      member.roles.forEach(roleId => roles.add(roleId));
+    }
+
+    return roles;
+  }
+}
+
+// Singleton
+const permissionService = new PermissionService();
+permissionService.CAPABILITIES = CAPABILITIES;
+module.exports = permissionService;
@@ -6,12 +6,18 @@ const { Op } = require('sequelize');
 const { Product } = require('../models');
 const cache = require('../utils/cache');
 const { logger } = require('../utils/helpers');
+const config = require('../../config');
+const lztClient = require('../product/lzt/client');
+const auditLogger = require('../audit/logger');
+const categoryService = require('./CategoryService');
 
 // Chaves de cache
 const CACHE_KEY_PRODUCTS = 'products:all';
 const CACHE_KEY_PRODUCT = 'product:';
 const CACHE_TTL = 300; // 5 minutos
 
+const MAX_IMAGES = 5;
+
 class ProductService {
   /**
    * Obtém produtos disponíveis com filtros opcionais
@@ -27,42 +33,11 @@ class ProductService {
         if (cachedProducts) return cachedProducts.slice(0, limit);
       }
 
-      // Construir query
-      const query = { disponivel: true, vendido: false };
-
-      // Aplicar filtros
-      if (filters.tipo) query.tipo = filters.tipo;
-      if (filters.precoMin) query.preco = { ...query.preco, [Op.gte]: filters.precoMin };
-      if (filters.precoMax) {
-        query.preco = query.preco ? { ...query.preco, [Op.lte]: filters.precoMax } : { [Op.lte]: filters.precoMax };
-      }
-
-      // Filtros para detalhes específicos
-      if (filters.rank && query.tipo === 'valorant') {
-        query['$detalhes.rank$'] = filters.rank;
-      }
-      if (filters.skinsMin && query.tipo === 'valorant') {
-        query['$detalhes.skins$'] = { [Op.gte]: filters.skinsMin };
-      }
-      if (filters.region) {
-        query['$detalhes.region$'] = filters.region;
-      }
-
-      // Opções de ordenação
-      const order = [];
-      if (filters.orderBy === 'preco') {
-        order.push(['preco', filters.orderDirection === 'desc' ? 'DESC' : 'ASC']);
-      } else if (filters.orderBy === 'data') {
-        order.push(['createdAt', filters.orderDirection === 'desc' ? 'DESC' : 'ASC']);
-      } else if (filters.orderBy === 'visualizacoes') {
-        order.push(['visualizacoes', 'DESC']);
-      } else {
-        order.push(['createdAt', 'DESC']); // Padrão
-      }
+      const { where, order } = this._buildAvailableQuery(filters);
 
       // Executar query
       const produtos = await Product.findAll({
-        where: query,
+        where,
         order,
         limit: limit || 100
       });
@@ -79,6 +54,110 @@ class ProductService {
     }
   }
 
+  /**
+   * Busca uma página de produtos disponíveis com o total para a paginação
+   * @param {Object} filters - Filtros (os mesmos de getAvailableProducts)
+   * @param {Object} options - Opções de paginação (limit, skip)
+   * @returns {Promise<Object>} - Produtos da página e totais
+   */
+  async searchAvailableProducts(filters = {}, options = {}) {
+    const limit = options.limit || 10;
+    const offset = options.skip || 0;
+
+    try {
+      const { where, order } = this._buildAvailableQuery(filters);
+
+      const [produtos, total] = await Promise.all([
+        Product.findAll({ where, order, limit, offset }),
+        Product.count({ where })
+      ]);
+
+      return {
+        produtos,
+        total,
+        page: Math.floor(offset / limit) + 1,
+        pageSize: limit,
+        totalPages: Math.ceil(total / limit)
+      };
+    } catch (error) {
+      logger.error('Erro ao buscar página de produtos disponíveis:', error);
+      return { produtos: [], total: 0, page: 1, pageSize: limit, totalPages: 0 };
+    }
+  }
+
+  /**
+   * Monta a condição e a ordenação da busca de produtos disponíveis
+   * @param {Object} filters - Filtros para busca
+   * @returns {Object} - { where, order }
+   * @private
+   */
+  _buildAvailableQuery(filters = {}) {
+    // Construir query (produtos reservados por pagamentos pendentes ficam ocultos)
+    const query = {
+      disponivel: true,
+      vendido: false,
+      [Op.or]: [
+        { reservadoAte: null },
+        { reservadoAte: { [Op.lt]: new Date() } }
+      ]
+    };
+
+    // Aplicar filtros
+    if (filters.tipo) query.tipo = filters.tipo;
+    if (filters.precoMin) query.preco = { ...query.preco, [Op.gte]: filters.precoMin };
+    if (filters.precoMax) {
+      query.preco = query.preco ? { ...query.preco, [Op.lte]: filters.precoMax } : { [Op.lte]: filters.precoMax };
+    }
+
+    // Busca por texto no nome e na descrição
+    if (filters.busca) {
+      const termo = `%${filters.busca}%`;
+      query[Op.and] = [{
+        [Op.or]: [
+          { nome: { [Op.like]: termo } },
+          { descricao: { [Op.like]: termo } }
+        ]
+      }];
+    }
+
+    // Filtros para detalhes específicos (campos do JSON detalhes, conforme o tipo do campo na categoria)
+    const detailFilters = { ...(filters.detalhes || {}) };
+    if (filters.rank) detailFilters.rank = filters.rank;
+    if (filters.skinsMin) detailFilters.skins = filters.skinsMin;
+    if (filters.region) detailFilters.region = filters.region;
+
+    const detalhes = {};
+    for (const [key, value] of Object.entries(detailFilters)) {
+      const field = categoryService.getField(query.tipo, key);
+
+      if (field?.type === 'inteiro' || (!field && typeof value === 'number')) {
+        detalhes[key] = { [Op.gte]: Number(value) };
+      } else if (field?.type === 'booleano') {
+        detalhes[key] = value === true || value === 'true';
+      } else {
+        // Textos são salvos com complemento (ex: Imortal 2), o filtro usa o início
+        detalhes[key] = { [Op.like]: `${value}%` };
+      }
+    }
+    if (Object.keys(detalhes).length > 0) {
+      query.detalhes = detalhes;
+    }
+
+    // Opções de ordenação
+    const order = [];
+    if (filters.orderBy === 'preco') {
+      order.push(['preco', filters.orderDirection === 'desc' ? 'DESC' : 'ASC']);
+    } else if (filters.orderBy === 'data') {
+      order.push(['createdAt', filters.orderDirection === 'desc' ? 'DESC' : 'ASC']);
+    } else if (filters.orderBy === 'visualizacoes') {
+      order.push(['visualizacoes', 'DESC']);
+    } else {
+      order.push(['createdAt', 'DESC']); // Padrão
+    }
+
+    return { where: query, order };
+  }
+
   /**
    * Obtém produto por ID
    * @param {string} productId - ID do produto
@@ -111,6 +190,52 @@ class ProductService {
     }
   }
 
+  /**
+   * Valida os dados de um produto
+   * @param {Object} productData - Dados do produto
+   * @param {Object} options - Opções de validação
+   * @param {boolean} options.partial - Validar apenas os campos informados (edição)
+   * @param {string} options.tipo - Tipo atual do produto (edição)
+   * @returns {Array<string>} - Lista de erros (vazia se válido)
+   */
+  validateProduct(productData, options = {}) {
+    const errors = [];
+    const has = field => !options.partial || productData[field] !== undefined;
+
+    if (has('nome') && (!productData.nome || String(productData.nome).trim().length < 3)) {
+      errors.push('Nome deve ter pelo menos 3 caracteres');
+    } else if (has('nome') && productData.nome.length > 100) {
+      errors.push('Nome deve ter no máximo 100 caracteres');
+    }
+
+    // Categorias desativadas não recebem produtos novos, mas os existentes continuam editáveis
+    const category = has('tipo') ? categoryService.get(productData.tipo) : null;
+    if (has('tipo') && (!category || (!category.ativa && productData.tipo !== options.tipo))) {
+      errors.push(`Tipo inválido, use: ${categoryService.list().map(item => item.slug).join(', ')}`);
+    }
+
+    if (has('preco') && (typeof productData.preco !== 'number' || !Number.isFinite(productData.preco) || productData.preco <= 0)) {
+      errors.push('Preço deve ser um número maior que zero');
+    }
+
+    if (productData.detalhes !== undefined) {
+      errors.push(...categoryService.validateDetails(productData.tipo ?? options.tipo, productData.detalhes || {}));
+    }
+
+    if (productData.imagens !== undefined) {
+      const imagens = productData.imagens || [];
+      if (imagens.length > MAX_IMAGES) {
+        errors.push(`Máximo de ${MAX_IMAGES} imagens por produto`);
+      }
+      const invalid = imagens.filter(url => !/^https?:\/\/\S+$/i.test(url));
+      if (invalid.length > 0) {
+        errors.push(`URL de imagem inválida: ${invalid[0]}`);
+      }
+    }
+
+    return errors;
+  }
+
   /**
    * Cria um novo produto
    * @param {Object} productData - Dados do produto
@@ -119,12 +244,17 @@ class ProductService {
   async createProduct(productData) {
     try {
       // Validar dados essenciais
-      if (!productData.tipo || !productData.preco) {
-        throw new Error('Tipo e preço são obrigatórios');
+      const nome = productData.nome || `${productData.tipo} #${Math.floor(Math.random() * 10000)}`;
+
+      const errors = this.validateProduct({ ...productData, nome });
+      if (errors.length > 0) {
+        const error = new Error(errors.join('; '));
+        error.validation = errors;
+        throw error;
       }
 
       const newProduct = await Product.create({
-        nome: productData.nome || `${productData.tipo} #${Math.floor(Math.random() * 10000)}`,
+        nome,
         tipo: productData.tipo,
         preco: productData.preco,
         descricao: productData.descricao || '',
@@ -139,6 +269,16 @@ class ProductService {
       // Invalidar cache
       await cache.del(CACHE_KEY_PRODUCTS);
 
+      await auditLogger.log({
+        action: 'PRODUCT_CREATED',
+        category: 'PRODUCT',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: productData.criadoPor },
+        product: { id: newProduct.id, name: newProduct.nome },
+        details: { productId: newProduct.id, tipo: newProduct.tipo, preco: newProduct.preco, origem: newProduct.origem }
+      });
+
       logger.info(`Novo produto criado: ${newProduct.id}`);
 
       return newProduct;
@@ -152,9 +292,10 @@ class ProductService {
    * Atualiza um produto existente
    * @param {string} productId - ID do produto
    * @param {Object} updateData - Dados para atualização
+   * @param {string} adminId - ID do administrador (opcional, para auditoria)
    * @returns {Promise<Object>} - Resultado da operação
    */
-  async updateProduct(productId, updateData) {
+  async updateProduct(productId, updateData, adminId = null) {
     try {
       const produto = await Product.findByPk(productId);
 
@@ -162,13 +303,20 @@ class ProductService {
         return { success: false, message: 'Produto não encontrado' };
       }
 
+      const errors = this.validateProduct(updateData, { partial: true, tipo: produto.tipo });
+      if (errors.length > 0) {
+        return { success: false, message: errors.join('; '), errors };
+      }
+
       // Campos que podem ser atualizados
-      const allowedFields = ['nome', 'preco', 'descricao', 'detalhes', 'disponivel', 'imagens'];
+      const allowedFields = ['nome', 'tipo', 'preco', 'descricao', 'detalhes', 'disponivel', 'imagens'];
 
       // Atualizar campos permitidos
+      const changedFields = [];
       for (const field of allowedFields) {
         if (updateData[field] !== undefined) {
           produto[field] = updateData[field];
+          changedFields.push(field);
         }
       }
 
@@ -180,6 +328,18 @@ class ProductService {
       await cache.del(CACHE_KEY_PRODUCTS);
       await cache.del(`${CACHE_KEY_PRODUCT}${productId}`);
 
+      if (adminId) {
+        await auditLogger.log({
+          action: 'PRODUCT_UPDATED',
+          category: 'PRODUCT',
+          severity: 'INFO',
+          status: 'SUCCESS',
+          user: { id: adminId },
+          product: { id: produto.id, name: produto.nome },
+          details: { productId, fields: changedFields }
+        });
+      }
+
       logger.info(`Produto ${productId} atualizado`);
 
       return { success: true, product: produto };
@@ -189,6 +349,219 @@ class ProductService {
     }
   }
 
+  /**
+   * Remove um produto do catálogo (fica indisponível, mantendo o histórico de vendas)
+   * @param {string} productId - ID do produto
+   * @param {string} adminId - ID do administrador
+   * @returns {Promise<Object>} - Resultado da operação
+   */
+  async removeProduct(productId, adminId) {
+    const produto = await Product.findByPk(productId);
+
+    if (!produto) {
+      return { success: false, message: 'Produto não encontrado' };
+    }
+
+    if (produto.vendido) {
+      return { success: false, message: 'Produto já vendido não pode ser removido' };
+    }
+
+    if (this.isReserved(produto)) {
+      return { success: false, message: 'Produto reservado por um pagamento pendente' };
+    }
+
+    const result = await this.updateProduct(productId, { disponivel: false });
+
+    if (result.success) {
+      await auditLogger.log({
+        action: 'PRODUCT_REMOVED',
+        category: 'PRODUCT',
+        severity: 'WARNING',
+        status: 'SUCCESS',
+        user: { id: adminId },
+        product: { id: produto.id, name: produto.nome },
+        details: { productId, preco: produto.preco, tipo: produto.tipo }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Verifica se um produto está reservado por um pagamento pendente
+   * @param {Object} product - Produto
+   * @param {string} paymentId - Pagamento que pode usar a reserva (opcional)
+   * @returns {boolean} - true se outro pagamento detém a reserva
+   */
+  isReserved(product, paymentId = null) {
+    if (!product || !product.reservadoPor || !product.reservadoAte) return false;
+    if (paymentId && product.reservadoPor === paymentId) return false;
+    return new Date(product.reservadoAte) > new Date();
+  }
+
+  /**
+   * Reserva produtos para um pagamento até a sua expiração
+   * Todos os produtos são reservados ou nenhum (produtos do LZT também são reservados na origem)
+   * @param {Array<string>} productIds - IDs dos produtos
+   * @param {string} paymentId - ID do pagamento pendente
+   * @param {Date} expiresAt - Fim da reserva
+   * @returns {Promise<Object>} - { success, unavailable, message }
+   */
+  async reserveProducts(productIds, paymentId, expiresAt) {
+    const reserved = [];
+    const unavailable = [];
+
+    try {
+      for (const productId of productIds) {
+        // UPDATE condicional: só reserva se ninguém mais tiver uma reserva válida
+        const [updated] = await Product.update({
+          reservadoPor: paymentId,
+          reservadoAte: expiresAt
+        }, {
+          where: {
+            id: productId,
+            disponivel: true,
+            vendido: false,
+            [Op.or]: [
+              { reservadoPor: null },
+              { reservadoPor: paymentId },
+              { reservadoAte: { [Op.lt]: new Date() } }
+            ]
+          }
+        });
+
+        if (updated === 0) {
+          unavailable.push(productId);
+          break;
+        }
+
+        reserved.push(productId);
+
+        const produto = await Product.findByPk(productId);
+        if (produto.origem === 'LZT' && config.lzt.enabled) {
+          try {
+            const reservation = await lztClient.reserveProduct(produto.origemId);
+            produto.reservaOrigemId = String(reservation?.id || reservation?.reservationId || reservation?.data?.id || '');
+            await produto.save();
+          } catch (error) {
+            logger.error(`Erro ao reservar produto ${productId} no LZT Market:`, error);
+            unavailable.push(productId);
+            break;
+          }
+        }
+
+        await this.clearProductCache(productId);
+      }
+
+      if (unavailable.length > 0) {
+        await this.releaseReservations(paymentId);
+        return {
+          success: false,
+          unavailable,
+          message: 'Produto reservado por outro comprador ou indisponível'
+        };
+      }
+
+      logger.info(`${reserved.length} produto(s) reservado(s) para o pagamento ${paymentId} até ${expiresAt.toISOString()}`);
+      return { success: true, unavailable: [] };
+    } catch (error) {
+      logger.error(`Erro ao reservar produtos para o pagamento ${paymentId}:`, error);
+      await this.releaseReservations(paymentId);
+      return { success: false, unavailable, message: 'Erro ao reservar produtos' };
+    }
+  }
+
+  /**
+   * Libera todas as reservas de um pagamento (e cancela as reservas no LZT)
+   * @param {string} paymentId - ID do pagamento
+   * @returns {Promise<number>} - Quantidade de produtos liberados
+   */
+  async releaseReservations(paymentId) {
+    try {
+      const produtos = await Product.findAll({ where: { reservadoPor: paymentId } });
+
+      for (const produto of produtos) {
+        if (produto.reservaOrigemId && !produto.vendido) {
+          try {
+            await lztClient.cancelReservation(produto.reservaOrigemId);
+          } catch (error) {
+            logger.error(`Erro ao cancelar reserva LZT ${produto.reservaOrigemId} do produto ${produto.id}:`, error);
+          }
+          produto.reservaOrigemId = null;
+        }
+
+        produto.reservadoPor = null;
+        produto.reservadoAte = null;
+        await produto.save();
+        await this.clearProductCache(produto.id);
+      }
+
+      return produtos.length;
+    } catch (error) {
+      logger.error(`Erro ao liberar reservas do pagamento ${paymentId}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Compra no LZT Market um produto vendido na loja
+   * Usa a reserva feita na criação do pagamento (ou reserva na hora se ela não existir ou tiver expirado)
+   * @param {Object} produto - Produto com origem LZT
+   * @param {string} paymentId - ID do pagamento aprovado
+   * @returns {Promise<Object>} - { reservationId, orderId, credentials }
+   */
+  async purchaseFromSource(produto, paymentId) {
+    if (!config.lzt.enabled) {
+      throw new Error('Integração com o LZT Market desativada');
+    }
+
+    const reserve = async () => {
+      const reservation = await lztClient.reserveProduct(produto.origemId);
+      produto.reservaOrigemId = String(reservation?.id || reservation?.reservationId || reservation?.data?.id || '');
+      await produto.save();
+    };
+
+    if (!produto.reservaOrigemId) await reserve();
+
+    let result;
+    try {
+      result = await lztClient.purchaseProduct(produto.reservaOrigemId, { paymentId, price: produto.precoCusto });
+    } catch (error) {
+      // Reserva expirada na origem: reservar de novo e tentar uma vez
+      if (error.response?.status !== 404) throw error;
+
+      logger.warn(`Reserva LZT ${produto.reservaOrigemId} do produto ${produto.id} não encontrada, reservando novamente`);
+      await reserve();
+      result = await lztClient.purchaseProduct(produto.reservaOrigemId, { paymentId, price: produto.precoCusto });
+    }
+
+    const account = result?.account || result?.data?.account;
+    if (result?.status !== 'completed' || !account?.login || !account?.password) {
+      throw new Error(`Compra não concluída no LZT Market (status: ${result?.status || 'desconhecido'})`);
+    }
+
+    const credentials = {};
+    for (const field of ['login', 'password', 'email', 'emailPassword']) {
+      if (account[field]) credentials[field] = account[field];
+    }
+
+    logger.info(`Produto ${produto.id} comprado no LZT Market (reserva ${produto.reservaOrigemId}) para o pagamento ${paymentId}`);
+    return {
+      reservationId: produto.reservaOrigemId,
+      orderId: result.orderId || result.data?.orderId || null,
+      credentials
+    };
+  }
+
+  /**
+   * Remove um produto (e a listagem geral) do cache
+   * @param {string} productId - ID do produto
+   */
+  async clearProductCache(productId) {
+    await cache.del(CACHE_KEY_PRODUCTS);
+    await cache.del(`${CACHE_KEY_PRODUCT}${productId}`);
+  }
+
   /**
    * Marca um produto como vendido
    * @param {string} productId - ID do produto
@@ -227,6 +600,69 @@ class ProductService {
       return { success: false, message: error.message };
     }
   }
+
+  /**
+   * Lista os produtos em quarentena após reembolso
+   * @param {number} limit - Limite de resultados
+   * @returns {Promise<Array>} - Produtos em quarentena
+   */
+  async getQuarantinedProducts(limit = 25) {
+    try {
+      return await Product.findAll({
+        where: { quarentena: true },
+        order: [['updatedAt', 'DESC']],
+        limit
+      });
+    } catch (error) {
+      logger.error('Erro ao buscar produtos em quarentena:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Devolve à venda um produto que estava em quarentena
+   * @param {string} productId - ID do produto
+   * @param {string} adminId - ID do administrador
+   * @returns {Promise<Object>} - Resultado da operação
+   */
+  async releaseFromQuarantine(productId, adminId) {
+    try {
+      const produto = await Product.findByPk(productId);
+
+      if (!produto || !produto.quarentena) {
+        return { success: false, message: 'Produto não está em quarentena' };
+      }
+
+      const motivo = produto.quarentenaMotivo;
+
+      produto.quarentena = false;
+      produto.quarentenaMotivo = null;
+      produto.disponivel = true;
+      produto.vendido = false;
+      produto.dataVenda = null;
+      produto.compradoPor = null;
+      await produto.save();
+
+      await this.clearProductCache(productId);
+
+      await auditLogger.log({
+        action: 'PRODUCT_QUARANTINE_RELEASED',
+        category: 'PRODUCT',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: adminId },
+        product: { id: produto.id, name: produto.nome },
+        details: { productId, quarantineReason: motivo }
+      });
+
+      logger.info(`Produto ${productId} liberado da quarentena por ${adminId}`);
+
+      return { success: true, product: produto };
+    } catch (error) {
+      logger.error(`Erro ao liberar produto ${productId} da quarentena:`, error);
+      return { success: false, message: error.message };
+    }
+  }
 }
 
 // Singleton
@@ -0,0 +1,307 @@
+/**
+ * Serviço de relatórios automáticos
+ * Monta os resumos diário e semanal e publica no canal de administração com o CSV das transações
+ */
+const { Op } = require('sequelize');
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { Payment, User, Activity, AuditLog, Ticket } = require('../models');
+const { logger, formatCurrency, formatDate, formatDuration } = require('../utils/helpers');
+const { toCsv } = require('../utils/csv');
+const auditLogger = require('../audit/logger');
+const config = require('../../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DIGEST_TITLES = {
+  daily: '📅 Resumo Diário',
+  weekly: '🗓️ Resumo Semanal'
+};
+
+// Colunas do CSV de transações
+const CSV_COLUMNS = ['id', 'createdAt', 'completedAt', 'status', 'userId', 'userName', 'productName', 'amount', 'approvedBy', 'provider'];
+
+class ReportService {
+  /**
+   * Período coberto por um resumo: o dia anterior ou os sete dias anteriores a hoje
+   * @param {string} type - daily ou weekly
+   * @param {Date} now - Data de referência
+   * @returns {Object} - { from, to, key }
+   */
+  getPeriod(type, now = new Date()) {
+    const to = new Date(now);
+    to.setHours(0, 0, 0, 0);
+    const from = new Date(to.getTime() - (type === 'weekly' ? 7 : 1) * DAY_MS);
+
+    return { from, to, key: `${type}:${to.toISOString().substring(0, 10)}` };
+  }
+
+  /**
+   * Coleta os dados do resumo de um período
+   * @param {Date} from - Início do período
+   * @param {Date} to - Fim do período
+   * @returns {Promise<Object>} - Dados de cada seção e as transações do período
+   */
+  async collectDigest(from, to) {
+    const period = { [Op.gte]: from, [Op.lt]: to };
+
+    const [transactions, completed, backlog, expired, newUsers, ticketsCreated, ticketsOpen, systemBlocks, syncLogs] = await Promise.all([
+      Payment.findAll({ where: { createdAt: period }, order: [['createdAt', 'ASC']] }),
+      Payment.findAll({ where: { status: 'COMPLETED', completedAt: period } }),
+      Payment.findAll({ where: { status: ['PENDING', 'PROCESSING'] }, attributes: ['id', 'status', 'createdAt'] }),
+      Payment.count({ where: { status: 'EXPIRED', updatedAt: period } }),
+      User.count({ where: { createdAt: period } }),
+      Activity.count({ where: { action: 'TICKET_CREATED', createdAt: period } }),
+      Ticket.count({ where: { status: 'OPEN' } }),
+      AuditLog.count({ where: { action: 'USER_BLOCKED', userId: 'SYSTEM', timestamp: period } }),
+      AuditLog.findAll({ where: { action: ['LZT_SYNC_COMPLETED', 'LZT_SYNC_FAILED'], timestamp: period }, order: [['timestamp', 'DESC']] })
+    ]);
+
+    const revenue = completed.reduce((sum, payment) => sum + payment.amount, 0);
+    const refunded = transactions.filter(payment => payment.status === 'REFUNDED');
+    const oldestPending = backlog.reduce((oldest, payment) =>
+      (!oldest || new Date(payment.createdAt) < new Date(oldest.createdAt) ? payment : oldest), null);
+
+    const syncTotals = syncLogs
+      .filter(entry => entry.action === 'LZT_SYNC_COMPLETED')
+      .reduce((totals, entry) => ({
+        added: totals.added + (entry.details?.added || 0),
+        updated: totals.updated + (entry.details?.updated || 0),
+        delisted: totals.delisted + (entry.details?.delisted || 0),
+        errors: totals.errors + (entry.details?.errors || 0)
+      }), { added: 0, updated: 0, delisted: 0, errors: 0 });
+
+    return {
+      from,
+      to,
+      transactions,
+      sales: {
+        count: completed.length,
+        created: transactions.length
+      },
+      revenue: {
+        total: revenue,
+        averageTicket: completed.length > 0 ? revenue / completed.length : 0,
+        refunded: refunded.reduce((sum, payment) => sum + payment.amount, 0),
+        refunds: refunded.length
+      },
+      backlog: {
+        pending: backlog.filter(payment => payment.status === 'PENDING').length,
+        processing: backlog.filter(payment => payment.status === 'PROCESSING').length,
+        oldestAge: oldestPending ? Date.now() - new Date(oldestPending.createdAt).getTime() : null
+      },
+      expired,
+      newUsers,
+      fraud: {
+        flaggedPayments: transactions.filter(payment => payment.metadata?.fraudCheck?.approved === false).length,
+        automaticBlocks: systemBlocks
+      },
+      tickets: {
+        created: ticketsCreated,
+        open: ticketsOpen
+      },
+      lztSync: {
+        runs: syncLogs.length,
+        failures: syncLogs.filter(entry => entry.action === 'LZT_SYNC_FAILED').length,
+        last: syncLogs[0] || null,
+        ...syncTotals
+      }
+    };
+  }
+
+  /**
+   * Monta o embed do resumo com as seções configuradas
+   * @param {string} type - daily ou weekly
+   * @param {Object} digest - Dados de collectDigest
+   * @returns {EmbedBuilder}
+   */
+  buildDigestEmbed(type, digest) {
+    const sections = config.reports.sections;
+    const embed = new EmbedBuilder()
+      .setTitle(DIGEST_TITLES[type])
+      .setColor(config.discord.embedColors.info)
+      .setDescription(`Período: ${formatDate(digest.from)} a ${formatDate(digest.to)}`)
+      .setFooter({ text: 'Mercadão das Contas - Relatório automático' })
+      .setTimestamp();
+
+    const fields = {
+      sales: () => ({
+        name: '🛒 Vendas',
+        value: `**Aprovadas**: ${digest.sales.count}\n**Pagamentos criados**: ${digest.sales.created}`,
+        inline: true
+      }),
+      revenue: () => ({
+        name: '💰 Receita',
+        value: `**Total**: ${formatCurrency(digest.revenue.total)}\n**Ticket médio**: ${formatCurrency(digest.revenue.averageTicket)}\n**Reembolsos**: ${digest.revenue.refunds} (${formatCurrency(digest.revenue.refunded)})`,
+        inline: true
+      }),
+      backlog: () => ({
+        name: '⏳ Fila de Aprovação',
+        value: `**Pendentes**: ${digest.backlog.pending}\n**Confirmados aguardando**: ${digest.backlog.processing}\n**Mais antigo**: ${digest.backlog.oldestAge !== null ? formatDuration(digest.backlog.oldestAge) : 'N/A'}`,
+        inline: true
+      }),
+      expired: () => ({
+        name: '⏱️ Pagamentos Expirados',
+        value: `${digest.expired}`,
+        inline: true
+      }),
+      newUsers: () => ({
+        name: '👥 Novos Usuários',
+        value: `${digest.newUsers}`,
+        inline: true
+      }),
+      fraud: () => ({
+        name: '🚨 Antifraude',
+        value: `**Pagamentos sinalizados**: ${digest.fraud.flaggedPayments}\n**Bloqueios automáticos**: ${digest.fraud.automaticBlocks}`,
+        inline: true
+      }),
+      tickets: () => ({
+        name: '🎫 Tickets',
+        value: `**Abertos no período**: ${digest.tickets.created}\n**Em aberto**: ${digest.tickets.open}`,
+        inline: true
+      }),
+      lztSync: () => ({
+        name: '🔄 Sincronização LZT',
+        value: digest.lztSync.runs > 0
+          ? `**Execuções**: ${digest.lztSync.runs} (${digest.lztSync.failures} com falha)\n**Adicionados**: ${digest.lztSync.added} • **Atualizados**: ${digest.lztSync.updated} • **Retirados**: ${digest.lztSync.delisted} • **Erros**: ${digest.lztSync.errors}\n**Última**: ${formatDate(digest.lztSync.last.timestamp)}`
+          : 'Nenhuma sincronização no período',
+        inline: false
+      })
+    };
+
+    for (const section of sections) {
+      if (fields[section]) embed.addFields(fields[section]());
+    }
+
+    return embed;
+  }
+
+  /**
+   * Gera o CSV das transações do período
+   * @param {Array} payments - Pagamentos
+   * @returns {Buffer} - Conteúdo CSV
+   */
+  buildTransactionsCsv(payments) {
+    const rows = payments.map(payment => [
+      payment.id,
+      payment.createdAt,
+      payment.completedAt,
+      payment.status,
+      payment.userId,
+      payment.userName,
+      payment.productName,
+      payment.amount.toFixed(2),
+      payment.approvedBy,
+      payment.metadata?.provider
+    ]);
+
+    return toCsv(CSV_COLUMNS, rows);
+  }
+
+  /**
+   * Publica um resumo no canal de administração
+   * @param {Client} client - Cliente Discord
+   * @param {string} type - daily ou weekly
+   * @param {Date} now - Data de referência
+   * @returns {Promise<boolean>} - Se o resumo foi publicado
+   */
+  async sendDigest(client, type, now = new Date()) {
+    const channel = this._findAdminChannel(client);
+    if (!channel) {
+      logger.warn(`Canal de administração "${config.discord.channels.admin}" não encontrado, resumo ${type} não enviado`);
+      return false;
+    }
+
+    const { from, to } = this.getPeriod(type, now);
+    const digest = await this.collectDigest(from, to);
+
+    const payload = { embeds: [this.buildDigestEmbed(type, digest)] };
+    if (config.reports.attachCsv) {
+      payload.files = [new AttachmentBuilder(this.buildTransactionsCsv(digest.transactions), {
+        name: `transacoes-${type}-${from.toISOString().substring(0, 10)}.csv`
+      })];
+    }
+
+    await channel.send(payload);
+
+    await auditLogger.log({
+      action: 'ADMIN_REPORT_SENT',
+      category: 'SYSTEM',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      details: { type, from, to, transactions: digest.transactions.length, channelId: channel.id }
+    });
+
+    logger.info(`Resumo ${type} publicado no canal ${channel.id}`);
+    return true;
+  }
+
+  /**
+   * Verifica nos registros de auditoria se o resumo do período atual já foi publicado
+   * O registro persiste entre reinícios, diferente do cache em memória
+   * @param {string} type - daily ou weekly
+   * @param {Date} now - Data de referência
+   * @returns {Promise<boolean>}
+   */
+  async wasDigestSent(type, now = new Date()) {
+    const { to } = this.getPeriod(type, now);
+
+    const entry = await AuditLog.findOne({
+      where: {
+        action: 'ADMIN_REPORT_SENT',
+        timestamp: { [Op.gte]: to },
+        details: { type }
+      },
+      attributes: ['id']
+    });
+
+    return !!entry;
+  }
+
+  /**
+   * Publica os resumos cujo horário já chegou e que ainda não foram enviados no período
+   * @param {Client} client - Cliente Discord
+   * @returns {Promise<Object>} - { daily, weekly } indicando o que foi enviado
+   */
+  async sendScheduledDigests(client) {
+    const sent = { daily: false, weekly: false };
+    if (!config.reports.enabled || !client) return sent;
+
+    const now = new Date();
+
+    for (const type of ['daily', 'weekly']) {
+      const schedule = config.reports[type];
+      if (!schedule?.enabled || now.getHours() < schedule.hour) continue;
+      if (type === 'weekly' && now.getDay() !== schedule.weekday) continue;
+
+      try {
+        if (await this.wasDigestSent(type, now)) continue;
+
+        if (await this.sendDigest(client, type, now)) {
+          sent[type] = true;
+        }
+      } catch (error) {
+        logger.error(`Erro ao enviar resumo ${type}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Localiza o canal de administração pelo nome ou ID configurado
+   * @private
+   */
+  _findAdminChannel(client) {
+    const target = config.discord.channels.admin;
+
+    return client.channels.cache.find(channel =>
+      (channel.id === target || channel.name === target) &&
+      (!config.discord.guildId || channel.guildId === config.discord.guildId) &&
+      typeof channel.send === 'function'
+    ) || null;
+  }
+}
+
+// Singleton
+const reportService = new ReportService();
+module.exports = reportService;
@@ -5,6 +5,12 @@
 const { User, Activity } = require('../models');
 const { Op } = require('sequelize');
 const { logger } = require('../utils/helpers');
+const cache = require('../utils/cache');
+const auditLogger = require('../audit/logger');
+const config = require('../../config');
+
+// Prefixo das chaves de situação de bloqueio no cache
+const CACHE_KEY_BLOCK = 'user:block:';
 
 class UserService {
   /**
@@ -69,6 +75,29 @@ class UserService {
     }
   }
 
+  /**
+   * Atualiza preferências do usuário (mesclando com as existentes)
+   * @param {string} userId - ID do usuário
+   * @param {Object} preferences - Preferências a alterar
+   * @returns {Promise<Object>} - Preferências atualizadas
+   */
+  async updatePreferences(userId, preferences) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user) {
+        throw new Error('Usuário não encontrado');
+      }
+
+      user.preferences = { ...user.preferences, ...preferences };
+      await user.save();
+
+      return user.preferences;
+    } catch (error) {
+      logger.error(`Erro ao atualizar preferências do usuário ${userId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Registra uma atividade no histórico do usuário
    * @param {string} userId - ID do usuário
@@ -185,14 +214,63 @@ class UserService {
     }
   }
 
+  /**
+   * Busca usuários pelo ID do Discord (ou menção) ou por parte do nome
+   * @param {string} query - ID, menção ou nome de usuário
+   * @param {number} limit - Limite de resultados
+   * @returns {Promise<Array>} - Usuários encontrados
+   */
+  async searchUsers(query, limit = 10) {
+    try {
+      const term = String(query || '').trim().replace(/^<@!?(\d+)>$/, '$1');
+      if (!term) return [];
+
+      // IDs do Discord são numéricos: tentar correspondência exata primeiro
+      if (/^\d{15,21}$/.test(term)) {
+        const user = await User.findByPk(term);
+        if (user) return [user];
+      }
+
+      return await User.findAll({
+        where: { username: { [Op.like]: `%${term}%` } },
+        order: [['lastActive', 'DESC']],
+        limit
+      });
+    } catch (error) {
+      logger.error(`Erro ao buscar usuários por "${query}":`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Lista os usuários bloqueados ou suspensos
+   * @param {number} limit - Limite de resultados
+   * @returns {Promise<Array>} - Usuários bloqueados
+   */
+  async getBlockedUsers(limit = 25) {
+    try {
+      return await User.findAll({
+        where: { isBlocked: true },
+        order: [['blockDate', 'DESC']],
+        limit
+      });
+    } catch (error) {
+      logger.error('Erro ao listar usuários bloqueados:', error);
+      return [];
+    }
+  }
+
   /**
    * Bloqueia um usuário
    * @param {string} userId - ID do usuário
    * @param {string} reason - Motivo do bloqueio
    * @param {string} adminId - ID do admin que realizou o bloqueio
+   * @param {Object} options - Opções adicionais
+   * @param {Date} options.until - Fim da suspensão (sem valor = bloqueio permanente)
+   * @param {Object} options.evidence - Evidências registradas na auditoria
    * @returns {Promise<Object>} - Resultado da operação
    */
-  async blockUser(userId, reason, adminId) {
+  async blockUser(userId, reason, adminId, options = {}) {
     try {
       const user = await User.findByPk(userId);
 
@@ -205,16 +283,35 @@ class UserService {
       user.blockReason = reason;
       user.blockedBy = adminId;
       user.blockDate = new Date();
+      user.blockedUntil = options.until || null;
 
       await user.save();
+      await cache.del(`${CACHE_KEY_BLOCK}${userId}`);
+
+      await this.recordActivity(userId, 'USER_BLOCKED', {
+        adminId,
+        reason,
+        until: user.blockedUntil
+      });
 
-      logger.info(`Usuário ${userId} bloqueado por ${adminId}. Motivo: ${reason}`);
+      await auditLogger.log({
+        action: user.blockedUntil ? 'USER_SUSPENDED' : 'USER_BLOCKED',
+        category: 'USER',
+        severity: 'WARNING',
+        status: 'SUCCESS',
+        user: { id: adminId },
+        target: { id: user.userId, username: user.username },
+        details: { reason, until: user.blockedUntil, evidence: options.evidence }
+      });
+
+      logger.info(`Usuário ${userId} ${user.blockedUntil ? `suspenso até ${user.blockedUntil.toISOString()}` : 'bloqueado'} por ${adminId}. Motivo: ${reason}`);
       return {
         success: true,
         user: {
           userId: user.userId,
           username: user.username,
-          blockDate: user.blockDate
+          blockDate: user.blockDate,
+          blockedUntil: user.blockedUntil
         }
       };
     } catch (error) {
@@ -227,9 +324,10 @@ class UserService {
    * Desbloqueia um usuário
    * @param {string} userId - ID do usuário
    * @param {string} adminId - ID do admin que realizou o desbloqueio
+   * @param {string} reason - Motivo do desbloqueio (opcional)
    * @returns {Promise<Object>} - Resultado da operação
    */
-  async unblockUser(userId, adminId) {
+  async unblockUser(userId, adminId, reason = null) {
     try {
       const user = await User.findByPk(userId);
 
@@ -245,15 +343,28 @@ class UserService {
       // Registrar atividade de desbloqueio
       await this.recordActivity(userId, 'USER_UNBLOCKED', {
         adminId,
+        reason,
         previousReason: user.blockReason
       });
 
+      await auditLogger.log({
+        action: 'USER_UNBLOCKED',
+        category: 'USER',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: adminId },
+        target: { id: user.userId, username: user.username },
+        details: { reason, previousReason: user.blockReason, blockedUntil: user.blockedUntil }
+      });
+
       // Atualizar status
       user.isBlocked = false;
       user.blockReason = null;
       user.blockDate = null;
+      user.blockedUntil = null;
 
       await user.save();
+      await cache.del(`${CACHE_KEY_BLOCK}${userId}`);
 
       logger.info(`Usuário ${userId} desbloqueado por ${adminId}`);
       return { success: true };
@@ -262,6 +373,70 @@ class UserService {
       return { success: false, message: error.message };
     }
   }
+
+  /**
+   * Obtém a situação de bloqueio de um usuário (consultada a cada interação, por isso fica em cache)
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Object>} - { blocked, reason, until }
+   */
+  async getBlockStatus(userId) {
+    const cacheKey = `${CACHE_KEY_BLOCK}${userId}`;
+
+    try {
+      let status = await cache.get(cacheKey);
+
+      if (!status) {
+        const user = await User.findByPk(userId, {
+          attributes: ['userId', 'isBlocked', 'blockReason', 'blockedUntil']
+        });
+
+        status = {
+          blocked: Boolean(user?.isBlocked),
+          reason: user?.blockReason || null,
+          until: user?.blockedUntil || null
+        };
+
+        await cache.set(cacheKey, status, config.moderation.blockStatusCacheTTL);
+      }
+
+      // Suspensão vencida que a rotina periódica ainda não encerrou
+      if (status.blocked && status.until && new Date(status.until) <= new Date()) {
+        return { blocked: false, reason: null, until: null };
+      }
+
+      return status;
+    } catch (error) {
+      logger.error(`Erro ao verificar bloqueio do usuário ${userId}:`, error);
+
+      // Em caso de erro, não barrar usuários indevidamente
+      return { blocked: false, reason: null, until: null };
+    }
+  }
+
+  /**
+   * Encerra as suspensões cujo prazo já terminou
+   * @returns {Promise<number>} - Quantidade de usuários liberados
+   */
+  async liftExpiredSuspensions() {
+    const users = await User.findAll({
+      where: {
+        isBlocked: true,
+        blockedUntil: { [Op.lte]: new Date() }
+      }
+    });
+
+    let lifted = 0;
+    for (const user of users) {
+      const result = await this.unblockUser(user.userId, 'SYSTEM', 'Fim da suspensão');
+      if (result.success) lifted++;
+    }
+
+    if (lifted > 0) {
+      logger.info(`${lifted} suspensão(ões) encerrada(s) automaticamente`);
+    }
+
+    return lifted;
+  }
 }
 
 // Singleton
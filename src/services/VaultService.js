@@ -0,0 +1,242 @@
+/**
+ * Cofre de credenciais dos produtos
+ * Guarda login, senha e dados de recuperação criptografados (AES-256-GCM) com a chave do ambiente
+ */
+const crypto = require('crypto');
+const { ProductSecret } = require('../models');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+const config = require('../../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// Campos aceitos no cofre (login e senha são obrigatórios)
+const SECRET_FIELDS = ['login', 'password', 'email', 'emailPassword', 'recovery'];
+const REQUIRED_FIELDS = ['login', 'password'];
+
+class VaultService {
+  constructor() {
+    this.key = null;
+  }
+
+  /**
+   * Indica se a chave de criptografia está configurada
+   * @returns {boolean}
+   */
+  isConfigured() {
+    try {
+      this._getKey();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Grava (ou substitui) as credenciais de um produto
+   * @param {string} productId - ID do produto
+   * @param {Object} secret - { login, password, email, emailPassword, recovery }
+   * @param {string} adminId - ID do administrador
+   * @returns {Promise<Object>} - { success, message }
+   */
+  async storeSecret(productId, secret, adminId) {
+    try {
+      const data = {};
+      for (const field of SECRET_FIELDS) {
+        const value = typeof secret[field] === 'string' ? secret[field].trim() : secret[field];
+        if (value) data[field] = value;
+      }
+
+      const missing = REQUIRED_FIELDS.filter(field => !data[field]);
+      if (missing.length > 0) {
+        return { success: false, message: `Campos obrigatórios não informados: ${missing.join(', ')}` };
+      }
+
+      const encrypted = this._encrypt(JSON.stringify(data));
+
+      await ProductSecret.upsert({
+        productId,
+        ...encrypted,
+        updatedBy: adminId
+      });
+
+      await auditLogger.log({
+        action: 'VAULT_SECRET_STORED',
+        category: 'SECURITY',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: { id: adminId },
+        product: { id: productId },
+        details: { productId, fields: Object.keys(data) }
+      });
+
+      logger.info(`Credenciais do produto ${productId} atualizadas por ${adminId}`);
+      return { success: true };
+    } catch (error) {
+      logger.error(`Erro ao gravar credenciais do produto ${productId}:`, error);
+      return { success: false, message: error.message || 'Erro ao gravar credenciais' };
+    }
+  }
+
+  /**
+   * Informações sobre as credenciais sem descriptografá-las
+   * @param {string} productId - ID do produto
+   * @returns {Promise<Object>} - { exists, updatedAt, updatedBy }
+   */
+  async getSecretInfo(productId) {
+    const secret = await ProductSecret.findByPk(productId, {
+      attributes: ['productId', 'updatedAt', 'updatedBy']
+    });
+
+    if (!secret) return { exists: false };
+    return { exists: true, updatedAt: secret.updatedAt, updatedBy: secret.updatedBy };
+  }
+
+  /**
+   * Lista os produtos que ainda não têm credenciais no cofre
+   * @param {Array<string>} productIds - IDs dos produtos
+   * @returns {Promise<Array<string>>} - IDs sem credenciais
+   */
+  async findMissingSecrets(productIds) {
+    const secrets = await ProductSecret.findAll({
+      where: { productId: productIds },
+      attributes: ['productId']
+    });
+
+    const stored = new Set(secrets.map(secret => secret.productId));
+    return productIds.filter(id => !stored.has(id));
+  }
+
+  /**
+   * Descriptografa as credenciais de um produto para entrega (toda leitura é auditada)
+   * @param {string} productId - ID do produto
+   * @param {Object} context - Contexto da leitura
+   * @param {string} context.actor - Quem solicitou a leitura (admin ou SYSTEM)
+   * @param {string} context.paymentId - Pagamento que originou a entrega
+   * @param {string} context.userId - Comprador
+   * @returns {Promise<Object>} - Credenciais em texto claro
+   */
+  async revealSecret(productId, context = {}) {
+    const secret = await ProductSecret.findByPk(productId);
+
+    if (!secret) {
+      await this._auditRead(productId, context, 'ERROR', 'Credenciais não cadastradas');
+      throw new Error(`Credenciais do produto ${productId} não cadastradas`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(this._decrypt(secret));
+    } catch (error) {
+      await this._auditRead(productId, context, 'ERROR', error.message);
+      throw error;
+    }
+
+    await this._auditRead(productId, context, 'SUCCESS');
+    return data;
+  }
+
+  /**
+   * Remove as credenciais de um produto
+   * @param {string} productId - ID do produto
+   * @param {string} adminId - ID do administrador
+   * @returns {Promise<boolean>} - Se havia credenciais
+   */
+  async removeSecret(productId, adminId) {
+    const removed = await ProductSecret.destroy({ where: { productId } });
+
+    if (removed > 0) {
+      await auditLogger.log({
+        action: 'VAULT_SECRET_REMOVED',
+        category: 'SECURITY',
+        severity: 'WARNING',
+        status: 'SUCCESS',
+        user: { id: adminId },
+        product: { id: productId },
+        details: { productId }
+      });
+    }
+
+    return removed > 0;
+  }
+
+  /**
+   * @private
+   */
+  async _auditRead(productId, context, status, error = null) {
+    await auditLogger.log({
+      action: 'VAULT_SECRET_READ',
+      category: 'SECURITY',
+      severity: status === 'SUCCESS' ? 'INFO' : 'ERROR',
+      status,
+      user: { id: context.actor },
+      target: { id: context.userId },
+      payment: { id: context.paymentId },
+      product: { id: productId },
+      details: {
+        productId,
+        paymentId: context.paymentId,
+        reason: context.reason || 'DELIVERY',
+        error
+      }
+    });
+  }
+
+  /**
+   * Carrega a chave de criptografia do ambiente
+   * @private
+   */
+  _getKey() {
+    if (this.key) return this.key;
+
+    const rawKey = config.vault?.encryptionKey;
+    if (!rawKey) {
+      throw new Error('Chave do cofre não configurada (VAULT_ENCRYPTION_KEY)');
+    }
+
+    const key = /^[0-9a-fA-F]{64}$/.test(rawKey)
+      ? Buffer.from(rawKey, 'hex')
+      : Buffer.from(rawKey, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error('VAULT_ENCRYPTION_KEY deve ter 32 bytes (64 caracteres hex ou base64)');
+    }
+
+    this.key = key;
+    return key;
+  }
+
+  /**
+   * @private
+   */
+  _encrypt(plainText) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this._getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+    return {
+      encryptedData: encrypted.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  /**
+   * @private
+   */
+  _decrypt(secret) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, this._getKey(), Buffer.from(secret.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(secret.authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(secret.encryptedData, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+// Singleton
+const vaultService = new VaultService();
+vaultService.SECRET_FIELDS = SECRET_FIELDS;
+module.exports = vaultService;
@@ -238,8 +238,17 @@ async function keys(pattern) {
   }
 }
 
+/**
+ * Indica se o cache está usando o Redis (dados sobrevivem a reinícios)
+ * @returns {boolean} - true quando conectado ao Redis
+ */
+function isPersistent() {
+  return !usingMockCache && !!redisClient && redisClient.isReady;
+}
+
 module.exports = {
   initCache,
+  isPersistent,
   get,
   set,
   del,
@@ -0,0 +1,228 @@
+/**
+ * Gráficos em PNG gerados localmente
+ * Desenha gráficos de barras em memória e codifica o PNG com zlib, sem dependências nativas
+ */
+const zlib = require('zlib');
+
+// Fonte bitmap 3x5 (linhas de cima para baixo) usada nos rótulos
+const FONT = {
+  '0': '111101101101111', '1': '010110010010111', '2': '111001111100111', '3': '111001111001111',
+  '4': '101101111001001', '5': '111100111001111', '6': '111100111101111', '7': '111001010010010',
+  '8': '111101111101111', '9': '111101111001111', '/': '001001010100100', '.': '000000000000010',
+  ',': '000000000010100', '-': '000000111000000', '%': '101001010100101', ':': '000010000010000',
+  '$': '011110010011110', ' ': '000000000000000',
+  A: '010101111101101', B: '110101110101110', C: '011100100100011', D: '110101101101110',
+  E: '111100110100111', F: '111100110100100', G: '011100101101011', H: '101101111101101',
+  I: '111010010010111', J: '001001001101010', K: '101101110101101', L: '100100100100111',
+  M: '101111111101101', N: '110101101101101', O: '010101101101010', P: '110101110100100',
+  Q: '010101101110011', R: '110101110101101', S: '011100010001110', T: '111010010010010',
+  U: '101101101101111', V: '101101101101010', W: '101101111111101', X: '101101010101101',
+  Y: '101101010010010', Z: '111001010100111'
+};
+
+const GLYPH_WIDTH = 3;
+const GLYPH_HEIGHT = 5;
+
+// Tabela do CRC32 usado nos blocos do PNG
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Área de desenho RGBA
+ * @private
+ */
+class Canvas {
+  constructor(width, height, background) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 4);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  fillRect(x, y, w, h, color) {
+    const [r, g, b] = color;
+    const x0 = Math.max(Math.round(x), 0);
+    const y0 = Math.max(Math.round(y), 0);
+    const x1 = Math.min(Math.round(x + w), this.width);
+    const y1 = Math.min(Math.round(y + h), this.height);
+
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const offset = (py * this.width + px) * 4;
+        this.pixels[offset] = r;
+        this.pixels[offset + 1] = g;
+        this.pixels[offset + 2] = b;
+        this.pixels[offset + 3] = 255;
+      }
+    }
+  }
+
+  drawText(x, y, text, scale, color) {
+    let cursor = x;
+    for (const char of String(text).toUpperCase()) {
+      const glyph = FONT[char] || FONT[' '];
+      for (let i = 0; i < glyph.length; i++) {
+        if (glyph[i] === '1') {
+          this.fillRect(cursor + (i % GLYPH_WIDTH) * scale, y + Math.floor(i / GLYPH_WIDTH) * scale, scale, scale, color);
+        }
+      }
+      cursor += (GLYPH_WIDTH + 1) * scale;
+    }
+  }
+
+  toPNG() {
+    // Cada linha começa com o byte de filtro 0 (sem filtro)
+    const rowLength = this.width * 4 + 1;
+    const raw = Buffer.alloc(rowLength * this.height);
+    for (let y = 0; y < this.height; y++) {
+      this.pixels.copy(raw, y * rowLength + 1, y * this.width * 4, (y + 1) * this.width * 4);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // bits por canal
+    header[9] = 6; // RGBA
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+/**
+ * Monta um bloco do PNG (tamanho, tipo, dados e CRC)
+ * @private
+ */
+function pngChunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+
+  let crc = 0xffffffff;
+  for (const byte of typeAndData) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE((crc ^ 0xffffffff) >>> 0, 0);
+
+  return Buffer.concat([length, typeAndData, checksum]);
+}
+
+/**
+ * Converte uma cor hexadecimal (#RRGGBB) em [r, g, b]
+ * @private
+ */
+function parseColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Formata valores de eixo e barras de forma compacta (1.2K, 3.4M)
+ * @param {number} value - Valor
+ * @returns {string}
+ */
+function formatCompact(value) {
+  if (Math.abs(value) >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(1)}K`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+/**
+ * Arredonda o topo do eixo para que cada divisão seja 1, 2 ou 5 vezes uma potência de 10
+ * @private
+ */
+function niceMax(value, divisions) {
+  if (value <= 0) return divisions;
+
+  const rawStep = value / divisions;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+  return step * divisions;
+}
+
+/**
+ * Desenha um gráfico de barras e retorna o PNG
+ * @param {Object} chart - Dados do gráfico
+ * @param {string} chart.title - Título (somente letras sem acento, números e símbolos simples)
+ * @param {Array<string>} chart.labels - Rótulos do eixo X
+ * @param {Array<number>} chart.values - Valores das barras
+ * @param {string} chart.color - Cor das barras (#RRGGBB)
+ * @param {number} chart.width - Largura em pixels
+ * @param {number} chart.height - Altura em pixels
+ * @returns {Buffer} - Imagem PNG
+ */
+function renderBarChart({ title = '', labels = [], values = [], color = '#4F46E5', width = 800, height = 400 }) {
+  const scale = 2;
+  const charWidth = (GLYPH_WIDTH + 1) * scale;
+  const textHeight = GLYPH_HEIGHT * scale;
+
+  const canvas = new Canvas(width, height, [255, 255, 255]);
+  const textColor = [55, 65, 81];
+  const gridColor = [229, 231, 235];
+  const barColor = parseColor(color);
+
+  const plot = { left: 70, right: width - 20, top: 40, bottom: height - 40 };
+  const plotWidth = plot.right - plot.left;
+  const plotHeight = plot.bottom - plot.top;
+
+  canvas.drawText(plot.left, 12, title, scale, textColor);
+
+  // Linhas de grade com os valores do eixo Y
+  const gridLines = 4;
+  const maxValue = niceMax(Math.max(...values, 0), gridLines);
+  for (let i = 0; i <= gridLines; i++) {
+    const y = plot.bottom - (plotHeight * i) / gridLines;
+    canvas.fillRect(plot.left, y, plotWidth, 1, gridColor);
+
+    const label = formatCompact((maxValue * i) / gridLines);
+    canvas.drawText(plot.left - 8 - label.length * charWidth, y - textHeight / 2, label, scale, textColor);
+  }
+
+  if (values.length > 0) {
+    const slot = plotWidth / values.length;
+    const barWidth = Math.max(Math.floor(slot * 0.7), 1);
+
+    // Pular rótulos do eixo X que não cabem lado a lado
+    const longestLabel = Math.max(...labels.map(label => String(label).length), 1);
+    const labelStep = Math.max(Math.ceil((longestLabel * charWidth + 8) / slot), 1);
+
+    values.forEach((value, index) => {
+      const x = plot.left + slot * index + (slot - barWidth) / 2;
+      const barHeight = (plotHeight * value) / maxValue;
+      canvas.fillRect(x, plot.bottom - barHeight, barWidth, barHeight, barColor);
+
+      // Valor acima da barra quando houver espaço
+      const valueLabel = formatCompact(value);
+      if (value > 0 && valueLabel.length * charWidth <= slot) {
+        canvas.drawText(x + (barWidth - valueLabel.length * charWidth) / 2, plot.bottom - barHeight - textHeight - 4, valueLabel, scale, textColor);
+      }
+
+      if (index % labelStep === 0 && labels[index] !== undefined) {
+        const label = String(labels[index]);
+        canvas.drawText(plot.left + slot * index + (slot - label.length * charWidth) / 2, plot.bottom + 10, label, scale, textColor);
+      }
+    });
+  }
+
+  // Eixos
+  canvas.fillRect(plot.left, plot.top, 1, plotHeight, textColor);
+  canvas.fillRect(plot.left, plot.bottom, plotWidth, 1, textColor);
+
+  return canvas.toPNG();
+}
+
+module.exports = {
+  renderBarChart,
+  formatCompact
+};
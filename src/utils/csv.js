@@ -0,0 +1,105 @@
+/**
+ * Leitura e escrita de CSV
+ * Segue a RFC 4180: campos com vírgula, aspas ou quebra de linha ficam entre aspas duplas
+ */
+
+// BOM para que planilhas abram o arquivo como UTF-8
+const BOM = '\uFEFF';
+
+/**
+ * Escapa um valor para uma célula CSV
+ * @param {*} value - Valor da célula
+ * @returns {string}
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Gera um CSV a partir de um cabeçalho e linhas
+ * @param {Array<string>} columns - Cabeçalho
+ * @param {Array<Array>} rows - Valores de cada linha, na ordem do cabeçalho
+ * @returns {Buffer} - Conteúdo CSV em UTF-8 com BOM
+ */
+function toCsv(columns, rows) {
+  const lines = [columns, ...rows].map(row => row.map(escapeCell).join(','));
+  return Buffer.from(`${BOM}${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Lê um CSV em uma lista de objetos indexados pelo cabeçalho
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {Array<Object>} - Linhas com o número da linha no arquivo ({ line, values })
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const source = text.startsWith(BOM) ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Aspas não fechadas a partir da linha ${recordLine}`);
+  }
+
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push({ line: recordLine, cells: record });
+  }
+
+  // Ignorar linhas em branco
+  const filled = records.filter(entry => entry.cells.some(value => value.trim() !== ''));
+  if (filled.length === 0) return [];
+
+  const [header, ...rows] = filled;
+  const columns = header.cells.map(column => column.trim());
+
+  return rows.map(({ line: rowLine, cells }) => ({
+    line: rowLine,
+    values: Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']))
+  }));
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
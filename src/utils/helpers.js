@@ -107,6 +107,39 @@ function timeAgo(date) {
   return `há ${Math.floor(seconds)} segundos`;
 }
 
+/**
+ * Formata uma duração em milissegundos de forma compacta
+ * @param {number} ms - Duração em milissegundos
+ * @returns {string} - Texto descritivo (ex: 2h 15min, 3d 4h, 45s)
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}min`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 > 0 ? `${hours}h ${minutes % 60}min` : `${hours}h`;
+
+  const days = Math.floor(hours / 24);
+  return hours % 24 > 0 ? `${days}d ${hours % 24}h` : `${days}d`;
+}
+
+/**
+ * Converte uma duração curta em milissegundos
+ * @param {string} text - Duração (ex: 30m, 12h, 7d, 2w)
+ * @returns {number|null} - Duração em milissegundos ou null se inválida
+ */
+function parseDuration(text) {
+  const match = /^(\d+)\s*(m|h|d|w)$/i.exec(String(text || '').trim());
+  if (!match) return null;
+
+  const units = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  const value = parseInt(match[1]);
+  return value > 0 ? value * units[match[2].toLowerCase()] : null;
+}
+
 /**
  * Valida se um endereço de email é válido
  * @param {string} email - Email a ser validado
@@ -185,8 +218,10 @@ module.exports = {
   logger,
   generateId,
   formatCurrency,
+  formatDuration,
   formatDate,
   timeAgo,
+  parseDuration,
   isValidEmail,
   truncateText,
   md5,